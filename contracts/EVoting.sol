@@ -1,18 +1,38 @@
 // contracts/EVoting.sol
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.20;
+
+import {Initializable} from "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
+import {MerkleProof} from "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {Nonces} from "@openzeppelin/contracts/utils/Nonces.sol";
 
 /**
  * @title EVoting
  * @dev Decentralized E-Voting System
- * @notice This contract allows an admin to manage elections and voters to cast votes
+ * @notice This contract allows an admin to manage an election and voters to cast votes.
+ * The admin (owner) holds DEFAULT_ADMIN_ROLE and can delegate voter registration to
+ * registrars and starting/ending the election to officers.
+ * Each election is a clone of this contract created by the ElectionFactory.
  */
-contract EVoting {
+contract EVoting is Initializable, AccessControl, EIP712, Nonces {
     // Struct to store candidate information
     struct Candidate {
         uint256 id;
         string name;
-        uint256 voteCount;
+        uint256 voteCount; // sum of the weights of the ballots counted
+        uint256 voterCount; // number of ballots counted (headcount)
+        bool withdrawn; // hidden from ballots, kept for history
+    }
+
+    // Optional candidate details shown on the ballot
+    struct CandidateProfile {
+        string party; // party or affiliation
+        string bio; // short biography
+        string imageURI; // https:// URL, ipfs:// URI or bare IPFS CID
+        string link; // external website
     }
 
     // Struct to store voter information
@@ -20,89 +40,703 @@ contract EVoting {
         bool registered;
         bool voted;
         uint256 vote; // candidate id they voted for
+        bytes32 commitment; // salted ballot hash in secret ballot mode
+        bool revealed;
+        uint256 weight; // votes this voter's ballot counts for (e.g. shares held)
+        address delegate; // voter this voter delegated to, 0 if none
+        uint256 delegatedWeight; // weight delegated to this voter, directly or through a chain
+    }
+
+    // Deploy-time election definition passed to initialize
+    struct ElectionConfig {
+        string title;
+        string description;
+        string[] candidateNames;
+        CandidateProfile[] candidateProfiles; // same order as candidateNames, or empty
+        address[] voters; // initial voter roll
+        uint256[] voterWeights; // same order as voters, or empty for weight 1
+        uint256 registrationDeadline; // schedule, 0 = not set
+        uint256 votingStart;
+        uint256 votingEnd;
+    }
+
+    // Ballot types
+    enum BallotType {
+        Plurality, // one candidate per ballot
+        RankedChoice, // ordered preference list, tallied by instant runoff
+        Approval // up to maxSelections candidates per ballot
+    }
+
+    // How a tie for first place is resolved
+    enum TieBreakPolicy {
+        DeclareTie, // report the tie, no single winner
+        AdminDecision, // admin casts the deciding vote after voting closes
+        CommittedSeed // pick using a seed committed before voting and revealed after
+    }
+
+    // Roles (the owner holds DEFAULT_ADMIN_ROLE)
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+    bytes32 public constant OFFICER_ROLE = keccak256("OFFICER_ROLE");
+
+    // EIP-712 type of a signed plurality ballot
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(address voter,uint256 candidateId,uint256 nonce,uint256 deadline)");
+
+    // A ballot signed by the voter and submitted by a relayer
+    struct SignedBallot {
+        address voter;
+        uint256 candidateId;
+        uint256 nonce;
+        uint256 deadline;
+        bytes signature;
+        bytes32[] proof; // Merkle proof, empty for registered voters
+    }
+
+    // Turnout and quorum verdict, recorded once when voting closes
+    struct FinalTurnout {
+        uint64 registered;
+        uint64 voted;
+        bool quorumReached;
+        bool recorded;
     }
 
     // State variables
+    string public title;
+    string public description;
     address public admin;
-    bool public electionRunning;
+    address public pendingAdmin; // proposed owner until they accept
+    BallotType public ballotType;
+    bool public secretBallot;
+    bool public revealClosed;
+    bytes32 public voterRoot; // Merkle root of the voter roll (0 = not used)
     uint256 public candidateCount;
+    uint256 public withdrawnCandidateCount;
+    uint256 public questionCount;
+    uint256 public seatCount; // candidates elected (top seatCount by votes)
+    uint256 public maxSelections; // candidates an approval ballot may approve
+    uint256 public registeredCount; // voters on the roll; Merkle voters join when they first vote
+    uint256 public votedCount; // ballots cast, commitments included; delegated votes are not ballots
+    uint256 public quorum; // ballots needed for a valid result, 0 = no quorum
+    bool public quorumIsPercent; // quorum is a percentage of registeredCount
+    FinalTurnout public finalTurnout;
+    TieBreakPolicy public tieBreakPolicy;
+    bytes32 public tieBreakSeedCommitment;
+    uint256 public tieBreakWinner; // 0 until a tie is broken
+
+    // Schedule (block timestamps, 0 = not set)
+    uint256 public registrationDeadline;
+    uint256 public votingStart;
+    uint256 public votingEnd;
     
     // Mappings
     mapping(uint256 => Candidate) public candidates;
+    mapping(uint256 => CandidateProfile) public candidateProfiles;
+    mapping(uint256 => uint256) public questionOptionCount; // question id => number of options
+    mapping(uint256 => mapping(uint256 => uint256)) public questionVotes; // question id => option => weighted votes
     mapping(address => Voter) public voters;
+    mapping(address => bool) public revokedVoters; // revoked or replaced; refused by the Merkle roll
 
     // Events
+    event MetadataSet(string title, string description);
     event CandidateAdded(uint256 indexed candidateId, string name);
-    event VoterRegistered(address indexed voterAddress);
-    event VoteCast(address indexed voter, uint256 indexed candidateId);
+    event CandidateUpdated(uint256 indexed candidateId, string name, CandidateProfile profile);
+    event CandidateWithdrawn(uint256 indexed candidateId);
+    event QuestionAdded(uint256 indexed questionId, string text, string[] options);
+    event VoterRegistered(address indexed voterAddress, uint256 weight);
+    event DuplicateVoterSkipped(address indexed voterAddress);
+    event VoterRevoked(address indexed voterAddress, string reason);
+    event VoterReplaced(address indexed oldAddress, address indexed newAddress, string reason);
+    event VoteCast(address indexed voter, uint256 indexed candidateId, uint256 weight);
+    event QuestionsAnswered(address indexed voter, uint256[] answers, uint256 weight);
+    event VoteDelegated(address indexed voter, address indexed delegate, uint256 weight);
+    event DelegationRevoked(address indexed voter, address indexed delegate, uint256 weight);
     event ElectionStarted();
     event ElectionEnded();
+    event SecretBallotSet(bool enabled);
+    event BallotTypeSet(BallotType ballotType);
+    event RankedVoteCast(address indexed voter, uint256[] ranking, uint256 weight);
+    event ApprovalVoteCast(address indexed voter, uint256[] candidateIds, uint256 weight);
+    event SeatsSet(uint256 seatCount, uint256 maxSelections);
+    event QuorumSet(uint256 quorum, bool isPercent);
+    event QuorumChecked(bool reached, uint256 votedCount, uint256 registeredCount);
+    event VoteCommitted(address indexed voter, bytes32 commitment);
+    event SignedBallotRejected(address indexed voter, uint256 nonce);
+    event RevealEnded();
+    event VoterRootSet(bytes32 root);
+    event TieBreakPolicySet(TieBreakPolicy policy, bytes32 seedCommitment);
+    event TieBroken(uint256 indexed candidateId, TieBreakPolicy policy);
+    event ScheduleSet(uint256 registrationDeadline, uint256 votingStart, uint256 votingEnd);
+    event AdminTransferStarted(address indexed currentAdmin, address indexed pendingAdmin);
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
 
-    // Modifiers
+    // Errors (custom errors keep the contract under the 24KB size limit)
+    error NotAdmin();
+    error MissingRole();
+    error NotPendingAdmin();
+    error UseTransferAdmin(); // the owner role only moves via transferAdmin/acceptAdmin
+    error InvalidAdmin();
+    error TitleRequired();
+    error ElectionNotRunning();
+    error ElectionAlreadyRunning();
+    error RegistrationClosed();
+    error RevealNotOpen();
+    error VotingAlreadyStarted();
+    error VotingClosed();
+    error VotingNotClosed();
+    error InvalidVotingWindow(); // voting must start before it ends
+    error VotingEndInPast();
+    error RegistrationAfterVotingEnd();
+    error NoCandidates();
+    error InvalidCandidate();
+    error CandidateNameRequired();
+    error CandidateHasVotes();
+    error ProfileCountMismatch(); // one profile per candidate
+    error QuestionTextRequired();
+    error TooFewOptions(); // a question needs at least two options
+    error InvalidQuestion();
+    error AnswerCountMismatch(); // one answer per question
+    error InvalidAnswer();
+    error QuestionsNeedPlaintextBallot();
+    error SignedBallotWithQuestions(); // a signed ballot carries no answers to the ballot questions
+    error AlreadyRegistered();
+    error NotRegistered();
+    error WeightCountMismatch(); // one weight per voter
+    error InvalidWeight(); // weights must be at least 1
+    error VoterInDelegation();
+    error ReasonRequired();
+    error InvalidNewAddress();
+    error InvalidProof();
+    error RevokedVoter(); // revoked addresses can't rejoin through the Merkle roll
+    error AlreadyVoted();
+    error WrongBallotType();
+    error SecretBallotRequiresPlurality();
+    error SecretBallotRequiresCommit();
+    error SecretBallotNotEnabled();
+    error InvalidRankingLength();
+    error DuplicateRanking();
+    error InvalidSeatCount(); // at least one seat
+    error InvalidSelectionCount(); // between one and maxSelections candidates
+    error DuplicateSelection();
+    error RankedChoiceSingleSeat(); // instant runoff fills a single seat
+    error InvalidQuorum(); // a percentage quorum is at most 100
+    error PercentQuorumWithVoterRoot(); // Merkle voters are not counted until they vote, so there is no total to take a percentage of
+    error TurnoutAlreadyRecorded();
+    error BallotExpired();
+    error InvalidSignature();
+    error InvalidCommitment();
+    error NoCommittedVote();
+    error AlreadyRevealed();
+    error RevealMismatch();
+    error VoteIsDelegated();
+    error NotDelegated();
+    error SelfDelegation();
+    error DelegateNotRegistered();
+    error DelegateAlreadyVoted();
+    error DelegationLoop();
+    error InvalidSeedCommitment(); // required only for CommittedSeed
+    error WrongTieBreakPolicy();
+    error TieBreakNotForRankedChoice(); // instant runoff breaks its own ties, so only DeclareTie is allowed
+    error SeedMismatch();
+    error NoVotesCast();
+    error NoTie();
+    error TieAlreadyBroken();
+    error NotTiedForFirst();
+
+    // Modifiers (each calls an internal check so its code is not repeated in every function)
     modifier onlyAdmin() {
-        require(msg.sender == admin, "Only admin can perform this action");
+        _checkAdmin();
+        _;
+    }
+
+    modifier onlyAdminOrRole(bytes32 _role) {
+        _checkAdminOrRole(_role);
         _;
     }
 
     modifier whenRunning() {
-        require(electionRunning, "Election is not running");
+        _checkRunning(true);
         _;
     }
 
     modifier whenNotRunning() {
-        require(!electionRunning, "Election is already running");
+        _checkRunning(false);
+        _;
+    }
+
+    // votingStart is fixed once reached (setSchedule and startElection revert after it), so this lock is permanent
+    modifier whenVotingNotStarted() {
+        _checkVotingNotStarted();
+        _;
+    }
+
+    // The roll is frozen once voting closes, so the recorded turnout can't be changed afterwards
+    modifier whenVotingNotClosed() {
+        _checkVotingNotClosed();
+        _;
+    }
+
+    modifier whenRegistrationOpen() {
+        _checkRegistrationOpen();
         _;
     }
 
+    function _checkAdmin() internal view {
+        if (msg.sender != admin) revert NotAdmin();
+    }
+
+    function _checkAdminOrRole(bytes32 _role) internal view {
+        if (msg.sender != admin && !hasRole(_role, msg.sender)) revert MissingRole();
+    }
+
+    function _checkRunning(bool _running) internal view {
+        if (electionRunning() != _running) {
+            if (_running) revert ElectionNotRunning();
+            revert ElectionAlreadyRunning();
+        }
+    }
+
+    function _checkVotingNotStarted() internal view {
+        if (votingStart != 0 && block.timestamp >= votingStart) revert VotingAlreadyStarted();
+    }
+
+    function _checkVotingNotClosed() internal view {
+        if (votingEnd != 0 && block.timestamp >= votingEnd) revert VotingClosed();
+    }
+
+    function _checkRegistrationOpen() internal view {
+        if (registrationDeadline != 0 && block.timestamp >= registrationDeadline) revert RegistrationClosed();
+    }
+
     /**
-     * @dev Constructor initializes the contract with default candidates
-     * @notice Sets the deployer as admin and adds three default candidates
+     * @dev Locks the implementation contract so only clones can be initialized
+     * @notice The EIP-712 domain uses each clone's own address as verifyingContract
      */
-    constructor() {
-        admin = msg.sender;
-        electionRunning = false;
-        
-        // Initialize with default candidates: Alice, Bob, Carol
-        addCandidate("Alice");
-        addCandidate("Bob");
-        addCandidate("Carol");
+    constructor() EIP712("EVoting", "1") {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize a freshly cloned election from its definition
+     * @notice Sets the admin, title and description, then adds the candidates,
+     * registers the initial voter roll and applies the schedule if one is given
+     * @param _admin Address that administers this election
+     * @param _config Title, description, candidates, voter roll and schedule
+     */
+    function initialize(address _admin, ElectionConfig calldata _config) public initializer {
+        if (_admin == address(0)) revert InvalidAdmin();
+        admin = _admin;
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        seatCount = 1;
+        maxSelections = 1;
+
+        _setMetadata(_config.title, _config.description);
+        if (
+            _config.candidateProfiles.length != 0 && _config.candidateProfiles.length != _config.candidateNames.length
+        ) revert ProfileCountMismatch();
+        for (uint256 i = 0; i < _config.candidateNames.length; i++) {
+            _addCandidate(_config.candidateNames[i]);
+            if (_config.candidateProfiles.length > 0 && !_isEmptyProfile(_config.candidateProfiles[i])) {
+                _setCandidateProfile(candidateCount, _config.candidateNames[i], _config.candidateProfiles[i]);
+            }
+        }
+        _registerVoters(_config.voters, _config.voterWeights);
+        if (_config.registrationDeadline != 0 || _config.votingStart != 0 || _config.votingEnd != 0) {
+            _setSchedule(_config.registrationDeadline, _config.votingStart, _config.votingEnd);
+        }
+    }
+
+    /**
+     * @dev Update the election title and description
+     * @param _title Election name shown to voters
+     * @param _description Longer explanation of what is being decided
+     */
+    function setMetadata(string calldata _title, string calldata _description) public onlyAdmin whenVotingNotStarted {
+        _setMetadata(_title, _description);
+    }
+
+    /**
+     * @dev Store the title and description and emit MetadataSet
+     * @param _title Election name, must not be empty
+     * @param _description Longer explanation of what is being decided
+     */
+    function _setMetadata(string calldata _title, string calldata _description) internal {
+        if (bytes(_title).length == 0) revert TitleRequired();
+        title = _title;
+        description = _description;
+        emit MetadataSet(_title, _description);
     }
 
     /**
      * @dev Add a new candidate to the election
      * @param _name Name of the candidate
+     * @param _profile Party, bio, image and link (fields may be empty)
+     */
+    function addCandidate(string calldata _name, CandidateProfile calldata _profile) public onlyAdmin whenVotingNotStarted {
+        _addCandidate(_name);
+        if (!_isEmptyProfile(_profile)) {
+            _setCandidateProfile(candidateCount, _name, _profile);
+        }
+    }
+
+    /**
+     * @dev Edit a candidate's name and profile before voting starts
+     * @param _candidateId ID of the candidate
+     * @param _name New name
+     * @param _profile New party, bio, image and link
+     */
+    function updateCandidate(
+        uint256 _candidateId,
+        string calldata _name,
+        CandidateProfile calldata _profile
+    ) public onlyAdmin whenVotingNotStarted {
+        if (!_isActiveCandidate(_candidateId)) revert InvalidCandidate();
+        if (bytes(_name).length == 0) revert CandidateNameRequired();
+        candidates[_candidateId].name = _name;
+        _setCandidateProfile(_candidateId, _name, _profile);
+    }
+
+    /**
+     * @dev Withdraw a candidate from the ballot
+     * @notice The candidate stays in getAllCandidates() with withdrawn = true;
+     * candidates who already received votes cannot be withdrawn
+     * @param _candidateId ID of the candidate
+     */
+    function withdrawCandidate(uint256 _candidateId) public onlyAdmin whenVotingNotStarted {
+        if (!_isActiveCandidate(_candidateId)) revert InvalidCandidate();
+        if (candidates[_candidateId].voteCount != 0) revert CandidateHasVotes();
+        candidates[_candidateId].withdrawn = true;
+        withdrawnCandidateCount++;
+        emit CandidateWithdrawn(_candidateId);
+    }
+
+    /**
+     * @dev Check whether a candidate exists and is still on the ballot
+     * @param _candidateId ID of the candidate
+     */
+    function _isActiveCandidate(uint256 _candidateId) internal view returns (bool) {
+        return _candidateId > 0 && _candidateId <= candidateCount && !candidates[_candidateId].withdrawn;
+    }
+
+    /**
+     * @dev Check whether every profile field is empty
+     * @param _profile Party, bio, image and link
+     */
+    function _isEmptyProfile(CandidateProfile calldata _profile) internal pure returns (bool) {
+        return bytes(string.concat(_profile.party, _profile.bio, _profile.imageURI, _profile.link)).length == 0;
+    }
+
+    /**
+     * @dev Store a candidate profile and emit CandidateUpdated
+     * @param _candidateId ID of the candidate
+     * @param _name Name of the candidate, repeated in the event
+     * @param _profile Party, bio, image and link
+     */
+    function _setCandidateProfile(uint256 _candidateId, string calldata _name, CandidateProfile calldata _profile) internal {
+        candidateProfiles[_candidateId] = _profile;
+        emit CandidateUpdated(_candidateId, _name, _profile);
+    }
+
+    /**
+     * @dev Store a new candidate and emit CandidateAdded
+     * @param _name Name of the candidate
      */
-    function addCandidate(string memory _name) public onlyAdmin whenNotRunning {
+    function _addCandidate(string calldata _name) internal {
+        if (bytes(_name).length == 0) revert CandidateNameRequired();
         candidateCount++;
-        candidates[candidateCount] = Candidate(candidateCount, _name, 0);
+        candidates[candidateCount] = Candidate(candidateCount, _name, 0, 0, false);
         emit CandidateAdded(candidateCount, _name);
     }
 
+    /**
+     * @dev Add a question (e.g. a motion) to the ballot
+     * @notice The text and options are published in QuestionAdded; the contract keeps the
+     * weighted tally per option. Every ballot must answer every question, so questions are
+     * locked once voting has started.
+     * @param _text The question or motion
+     * @param _options Possible answers, e.g. Yes / No / Abstain
+     */
+    function addQuestion(string calldata _text, string[] calldata _options) public onlyAdmin whenVotingNotStarted {
+        if (secretBallot) revert QuestionsNeedPlaintextBallot();
+        if (bytes(_text).length == 0) revert QuestionTextRequired();
+        if (_options.length < 2) revert TooFewOptions();
+
+        questionCount++;
+        questionOptionCount[questionCount] = _options.length;
+        emit QuestionAdded(questionCount, _text, _options);
+    }
+
     /**
      * @dev Register a voter
      * @param _voterAddress Address of the voter to register
+     * @param _weight Votes the voter's ballot counts for (1 for one person, one vote)
+     */
+    function registerVoter(
+        address _voterAddress,
+        uint256 _weight
+    ) public onlyAdminOrRole(REGISTRAR_ROLE) whenRegistrationOpen whenVotingNotClosed {
+        if (voters[_voterAddress].registered) revert AlreadyRegistered();
+        _registerVoter(_voterAddress, _weight);
+    }
+
+    /**
+     * @dev Register many voters in one transaction
+     * @notice Addresses that are already registered are skipped and reported with DuplicateVoterSkipped
+     * @param _voterAddresses Addresses of the voters to register
+     * @param _weights Weight of each voter, in the same order, or empty for weight 1
+     */
+    function registerVoters(
+        address[] calldata _voterAddresses,
+        uint256[] calldata _weights
+    ) public onlyAdminOrRole(REGISTRAR_ROLE) whenRegistrationOpen whenVotingNotClosed {
+        _registerVoters(_voterAddresses, _weights);
+    }
+
+    /**
+     * @dev Register each address that is not on the roll yet
+     * @param _voterAddresses Addresses of the voters to register
+     * @param _weights Weight of each voter, in the same order, or empty for weight 1
+     */
+    function _registerVoters(address[] calldata _voterAddresses, uint256[] calldata _weights) internal {
+        if (_weights.length != 0 && _weights.length != _voterAddresses.length) revert WeightCountMismatch();
+        for (uint256 i = 0; i < _voterAddresses.length; i++) {
+            if (voters[_voterAddresses[i]].registered) {
+                emit DuplicateVoterSkipped(_voterAddresses[i]);
+            } else {
+                _registerVoter(_voterAddresses[i], _weights.length == 0 ? 1 : _weights[i]);
+            }
+        }
+    }
+
+    /**
+     * @dev Store a new voter and emit VoterRegistered
+     * @param _voterAddress Address of the voter to register
+     * @param _weight Votes the voter's ballot counts for, at least 1
      */
-    function registerVoter(address _voterAddress) public onlyAdmin {
-        require(!voters[_voterAddress].registered, "Voter already registered");
-        voters[_voterAddress] = Voter(true, false, 0);
-        emit VoterRegistered(_voterAddress);
+    function _registerVoter(address _voterAddress, uint256 _weight) internal {
+        if (_weight == 0) revert InvalidWeight();
+        voters[_voterAddress] = Voter(true, false, 0, bytes32(0), false, _weight, address(0), 0);
+        registeredCount++;
+        emit VoterRegistered(_voterAddress, _weight);
+    }
+
+    /**
+     * @dev Remove a voter from the roll
+     * @notice Only possible before voting closes, while the voter has not voted and is not part of a delegation.
+     * While a Merkle roll is published, an address that has not proved its place on it yet can be revoked too;
+     * a revoked address can no longer join through the Merkle roll.
+     * @param _voterAddress Address of the voter to remove
+     * @param _reason Why the voter is removed, recorded in the VoterRevoked event
+     */
+    function revokeVoter(
+        address _voterAddress,
+        string calldata _reason
+    ) public onlyAdminOrRole(REGISTRAR_ROLE) whenVotingNotClosed {
+        if (voters[_voterAddress].registered) {
+            if (voters[_voterAddress].voted) revert AlreadyVoted();
+            if (_inDelegation(_voterAddress)) revert VoterInDelegation();
+            delete voters[_voterAddress];
+            registeredCount--;
+        } else if (voterRoot == bytes32(0) || revokedVoters[_voterAddress]) {
+            revert NotRegistered();
+        }
+        if (bytes(_reason).length == 0) revert ReasonRequired();
+
+        revokedVoters[_voterAddress] = true;
+        emit VoterRevoked(_voterAddress, _reason);
+    }
+
+    /**
+     * @dev Move a voter's registration to a new address, e.g. after a lost key
+     * @notice Only possible before voting closes, while the voter has not voted and is not part of a delegation.
+     * The old address can no longer join through the Merkle roll.
+     * @param _oldAddress Address currently on the roll
+     * @param _newAddress Address that replaces it
+     * @param _reason Why the address is replaced, recorded in the VoterReplaced event
+     */
+    function replaceVoter(
+        address _oldAddress,
+        address _newAddress,
+        string calldata _reason
+    ) public onlyAdminOrRole(REGISTRAR_ROLE) whenVotingNotClosed {
+        if (!voters[_oldAddress].registered) revert NotRegistered();
+        if (voters[_oldAddress].voted) revert AlreadyVoted();
+        if (_inDelegation(_oldAddress)) revert VoterInDelegation();
+        if (_newAddress == address(0)) revert InvalidNewAddress();
+        if (voters[_newAddress].registered) revert AlreadyRegistered();
+        if (bytes(_reason).length == 0) revert ReasonRequired();
+
+        voters[_newAddress] = voters[_oldAddress];
+        delete voters[_oldAddress];
+        revokedVoters[_oldAddress] = true;
+        emit VoterReplaced(_oldAddress, _newAddress, _reason);
+    }
+
+    /**
+     * @dev Set the registration deadline and voting window
+     * @notice Voting opens and closes on its own at these times; pass zeros to clear the schedule
+     * @param _registrationDeadline Timestamp after which voters can no longer be registered (0 = no deadline)
+     * @param _votingStart Timestamp at which voting opens
+     * @param _votingEnd Timestamp at which voting closes
+     */
+    function setSchedule(
+        uint256 _registrationDeadline,
+        uint256 _votingStart,
+        uint256 _votingEnd
+    ) public onlyAdmin whenVotingNotStarted {
+        _setSchedule(_registrationDeadline, _votingStart, _votingEnd);
+    }
+
+    /**
+     * @dev Validate and store the schedule, then emit ScheduleSet
+     * @param _registrationDeadline Timestamp after which voters can no longer be registered (0 = no deadline)
+     * @param _votingStart Timestamp at which voting opens
+     * @param _votingEnd Timestamp at which voting closes
+     */
+    function _setSchedule(uint256 _registrationDeadline, uint256 _votingStart, uint256 _votingEnd) internal {
+        if (_votingStart != 0 || _votingEnd != 0) {
+            if (_votingStart >= _votingEnd) revert InvalidVotingWindow();
+            if (_votingEnd <= block.timestamp) revert VotingEndInPast();
+        }
+        if (_registrationDeadline != 0 && _votingEnd != 0 && _registrationDeadline > _votingEnd) {
+            revert RegistrationAfterVotingEnd();
+        }
+
+        registrationDeadline = _registrationDeadline;
+        votingStart = _votingStart;
+        votingEnd = _votingEnd;
+
+        emit ScheduleSet(_registrationDeadline, _votingStart, _votingEnd);
     }
 
     /**
-     * @dev Start the election
+     * @dev Start the election now, overriding the scheduled start
+     * @notice A scheduled end that is still in the future is kept
      */
-    function startElection() public onlyAdmin whenNotRunning {
-        require(candidateCount > 0, "No candidates available");
-        electionRunning = true;
+    function startElection() public onlyAdminOrRole(OFFICER_ROLE) whenVotingNotStarted {
+        if (candidateCount <= withdrawnCandidateCount) revert NoCandidates();
+        votingStart = block.timestamp;
         emit ElectionStarted();
     }
 
     /**
-     * @dev End the election
+     * @dev End the election now, overriding the scheduled end
+     * @notice In secret ballot mode this opens the reveal phase
      */
-    function endElection() public onlyAdmin whenRunning {
-        electionRunning = false;
+    function endElection() public onlyAdminOrRole(OFFICER_ROLE) whenRunning {
+        votingEnd = block.timestamp;
         emit ElectionEnded();
+        recordTurnout();
+    }
+
+    /**
+     * @dev Record the final turnout and quorum verdict in finalTurnout
+     * @notice Anyone can call it once voting has closed; endElection calls it itself
+     */
+    function recordTurnout() public {
+        if (votingEnd == 0 || block.timestamp < votingEnd) revert VotingNotClosed();
+        if (finalTurnout.recorded) revert TurnoutAlreadyRecorded();
+        bool reached = quorumReached();
+        finalTurnout = FinalTurnout(uint64(registeredCount), uint64(votedCount), reached, true);
+        emit QuorumChecked(reached, votedCount, registeredCount);
+    }
+
+    /**
+     * @dev Check whether enough ballots have been cast so far for the result to be valid
+     * @notice A percentage quorum is measured against registeredCount; the verdict of record is finalTurnout.
+     * A quorum is never met while nobody is registered.
+     * @return True if no quorum is set or votedCount meets it
+     */
+    function quorumReached() public view returns (bool) {
+        if (quorum != 0 && registeredCount == 0) return false;
+        return quorumIsPercent ? votedCount * 100 >= quorum * registeredCount : votedCount >= quorum;
+    }
+
+    /**
+     * @dev Check whether voting is currently open
+     * @return True between votingStart and votingEnd (open-ended if votingEnd is 0)
+     */
+    function electionRunning() public view returns (bool) {
+        return votingStart != 0
+            && block.timestamp >= votingStart
+            && (votingEnd == 0 || block.timestamp < votingEnd);
+    }
+
+    /**
+     * @dev Check whether committed secret ballots can be revealed
+     * @return True after voting has closed in secret ballot mode until the admin ends the reveal
+     */
+    function revealPhase() public view returns (bool) {
+        return secretBallot
+            && !revealClosed
+            && votingEnd != 0
+            && block.timestamp >= votingEnd;
+    }
+
+    /**
+     * @dev Enable or disable commit-reveal secret ballot mode
+     * @param _enabled True to require committed ballots
+     */
+    function setSecretBallot(bool _enabled) public onlyAdmin whenVotingNotStarted {
+        if (_enabled && ballotType != BallotType.Plurality) revert SecretBallotRequiresPlurality();
+        if (_enabled && questionCount != 0) revert QuestionsNeedPlaintextBallot();
+        secretBallot = _enabled;
+        emit SecretBallotSet(_enabled);
+    }
+
+    /**
+     * @dev Choose how ballots are cast and tallied
+     * @notice RankedChoice needs the DeclareTie tie-break policy
+     * @param _ballotType Plurality, RankedChoice or Approval
+     */
+    function setBallotType(BallotType _ballotType) public onlyAdmin whenVotingNotStarted {
+        if (_ballotType != BallotType.Plurality && secretBallot) revert SecretBallotRequiresPlurality();
+        if (_ballotType == BallotType.RankedChoice && seatCount > 1) revert RankedChoiceSingleSeat();
+        if (_ballotType == BallotType.RankedChoice && tieBreakPolicy != TieBreakPolicy.DeclareTie) {
+            revert TieBreakNotForRankedChoice();
+        }
+        ballotType = _ballotType;
+        emit BallotTypeSet(_ballotType);
+    }
+
+    /**
+     * @dev Set how many seats are filled and how many candidates an approval ballot may approve
+     * @notice Locked once voting has started so the seats cannot be changed after seeing results
+     * @param _seatCount Number of candidates elected, 1 for a single winner
+     * @param _maxSelections Most candidates one approval ballot may approve
+     */
+    function setSeats(uint256 _seatCount, uint256 _maxSelections) public onlyAdmin whenVotingNotStarted {
+        if (_seatCount == 0) revert InvalidSeatCount();
+        if (_maxSelections == 0) revert InvalidSelectionCount();
+        if (_seatCount > 1 && ballotType == BallotType.RankedChoice) revert RankedChoiceSingleSeat();
+
+        seatCount = _seatCount;
+        maxSelections = _maxSelections;
+        emit SeatsSet(_seatCount, _maxSelections);
+    }
+
+    /**
+     * @dev Set the turnout needed for a valid result
+     * @notice Locked once voting has started so the rule cannot be changed after seeing turnout.
+     * A percentage quorum can't be used with a Merkle voter roll.
+     * @param _quorum Number of ballots, or a percentage of the registered voters (0 = no quorum)
+     * @param _isPercent True if _quorum is a percentage
+     */
+    function setQuorum(uint256 _quorum, bool _isPercent) public onlyAdmin whenVotingNotStarted {
+        if (_isPercent && _quorum > 100) revert InvalidQuorum();
+        if (_isPercent && voterRoot != bytes32(0)) revert PercentQuorumWithVoterRoot();
+
+        quorum = _quorum;
+        quorumIsPercent = _isPercent;
+        emit QuorumSet(_quorum, _isPercent);
+    }
+
+    /**
+     * @dev Close the reveal phase; unrevealed ballots are not tallied
+     */
+    function endReveal() public onlyAdminOrRole(OFFICER_ROLE) {
+        if (!revealPhase()) revert RevealNotOpen();
+        revealClosed = true;
+        emit RevealEnded();
     }
 
     /**
@@ -110,41 +744,585 @@ contract EVoting {
      * @param _candidateId ID of the candidate to vote for
      */
     function vote(uint256 _candidateId) public whenRunning {
-        require(voters[msg.sender].registered, "You are not registered to vote");
-        require(!voters[msg.sender].voted, "You have already voted");
-        require(_candidateId > 0 && _candidateId <= candidateCount, "Invalid candidate");
+        _castVote(msg.sender, _candidateId, new uint256[](0));
+    }
+
+    /**
+     * @dev Cast a vote for a candidate and answer every ballot question in one transaction
+     * @param _candidateId ID of the candidate to vote for
+     * @param _answers Option index chosen for each question, in question order
+     * @param _proof Merkle proof that msg.sender is on the voter roll, empty for registered voters
+     */
+    function voteWithAnswers(
+        uint256 _candidateId,
+        uint256[] calldata _answers,
+        bytes32[] calldata _proof
+    ) public whenRunning {
+        if (_proof.length > 0) {
+            _proveEligibility(msg.sender, _proof);
+        }
+        _castVote(msg.sender, _candidateId, _answers);
+    }
+
+    /**
+     * @dev Cast a vote, proving eligibility against the published voter root
+     * @param _candidateId ID of the candidate to vote for
+     * @param _proof Merkle proof that msg.sender is on the voter roll
+     */
+    function voteWithProof(uint256 _candidateId, bytes32[] calldata _proof) public whenRunning {
+        _proveEligibility(msg.sender, _proof);
+        _castVote(msg.sender, _candidateId, new uint256[](0));
+    }
 
-        voters[msg.sender].voted = true;
-        voters[msg.sender].vote = _candidateId;
-        candidates[_candidateId].voteCount++;
+    /**
+     * @dev Cast a ballot signed by the voter; anyone may submit it and pay the gas
+     * @notice Not available in elections with ballot questions
+     * @param _ballot Ballot fields, the voter's EIP-712 signature and an optional Merkle proof
+     */
+    function castSignedBallot(SignedBallot calldata _ballot) public whenRunning {
+        if (questionCount != 0) revert SignedBallotWithQuestions();
+        if (block.timestamp > _ballot.deadline) revert BallotExpired();
+        bytes32 structHash = keccak256(
+            abi.encode(BALLOT_TYPEHASH, _ballot.voter, _ballot.candidateId, _ballot.nonce, _ballot.deadline)
+        );
+        if (ECDSA.recover(_hashTypedDataV4(structHash), _ballot.signature) != _ballot.voter) revert InvalidSignature();
+        _useCheckedNonce(_ballot.voter, _ballot.nonce);
 
-        emit VoteCast(msg.sender, _candidateId);
+        if (_ballot.proof.length > 0) {
+            _proveEligibility(_ballot.voter, _ballot.proof);
+        }
+        _castVote(_ballot.voter, _ballot.candidateId, new uint256[](0));
     }
 
     /**
-     * @dev Get the winner of the election
-     * @return winnerId ID of the winning candidate
-     * @return winnerName Name of the winning candidate
-     * @return winnerVoteCount Vote count of the winning candidate
+     * @dev Submit many signed ballots in one transaction
+     * @notice Invalid ballots are skipped with a SignedBallotRejected event instead of reverting the batch;
+     * elections with ballot questions reject the whole batch
+     * @param _ballots Signed ballots collected by a relayer
+     */
+    function castSignedBallots(SignedBallot[] calldata _ballots) public whenRunning {
+        if (questionCount != 0) revert SignedBallotWithQuestions();
+        for (uint256 i = 0; i < _ballots.length; i++) {
+            try this.castSignedBallot(_ballots[i]) {} catch {
+                emit SignedBallotRejected(_ballots[i].voter, _ballots[i].nonce);
+            }
+        }
+    }
+
+    /**
+     * @dev Cast a ranked-choice ballot
+     * @param _ranking Candidate IDs in order of preference (most preferred first)
+     */
+    function voteRanked(uint256[] calldata _ranking) public whenRunning {
+        _castRankedVote(msg.sender, _ranking, new uint256[](0));
+    }
+
+    /**
+     * @dev Cast a ranked-choice ballot and answer every ballot question in one transaction
+     * @param _ranking Candidate IDs in order of preference (most preferred first)
+     * @param _answers Option index chosen for each question, in question order
+     * @param _proof Merkle proof that msg.sender is on the voter roll, empty for registered voters
+     */
+    function voteRankedWithAnswers(
+        uint256[] calldata _ranking,
+        uint256[] calldata _answers,
+        bytes32[] calldata _proof
+    ) public whenRunning {
+        if (_proof.length > 0) {
+            _proveEligibility(msg.sender, _proof);
+        }
+        _castRankedVote(msg.sender, _ranking, _answers);
+    }
+
+    /**
+     * @dev Cast a ranked-choice ballot, proving eligibility against the published voter root
+     * @param _ranking Candidate IDs in order of preference (most preferred first)
+     * @param _proof Merkle proof that msg.sender is on the voter roll
+     */
+    function voteRankedWithProof(uint256[] calldata _ranking, bytes32[] calldata _proof) public whenRunning {
+        _proveEligibility(msg.sender, _proof);
+        _castRankedVote(msg.sender, _ranking, new uint256[](0));
+    }
+
+    /**
+     * @dev Cast an approval ballot
+     * @param _candidateIds Candidates approved, between one and maxSelections
+     */
+    function voteApproval(uint256[] calldata _candidateIds) public whenRunning {
+        _castApprovalVote(msg.sender, _candidateIds, new uint256[](0));
+    }
+
+    /**
+     * @dev Cast an approval ballot and answer every ballot question in one transaction
+     * @param _candidateIds Candidates approved, between one and maxSelections
+     * @param _answers Option index chosen for each question, in question order (empty if there are none)
+     * @param _proof Merkle proof that msg.sender is on the voter roll, empty for registered voters
+     */
+    function voteApprovalWithAnswers(
+        uint256[] calldata _candidateIds,
+        uint256[] calldata _answers,
+        bytes32[] calldata _proof
+    ) public whenRunning {
+        if (_proof.length > 0) {
+            _proveEligibility(msg.sender, _proof);
+        }
+        _castApprovalVote(msg.sender, _candidateIds, _answers);
+    }
+
+    /**
+     * @dev Commit a salted ballot hash in secret ballot mode
+     * @param _commitment keccak256(abi.encodePacked(election, voter, candidateId, salt))
+     */
+    function commitVote(bytes32 _commitment) public whenRunning {
+        _commitVote(msg.sender, _commitment);
+    }
+
+    /**
+     * @dev Commit a salted ballot hash, proving eligibility against the published voter root
+     * @param _commitment keccak256(abi.encodePacked(election, voter, candidateId, salt))
+     * @param _proof Merkle proof that msg.sender is on the voter roll
+     */
+    function commitVoteWithProof(bytes32 _commitment, bytes32[] calldata _proof) public whenRunning {
+        _proveEligibility(msg.sender, _proof);
+        _commitVote(msg.sender, _commitment);
+    }
+
+    /**
+     * @dev Record a plaintext vote and tally it with the ballot's answers
+     * @param _voterAddress Address of the voter
+     * @param _candidateId ID of the candidate to vote for
+     * @param _answers Option index chosen for each question, in question order
+     */
+    function _castVote(address _voterAddress, uint256 _candidateId, uint256[] memory _answers) internal {
+        if (ballotType != BallotType.Plurality) revert WrongBallotType();
+        if (secretBallot) revert SecretBallotRequiresCommit();
+        _requireCanVote(_voterAddress);
+        if (!_isActiveCandidate(_candidateId)) revert InvalidCandidate();
+
+        voters[_voterAddress].voted = true;
+        votedCount++;
+        voters[_voterAddress].vote = _candidateId;
+
+        uint256 weight = _tally(_voterAddress, _candidateId);
+        emit VoteCast(_voterAddress, _candidateId, weight);
+        _answerQuestions(_voterAddress, _answers, weight);
+    }
+
+    /**
+     * @dev Record a ranked ballot
+     * @notice voteCount tracks weighted first preferences; the full rankings are in RankedVoteCast events
+     * @param _voterAddress Address of the voter
+     * @param _ranking Candidate IDs in order of preference
+     * @param _answers Option index chosen for each question, in question order
+     */
+    function _castRankedVote(address _voterAddress, uint256[] calldata _ranking, uint256[] memory _answers) internal {
+        if (ballotType != BallotType.RankedChoice) revert WrongBallotType();
+        _requireCanVote(_voterAddress);
+        if (_ranking.length == 0 || _ranking.length > candidateCount - withdrawnCandidateCount) revert InvalidRankingLength();
+
+        for (uint256 i = 0; i < _ranking.length; i++) {
+            if (!_isActiveCandidate(_ranking[i])) revert InvalidCandidate();
+            for (uint256 j = 0; j < i; j++) {
+                if (_ranking[j] == _ranking[i]) revert DuplicateRanking();
+            }
+        }
+
+        voters[_voterAddress].voted = true;
+        votedCount++;
+        voters[_voterAddress].vote = _ranking[0];
+
+        uint256 weight = _tally(_voterAddress, _ranking[0]);
+        emit RankedVoteCast(_voterAddress, _ranking, weight);
+        _answerQuestions(_voterAddress, _answers, weight);
+    }
+
+    /**
+     * @dev Record an approval ballot
+     * @notice Each approved candidate gets the ballot's full weight and one voter in its headcount
+     * @param _voterAddress Address of the voter
+     * @param _candidateIds Candidates approved
+     * @param _answers Option index chosen for each question, in question order
+     */
+    function _castApprovalVote(address _voterAddress, uint256[] calldata _candidateIds, uint256[] memory _answers) internal {
+        if (ballotType != BallotType.Approval) revert WrongBallotType();
+        _requireCanVote(_voterAddress);
+        if (_candidateIds.length == 0 || _candidateIds.length > maxSelections) revert InvalidSelectionCount();
+
+        for (uint256 i = 0; i < _candidateIds.length; i++) {
+            if (!_isActiveCandidate(_candidateIds[i])) revert InvalidCandidate();
+            for (uint256 j = 0; j < i; j++) {
+                if (_candidateIds[j] == _candidateIds[i]) revert DuplicateSelection();
+            }
+        }
+
+        voters[_voterAddress].voted = true;
+        votedCount++;
+        voters[_voterAddress].vote = _candidateIds[0];
+
+        uint256 weight;
+        for (uint256 i = 0; i < _candidateIds.length; i++) {
+            weight = _tally(_voterAddress, _candidateIds[i]);
+        }
+        emit ApprovalVoteCast(_voterAddress, _candidateIds, weight);
+        _answerQuestions(_voterAddress, _answers, weight);
+    }
+
+    /**
+     * @dev Tally a ballot's answers to the questions
+     * @notice Ballots without answers are only accepted while the election has no questions
+     * @param _voterAddress Address of the voter
+     * @param _answers Option index chosen for each question, in question order
+     * @param _weight Weight of the ballot, including delegated weight
+     */
+    function _answerQuestions(address _voterAddress, uint256[] memory _answers, uint256 _weight) internal {
+        if (_answers.length != questionCount) revert AnswerCountMismatch();
+        if (_answers.length == 0) {
+            return;
+        }
+        for (uint256 i = 0; i < _answers.length; i++) {
+            if (_answers[i] >= questionOptionCount[i + 1]) revert InvalidAnswer();
+            questionVotes[i + 1][_answers[i]] += _weight;
+        }
+        emit QuestionsAnswered(_voterAddress, _answers, _weight);
+    }
+
+    /**
+     * @dev Check that a voter may cast a ballot themselves
+     * @param _voterAddress Address of the voter
+     */
+    function _requireCanVote(address _voterAddress) internal view {
+        if (!voters[_voterAddress].registered) revert NotRegistered();
+        if (voters[_voterAddress].voted) revert AlreadyVoted();
+        if (voters[_voterAddress].delegate != address(0)) revert VoteIsDelegated();
+    }
+
+    /**
+     * @dev Add a voter's ballot to a candidate's weighted total and headcount
+     * @notice The ballot carries the voter's own weight plus everything delegated to them
+     * @param _voterAddress Address of the voter
+     * @param _candidateId ID of the candidate the ballot counts for
+     * @return weight Weight added to the candidate's voteCount
+     */
+    function _tally(address _voterAddress, uint256 _candidateId) internal returns (uint256 weight) {
+        weight = voters[_voterAddress].weight + voters[_voterAddress].delegatedWeight;
+        candidates[_candidateId].voteCount += weight;
+        candidates[_candidateId].voterCount++;
+    }
+
+    /**
+     * @dev Delegate your vote to another registered voter instead of casting it
+     * @notice Delegations chain: if the delegate has delegated too, the weight moves on to
+     * the end of the chain and is counted when that voter votes. Only possible before
+     * voting closes and while the end of the chain has not voted.
+     * @param _to Registered voter to delegate to
+     */
+    function delegateVote(address _to) public whenVotingNotClosed {
+        _requireCanVote(msg.sender);
+        if (_to == msg.sender) revert SelfDelegation();
+        if (!voters[_to].registered) revert DelegateNotRegistered();
+
+        Voter storage voter = voters[msg.sender];
+        uint256 weight = voter.weight + voter.delegatedWeight;
+        _moveDelegatedWeight(_to, weight, true);
+        voter.delegate = _to;
+
+        emit VoteDelegated(msg.sender, _to, weight);
+    }
+
+    /**
+     * @dev Take back a delegated vote so you can cast it yourself
+     * @notice Only possible before the end of the delegation chain has voted
+     */
+    function revokeDelegation() public whenVotingNotClosed {
+        Voter storage voter = voters[msg.sender];
+        address delegate = voter.delegate;
+        if (delegate == address(0)) revert NotDelegated();
+
+        uint256 weight = voter.weight + voter.delegatedWeight;
+        _moveDelegatedWeight(delegate, weight, false);
+        voter.delegate = address(0);
+
+        emit DelegationRevoked(msg.sender, delegate, weight);
+    }
+
+    /**
+     * @dev Add or remove delegated weight along a delegation chain
+     * @notice Every voter on the chain keeps the weight flowing through them so a
+     * delegation can be revoked anywhere in the chain. Reverts if the chain leads back
+     * to the caller or ends at a voter who has already voted.
+     * @param _delegate First voter on the chain
+     * @param _weight Weight being delegated or taken back
+     * @param _add True to delegate, false to revoke
+     */
+    function _moveDelegatedWeight(address _delegate, uint256 _weight, bool _add) internal {
+        address current = _delegate;
+        while (true) {
+            if (current == msg.sender) revert DelegationLoop();
+            Voter storage voter = voters[current];
+            voter.delegatedWeight = _add ? voter.delegatedWeight + _weight : voter.delegatedWeight - _weight;
+            if (voter.delegate == address(0)) {
+                if (voter.voted) revert DelegateAlreadyVoted();
+                return;
+            }
+            current = voter.delegate;
+        }
+    }
+
+    /**
+     * @dev Check whether a voter has delegated or received delegated weight
+     * @param _voterAddress Address of the voter
+     */
+    function _inDelegation(address _voterAddress) internal view returns (bool) {
+        return voters[_voterAddress].delegate != address(0) || voters[_voterAddress].delegatedWeight > 0;
+    }
+
+    /**
+     * @dev Record a committed ballot hash
+     * @param _voterAddress Address of the voter
+     * @param _commitment Salted ballot hash
+     */
+    function _commitVote(address _voterAddress, bytes32 _commitment) internal {
+        if (!secretBallot) revert SecretBallotNotEnabled();
+        _requireCanVote(_voterAddress);
+        if (_commitment == bytes32(0)) revert InvalidCommitment();
+
+        voters[_voterAddress].voted = true;
+        votedCount++;
+        voters[_voterAddress].commitment = _commitment;
+
+        emit VoteCommitted(_voterAddress, _commitment);
+    }
+
+    /**
+     * @dev Publish the Merkle root of the voter roll
+     * @notice Voters on the roll prove membership when they vote and count with weight 1; pass zero to disable.
+     * Not possible while the quorum is a percentage.
+     * @param _voterRoot Root of an OpenZeppelin StandardMerkleTree over ["address"] leaves
+     */
+    function setVoterRoot(bytes32 _voterRoot) public onlyAdminOrRole(REGISTRAR_ROLE) whenVotingNotStarted {
+        if (_voterRoot != bytes32(0) && quorumIsPercent) revert PercentQuorumWithVoterRoot();
+        voterRoot = _voterRoot;
+        emit VoterRootSet(_voterRoot);
+    }
+
+    /**
+     * @dev Check whether an address is on the published voter roll
+     * @param _voterAddress Address of the voter
+     * @param _proof Merkle proof for the address
+     */
+    function isOnVoterRoll(address _voterAddress, bytes32[] calldata _proof) public view returns (bool) {
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(_voterAddress))));
+        return voterRoot != bytes32(0) && MerkleProof.verifyCalldata(_proof, voterRoot, leaf);
+    }
+
+    /**
+     * @dev Mark a voter on the Merkle roll as registered
+     * @notice Revoked and replaced addresses are refused even if they are on the roll
+     * @param _voterAddress Address of the voter
+     * @param _proof Merkle proof for the address
+     */
+    function _proveEligibility(address _voterAddress, bytes32[] calldata _proof) internal {
+        if (voters[_voterAddress].registered) {
+            return;
+        }
+        if (revokedVoters[_voterAddress]) revert RevokedVoter();
+        if (!isOnVoterRoll(_voterAddress, _proof)) revert InvalidProof();
+        voters[_voterAddress].registered = true;
+        voters[_voterAddress].weight = 1;
+        registeredCount++;
+    }
+
+    /**
+     * @dev Reveal a committed ballot so it is tallied
+     * @param _candidateId ID of the candidate that was committed to
+     * @param _salt Secret salt used when committing
+     */
+    function revealVote(uint256 _candidateId, bytes32 _salt) public {
+        if (!revealPhase()) revert RevealNotOpen();
+        Voter storage voter = voters[msg.sender];
+        if (voter.commitment == bytes32(0)) revert NoCommittedVote();
+        if (voter.revealed) revert AlreadyRevealed();
+        if (!_isActiveCandidate(_candidateId)) revert InvalidCandidate();
+        if (getCommitment(msg.sender, _candidateId, _salt) != voter.commitment) revert RevealMismatch();
+
+        voter.revealed = true;
+        voter.vote = _candidateId;
+
+        emit VoteCast(msg.sender, _candidateId, _tally(msg.sender, _candidateId));
+    }
+
+    /**
+     * @dev Compute the commitment for a ballot in this election
+     * @param _voterAddress Address of the voter
+     * @param _candidateId ID of the chosen candidate
+     * @param _salt Secret salt chosen by the voter
+     */
+    function getCommitment(address _voterAddress, uint256 _candidateId, bytes32 _salt) public view returns (bytes32) {
+        return keccak256(abi.encodePacked(address(this), _voterAddress, _candidateId, _salt));
+    }
+
+    /**
+     * @dev Choose how a tie for first place is resolved
+     * @notice Locked once voting has started so the policy cannot be picked after seeing results.
+     * Ranked-choice elections keep DeclareTie: the instant-runoff tally breaks its ties by its own fixed rule.
+     * @param _policy DeclareTie, AdminDecision or CommittedSeed
+     * @param _seedCommitment keccak256(seed) for CommittedSeed, otherwise zero
+     */
+    function setTieBreakPolicy(TieBreakPolicy _policy, bytes32 _seedCommitment) public onlyAdmin whenVotingNotStarted {
+        if ((_policy == TieBreakPolicy.CommittedSeed) != (_seedCommitment != bytes32(0))) revert InvalidSeedCommitment();
+        if (_policy != TieBreakPolicy.DeclareTie && ballotType == BallotType.RankedChoice) revert TieBreakNotForRankedChoice();
+
+        tieBreakPolicy = _policy;
+        tieBreakSeedCommitment = _seedCommitment;
+        tieBreakWinner = 0;
+
+        emit TieBreakPolicySet(_policy, _seedCommitment);
+    }
+
+    /**
+     * @dev Cast the deciding vote in a tie (AdminDecision policy)
+     * @param _candidateId ID of one of the tied leaders
+     */
+    function breakTie(uint256 _candidateId) public onlyAdmin {
+        if (tieBreakPolicy != TieBreakPolicy.AdminDecision) revert WrongTieBreakPolicy();
+        _resolveTie(_candidateId);
+    }
+
+    /**
+     * @dev Reveal the committed seed to pick among tied leaders (CommittedSeed policy)
+     * @notice Anyone holding the seed may reveal it; the pick is keccak256(seed, leaders) mod leaders
+     * @param _seed Seed whose keccak256 was committed in setTieBreakPolicy
      */
-    function getWinner() public view returns (uint256 winnerId, string memory winnerName, uint256 winnerVoteCount) {
-        uint256 maxVotes = 0;
-        uint256 winningCandidateId = 0;
+    function revealTieBreakSeed(bytes32 _seed) public {
+        if (tieBreakPolicy != TieBreakPolicy.CommittedSeed) revert WrongTieBreakPolicy();
+        if (keccak256(abi.encodePacked(_seed)) != tieBreakSeedCommitment) revert SeedMismatch();
 
+        (uint256[] memory leaderIds, ) = getLeaders();
+        if (leaderIds.length == 0) revert NoVotesCast();
+        _resolveTie(leaderIds[uint256(keccak256(abi.encode(_seed, leaderIds))) % leaderIds.length]);
+    }
+
+    /**
+     * @dev Record the tie-break winner once voting has closed
+     * @param _candidateId ID of one of the tied leaders
+     */
+    function _resolveTie(uint256 _candidateId) internal {
+        if (votingEnd == 0 || block.timestamp < votingEnd || revealPhase()) revert VotingNotClosed();
+        if (tieBreakWinner != 0) revert TieAlreadyBroken();
+
+        (uint256[] memory leaderIds, ) = getLeaders();
+        if (leaderIds.length <= 1) revert NoTie();
+        bool isLeader = false;
+        for (uint256 i = 0; i < leaderIds.length; i++) {
+            if (leaderIds[i] == _candidateId) {
+                isLeader = true;
+            }
+        }
+        if (!isLeader) revert NotTiedForFirst();
+
+        tieBreakWinner = _candidateId;
+        emit TieBroken(_candidateId, tieBreakPolicy);
+    }
+
+    /**
+     * @dev Get every candidate with the most votes
+     * @notice Votes are weighted: a candidate's total is the sum of its voters' weights
+     * @return leaderIds IDs of the leading candidates (empty if no votes were cast)
+     * @return leaderVoteCount Weighted vote count shared by the leaders
+     */
+    function getLeaders() public view returns (uint256[] memory leaderIds, uint256 leaderVoteCount) {
+        uint256 leaderCount = 0;
         for (uint256 i = 1; i <= candidateCount; i++) {
-            if (candidates[i].voteCount > maxVotes) {
-                maxVotes = candidates[i].voteCount;
-                winningCandidateId = i;
+            if (candidates[i].voteCount > leaderVoteCount) {
+                leaderVoteCount = candidates[i].voteCount;
+                leaderCount = 1;
+            } else if (candidates[i].voteCount == leaderVoteCount) {
+                leaderCount++;
             }
         }
+        if (leaderVoteCount == 0) {
+            return (new uint256[](0), 0);
+        }
 
-        require(winningCandidateId > 0, "No winner yet");
-        
-        return (
-            winningCandidateId,
-            candidates[winningCandidateId].name,
-            candidates[winningCandidateId].voteCount
-        );
+        leaderIds = new uint256[](leaderCount);
+        uint256 index = 0;
+        for (uint256 i = 1; i <= candidateCount; i++) {
+            if (candidates[i].voteCount == leaderVoteCount) {
+                leaderIds[index++] = i;
+            }
+        }
+    }
+
+    /**
+     * @dev Get the winner of the election
+     * @notice A tie is only resolved by the configured tie-break policy, never by candidate order
+     * @return winnerId ID of the winner, or 0 if no votes were cast or a tie is unresolved
+     * @return leaderIds IDs of all candidates tied for the most votes
+     * @return winnerVoteCount Weighted vote count of the leading candidates
+     */
+    function getWinner() public view returns (uint256 winnerId, uint256[] memory leaderIds, uint256 winnerVoteCount) {
+        if (ballotType == BallotType.RankedChoice) revert WrongBallotType();
+        (leaderIds, winnerVoteCount) = getLeaders();
+
+        if (leaderIds.length == 1) {
+            winnerId = leaderIds[0];
+        } else if (leaderIds.length > 1) {
+            winnerId = tieBreakWinner;
+        }
+    }
+
+    /**
+     * @dev Get the candidates elected to the election's seats
+     * @notice Candidates are ranked by weighted votes. When candidates tie for the last seats
+     * and there are not enough seats for all of them, they are returned in tiedIds and those
+     * seats stay open; single-seat elections resolve ties with getWinner() and the tie-break policy.
+     * @return electedIds IDs of the elected candidates, most votes first
+     * @return tiedIds IDs of the candidates tied for the remaining seats
+     */
+    function getElected() public view returns (uint256[] memory electedIds, uint256[] memory tiedIds) {
+        if (ballotType == BallotType.RankedChoice) revert WrongBallotType();
+        uint256[] memory ranked = new uint256[](seatCount);
+        uint256 elected = 0;
+        uint256 ceiling = type(uint256).max;
+
+        // Take the candidates level by level, from the highest vote count down
+        while (elected < seatCount) {
+            uint256 level = 0;
+            uint256 levelSize = 0;
+            for (uint256 i = 1; i <= candidateCount; i++) {
+                uint256 votes = candidates[i].voteCount;
+                if (votes < ceiling && votes > level) {
+                    level = votes;
+                    levelSize = 1;
+                } else if (votes == level && level != 0) {
+                    levelSize++;
+                }
+            }
+            if (level == 0) {
+                break;
+            }
+
+            uint256[] memory group = new uint256[](levelSize);
+            uint256 index = 0;
+            for (uint256 i = 1; i <= candidateCount; i++) {
+                if (candidates[i].voteCount == level) {
+                    group[index++] = i;
+                }
+            }
+            if (elected + levelSize > seatCount) {
+                tiedIds = group;
+                break;
+            }
+            for (uint256 i = 0; i < levelSize; i++) {
+                ranked[elected++] = group[i];
+            }
+            ceiling = level;
+        }
+
+        electedIds = new uint256[](elected);
+        for (uint256 i = 0; i < elected; i++) {
+            electedIds[i] = ranked[i];
+        }
     }
 
     /**
@@ -159,6 +1337,67 @@ contract EVoting {
         return allCandidates;
     }
 
+    /**
+     * @dev Get the weighted tally of a question
+     * @param _questionId ID of the question
+     * @return votes Weighted votes per option, in the order the options were published
+     */
+    function getQuestionVotes(uint256 _questionId) public view returns (uint256[] memory votes) {
+        if (_questionId == 0 || _questionId > questionCount) revert InvalidQuestion();
+        votes = new uint256[](questionOptionCount[_questionId]);
+        for (uint256 i = 0; i < votes.length; i++) {
+            votes[i] = questionVotes[_questionId][i];
+        }
+    }
+
+    /**
+     * @dev Start handing the owner role to a new address
+     * @notice The new owner must call acceptAdmin; pass address(0) to cancel
+     * @param _newAdmin Proposed owner
+     */
+    function transferAdmin(address _newAdmin) public onlyAdmin {
+        pendingAdmin = _newAdmin;
+        emit AdminTransferStarted(admin, _newAdmin);
+    }
+
+    /**
+     * @dev Complete an owner transfer started with transferAdmin
+     */
+    function acceptAdmin() public {
+        if (msg.sender != pendingAdmin || msg.sender == address(0)) revert NotPendingAdmin();
+
+        address previousAdmin = admin;
+        _revokeRole(DEFAULT_ADMIN_ROLE, previousAdmin);
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        admin = msg.sender;
+        pendingAdmin = address(0);
+        emit AdminTransferred(previousAdmin, msg.sender);
+    }
+
+    /**
+     * @dev Grant a role; the owner role only moves via transferAdmin/acceptAdmin
+     */
+    function grantRole(bytes32 _role, address _account) public override {
+        if (_role == DEFAULT_ADMIN_ROLE) revert UseTransferAdmin();
+        super.grantRole(_role, _account);
+    }
+
+    /**
+     * @dev Revoke a role; the owner role only moves via transferAdmin/acceptAdmin
+     */
+    function revokeRole(bytes32 _role, address _account) public override {
+        if (_role == DEFAULT_ADMIN_ROLE) revert UseTransferAdmin();
+        super.revokeRole(_role, _account);
+    }
+
+    /**
+     * @dev Give up a role; the owner cannot renounce and leave the election without one
+     */
+    function renounceRole(bytes32 _role, address _account) public override {
+        if (_role == DEFAULT_ADMIN_ROLE) revert UseTransferAdmin();
+        super.renounceRole(_role, _account);
+    }
+
     /**
      * @dev Check if an address is the admin
      * @param _address Address to check
@@ -170,9 +1409,38 @@ contract EVoting {
     /**
      * @dev Get voter information
      * @param _voterAddress Address of the voter
+     * @return registered Whether the voter is on the roll
+     * @return voted Whether the voter has cast (or committed) a ballot
+     * @return votedFor Candidate the ballot counts for (first preference when ranked)
+     * @return revealed Whether a committed ballot has been revealed
+     * @return weight The voter's own weight
+     * @return delegate Voter this voter delegated to, 0 if none
+     * @return delegatedWeight Weight delegated to this voter
      */
-    function getVoter(address _voterAddress) public view returns (bool registered, bool voted, uint256 votedFor) {
+    function getVoter(
+        address _voterAddress
+    )
+        public
+        view
+        returns (
+            bool registered,
+            bool voted,
+            uint256 votedFor,
+            bool revealed,
+            uint256 weight,
+            address delegate,
+            uint256 delegatedWeight
+        )
+    {
         Voter memory voter = voters[_voterAddress];
-        return (voter.registered, voter.voted, voter.vote);
+        return (
+            voter.registered,
+            voter.voted,
+            voter.vote,
+            voter.revealed,
+            voter.weight,
+            voter.delegate,
+            voter.delegatedWeight
+        );
     }
 }
\ No newline at end of file
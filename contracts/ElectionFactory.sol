@@ -0,0 +1,70 @@
+// contracts/ElectionFactory.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Clones} from "@openzeppelin/contracts/proxy/Clones.sol";
+import {EVoting} from "./EVoting.sol";
+
+/**
+ * @title ElectionFactory
+ * @dev Creates and tracks independent EVoting elections
+ * @notice One factory deployment can create, list and run many elections.
+ * Each election is a minimal proxy clone of the EVoting implementation.
+ */
+contract ElectionFactory {
+    // State variables
+    address public immutable implementation;
+    uint256 public electionCount;
+
+    // Mappings
+    mapping(uint256 => address) public elections;
+
+    // Events
+    event ElectionCreated(uint256 indexed electionId, address indexed election, address indexed admin);
+
+    /**
+     * @dev Constructor stores the EVoting implementation to clone
+     * @param _implementation Address of the deployed EVoting implementation
+     */
+    constructor(address _implementation) {
+        require(_implementation != address(0), "Invalid implementation address");
+        implementation = _implementation;
+    }
+
+    /**
+     * @dev Create a new election administered by the caller
+     * @param _config Title, description, candidates, initial voter roll and schedule
+     * @return electionId ID of the new election
+     */
+    function createElection(EVoting.ElectionConfig calldata _config) public returns (uint256 electionId) {
+        address election = Clones.clone(implementation);
+        EVoting(election).initialize(msg.sender, _config);
+
+        electionCount++;
+        electionId = electionCount;
+        elections[electionId] = election;
+
+        emit ElectionCreated(electionId, election, msg.sender);
+    }
+
+    /**
+     * @dev Get the contract address of an election
+     * @param _electionId ID of the election
+     */
+    function getElection(uint256 _electionId) public view returns (address) {
+        require(_electionId > 0 && _electionId <= electionCount, "Invalid election");
+        return elections[_electionId];
+    }
+
+    /**
+     * @dev Get all election addresses
+     * @return Array of election addresses, indexed by election ID - 1
+     */
+    function getAllElections() public view returns (address[] memory) {
+        address[] memory allElections = new address[](electionCount);
+        for (uint256 i = 1; i <= electionCount; i++) {
+            allElections[i - 1] = elections[i];
+        }
+        return allElections;
+    }
+}
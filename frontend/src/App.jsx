@@ -1,35 +1,113 @@
 // frontend/src/App.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import AdminPanel from './components/AdminPanel';
 import VoterPanel from './components/VoterPanel';
 import CandidateList from './components/CandidateList';
+import ElectionPicker from './components/ElectionPicker';
+import AuditTrail from './components/AuditTrail';
+import ResultsExport from './components/ResultsExport';
 import {
   connectWallet,
+  getChainId,
+  isSupportedChain,
+  isReadOnlyAvailable,
+  isWalletConnected,
+  disconnectWallet,
+  switchNetwork,
+  SUPPORTED_NETWORKS,
+  getElections,
+  getElectionDetails,
   getCurrentAccount,
-  isUserAdmin,
+  getUserRoles,
   getVoterInfo,
   isElectionRunning,
+  getBallotMode,
+  getTurnout,
+  getSchedule,
+  getVoterRoot,
   getAllCandidates,
+  getQuestions,
   getWinner,
+  getElected,
+  getTieBreakPolicy,
+  getRankedBallots,
+  BALLOT_TYPES,
+  watchElection,
   onAccountsChanged,
   onChainChanged
 } from './ethereum/evoting';
+import { tallyInstantRunoff } from './utils/instantRunoff';
 import './App.css';
 
+// Used only when the provider cannot subscribe to new blocks
+const POLL_INTERVAL = 5000;
+
+/**
+ * Milliseconds until the next scheduled registration/voting boundary, or null if none is ahead
+ * Voting opens and closes on schedule without emitting an event, so data is reloaded then
+ */
+const msUntilNextBoundary = ({ registrationDeadline, votingStart, votingEnd, clockOffset }) => {
+  const chainNow = Math.floor(Date.now() / 1000) + clockOffset;
+  const upcoming = [registrationDeadline, votingStart, votingEnd].filter(time => time > chainNow);
+  if (upcoming.length === 0) {
+    return null;
+  }
+  // setTimeout overflows past ~24.8 days; far-off boundaries are re-checked daily
+  return Math.min((Math.min(...upcoming) - chainNow + 1) * 1000, 24 * 60 * 60 * 1000);
+};
+
+// Roles of an account that administers nothing
+const NO_ROLES = { owner: false, registrar: false, officer: false, pendingOwner: false, pendingAdmin: null };
+
+// Voter status of an unregistered (or read-only) visitor
+const NO_VOTER = { registered: false, voted: false, votedFor: 0, revealed: false, weight: 0, delegate: null, delegatedWeight: 0 };
+
 function App() {
   // State management
   const [account, setAccount] = useState(null);
-  const [isAdmin, setIsAdmin] = useState(false);
-  const [voterInfo, setVoterInfo] = useState({
-    registered: false,
-    voted: false,
-    votedFor: 0
-  });
+  const [chainId, setChainId] = useState(null);
+  const [elections, setElections] = useState([]);
+  const [electionId, setElectionId] = useState(null);
+  const [view, setView] = useState('election'); // 'election' | 'audit'
+  const [details, setDetails] = useState({ title: '', description: '' });
+  const [roles, setRoles] = useState(NO_ROLES);
+  const [voterInfo, setVoterInfo] = useState(NO_VOTER);
   const [electionRunning, setElectionRunning] = useState(false);
+  const [schedule, setSchedule] = useState({
+    registrationDeadline: 0,
+    votingStart: 0,
+    votingEnd: 0,
+    clockOffset: 0
+  });
+  const [voterRoot, setVoterRoot] = useState(null);
+  const [ballotMode, setBallotMode] = useState({
+    ballotType: BALLOT_TYPES.PLURALITY,
+    secretBallot: false,
+    revealPhase: false,
+    seatCount: 1,
+    maxSelections: 1
+  });
+  const [turnout, setTurnout] = useState({
+    registered: 0,
+    voted: 0,
+    percent: null,
+    quorum: 0,
+    quorumIsPercent: false,
+    quorumReached: true,
+    recorded: false
+  });
   const [candidates, setCandidates] = useState([]);
+  const [questions, setQuestions] = useState([]);
   const [winner, setWinner] = useState(null);
+  const [elected, setElected] = useState(null);
+  const [runoff, setRunoff] = useState(null);
+  const [tieBreak, setTieBreak] = useState({ policy: 0, seedCommitment: null });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const boundaryTimer = useRef(null);
+  // The wallet listeners are registered once, so they read the account and session loader from refs
+  const accountRef = useRef(null);
+  const openSessionRef = useRef(null);
 
   // Connect wallet handler
   const handleConnectWallet = async () => {
@@ -43,11 +121,7 @@ function App() {
         return;
       }
 
-      const currentAccount = accounts[0];
-      setAccount(currentAccount);
-      
-      // Load all data
-      await loadAllData(currentAccount);
+      await openSession(accounts[0]);
 
     } catch (err) {
       console.error('Error connecting wallet:', err);
@@ -57,82 +131,329 @@ function App() {
     }
   };
 
-  // Load all data from blockchain
-  const loadAllData = async (accountAddress = null) => {
+  // Check the wallet's network and load the latest election for an account (null = read-only)
+  // Also used when the account or chain changes, instead of reloading the page
+  const openSession = async (currentAccount) => {
+    accountRef.current = currentAccount;
+    setAccount(currentAccount);
+    setWinner(null);
+    setElected(null);
+    setRunoff(null);
+
+    const currentChainId = await getChainId();
+    setChainId(currentChainId);
+    if (!isSupportedChain(currentChainId)) {
+      // Nothing can be read here; the network banner replaces the election views
+      setElections([]);
+      setElectionId(null);
+      setCandidates([]);
+      setQuestions([]);
+      setRoles(NO_ROLES);
+      return;
+    }
+
+    // Select the most recently created election by default
+    const electionList = await getElections();
+    setElections(electionList);
+    const latestId = electionList.length > 0 ? electionList[electionList.length - 1].id : null;
+    setElectionId(latestId);
+
+    // Load all data
+    await loadAllData(currentAccount, latestId);
+  };
+  openSessionRef.current = openSession;
+
+  // Ask the wallet to switch (or add) a supported network; chainChanged does the rest
+  const handleSwitchNetwork = async (targetChainId) => {
+    try {
+      setLoading(true);
+      setError('');
+      await switchNetwork(targetChainId);
+    } catch (err) {
+      console.error('Error switching network:', err);
+      setError('Could not switch network. Please change it in MetaMask.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Load all data for the selected election from blockchain
+  // accountAddress null = read-only (no wallet); omitted = the connected account
+  const loadAllData = async (accountAddress, selectedElectionId = null) => {
     try {
-      const address = accountAddress || account;
+      const address = accountAddress === undefined ? account : accountAddress;
+      const id = selectedElectionId || electionId;
+
+      // Refresh the election list so new elections show up in the picker
+      const electionList = await getElections();
+      setElections(electionList);
+      if (!id) {
+        return;
+      }
+
+      // Get the election title and description for the header
+      const electionDetails = await getElectionDetails(id);
+      setDetails(electionDetails);
       
-      // Check admin status
-      const adminStatus = await isUserAdmin();
-      setIsAdmin(adminStatus);
+      if (address) {
+        // Check the account's roles (owner / registrar / officer)
+        const userRoles = await getUserRoles(id);
+        setRoles(userRoles);
 
-      // Get voter information
-      const voter = await getVoterInfo(address);
-      setVoterInfo(voter);
+        // Get voter information
+        const voter = await getVoterInfo(id, address);
+        setVoterInfo(voter);
+      } else {
+        setRoles(NO_ROLES);
+        setVoterInfo(NO_VOTER);
+      }
 
       // Get election status
-      const running = await isElectionRunning();
+      const running = await isElectionRunning(id);
       setElectionRunning(running);
 
+      // Get registration deadline and voting window
+      const electionSchedule = await getSchedule(id);
+      setSchedule(electionSchedule);
+      clearTimeout(boundaryTimer.current);
+      const untilBoundary = msUntilNextBoundary(electionSchedule);
+      if (untilBoundary !== null) {
+        boundaryTimer.current = setTimeout(() => loadAllData(address, id), untilBoundary);
+      }
+
+      // Get the published Merkle voter roll, if any
+      const root = await getVoterRoot(id);
+      setVoterRoot(root);
+
+      // Get ballot mode (ballot type / secret ballot / reveal phase)
+      const mode = await getBallotMode(id);
+      setBallotMode(mode);
+
+      // Get the registered / voted counters and the quorum rule
+      setTurnout(await getTurnout(id));
+
       // Get all candidates
-      const candidatesList = await getAllCandidates();
+      const candidatesList = await getAllCandidates(id);
       setCandidates(candidatesList);
 
-      // Get winner if election ended
-      if (!running) {
-        try {
-          const winnerData = await getWinner();
-          setWinner(winnerData);
-        } catch (err) {
-          // No winner yet or no votes
-          setWinner(null);
-        }
+      // Get the ballot questions and their tallies
+      setQuestions(await getQuestions(id));
+
+      // Get the tie-break policy
+      const tieBreakPolicy = await getTieBreakPolicy(id);
+      setTieBreak(tieBreakPolicy);
+
+      // Ranked-choice elections are tallied off-chain from RankedVoteCast events
+      const rankedChoice = mode.ballotType === BALLOT_TYPES.RANKED_CHOICE;
+      const runoffResult = rankedChoice
+        ? tallyInstantRunoff(candidatesList.filter(c => !c.withdrawn).map(c => c.id), await getRankedBallots(id))
+        : null;
+      setRunoff(runoffResult);
+
+      // Get winner if election ended and all ballots are revealed
+      if (rankedChoice) {
+        const finalRound = runoffResult.rounds[runoffResult.rounds.length - 1];
+        setWinner(!running && runoffResult.winnerId !== null
+          ? {
+              winnerId: runoffResult.winnerId,
+              leaderIds: [runoffResult.winnerId],
+              voteCount: finalRound.tallies[runoffResult.winnerId],
+              tied: false
+            }
+          : null);
+      } else if (!running && !mode.revealPhase) {
+        const winnerData = await getWinner(id);
+        // No winner to show until at least one vote is counted
+        setWinner(winnerData.leaderIds.length > 0 ? winnerData : null);
       } else {
         setWinner(null);
       }
 
+      // Multi-seat elections show the whole elected set once voting has closed
+      setElected(!rankedChoice && mode.seatCount > 1 && !running && !mode.revealPhase ? await getElected(id) : null);
+
     } catch (err) {
       console.error('Error loading data:', err);
     }
   };
 
+  // Switch to another election
+  const handleSelectElection = async (id) => {
+    setElectionId(id);
+    setWinner(null);
+    setElected(null);
+    setRunoff(null);
+    await loadAllData(account, id);
+  };
+
   // Setup event listeners
   useEffect(() => {
     // Listen for account changes
     onAccountsChanged((accounts) => {
+      if (!isWalletConnected()) {
+        return;
+      }
       if (accounts.length === 0) {
+        // Wallet disconnected: fall back to browsing read-only
+        disconnectWallet();
+        accountRef.current = null;
         setAccount(null);
-        setIsAdmin(false);
-        setVoterInfo({ registered: false, voted: false, votedFor: 0 });
+        setRoles(NO_ROLES);
+        setVoterInfo(NO_VOTER);
+        if (isReadOnlyAvailable()) {
+          openSessionRef.current(null).catch(err => console.error('Error loading read-only data:', err));
+        } else {
+          setChainId(null);
+        }
       } else {
-        window.location.reload();
+        openSessionRef.current(accounts[0]).catch(err => console.error('Error switching account:', err));
       }
     });
 
-    // Listen for chain changes
+    // Listen for chain changes (read-only browsing does not depend on the wallet's chain)
     onChainChanged(() => {
-      window.location.reload();
+      if (isWalletConnected()) {
+        openSessionRef.current(accountRef.current).catch(err => console.error('Error switching network:', err));
+      }
     });
+
+    // Browse elections read-only until a wallet is connected
+    if (isReadOnlyAvailable()) {
+      openSessionRef.current(null).catch((err) => {
+        console.error('Error loading read-only data:', err);
+        setError('Could not load elections from the blockchain. Connect MetaMask to continue.');
+      });
+    }
   }, []);
 
-  // Auto-refresh data every 5 seconds when connected
-  useEffect(() => {
-    if (account) {
-      const interval = setInterval(() => {
-        loadAllData();
-      }, 5000);
+  // Apply contract events to state without reloading everything
+  const applyContractEvents = (events, accountAddress, id) => {
+    const isMe = (address) => accountAddress !== null && address.toLowerCase() === accountAddress.toLowerCase();
+    let needsReload = false;
+    let turnoutChanged = false;
+
+    events.forEach(({ name, args }) => {
+      switch (name) {
+        case 'VoteCast': {
+          const candidateId = Number(args.candidateId);
+          const weight = Number(args.weight);
+          setCandidates(prev => prev.map(c => (c.id === candidateId
+            ? { ...c, voteCount: c.voteCount + weight, voterCount: c.voterCount + 1 }
+            : c)));
+          if (isMe(args.voter)) {
+            // A secret ballot was already marked voted by its commitment, so this is the reveal
+            setVoterInfo(prev => ({ ...prev, voted: true, votedFor: candidateId, revealed: prev.revealed || prev.voted }));
+          }
+          turnoutChanged = true;
+          break;
+        }
+        case 'QuestionsAnswered': {
+          // Answers are counted with the ballot's weight, option by option
+          const answers = args.answers.map(Number);
+          const weight = Number(args.weight);
+          setQuestions(prev => prev.map((q, i) => ({
+            ...q,
+            options: q.options.map((o, option) => (option === answers[i] ? { ...o, votes: o.votes + weight } : o))
+          })));
+          break;
+        }
+        case 'CandidateAdded': {
+          const candidateId = Number(args.candidateId);
+          setCandidates(prev => (prev.some(c => c.id === candidateId)
+            ? prev
+            : [...prev, { id: candidateId, name: args.name, voteCount: 0, voterCount: 0, withdrawn: false, party: '', bio: '', imageURI: '', link: '' }]));
+          break;
+        }
+        case 'VoterRegistered':
+          if (isMe(args.voterAddress)) {
+            setVoterInfo(prev => ({ ...prev, registered: true, weight: Number(args.weight) }));
+          }
+          turnoutChanged = true;
+          break;
+        case 'ElectionStarted':
+          setElectionRunning(true);
+          getSchedule(id).then(setSchedule).catch(err => console.error('Error loading schedule:', err));
+          break;
+        case 'ElectionCreated':
+          getElections().then(setElections).catch(err => console.error('Error loading elections:', err));
+          break;
+        default:
+          // ElectionEnded (winner), ranked ballots, reveals, roles, schedule...: reload everything once
+          needsReload = true;
+      }
+    });
+
+    if (needsReload) {
+      loadAllData(accountAddress, id);
+    } else if (turnoutChanged) {
+      getTurnout(id).then(setTurnout).catch(err => console.error('Error loading turnout:', err));
+    }
+  };
 
-      return () => clearInterval(interval);
+  // Follow contract events while connected, falling back to polling if the node doesn't support log filters
+  useEffect(() => {
+    if (chainId === null || !electionId) {
+      return undefined;
     }
-  }, [account]);
+
+    let cancelled = false;
+    let unwatch = null;
+    let interval = null;
+    const resync = () => loadAllData(account, electionId);
+
+    watchElection(electionId, {
+      onEvents: (events) => applyContractEvents(events, account, electionId)
+    }).then((stop) => {
+      if (cancelled) {
+        if (stop) stop();
+      } else if (stop) {
+        unwatch = stop;
+      } else {
+        interval = setInterval(resync, POLL_INTERVAL);
+      }
+    });
+
+    // Catch up after the browser reconnects or the tab wakes up
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') {
+        resync();
+      }
+    };
+    window.addEventListener('online', resync);
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    return () => {
+      cancelled = true;
+      if (unwatch) unwatch();
+      if (interval) clearInterval(interval);
+      clearTimeout(boundaryTimer.current);
+      window.removeEventListener('online', resync);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [account, chainId, electionId]);
+
+  // Connected to a chain the app cannot run on: every action is blocked behind the network banner
+  const wrongNetwork = account !== null && chainId !== null && !isSupportedChain(chainId);
+
+  // Voting window has passed (results can be certified once any reveal phase is closed too)
+  const votingClosed = !electionRunning && schedule.votingEnd !== 0
+    && schedule.votingEnd <= Math.floor(Date.now() / 1000) + schedule.clockOffset;
+
+  // Any role (or a pending ownership offer) opens the admin panel
+  const isAdmin = roles.owner || roles.registrar || roles.officer || roles.pendingOwner;
+  const roleLabel = roles.owner ? '👑 Admin'
+    : roles.registrar && roles.officer ? '🗂️ Registrar · 🎛️ Officer'
+    : roles.registrar ? '🗂️ Registrar'
+    : roles.officer ? '🎛️ Officer'
+    : null;
 
   return (
     <div className="App">
       {/* Header */}
       <header className="header">
         <div className="header-content">
-          <h1>🗳️ Decentralized E-Voting System</h1>
-          <p className="header-subtitle">Secure, Transparent, Blockchain-Powered</p>
+          <h1>🗳️ {details.title || 'Decentralized E-Voting System'}</h1>
+          <p className="header-subtitle">{details.description || 'Secure, Transparent, Blockchain-Powered'}</p>
         </div>
         
         {!account ? (
@@ -148,7 +469,7 @@ function App() {
               </span>
             </div>
             <div className="role-badge">
-              {isAdmin ? '👑 Admin' : voterInfo.registered ? '✅ Registered Voter' : '⏳ Unregistered'}
+              {roleLabel || (voterInfo.registered ? '✅ Registered Voter' : '⏳ Unregistered')}
             </div>
           </div>
         )}
@@ -161,36 +482,149 @@ function App() {
         </div>
       )}
 
+      {/* Wrong Network */}
+      {wrongNetwork && (
+        <div className="network-notice">
+          <h2>🌐 Wrong Network</h2>
+          <p>
+            Your wallet is connected to chain ID {chainId}, where this election app is not deployed.
+            Voting and admin actions are disabled until you switch.
+          </p>
+          {SUPPORTED_NETWORKS.length > 0 ? (
+            <div className="network-actions">
+              {SUPPORTED_NETWORKS.map(network => (
+                <button
+                  key={network.chainId}
+                  onClick={() => handleSwitchNetwork(network.chainId)}
+                  disabled={loading}
+                  className="connect-btn"
+                >
+                  {loading ? '⏳ Switching...' : `🔀 Switch to ${network.name} (chain ID ${network.chainId})`}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <p>No deployments found. Run the deploy script first.</p>
+          )}
+        </div>
+      )}
+
       {/* Main Content */}
-      {account && (
+      {chainId !== null && !wrongNetwork && (
         <main className="main-content">
+          {/* Read-only notice */}
+          {!account && (
+            <div className="readonly-banner">
+              👀 You are browsing read-only. Connect MetaMask to vote or manage an election.
+            </div>
+          )}
+
+          {/* Election Picker */}
+          <ElectionPicker
+            elections={elections}
+            selectedId={electionId}
+            canCreate={Boolean(account)}
+            onSelect={handleSelectElection}
+            onCreated={handleSelectElection}
+          />
+
+          {/* View Tabs */}
+          {electionId && (
+            <div className="view-tabs">
+              <button
+                onClick={() => setView('election')}
+                className={`view-tab ${view === 'election' ? 'active' : ''}`}
+              >
+                🗳️ Election
+              </button>
+              <button
+                onClick={() => setView('audit')}
+                className={`view-tab ${view === 'audit' ? 'active' : ''}`}
+              >
+                📜 Audit Trail
+              </button>
+            </div>
+          )}
+
+          {/* Audit Trail */}
+          {electionId && view === 'audit' && (
+            <AuditTrail electionId={electionId} candidates={candidates} />
+          )}
+
           {/* Admin Panel */}
-          {isAdmin && (
+          {electionId && view === 'election' && isAdmin && (
             <AdminPanel 
+              electionId={electionId}
+              roles={roles}
+              details={details}
               electionRunning={electionRunning}
+              schedule={schedule}
+              voterRoot={voterRoot}
+              ballotType={ballotMode.ballotType}
+              seatCount={ballotMode.seatCount}
+              maxSelections={ballotMode.maxSelections}
+              turnout={turnout}
+              votingClosed={votingClosed}
+              tieBreak={tieBreak}
+              candidates={candidates}
+              questions={questions}
+              winner={winner}
+              secretBallot={ballotMode.secretBallot}
+              revealPhase={ballotMode.revealPhase}
               onUpdate={loadAllData}
             />
           )}
 
           {/* Voter Panel */}
-          {!isAdmin && (
+          {electionId && view === 'election' && account && !isAdmin && (
             <VoterPanel
+              electionId={electionId}
+              account={account}
+              voterRoot={voterRoot}
               isRegistered={voterInfo.registered}
               hasVoted={voterInfo.voted}
               votedFor={voterInfo.votedFor}
+              revealed={voterInfo.revealed}
+              weight={voterInfo.weight}
+              delegate={voterInfo.delegate}
+              delegatedWeight={voterInfo.delegatedWeight}
               electionRunning={electionRunning}
+              votingClosed={votingClosed}
+              turnout={turnout}
+              schedule={schedule}
+              secretBallot={ballotMode.secretBallot}
+              revealPhase={ballotMode.revealPhase}
               candidates={candidates}
+              onUpdate={loadAllData}
             />
           )}
 
           {/* Candidate List */}
-          <CandidateList
-            candidates={candidates}
-            canVote={voterInfo.registered && !voterInfo.voted}
-            electionRunning={electionRunning}
-            winner={winner}
-            onUpdate={loadAllData}
-          />
+          {electionId && view === 'election' && (
+            <CandidateList
+              electionId={electionId}
+              candidates={candidates}
+              questions={questions}
+              canVote={voterInfo.registered && !voterInfo.voted && !voterInfo.delegate}
+              canReveal={voterInfo.voted && !voterInfo.revealed}
+              electionRunning={electionRunning}
+              secretBallot={ballotMode.secretBallot}
+              revealPhase={ballotMode.revealPhase}
+              ballotType={ballotMode.ballotType}
+              seatCount={ballotMode.seatCount}
+              maxSelections={ballotMode.maxSelections}
+              runoff={runoff}
+              winner={winner}
+              elected={elected}
+              quorumMissed={turnout.recorded && !turnout.quorumReached}
+              onUpdate={loadAllData}
+            />
+          )}
+
+          {/* Certified Results */}
+          {electionId && view === 'election' && votingClosed && !ballotMode.revealPhase && (
+            <ResultsExport electionId={electionId} isOwner={roles.owner} turnoutRecorded={turnout.recorded} />
+          )}
 
           {/* Refresh Button */}
           <div className="refresh-section">
@@ -202,7 +636,7 @@ function App() {
       )}
 
       {/* Welcome Screen */}
-      {!account && !error && (
+      {!account && !error && chainId === null && (
         <div className="welcome-screen">
           <div className="welcome-card">
             <h2>Welcome to E-Voting dApp</h2>
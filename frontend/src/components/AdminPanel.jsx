@@ -1,19 +1,106 @@
 // frontend/src/components/AdminPanel.jsx
 import React, { useState } from 'react';
-import { addCandidate, registerVoter, startElection, endElection } from '../ethereum/evoting';
+import { ethers } from 'ethers';
+import PhaseIndicator from './PhaseIndicator';
+import BulkVoterUpload from './BulkVoterUpload';
+import TurnoutGauge from './TurnoutGauge';
+import {
+  addCandidate,
+  updateCandidate,
+  withdrawCandidate,
+  addQuestion,
+  setElectionDetails,
+  registerVoter,
+  revokeVoter,
+  replaceVoter,
+  startElection,
+  endElection,
+  setSchedule,
+  setVoterRoot,
+  setBallotType,
+  setSeats,
+  setQuorum,
+  setSecretBallot,
+  endReveal,
+  setTieBreakPolicy,
+  breakTie,
+  revealTieBreakSeed,
+  grantRole,
+  revokeRole,
+  transferAdmin,
+  acceptAdmin,
+  BALLOT_TYPES,
+  TIE_BREAK_POLICIES,
+  ROLES,
+  REFERENDUM_OPTIONS
+} from '../ethereum/evoting';
+import { describeQuorum } from '../utils/resultsCertificate';
 import './AdminPanel.css';
 
+const EMPTY_PROFILE = { party: '', bio: '', imageURI: '', link: '' };
+
 /**
  * AdminPanel Component
  * Provides interface for admin to manage the election
+ * Only the sections allowed by the account's roles are shown: the owner sees
+ * everything, registrars manage the voter roll and officers start/end voting
  */
-const AdminPanel = ({ electionRunning, onUpdate }) => {
+const AdminPanel = ({
+  electionId,
+  roles,
+  details,
+  electionRunning,
+  schedule,
+  voterRoot,
+  ballotType,
+  seatCount,
+  maxSelections,
+  turnout,
+  votingClosed,
+  tieBreak,
+  candidates,
+  questions,
+  winner,
+  secretBallot,
+  revealPhase,
+  onUpdate
+}) => {
+  // null = not edited, show the on-chain value
+  const [titleInput, setTitleInput] = useState(null);
+  const [descriptionInput, setDescriptionInput] = useState(null);
   const [candidateName, setCandidateName] = useState('');
+  const [candidateProfile, setCandidateProfile] = useState(EMPTY_PROFILE);
+  // { id, name, party, bio, imageURI, link } of the candidate being edited
+  const [editingCandidate, setEditingCandidate] = useState(null);
+  const [questionText, setQuestionText] = useState('');
+  const [referendum, setReferendum] = useState(true);
+  const [questionOptions, setQuestionOptions] = useState('');
   const [voterAddress, setVoterAddress] = useState('');
+  const [voterWeight, setVoterWeight] = useState('1');
+  const [registrationDeadline, setRegistrationDeadline] = useState('');
+  const [votingStart, setVotingStart] = useState('');
+  const [votingEnd, setVotingEnd] = useState('');
+  const [correctionAddress, setCorrectionAddress] = useState('');
+  const [replacementAddress, setReplacementAddress] = useState('');
+  const [correctionReason, setCorrectionReason] = useState('');
+  const [rootInput, setRootInput] = useState('');
+  const [seatsInput, setSeatsInput] = useState(null);
+  const [maxSelectionsInput, setMaxSelectionsInput] = useState(null);
+  const [quorumInput, setQuorumInput] = useState(null);
+  const [quorumPercentInput, setQuorumPercentInput] = useState(null);
+  const [policyInput, setPolicyInput] = useState(TIE_BREAK_POLICIES.DECLARE_TIE);
+  const [tieChoice, setTieChoice] = useState('');
+  const [roleAddress, setRoleAddress] = useState('');
+  const [roleInput, setRoleInput] = useState(ROLES.REGISTRAR);
+  const [newAdmin, setNewAdmin] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
 
+  const isOwner = roles.owner;
+  const canRegister = roles.owner || roles.registrar;
+  const canRun = roles.owner || roles.officer;
+
   // Clear messages after 3 seconds
   const showMessage = (type, message) => {
     if (type === 'error') {
@@ -25,6 +112,32 @@ const AdminPanel = ({ electionRunning, onUpdate }) => {
     }
   };
 
+  // Handle update title / description
+  const handleSaveDetails = async (e) => {
+    e.preventDefault();
+    const title = (titleInput ?? details.title).trim();
+    const description = (descriptionInput ?? details.description).trim();
+    if (!title) {
+      showMessage('error', 'Please enter a title for the election');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await setElectionDetails(electionId, title, description);
+      setTitleInput(null);
+      setDescriptionInput(null);
+      showMessage('success', 'Election details updated!');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to update election details. Election may be running.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Handle add candidate
   const handleAddCandidate = async (e) => {
     e.preventDefault();
@@ -36,8 +149,9 @@ const AdminPanel = ({ electionRunning, onUpdate }) => {
     try {
       setLoading(true);
       setError('');
-      await addCandidate(candidateName);
+      await addCandidate(electionId, candidateName, candidateProfile);
       setCandidateName('');
+      setCandidateProfile(EMPTY_PROFILE);
       showMessage('success', `Candidate "${candidateName}" added successfully!`);
       onUpdate();
     } catch (err) {
@@ -48,6 +162,84 @@ const AdminPanel = ({ electionRunning, onUpdate }) => {
     }
   };
 
+  // Handle save of an edited candidate
+  const handleUpdateCandidate = async (e) => {
+    e.preventDefault();
+    const { id, name, ...profile } = editingCandidate;
+    if (!name.trim()) {
+      showMessage('error', 'Please enter a candidate name');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await updateCandidate(electionId, id, name.trim(), profile);
+      setEditingCandidate(null);
+      showMessage('success', `Candidate "${name.trim()}" updated!`);
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to update candidate. Voting may be open.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle add ballot question (a yes/no/abstain referendum or custom options)
+  const handleAddQuestion = async (e) => {
+    e.preventDefault();
+    const options = referendum
+      ? REFERENDUM_OPTIONS
+      : questionOptions.split(',').map(option => option.trim()).filter(Boolean);
+    if (!questionText.trim()) {
+      showMessage('error', 'Please enter the question');
+      return;
+    }
+    if (options.length < 2) {
+      showMessage('error', 'A question needs at least two options, separated by commas');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await addQuestion(electionId, questionText, options);
+      setQuestionText('');
+      setQuestionOptions('');
+      showMessage('success', 'Question added to the ballot!');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to add question. Voting may have started.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle withdraw candidate
+  const handleWithdrawCandidate = async (candidate) => {
+    if (!window.confirm(`Withdraw "${candidate.name}" from the ballot? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await withdrawCandidate(electionId, candidate.id);
+      if (editingCandidate && editingCandidate.id === candidate.id) {
+        setEditingCandidate(null);
+      }
+      showMessage('success', `Candidate "${candidate.name}" withdrawn from the ballot`);
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to withdraw candidate. Candidates who already have votes cannot be withdrawn.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Handle register voter
   const handleRegisterVoter = async (e) => {
     e.preventDefault();
@@ -62,16 +254,184 @@ const AdminPanel = ({ electionRunning, onUpdate }) => {
       return;
     }
 
+    const weight = Number(voterWeight);
+    if (!Number.isSafeInteger(weight) || weight < 1) {
+      showMessage('error', 'Voting weight must be a whole number of at least 1');
+      return;
+    }
+
     try {
       setLoading(true);
       setError('');
-      await registerVoter(voterAddress);
+      await registerVoter(electionId, voterAddress, weight);
       setVoterAddress('');
+      setVoterWeight('1');
       showMessage('success', 'Voter registered successfully!');
       onUpdate();
     } catch (err) {
       console.error(err);
-      showMessage('error', 'Failed to register voter. They may already be registered.');
+      showMessage('error', 'Failed to register voter. They may already be registered, or registration has closed.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Validate the roll correction form; returns an error message or ''
+  const validateCorrection = (needsReplacement) => {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(correctionAddress)) {
+      return 'Invalid Ethereum address format';
+    }
+    if (needsReplacement && !/^0x[a-fA-F0-9]{40}$/.test(replacementAddress)) {
+      return 'Invalid replacement address format';
+    }
+    if (!correctionReason.trim()) {
+      return 'Please enter a reason for the correction';
+    }
+    return '';
+  };
+
+  const clearCorrection = () => {
+    setCorrectionAddress('');
+    setReplacementAddress('');
+    setCorrectionReason('');
+  };
+
+  // Handle revoke voter
+  const handleRevokeVoter = async () => {
+    const validationError = validateCorrection(false);
+    if (validationError) {
+      showMessage('error', validationError);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await revokeVoter(electionId, correctionAddress, correctionReason.trim());
+      clearCorrection();
+      showMessage('success', 'Voter removed from the roll.');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to revoke voter. They may not be registered or have already voted, or voting has closed.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle replace voter
+  const handleReplaceVoter = async () => {
+    const validationError = validateCorrection(true);
+    if (validationError) {
+      showMessage('error', validationError);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await replaceVoter(electionId, correctionAddress, replacementAddress, correctionReason.trim());
+      clearCorrection();
+      showMessage('success', 'Voter registration moved to the new address.');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to replace voter. Check that the old address has not voted, the new one is not registered and voting has not closed.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle publish voter roll root
+  const handleSetVoterRoot = async (e) => {
+    e.preventDefault();
+    if (!/^0x[a-fA-F0-9]{64}$/.test(rootInput)) {
+      showMessage('error', 'Root must be a 32-byte hex value (0x + 64 hex characters)');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await setVoterRoot(electionId, rootInput);
+      setRootInput('');
+      showMessage('success', 'Voter roll root published!');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to publish voter roll root. A Merkle roll can\'t be used with a percentage quorum.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle clear voter roll root
+  const handleClearVoterRoot = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await setVoterRoot(electionId, ethers.ZeroHash);
+      showMessage('success', 'Voter roll root cleared.');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to clear voter roll root.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Convert a datetime-local input value to a unix timestamp (0 if empty)
+  const toTimestamp = (value) => (value ? Math.floor(new Date(value).getTime() / 1000) : 0);
+
+  // Handle set schedule
+  const handleSetSchedule = async (e) => {
+    e.preventDefault();
+    if (!votingStart || !votingEnd) {
+      showMessage('error', 'Please enter both voting start and end times');
+      return;
+    }
+
+    const start = toTimestamp(votingStart);
+    const end = toTimestamp(votingEnd);
+    const deadline = toTimestamp(registrationDeadline);
+    if (start >= end) {
+      showMessage('error', 'Voting must start before it ends');
+      return;
+    }
+    if (deadline !== 0 && deadline > end) {
+      showMessage('error', 'Registration must close before voting ends');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await setSchedule(electionId, deadline, start, end);
+      showMessage('success', 'Schedule saved! Voting will open and close automatically.');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to set schedule. Voting end must be in the future.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle clear schedule
+  const handleClearSchedule = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await setSchedule(electionId, 0, 0, 0);
+      setRegistrationDeadline('');
+      setVotingStart('');
+      setVotingEnd('');
+      showMessage('success', 'Schedule cleared.');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to clear schedule.');
     } finally {
       setLoading(false);
     }
@@ -82,7 +442,7 @@ const AdminPanel = ({ electionRunning, onUpdate }) => {
     try {
       setLoading(true);
       setError('');
-      await startElection();
+      await startElection(electionId);
       showMessage('success', 'Election started successfully!');
       onUpdate();
     } catch (err) {
@@ -102,7 +462,7 @@ const AdminPanel = ({ electionRunning, onUpdate }) => {
     try {
       setLoading(true);
       setError('');
-      await endElection();
+      await endElection(electionId);
       showMessage('success', 'Election ended successfully!');
       onUpdate();
     } catch (err) {
@@ -113,6 +473,291 @@ const AdminPanel = ({ electionRunning, onUpdate }) => {
     }
   };
 
+  // Handle ballot type change
+  const handleBallotTypeChange = async (e) => {
+    const newType = Number(e.target.value);
+    try {
+      setLoading(true);
+      setError('');
+      await setBallotType(electionId, newType);
+      showMessage('success', `Ballot type set to ${ballotTypeNames[newType]}!`);
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to change ballot type. Secret ballots must use plurality, and ranked-choice fills a single seat and needs the "Declare a tie" policy.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle quorum rule
+  const handleSetQuorum = async () => {
+    const value = Number(quorumInput ?? turnout.quorum);
+    const isPercent = quorumPercentInput ?? turnout.quorumIsPercent;
+    if (!Number.isInteger(value) || value < 0 || (isPercent && value > 100)) {
+      showMessage('error', 'Quorum must be a whole number of ballots, or a percentage from 0 to 100');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await setQuorum(electionId, value, isPercent);
+      setQuorumInput(null);
+      setQuorumPercentInput(null);
+      showMessage('success', value === 0 ? 'Quorum removed!' : `Quorum set to ${describeQuorum(value, isPercent)}!`);
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to set quorum. It is locked once voting has started, and can\'t be a percentage with a Merkle roll.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle seat count / approval limit
+  const handleSetSeats = async () => {
+    const seats = Number(seatsInput ?? seatCount);
+    const selections = Number(maxSelectionsInput ?? maxSelections);
+    if (!Number.isInteger(seats) || seats < 1 || !Number.isInteger(selections) || selections < 1) {
+      showMessage('error', 'Seats and approvals per ballot must be whole numbers of at least 1');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await setSeats(electionId, seats, selections);
+      setSeatsInput(null);
+      setMaxSelectionsInput(null);
+      showMessage('success', `${seats} seat(s), up to ${selections} approval(s) per ballot!`);
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to set seats. Voting may have started, and ranked-choice fills a single seat.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle tie-break policy
+  const handleSetTieBreakPolicy = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const seed = await setTieBreakPolicy(electionId, policyInput);
+      showMessage('success', seed
+        ? 'Tie-break seed committed! The seed is saved in this browser; reveal it from here if there is a tie.'
+        : 'Tie-break policy saved!');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to set tie-break policy. It is locked once voting has started.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle admin casting decision in a tie
+  const handleBreakTie = async () => {
+    if (!tieChoice) {
+      showMessage('error', 'Please choose one of the tied candidates');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await breakTie(electionId, Number(tieChoice));
+      showMessage('success', 'Tie broken!');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to break tie.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle reveal of the committed tie-break seed
+  const handleRevealSeed = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await revealTieBreakSeed(electionId);
+      showMessage('success', 'Seed revealed and tie broken!');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to reveal seed. It must be revealed from the browser that committed it.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const merkleRoll = Boolean(voterRoot) && voterRoot !== ethers.ZeroHash;
+  const rankedChoice = ballotType === BALLOT_TYPES.RANKED_CHOICE;
+
+  // The contract locks the ballot and its settings for good once voting opens
+  const votingStarted = schedule.votingStart !== 0 &&
+    schedule.votingStart <= Math.floor(Date.now() / 1000) + schedule.clockOffset;
+  const activeCandidates = candidates.filter(c => !c.withdrawn);
+
+  // Every ballot answers every question, so a secret ballot can't carry them
+  const questionsLocked = votingStarted || secretBallot;
+
+  // Party / image / link / bio inputs shared by the add and edit forms
+  const renderProfileFields = (profile, onChange) => (
+    <div className="profile-fields">
+      <input
+        type="text"
+        placeholder="Party or affiliation (optional)"
+        value={profile.party}
+        onChange={(e) => onChange({ ...profile, party: e.target.value })}
+        disabled={votingStarted || loading}
+        className="form-input"
+      />
+      <input
+        type="text"
+        placeholder="Image URL, ipfs:// URI or CID (optional)"
+        value={profile.imageURI}
+        onChange={(e) => onChange({ ...profile, imageURI: e.target.value })}
+        disabled={votingStarted || loading}
+        className="form-input"
+      />
+      <input
+        type="url"
+        placeholder="Website https://... (optional)"
+        value={profile.link}
+        onChange={(e) => onChange({ ...profile, link: e.target.value })}
+        disabled={votingStarted || loading}
+        className="form-input"
+      />
+      <textarea
+        placeholder="Short bio (optional)"
+        value={profile.bio}
+        onChange={(e) => onChange({ ...profile, bio: e.target.value })}
+        disabled={votingStarted || loading}
+        className="form-input profile-bio"
+        rows={2}
+      />
+    </div>
+  );
+
+  // IDs of the candidates tied for first, if a tie is unresolved
+  const unresolvedTie = winner && winner.tied && !winner.winnerId ? winner.leaderIds : null;
+  const policyNames = {
+    [TIE_BREAK_POLICIES.DECLARE_TIE]: 'Declare a tie',
+    [TIE_BREAK_POLICIES.ADMIN_DECISION]: 'Admin casting decision',
+    [TIE_BREAK_POLICIES.COMMITTED_SEED]: 'Random pick from committed seed'
+  };
+
+  const ballotTypeNames = {
+    [BALLOT_TYPES.PLURALITY]: 'plurality',
+    [BALLOT_TYPES.RANKED_CHOICE]: 'ranked-choice',
+    [BALLOT_TYPES.APPROVAL]: 'approval'
+  };
+
+  // Handle secret ballot toggle
+  const handleToggleSecretBallot = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await setSecretBallot(electionId, !secretBallot);
+      showMessage('success', `Secret ballot ${secretBallot ? 'disabled' : 'enabled'}!`);
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to change ballot mode.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle end reveal phase
+  const handleEndReveal = async () => {
+    if (!window.confirm('Close the reveal phase? Unrevealed votes will not be counted.')) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await endReveal(electionId);
+      showMessage('success', 'Reveal phase closed. Results are final!');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to end reveal phase.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle grant / revoke registrar or officer role
+  const handleRoleChange = async (grant) => {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(roleAddress)) {
+      showMessage('error', 'Invalid Ethereum address format');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      if (grant) {
+        await grantRole(electionId, roleInput, roleAddress);
+      } else {
+        await revokeRole(electionId, roleInput, roleAddress);
+      }
+      setRoleAddress('');
+      showMessage('success', grant ? 'Role granted!' : 'Role revoked!');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', grant ? 'Failed to grant role.' : 'Failed to revoke role.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle start / cancel owner transfer
+  const handleTransferAdmin = async (cancel) => {
+    if (!cancel && !/^0x[a-fA-F0-9]{40}$/.test(newAdmin)) {
+      showMessage('error', 'Invalid Ethereum address format');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await transferAdmin(electionId, cancel ? ethers.ZeroAddress : newAdmin);
+      setNewAdmin('');
+      showMessage('success', cancel ? 'Ownership transfer cancelled.' : 'Transfer started. The new owner must accept it.');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to update ownership transfer.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle accept owner transfer
+  const handleAcceptAdmin = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await acceptAdmin(electionId);
+      showMessage('success', 'You are now the election owner!');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showMessage('error', 'Failed to accept ownership.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div className="admin-panel">
       <h2>👑 Admin Control Panel</h2>
@@ -121,84 +766,688 @@ const AdminPanel = ({ electionRunning, onUpdate }) => {
       {error && <div className="message error-message">❌ {error}</div>}
       {success && <div className="message success-message">✅ {success}</div>}
 
+      <TurnoutGauge turnout={turnout} votingClosed={votingClosed} />
+
+      {/* Pending Ownership Section */}
+      {roles.pendingOwner && (
+        <div className="admin-section">
+          <h3>Ownership Transfer</h3>
+          <p className="info-text">💡 The current owner has offered you ownership of this election.</p>
+          <button onClick={handleAcceptAdmin} disabled={loading} className="btn btn-success">
+            {loading ? 'Accepting...' : '🤝 Accept Ownership'}
+          </button>
+        </div>
+      )}
+
+      {/* Election Details Section */}
+      {isOwner && (
+        <div className="admin-section">
+          <h3>Election Details</h3>
+          <form onSubmit={handleSaveDetails}>
+            <div className="form-group">
+              <input
+                type="text"
+                placeholder="Election title"
+                value={titleInput ?? details.title}
+                onChange={(e) => setTitleInput(e.target.value)}
+                disabled={votingStarted || loading}
+                className="form-input"
+              />
+            </div>
+            <div className="form-group">
+              <textarea
+                placeholder="Description"
+                value={descriptionInput ?? details.description}
+                onChange={(e) => setDescriptionInput(e.target.value)}
+                disabled={votingStarted || loading}
+                className="form-input"
+                rows={2}
+              />
+              <button
+                type="submit"
+                disabled={votingStarted || loading || (titleInput === null && descriptionInput === null)}
+                className="btn btn-primary"
+              >
+                {loading ? 'Saving...' : 'Save Details'}
+              </button>
+            </div>
+            {votingStarted && (
+              <p className="warning-text">⚠️ The title and description are locked once voting opens</p>
+            )}
+          </form>
+        </div>
+      )}
+
       {/* Add Candidate Section */}
-      <div className="admin-section">
-        <h3>Add Candidate</h3>
-        <form onSubmit={handleAddCandidate}>
-          <div className="form-group">
-            <input
-              type="text"
-              placeholder="Enter candidate name"
-              value={candidateName}
-              onChange={(e) => setCandidateName(e.target.value)}
-              disabled={electionRunning || loading}
-              className="form-input"
+      {isOwner && (
+        <div className="admin-section">
+          <h3>Add Candidate</h3>
+          <form onSubmit={handleAddCandidate}>
+            <div className="form-group">
+              <input
+                type="text"
+                placeholder="Enter candidate name"
+                value={candidateName}
+                onChange={(e) => setCandidateName(e.target.value)}
+                disabled={votingStarted || loading}
+                className="form-input"
+              />
+              <button 
+                type="submit" 
+                disabled={votingStarted || loading}
+                className="btn btn-primary"
+              >
+                {loading ? 'Adding...' : 'Add Candidate'}
+              </button>
+            </div>
+            {renderProfileFields(candidateProfile, setCandidateProfile)}
+            {votingStarted && (
+              <p className="warning-text">⚠️ Candidates are locked once voting opens</p>
+            )}
+          </form>
+        </div>
+      )}
+
+      {/* Manage Candidates Section */}
+      {isOwner && activeCandidates.length > 0 && (
+        <div className="admin-section">
+          <h3>Manage Candidates</h3>
+          <ul className="manage-candidates">
+            {activeCandidates.map((candidate) => (
+              <li key={candidate.id} className="manage-candidate">
+                {editingCandidate && editingCandidate.id === candidate.id ? (
+                  <form onSubmit={handleUpdateCandidate}>
+                    <div className="form-group">
+                      <input
+                        type="text"
+                        placeholder="Candidate name"
+                        value={editingCandidate.name}
+                        onChange={(e) => setEditingCandidate({ ...editingCandidate, name: e.target.value })}
+                        disabled={votingStarted || loading}
+                        className="form-input"
+                      />
+                    </div>
+                    {renderProfileFields(editingCandidate, setEditingCandidate)}
+                    <div className="button-group">
+                      <button type="submit" disabled={votingStarted || loading} className="btn btn-primary">
+                        {loading ? 'Saving...' : 'Save Candidate'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setEditingCandidate(null)}
+                        disabled={loading}
+                        className="btn btn-secondary"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <div className="manage-candidate-row">
+                    <span>
+                      #{candidate.id} {candidate.name}
+                      {candidate.party && <span className="info-text"> · {candidate.party}</span>}
+                    </span>
+                    <div className="button-group">
+                      <button
+                        onClick={() => setEditingCandidate({
+                          id: candidate.id,
+                          name: candidate.name,
+                          party: candidate.party,
+                          bio: candidate.bio,
+                          imageURI: candidate.imageURI,
+                          link: candidate.link
+                        })}
+                        disabled={votingStarted || loading}
+                        className="btn btn-primary"
+                      >
+                        ✏️ Edit
+                      </button>
+                      <button
+                        onClick={() => handleWithdrawCandidate(candidate)}
+                        disabled={votingStarted || loading || candidate.voteCount > 0}
+                        className="btn btn-danger"
+                      >
+                        🚫 Withdraw
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+          {votingStarted && (
+            <p className="warning-text">⚠️ Candidates can only be edited or withdrawn before voting starts</p>
+          )}
+          <p className="info-text">Withdrawn candidates are removed from the ballot but stay in the election's history.</p>
+        </div>
+      )}
+
+      {/* Ballot Questions Section */}
+      {isOwner && (
+        <div className="admin-section">
+          <h3>Ballot Questions</h3>
+          {questions.length > 0 && (
+            <ol className="ballot-questions">
+              {questions.map((question) => (
+                <li key={question.id}>
+                  {question.text}
+                  <span className="info-text"> · {question.options.map(o => o.label).join(' / ')}</span>
+                </li>
+              ))}
+            </ol>
+          )}
+          <form onSubmit={handleAddQuestion}>
+            <div className="form-group">
+              <input
+                type="text"
+                placeholder="Question or motion, e.g. Approve the new budget?"
+                value={questionText}
+                onChange={(e) => setQuestionText(e.target.value)}
+                disabled={questionsLocked || loading}
+                className="form-input"
+              />
+              <button type="submit" disabled={questionsLocked || loading} className="btn btn-primary">
+                {loading ? 'Adding...' : 'Add Question'}
+              </button>
+            </div>
+            <label className="toggle-row">
+              <input
+                type="radio"
+                checked={referendum}
+                onChange={() => setReferendum(true)}
+                disabled={questionsLocked || loading}
+              />
+              <span>✅ Referendum ({REFERENDUM_OPTIONS.join(' / ')})</span>
+            </label>
+            <label className="toggle-row">
+              <input
+                type="radio"
+                checked={!referendum}
+                onChange={() => setReferendum(false)}
+                disabled={questionsLocked || loading}
+              />
+              <span>📝 Custom options</span>
+            </label>
+            {!referendum && (
+              <div className="form-group">
+                <input
+                  type="text"
+                  placeholder="Options, separated by commas"
+                  value={questionOptions}
+                  onChange={(e) => setQuestionOptions(e.target.value)}
+                  disabled={questionsLocked || loading}
+                  className="form-input"
+                />
+              </div>
+            )}
+            {secretBallot ? (
+              <p className="warning-text">⚠️ Ballot questions need a plaintext ballot; turn off the secret ballot first</p>
+            ) : questionsLocked && (
+              <p className="warning-text">⚠️ Questions can only be added before voting starts</p>
+            )}
+          </form>
+          <p className="info-text">💡 Voters answer every question on the same ballot as their candidate vote.</p>
+        </div>
+      )}
+
+      {canRegister && (
+        <>
+          {/* Register Voter Section */}
+          <div className="admin-section">
+            <h3>Register Voter</h3>
+            <form onSubmit={handleRegisterVoter}>
+              <div className="form-group">
+                <input
+                  type="text"
+                  placeholder="Enter voter address (0x...)"
+                  value={voterAddress}
+                  onChange={(e) => setVoterAddress(e.target.value)}
+                  disabled={loading}
+                  className="form-input"
+                />
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  title="Voting weight (e.g. shares held)"
+                  value={voterWeight}
+                  onChange={(e) => setVoterWeight(e.target.value)}
+                  disabled={loading}
+                  className="form-input weight-input"
+                />
+                <button 
+                  type="submit" 
+                  disabled={loading}
+                  className="btn btn-primary"
+                >
+                  {loading ? 'Registering...' : 'Register Voter'}
+                </button>
+              </div>
+              <p className="info-text">💡 Tip: Use MetaMask account addresses. Weight is the number of votes the ballot counts for (1 = one person, one vote).</p>
+            </form>
+            <BulkVoterUpload
+              electionId={electionId}
+              disabled={loading}
+              onUpdate={onUpdate}
             />
-            <button 
-              type="submit" 
-              disabled={electionRunning || loading}
-              className="btn btn-primary"
+          </div>
+
+          {/* Roll Corrections Section */}
+          <div className="admin-section">
+            <h3>Roll Corrections</h3>
+            <div className="schedule-grid">
+              <label className="schedule-field">
+                <span>Registered address</span>
+                <input
+                  type="text"
+                  placeholder="0x..."
+                  value={correctionAddress}
+                  onChange={(e) => setCorrectionAddress(e.target.value)}
+                  disabled={loading}
+                  className="form-input"
+                />
+              </label>
+              <label className="schedule-field">
+                <span>Replacement address (replace only)</span>
+                <input
+                  type="text"
+                  placeholder="0x..."
+                  value={replacementAddress}
+                  onChange={(e) => setReplacementAddress(e.target.value)}
+                  disabled={loading}
+                  className="form-input"
+                />
+              </label>
+              <label className="schedule-field">
+                <span>Reason</span>
+                <input
+                  type="text"
+                  placeholder="e.g. duplicate entry, lost key"
+                  value={correctionReason}
+                  onChange={(e) => setCorrectionReason(e.target.value)}
+                  disabled={loading}
+                  className="form-input"
+                />
+              </label>
+            </div>
+            <div className="button-group">
+              <button
+                onClick={handleRevokeVoter}
+                disabled={loading}
+                className="btn btn-danger"
+              >
+                🚫 Revoke Voter
+              </button>
+              <button
+                onClick={handleReplaceVoter}
+                disabled={loading}
+                className="btn btn-primary"
+              >
+                🔁 Replace Address
+              </button>
+            </div>
+            <p className="info-text">
+              💡 Only voters who have not voted yet can be corrected, until voting closes. The reason is recorded on-chain.
+              Revoked and replaced addresses can no longer vote through the Merkle roll.
+            </p>
+          </div>
+
+          {/* Merkle Voter Roll Section */}
+          <div className="admin-section">
+            <h3>Voter Roll (Merkle Root)</h3>
+            <p className="info-text">
+              Current root:{' '}
+              <code>{merkleRoll ? voterRoot : 'none (per-address registration only)'}</code>
+            </p>
+            <form onSubmit={handleSetVoterRoot}>
+              <div className="form-group">
+                <input
+                  type="text"
+                  placeholder="Root from scripts/build-merkle.js (0x...)"
+                  value={rootInput}
+                  onChange={(e) => setRootInput(e.target.value)}
+                  disabled={votingStarted || loading}
+                  className="form-input"
+                />
+                <button
+                  type="submit"
+                  disabled={votingStarted || loading}
+                  className="btn btn-primary"
+                >
+                  {loading ? 'Publishing...' : 'Publish Root'}
+                </button>
+                {merkleRoll && (
+                  <button
+                    type="button"
+                    onClick={handleClearVoterRoot}
+                    disabled={votingStarted || loading}
+                    className="btn btn-danger"
+                  >
+                    Clear
+                  </button>
+                )}
+              </div>
+              <p className="info-text">
+                💡 Run <code>node scripts/build-merkle.js roll.csv --election &lt;address&gt;</code> to build the root and voter proofs.
+              </p>
+            </form>
+          </div>
+        </>
+      )}
+
+      {isOwner && (
+        <>
+          {/* Schedule Section */}
+          <div className="admin-section">
+            <h3>Voting Schedule</h3>
+            <form onSubmit={handleSetSchedule}>
+              <div className="schedule-grid">
+                <label className="schedule-field">
+                  <span>Registration deadline (optional)</span>
+                  <input
+                    type="datetime-local"
+                    value={registrationDeadline}
+                    onChange={(e) => setRegistrationDeadline(e.target.value)}
+                    disabled={votingStarted || loading}
+                    className="form-input"
+                  />
+                </label>
+                <label className="schedule-field">
+                  <span>Voting opens</span>
+                  <input
+                    type="datetime-local"
+                    value={votingStart}
+                    onChange={(e) => setVotingStart(e.target.value)}
+                    disabled={votingStarted || loading}
+                    className="form-input"
+                  />
+                </label>
+                <label className="schedule-field">
+                  <span>Voting closes</span>
+                  <input
+                    type="datetime-local"
+                    value={votingEnd}
+                    onChange={(e) => setVotingEnd(e.target.value)}
+                    disabled={votingStarted || loading}
+                    className="form-input"
+                  />
+                </label>
+              </div>
+              <div className="button-group">
+                <button
+                  type="submit"
+                  disabled={votingStarted || loading}
+                  className="btn btn-primary"
+                >
+                  {loading ? 'Saving...' : '📅 Save Schedule'}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleClearSchedule}
+                  disabled={votingStarted || loading}
+                  className="btn btn-danger"
+                >
+                  Clear Schedule
+                </button>
+              </div>
+              {votingStarted && (
+                <p className="warning-text">⚠️ The schedule is locked once voting opens, and a closed election cannot be reopened</p>
+              )}
+            </form>
+          </div>
+
+          {/* Tie-Break Section */}
+          <div className="admin-section">
+            <h3>Tie-Break Policy</h3>
+            <p className="info-text">Current policy: <strong>{policyNames[tieBreak.policy]}</strong></p>
+            <div className="form-group">
+              <select
+                value={policyInput}
+                onChange={(e) => setPolicyInput(Number(e.target.value))}
+                disabled={votingStarted || rankedChoice || loading}
+                className="form-input"
+              >
+                {Object.entries(policyNames).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleSetTieBreakPolicy}
+                disabled={votingStarted || rankedChoice || loading}
+                className="btn btn-primary"
+              >
+                {loading ? 'Saving...' : 'Set Policy'}
+              </button>
+            </div>
+            <p className="info-text">💡 The policy is locked once voting starts, so it can't be chosen after seeing results.</p>
+            {rankedChoice && (
+              <p className="info-text">💡 Ranked-choice elections declare ties; the instant-runoff tally breaks its own ties by a fixed rule.</p>
+            )}
+
+            {unresolvedTie && tieBreak.policy === TIE_BREAK_POLICIES.ADMIN_DECISION && (
+              <div className="form-group tie-break-action">
+                <select
+                  value={tieChoice}
+                  onChange={(e) => setTieChoice(e.target.value)}
+                  disabled={loading}
+                  className="form-input"
+                >
+                  <option value="">Choose a tied candidate...</option>
+                  {unresolvedTie.map((id) => (
+                    <option key={id} value={id}>
+                      {(candidates.find(c => c.id === id) || { name: `#${id}` }).name}
+                    </option>
+                  ))}
+                </select>
+                <button onClick={handleBreakTie} disabled={loading} className="btn btn-success">
+                  ⚖️ Cast Deciding Vote
+                </button>
+              </div>
+            )}
+
+            {unresolvedTie && tieBreak.policy === TIE_BREAK_POLICIES.COMMITTED_SEED && (
+              <div className="button-group tie-break-action">
+                <button onClick={handleRevealSeed} disabled={loading} className="btn btn-success">
+                  🎲 Reveal Seed and Break Tie
+                </button>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      {/* Election Controls */}
+      {canRun && (
+        <div className="admin-section">
+          <h3>Election Controls</h3>
+          <p className="info-text">💡 Start and End override the schedule and take effect immediately.</p>
+          <div className="button-group">
+            <button
+              onClick={handleStartElection}
+              disabled={votingStarted || loading}
+              className="btn btn-success"
+            >
+              {loading ? 'Starting...' : '▶️ Start Now'}
+            </button>
+            <button
+              onClick={handleEndElection}
+              disabled={!electionRunning || loading}
+              className="btn btn-danger"
             >
-              {loading ? 'Adding...' : 'Add Candidate'}
+              {loading ? 'Ending...' : '⏹️ End Now'}
             </button>
+            {revealPhase && (
+              <button
+                onClick={handleEndReveal}
+                disabled={loading}
+                className="btn btn-danger"
+              >
+                {loading ? 'Closing...' : '🔓 End Reveal Phase'}
+              </button>
+            )}
           </div>
-          {electionRunning && (
-            <p className="warning-text">⚠️ Cannot add candidates while election is running</p>
+          {isOwner && (
+            <>
+              <label className="toggle-row">
+                <span>🗳️ Ballot type:</span>
+                <select
+                  value={ballotType}
+                  onChange={handleBallotTypeChange}
+                  disabled={votingStarted || loading}
+                  className="ballot-type-select"
+                >
+                  <option value={BALLOT_TYPES.PLURALITY}>Plurality (one choice)</option>
+                  <option
+                    value={BALLOT_TYPES.RANKED_CHOICE}
+                    disabled={tieBreak.policy !== TIE_BREAK_POLICIES.DECLARE_TIE}
+                  >
+                    Ranked-choice (instant runoff)
+                  </option>
+                  <option value={BALLOT_TYPES.APPROVAL}>Approval (several choices)</option>
+                </select>
+              </label>
+              <div className="toggle-row seats-row">
+                <label>
+                  🏛️ Seats:
+                  <input
+                    type="number"
+                    min="1"
+                    value={seatsInput ?? seatCount}
+                    onChange={(e) => setSeatsInput(e.target.value)}
+                    disabled={votingStarted || loading}
+                    className="seats-input"
+                  />
+                </label>
+                {ballotType === BALLOT_TYPES.APPROVAL && (
+                  <label>
+                    ✅ Approvals per ballot:
+                    <input
+                      type="number"
+                      min="1"
+                      value={maxSelectionsInput ?? maxSelections}
+                      onChange={(e) => setMaxSelectionsInput(e.target.value)}
+                      disabled={votingStarted || loading}
+                      className="seats-input"
+                    />
+                  </label>
+                )}
+                <button
+                  onClick={handleSetSeats}
+                  disabled={votingStarted || loading || (seatsInput === null && maxSelectionsInput === null)}
+                  className="btn btn-primary"
+                >
+                  {loading ? 'Saving...' : 'Set Seats'}
+                </button>
+              </div>
+              <div className="toggle-row seats-row">
+                <label>
+                  🎯 Quorum:
+                  <input
+                    type="number"
+                    min="0"
+                    value={quorumInput ?? turnout.quorum}
+                    onChange={(e) => setQuorumInput(e.target.value)}
+                    disabled={votingStarted || loading}
+                    className="seats-input"
+                  />
+                </label>
+                <select
+                  value={(quorumPercentInput ?? turnout.quorumIsPercent) ? 'percent' : 'ballots'}
+                  onChange={(e) => setQuorumPercentInput(e.target.value === 'percent')}
+                  disabled={votingStarted || loading}
+                  className="ballot-type-select"
+                >
+                  <option value="ballots">ballots</option>
+                  {/* Merkle voters only count once they vote, so there is no total to take a percentage of */}
+                  <option value="percent" disabled={merkleRoll}>% of registered voters</option>
+                </select>
+                <button
+                  onClick={handleSetQuorum}
+                  disabled={votingStarted || loading || (quorumInput === null && quorumPercentInput === null)}
+                  className="btn btn-primary"
+                >
+                  {loading ? 'Saving...' : 'Set Quorum'}
+                </button>
+              </div>
+              <label className="toggle-row">
+                <input
+                  type="checkbox"
+                  checked={secretBallot}
+                  onChange={handleToggleSecretBallot}
+                  disabled={votingStarted || loading || ballotType !== BALLOT_TYPES.PLURALITY || questions.length > 0}
+                />
+                <span>🔒 Secret ballot (commit-reveal)</span>
+              </label>
+            </>
           )}
-        </form>
-      </div>
+          <PhaseIndicator
+            schedule={schedule}
+            electionRunning={electionRunning}
+            revealPhase={revealPhase}
+          />
+        </div>
+      )}
 
-      {/* Register Voter Section */}
-      <div className="admin-section">
-        <h3>Register Voter</h3>
-        <form onSubmit={handleRegisterVoter}>
+      {/* Roles Section */}
+      {isOwner && (
+        <div className="admin-section">
+          <h3>Roles</h3>
           <div className="form-group">
             <input
               type="text"
-              placeholder="Enter voter address (0x...)"
-              value={voterAddress}
-              onChange={(e) => setVoterAddress(e.target.value)}
+              placeholder="Account address (0x...)"
+              value={roleAddress}
+              onChange={(e) => setRoleAddress(e.target.value)}
               disabled={loading}
               className="form-input"
             />
-            <button 
-              type="submit" 
+            <select
+              value={roleInput}
+              onChange={(e) => setRoleInput(e.target.value)}
               disabled={loading}
-              className="btn btn-primary"
+              className="ballot-type-select"
             >
-              {loading ? 'Registering...' : 'Register Voter'}
+              <option value={ROLES.REGISTRAR}>Registrar (voter roll)</option>
+              <option value={ROLES.OFFICER}>Officer (start / end voting)</option>
+            </select>
+          </div>
+          <div className="button-group">
+            <button onClick={() => handleRoleChange(true)} disabled={loading} className="btn btn-success">
+              ➕ Grant Role
+            </button>
+            <button onClick={() => handleRoleChange(false)} disabled={loading} className="btn btn-danger">
+              ➖ Revoke Role
             </button>
           </div>
-          <p className="info-text">💡 Tip: Use MetaMask account addresses</p>
-        </form>
-      </div>
 
-      {/* Election Controls */}
-      <div className="admin-section">
-        <h3>Election Controls</h3>
-        <div className="button-group">
-          <button
-            onClick={handleStartElection}
-            disabled={electionRunning || loading}
-            className="btn btn-success"
-          >
-            {loading ? 'Starting...' : '▶️ Start Election'}
-          </button>
-          <button
-            onClick={handleEndElection}
-            disabled={!electionRunning || loading}
-            className="btn btn-danger"
-          >
-            {loading ? 'Ending...' : '⏹️ End Election'}
-          </button>
-        </div>
-        <div className="status-indicator">
-          <span className={`status-dot ${electionRunning ? 'running' : 'stopped'}`}></span>
-          <span className="status-text">
-            Election Status: {electionRunning ? '🟢 RUNNING' : '🔴 NOT RUNNING'}
-          </span>
+          <h3 className="subsection-title">Transfer Ownership</h3>
+          <div className="form-group">
+            <input
+              type="text"
+              placeholder="New owner address (0x...)"
+              value={newAdmin}
+              onChange={(e) => setNewAdmin(e.target.value)}
+              disabled={loading}
+              className="form-input"
+            />
+            <button onClick={() => handleTransferAdmin(false)} disabled={loading} className="btn btn-primary">
+              📨 Offer Ownership
+            </button>
+          </div>
+          {roles.pendingAdmin && (
+            <div className="button-group">
+              <p className="info-text">
+                ⏳ Waiting for <code>{roles.pendingAdmin}</code> to accept
+              </p>
+              <button onClick={() => handleTransferAdmin(true)} disabled={loading} className="btn btn-danger">
+                Cancel Transfer
+              </button>
+            </div>
+          )}
+          <p className="info-text">💡 Ownership moves only when the new owner accepts it from their own account.</p>
         </div>
-      </div>
+      )}
     </div>
   );
 };
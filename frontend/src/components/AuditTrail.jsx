@@ -0,0 +1,143 @@
+// frontend/src/components/AuditTrail.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { getAuditTrail } from '../ethereum/evoting';
+import {
+  AUDIT_CATEGORIES,
+  getAuditCategory,
+  describeAuditEvent,
+  auditLogToCsv,
+  shortAddress
+} from '../utils/auditLog';
+import { downloadFile } from '../utils/download';
+import './AuditTrail.css';
+
+/**
+ * AuditTrail Component
+ * Timeline of every event the election contract has emitted since it was created,
+ * with filters and CSV / JSON export for observers
+ */
+const AuditTrail = ({ electionId, candidates }) => {
+  const [entries, setEntries] = useState([]);
+  const [category, setCategory] = useState('all');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const candidateNames = Object.fromEntries(candidates.map(c => [c.id, c.name]));
+
+  const loadTrail = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      setEntries(await getAuditTrail(electionId));
+    } catch (err) {
+      console.error(err);
+      setError('Failed to load the audit trail.');
+    } finally {
+      setLoading(false);
+    }
+  }, [electionId]);
+
+  useEffect(() => {
+    loadTrail();
+  }, [loadTrail]);
+
+  // Apply the category and free-text filters
+  const query = search.trim().toLowerCase();
+  const visible = entries.filter((entry) => {
+    if (category !== 'all' && getAuditCategory(entry) !== category) {
+      return false;
+    }
+    if (!query) {
+      return true;
+    }
+    const haystack = [
+      entry.name,
+      entry.from,
+      entry.transactionHash,
+      describeAuditEvent(entry, candidateNames),
+      JSON.stringify(entry.args)
+    ].join(' ').toLowerCase();
+    return haystack.includes(query);
+  });
+
+  const handleExportCsv = () => {
+    downloadFile(`election-${electionId}-audit.csv`, auditLogToCsv(visible, candidateNames), 'text/csv');
+  };
+
+  const handleExportJson = () => {
+    downloadFile(`election-${electionId}-audit.json`, JSON.stringify(visible, null, 2), 'application/json');
+  };
+
+  return (
+    <div className="audit-trail">
+      <div className="audit-header">
+        <h2>📜 Audit Trail</h2>
+        <button onClick={loadTrail} disabled={loading} className="audit-btn">
+          {loading ? '⏳ Loading...' : '🔄 Reload'}
+        </button>
+      </div>
+      <p className="audit-intro">
+        Every event recorded by this election's contract, read directly from the blockchain.
+      </p>
+
+      <div className="audit-controls">
+        <select
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          className="audit-select"
+        >
+          <option value="all">All events</option>
+          {Object.entries(AUDIT_CATEGORIES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Search address, transaction or text..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="audit-search"
+        />
+        <button onClick={handleExportCsv} disabled={visible.length === 0} className="audit-btn">
+          📄 Export CSV
+        </button>
+        <button onClick={handleExportJson} disabled={visible.length === 0} className="audit-btn">
+          🧾 Export JSON
+        </button>
+      </div>
+
+      {error && <div className="audit-error">❌ {error}</div>}
+
+      <p className="audit-count">
+        Showing {visible.length} of {entries.length} events
+      </p>
+
+      {visible.length === 0 && !loading ? (
+        <div className="audit-empty">No events match the current filters.</div>
+      ) : (
+        <ol className="audit-timeline">
+          {visible.map((entry) => (
+            <li
+              key={`${entry.transactionHash}-${entry.logIndex}`}
+              className={`audit-entry audit-${getAuditCategory(entry)}`}
+            >
+              <div className="audit-entry-main">
+                <span className="audit-event-name">{entry.name}</span>
+                <span className="audit-description">{describeAuditEvent(entry, candidateNames)}</span>
+              </div>
+              <div className="audit-entry-meta">
+                <span>🕒 {new Date(entry.timestamp * 1000).toLocaleString()}</span>
+                <span>📦 Block {entry.blockNumber}</span>
+                <span title={entry.transactionHash}>🔗 Tx {shortAddress(entry.transactionHash)}</span>
+                <span title={entry.from}>👤 {shortAddress(entry.from)}</span>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default AuditTrail;
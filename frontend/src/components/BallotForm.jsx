@@ -0,0 +1,137 @@
+// frontend/src/components/BallotForm.jsx
+import React, { useState } from 'react';
+import RankedBallot from './RankedBallot';
+import './BallotForm.css';
+
+/**
+ * BallotForm Component
+ * A ballot with a candidate choice (ranking or approvals) and every ballot question,
+ * cast in one transaction. The voter reviews all answers before submitting.
+ */
+const BallotForm = ({ candidates, questions, rankedChoice, approval, maxSelections, loading, onSubmit }) => {
+  const [step, setStep] = useState('fill'); // 'fill' | 'review'
+  const [candidateId, setCandidateId] = useState(null);
+  const [ranking, setRanking] = useState([]);
+  const [selection, setSelection] = useState([]);
+  const [answers, setAnswers] = useState({}); // question id -> option index
+
+  const nameOf = (id) => candidates.find(c => c.id === id).name;
+  const choiceMade = rankedChoice ? ranking.length > 0 : approval ? selection.length > 0 : candidateId !== null;
+  const complete = choiceMade &&
+    questions.every(q => answers[q.id] !== undefined);
+
+  const handleConfirm = () => {
+    onSubmit({
+      candidateId,
+      ranking,
+      selection,
+      answers: questions.map(q => answers[q.id])
+    });
+  };
+
+  if (step === 'review') {
+    return (
+      <div className="ballot-form">
+        <h3>🧾 Review your ballot</h3>
+        <p className="ballot-help">Check every answer. Your ballot can't be changed once it is cast.</p>
+
+        <dl className="ballot-review">
+          <dt>{rankedChoice ? '🗳️ Your ranking' : approval ? '🗳️ Approved' : '🗳️ Candidate'}</dt>
+          <dd>
+            {rankedChoice
+              ? ranking.map((id, i) => `${i + 1}. ${nameOf(id)}`).join('  ·  ')
+              : approval
+                ? selection.map(nameOf).join(', ')
+                : nameOf(candidateId)}
+          </dd>
+          {questions.map((question) => (
+            <React.Fragment key={question.id}>
+              <dt>❓ {question.text}</dt>
+              <dd>{question.options[answers[question.id]].label}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+
+        <div className="ballot-actions">
+          <button onClick={() => setStep('fill')} disabled={loading} className="ballot-btn ballot-btn-secondary">
+            ✏️ Edit
+          </button>
+          <button onClick={handleConfirm} disabled={loading} className="ballot-btn">
+            {loading ? '⏳ Casting...' : '✅ Confirm & Cast'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="ballot-form">
+      <h3>🗳️ Your ballot</h3>
+      <p className="ballot-help">Answer every part of the ballot, then review it before casting.</p>
+
+      {rankedChoice ? (
+        <RankedBallot candidates={candidates} loading={loading} onChange={setRanking} initialRanking={ranking} />
+      ) : approval ? (
+        <fieldset className="ballot-question" disabled={loading}>
+          <legend>Candidates (approve up to {maxSelections})</legend>
+          {candidates.map((candidate) => {
+            const checked = selection.includes(candidate.id);
+            return (
+              <label key={candidate.id} className="ballot-option">
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  disabled={!checked && selection.length >= maxSelections}
+                  onChange={() => setSelection(checked
+                    ? selection.filter(id => id !== candidate.id)
+                    : [...selection, candidate.id])}
+                />
+                <span>{candidate.name}{candidate.party && ` · ${candidate.party}`}</span>
+              </label>
+            );
+          })}
+        </fieldset>
+      ) : (
+        <fieldset className="ballot-question" disabled={loading}>
+          <legend>Candidate</legend>
+          {candidates.map((candidate) => (
+            <label key={candidate.id} className="ballot-option">
+              <input
+                type="radio"
+                name="ballot-candidate"
+                checked={candidateId === candidate.id}
+                onChange={() => setCandidateId(candidate.id)}
+              />
+              <span>{candidate.name}{candidate.party && ` · ${candidate.party}`}</span>
+            </label>
+          ))}
+        </fieldset>
+      )}
+
+      {questions.map((question) => (
+        <fieldset key={question.id} className="ballot-question" disabled={loading}>
+          <legend>{question.id}. {question.text}</legend>
+          {question.options.map((option, index) => (
+            <label key={index} className="ballot-option">
+              <input
+                type="radio"
+                name={`ballot-question-${question.id}`}
+                checked={answers[question.id] === index}
+                onChange={() => setAnswers({ ...answers, [question.id]: index })}
+              />
+              <span>{option.label}</span>
+            </label>
+          ))}
+        </fieldset>
+      ))}
+
+      <div className="ballot-actions">
+        <button onClick={() => setStep('review')} disabled={loading || !complete} className="ballot-btn">
+          🧾 Review Ballot
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BallotForm;
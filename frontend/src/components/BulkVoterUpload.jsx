@@ -0,0 +1,160 @@
+// frontend/src/components/BulkVoterUpload.jsx
+import React, { useState } from 'react';
+import { registerVoters } from '../ethereum/evoting';
+import { parseVoterRoll, chunk } from '../utils/voterRoll';
+import './BulkVoterUpload.css';
+
+// Addresses per registerVoters transaction
+const CHUNK_SIZE = 100;
+
+/**
+ * BulkVoterUpload Component
+ * Lets the admin register a whole voter roll from a CSV or JSON file
+ */
+const BulkVoterUpload = ({ electionId, disabled, onUpdate }) => {
+  const [fileName, setFileName] = useState('');
+  const [roll, setRoll] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  // Read and validate the selected file
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    setRoll(null);
+    setResult(null);
+    setError('');
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setFileName(file.name);
+        setRoll(parseVoterRoll(reader.result, file.name));
+      } catch (err) {
+        console.error(err);
+        setError(`Could not read ${file.name}: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  // Submit the valid addresses in chunks
+  const handleSubmit = async () => {
+    const chunks = chunk(roll.valid, CHUNK_SIZE);
+    const registered = [];
+    const skipped = [];
+
+    try {
+      setError('');
+      for (let i = 0; i < chunks.length; i++) {
+        setProgress({ current: i + 1, total: chunks.length });
+        const chunkResult = await registerVoters(
+          electionId,
+          chunks[i].map(entry => entry.address),
+          chunks[i].map(entry => entry.weight)
+        );
+        registered.push(...chunkResult.registered);
+        skipped.push(...chunkResult.skipped);
+      }
+      setRoll(null);
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      setError(`Stopped after ${registered.length + skipped.length} addresses. Re-upload the file to continue; registered voters will be skipped.`);
+    } finally {
+      setProgress(null);
+      setResult({ registered, skipped });
+    }
+  };
+
+  return (
+    <div className="bulk-upload">
+      <h4>📂 Bulk Upload (CSV or JSON)</h4>
+      <input
+        type="file"
+        accept=".csv,.txt,.json"
+        onChange={handleFileChange}
+        disabled={disabled || progress !== null}
+        className="bulk-file-input"
+      />
+      <p className="info-text">
+        💡 CSV: one address per line (first column), with an optional weight in the second column. JSON: an array of addresses or of {'{ "address": "0x...", "weight": 10 }'} objects. Weights default to 1.
+      </p>
+
+      {error && <div className="message error-message">❌ {error}</div>}
+
+      {/* Preview */}
+      {roll && (
+        <div className="bulk-preview">
+          <p>
+            <strong>{fileName}</strong>: {roll.valid.length} valid, {roll.duplicates.length} duplicate, {roll.invalid.length} invalid
+            {' '}(total weight {roll.valid.reduce((sum, entry) => sum + entry.weight, 0)})
+          </p>
+
+          {roll.duplicates.length > 0 && (
+            <details>
+              <summary>Duplicates in file ({roll.duplicates.length})</summary>
+              <ul>
+                {roll.duplicates.map((d) => (
+                  <li key={`dup-${d.row}`}>Row {d.row}: {d.address}</li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          {roll.invalid.length > 0 && (
+            <details open>
+              <summary>Invalid rows ({roll.invalid.length})</summary>
+              <ul>
+                {roll.invalid.map((row) => (
+                  <li key={`bad-${row.row}`}>Row {row.row}: "{row.value}" ({row.reason})</li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          <button
+            onClick={handleSubmit}
+            disabled={disabled || progress !== null || roll.valid.length === 0}
+            className="btn btn-primary"
+          >
+            Register {roll.valid.length} Voters ({Math.ceil(roll.valid.length / CHUNK_SIZE)} transactions)
+          </button>
+        </div>
+      )}
+
+      {/* Progress */}
+      {progress && (
+        <div className="bulk-progress">
+          <p>⏳ Submitting batch {progress.current} of {progress.total}...</p>
+          <div className="bulk-progress-bar">
+            <div
+              className="bulk-progress-fill"
+              style={{ width: `${((progress.current - 1) / progress.total) * 100}%` }}
+            ></div>
+          </div>
+        </div>
+      )}
+
+      {/* Result */}
+      {result && (
+        <div className="bulk-result">
+          <p>✅ {result.registered.length} voters registered.</p>
+          {result.skipped.length > 0 && (
+            <details>
+              <summary>⚠️ {result.skipped.length} already registered, skipped</summary>
+              <ul>
+                {result.skipped.map((address) => (
+                  <li key={`skip-${address}`}>{address}</li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkVoterUpload;
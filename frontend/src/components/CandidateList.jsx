@@ -1,23 +1,45 @@
 // frontend/src/components/CandidateList.jsx
 import React, { useState } from 'react';
-import { castVote } from '../ethereum/evoting';
+import { castVote, castRankedVote, castApprovalVote, commitVote, revealVote, BALLOT_TYPES } from '../ethereum/evoting';
+import RankedBallot from './RankedBallot';
+import BallotForm from './BallotForm';
+import RunoffResults from './RunoffResults';
+import QuestionResults from './QuestionResults';
+import { resolveImageURI, safeExternalLink } from '../utils/candidateProfile';
 import './CandidateList.css';
 
 /**
  * CandidateList Component
- * Displays all candidates and allows voting
+ * Displays candidate profile cards and allows voting
+ * Withdrawn candidates are left off the ballot and listed separately for the record
+ * When the election has ballot questions, voting goes through BallotForm instead
+ * Approval ballots tick up to maxSelections candidates; multi-seat elections show the elected set
+ * Results of an election whose recorded final turnout missed its quorum are marked invalid
  */
 const CandidateList = ({ 
+  electionId,
   candidates, 
+  questions,
   canVote, 
+  canReveal,
   electionRunning,
+  secretBallot,
+  revealPhase,
+  ballotType,
+  seatCount,
+  maxSelections,
+  runoff,
   winner,
+  elected,
+  quorumMissed,
   onUpdate 
 }) => {
   const [loading, setLoading] = useState(false);
   const [selectedCandidate, setSelectedCandidate] = useState(null);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [gasless, setGasless] = useState(false);
+  const [approvals, setApprovals] = useState([]);
 
   // Handle vote submission
   const handleVote = async (candidateId) => {
@@ -29,13 +51,22 @@ const CandidateList = ({
       setLoading(true);
       setError('');
       setSelectedCandidate(candidateId);
-      await castVote(candidateId);
-      setSuccess('Vote cast successfully!');
+      if (secretBallot) {
+        await commitVote(electionId, candidateId);
+        setSuccess('Vote committed! Your salt is saved in this browser. Come back to reveal it after voting ends.');
+      } else {
+        await castVote(electionId, candidateId, { gasless });
+        setSuccess(gasless
+          ? 'Ballot signed and sent to the relayer. It will be counted once the relayer submits it.'
+          : 'Vote cast successfully!');
+      }
       setTimeout(() => setSuccess(''), 3000);
       onUpdate();
     } catch (err) {
       console.error(err);
-      setError('Failed to cast vote. Make sure you are registered and haven\'t voted yet.');
+      setError(gasless
+        ? `Failed to relay ballot: ${err.message}`
+        : 'Failed to cast vote. Make sure you are registered and haven\'t voted yet.');
       setTimeout(() => setError(''), 3000);
     } finally {
       setLoading(false);
@@ -43,9 +74,115 @@ const CandidateList = ({
     }
   };
 
-  // Calculate percentage of votes
+  // Handle ranked-choice ballot submission
+  const handleRankedVote = async (ranking) => {
+    try {
+      setLoading(true);
+      setError('');
+      await castRankedVote(electionId, ranking);
+      setSuccess('Ranking submitted successfully!');
+      setTimeout(() => setSuccess(''), 3000);
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      setError('Failed to submit ranking. Make sure you are registered and haven\'t voted yet.');
+      setTimeout(() => setError(''), 3000);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Tick or untick a candidate on an approval ballot
+  const toggleApproval = (candidateId) => {
+    setApprovals(current => (current.includes(candidateId)
+      ? current.filter(id => id !== candidateId)
+      : [...current, candidateId]));
+  };
+
+  // Handle approval ballot submission
+  const handleApprovalVote = async () => {
+    if (!window.confirm(`Approve ${approvals.map(nameOf).join(', ')}?`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await castApprovalVote(electionId, approvals);
+      setApprovals([]);
+      setSuccess('Approval ballot cast successfully!');
+      setTimeout(() => setSuccess(''), 3000);
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      setError('Failed to cast approval ballot. Make sure you are registered and haven\'t voted yet.');
+      setTimeout(() => setError(''), 3000);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle a full ballot: candidate choice (or ranking) plus an answer to every question
+  const handleBallot = async ({ candidateId, ranking, selection, answers }) => {
+    try {
+      setLoading(true);
+      setError('');
+      if (rankedChoice) {
+        await castRankedVote(electionId, ranking, answers);
+      } else if (approval) {
+        await castApprovalVote(electionId, selection, answers);
+      } else {
+        await castVote(electionId, candidateId, { answers });
+      }
+      setSuccess('Ballot cast successfully!');
+      setTimeout(() => setSuccess(''), 3000);
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      setError('Failed to cast ballot. Make sure you are registered and haven\'t voted yet.');
+      setTimeout(() => setError(''), 3000);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle reveal of a committed vote
+  const handleReveal = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await revealVote(electionId);
+      setSuccess('Vote revealed and counted!');
+      setTimeout(() => setSuccess(''), 3000);
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      setError('Failed to reveal vote. Make sure you committed from this browser.');
+      setTimeout(() => setError(''), 3000);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Tallies stay hidden until the reveal phase in secret ballot mode
+  const talliesHidden = secretBallot && electionRunning;
+  const rankedChoice = ballotType === BALLOT_TYPES.RANKED_CHOICE;
+  const approval = ballotType === BALLOT_TYPES.APPROVAL;
+  // Questions are only allowed on plaintext ballots
+  const questionBallot = questions.length > 0 && !secretBallot;
+  const activeCandidates = candidates.filter(c => !c.withdrawn);
+  const withdrawnCandidates = candidates.filter(c => c.withdrawn);
+  const totalVotes = candidates.reduce((sum, c) => sum + c.voteCount, 0);
+  const totalVoters = candidates.reduce((sum, c) => sum + c.voterCount, 0);
+
+  // Get candidate name from ID
+  const nameOf = (id) => {
+    const candidate = candidates.find(c => c.id === id);
+    return candidate ? candidate.name : `#${id}`;
+  };
+
+  // Calculate percentage of the weighted votes
   const calculatePercentage = (voteCount) => {
-    const totalVotes = candidates.reduce((sum, c) => sum + c.voteCount, 0);
     if (totalVotes === 0) return 0;
     return ((voteCount / totalVotes) * 100).toFixed(1);
   };
@@ -58,58 +195,177 @@ const CandidateList = ({
       {error && <div className="message error-message">❌ {error}</div>}
       {success && <div className="message success-message">✅ {success}</div>}
 
-      {/* Winner Banner */}
-      {winner && !electionRunning && (
+      {/* Reveal Banner */}
+      {revealPhase && canReveal && (
+        <div className="reveal-banner">
+          <h3>🔓 Reveal your vote</h3>
+          <p>Voting has closed. Reveal your committed ballot so it is counted.</p>
+          <button onClick={handleReveal} disabled={loading} className="vote-btn">
+            {loading ? '⏳ Revealing...' : '🔓 Reveal Vote'}
+          </button>
+        </div>
+      )}
+
+      {/* Quorum */}
+      {(winner || elected) && quorumMissed && (
+        <div className="quorum-banner">⚠️ Quorum not reached: this result is invalid</div>
+      )}
+
+      {/* Elected Set (multi-seat elections) */}
+      {elected && !electionRunning && (
         <div className="winner-banner">
-          <h3>🏆 Winner: {winner.name}</h3>
-          <p>Total Votes: {winner.voteCount}</p>
+          <h3>🏛️ Elected ({seatCount} seats): {elected.electedIds.map(nameOf).join(', ') || 'nobody yet'}</h3>
+          {elected.tiedIds.length > 0 && (
+            <p className="tie-note">
+              🤝 {elected.tiedIds.map(nameOf).join(', ')} tied for the remaining {seatCount - elected.electedIds.length} seat(s), which stay open
+            </p>
+          )}
         </div>
       )}
 
+      {/* Winner Banner */}
+      {winner && !elected && !electionRunning && (
+        winner.winnerId ? (
+          <div className="winner-banner">
+            <h3>🏆 Winner: {nameOf(winner.winnerId)}</h3>
+            <p>Total Votes: {winner.voteCount}</p>
+            {winner.tied && (
+              <p className="tie-note">
+                Tie-break between {winner.leaderIds.map(nameOf).join(', ')} resolved by the election's tie-break policy
+              </p>
+            )}
+          </div>
+        ) : (
+          <div className="winner-banner tie-banner">
+            <h3>🤝 Tie: {winner.leaderIds.map(nameOf).join(' & ')}</h3>
+            <p>{winner.voteCount} votes each. No single winner has been declared.</p>
+          </div>
+        )
+      )}
+
+      {/* Ballot with questions */}
+      {questionBallot && canVote && electionRunning && activeCandidates.length > 0 && (
+        <BallotForm
+          candidates={activeCandidates}
+          questions={questions}
+          rankedChoice={rankedChoice}
+          approval={approval}
+          maxSelections={maxSelections}
+          loading={loading}
+          onSubmit={handleBallot}
+        />
+      )}
+
+      {/* Ranked-choice Ballot */}
+      {rankedChoice && !questionBallot && canVote && electionRunning && activeCandidates.length > 0 && (
+        <RankedBallot
+          candidates={activeCandidates}
+          loading={loading}
+          onSubmit={handleRankedVote}
+        />
+      )}
+
+      {/* Weighted total and headcount */}
+      {/* An approval ballot counts once for every candidate it approves, so headcounts don't add up */}
+      {!talliesHidden && totalVoters > 0 && (
+        <p className="tally-summary">
+          {approval
+            ? `✅ ${totalVotes} weighted ${totalVotes === 1 ? 'approval' : 'approvals'}`
+            : `⚖️ ${totalVotes} ${totalVotes === 1 ? 'vote' : 'votes'} from ${totalVoters} ${totalVoters === 1 ? 'voter' : 'voters'}`}
+        </p>
+      )}
+
       {/* Candidates Grid */}
-      {candidates.length === 0 ? (
+      {activeCandidates.length === 0 ? (
         <div className="no-candidates">
           <p>No candidates available yet.</p>
           <p>Admin needs to add candidates.</p>
         </div>
       ) : (
         <div className="candidates-grid">
-          {candidates.map((candidate) => {
-            const isWinner = winner && winner.id === candidate.id;
+          {activeCandidates.map((candidate) => {
+            const isWinner = elected
+              ? elected.electedIds.includes(candidate.id)
+              : winner && winner.winnerId === candidate.id;
+            const isTied = elected
+              ? elected.tiedIds.includes(candidate.id)
+              : winner && !isWinner && winner.tied && winner.leaderIds.includes(candidate.id);
             const percentage = calculatePercentage(candidate.voteCount);
+            const imageUrl = resolveImageURI(candidate.imageURI);
+            const link = safeExternalLink(candidate.link);
             
             return (
               <div 
                 key={candidate.id} 
                 className={`candidate-card ${isWinner ? 'winner-card' : ''}`}
               >
-                {isWinner && <div className="winner-badge">👑 Winner</div>}
+                {isWinner && <div className="winner-badge">{elected ? '🎖️ Elected' : '👑 Winner'}</div>}
+                {isTied && <div className="winner-badge">🤝 Tied</div>}
                 
                 <div className="candidate-header">
-                  <h3>{candidate.name}</h3>
+                  {imageUrl && (
+                    <img src={imageUrl} alt={candidate.name} className="candidate-photo" />
+                  )}
+                  <div className="candidate-title">
+                    <h3>{candidate.name}</h3>
+                    {candidate.party && <span className="candidate-party">🏛️ {candidate.party}</span>}
+                  </div>
                   <span className="candidate-id">ID: {candidate.id}</span>
                 </div>
 
-                <div className="vote-info">
-                  <div className="vote-count">
-                    <span className="count-label">Votes:</span>
-                    <span className="count-value">{candidate.voteCount}</span>
-                  </div>
-                  <div className="vote-percentage">
-                    {percentage}%
+                {candidate.bio && <p className="candidate-bio">{candidate.bio}</p>}
+                {link && (
+                  <a href={link} target="_blank" rel="noopener noreferrer" className="candidate-link">
+                    🔗 More about {candidate.name}
+                  </a>
+                )}
+
+                {talliesHidden ? (
+                  <div className="vote-info">
+                    <span className="count-label">🔒 Tally hidden until reveal</span>
                   </div>
-                </div>
+                ) : (
+                  <>
+                    <div className="vote-info">
+                      <div className="vote-count">
+                        <span className="count-label">
+                          {rankedChoice ? 'First preferences:' : approval ? 'Approvals:' : 'Votes:'}
+                        </span>
+                        <span className="count-value">{candidate.voteCount}</span>
+                        <span className="count-label">
+                          👥 {candidate.voterCount} {candidate.voterCount === 1 ? 'voter' : 'voters'}
+                        </span>
+                      </div>
+                      <div className="vote-percentage">
+                        {percentage}%
+                      </div>
+                    </div>
 
-                {/* Progress Bar */}
-                <div className="progress-bar">
-                  <div 
-                    className="progress-fill" 
-                    style={{ width: `${percentage}%` }}
-                  ></div>
-                </div>
+                    {/* Progress Bar */}
+                    <div className="progress-bar">
+                      <div 
+                        className="progress-fill" 
+                        style={{ width: `${percentage}%` }}
+                      ></div>
+                    </div>
+                  </>
+                )}
+
+                {/* Approval Checkbox */}
+                {canVote && electionRunning && approval && !questionBallot && (
+                  <label className={`approve-toggle ${approvals.includes(candidate.id) ? 'approved' : ''}`}>
+                    <input
+                      type="checkbox"
+                      checked={approvals.includes(candidate.id)}
+                      onChange={() => toggleApproval(candidate.id)}
+                      disabled={loading || (!approvals.includes(candidate.id) && approvals.length >= maxSelections)}
+                    />
+                    <span>✅ Approve</span>
+                  </label>
+                )}
 
                 {/* Vote Button */}
-                {canVote && electionRunning && (
+                {canVote && electionRunning && !rankedChoice && !approval && !questionBallot && (
                   <button
                     onClick={() => handleVote(candidate.id)}
                     disabled={loading}
@@ -117,7 +373,7 @@ const CandidateList = ({
                   >
                     {selectedCandidate === candidate.id && loading 
                       ? '⏳ Voting...' 
-                      : '🗳️ Vote'}
+                      : secretBallot ? '🔒 Commit Vote' : '🗳️ Vote'}
                   </button>
                 )}
               </div>
@@ -126,10 +382,62 @@ const CandidateList = ({
         </div>
       )}
 
+      {/* Withdrawn candidates, kept for the record */}
+      {withdrawnCandidates.length > 0 && (
+        <div className="withdrawn-candidates">
+          <h3>🚫 Withdrawn</h3>
+          <ul>
+            {withdrawnCandidates.map((candidate) => (
+              <li key={candidate.id}>
+                #{candidate.id} {candidate.name}
+                {candidate.party && ` · ${candidate.party}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Instant-runoff rounds */}
+      {rankedChoice && runoff && runoff.rounds.length > 0 && (
+        <RunoffResults runoff={runoff} candidates={activeCandidates} />
+      )}
+
+      {/* Ballot question tallies */}
+      {questions.length > 0 && <QuestionResults questions={questions} />}
+
       {/* Voting Instructions */}
-      {canVote && electionRunning && (
+      {canVote && electionRunning && !rankedChoice && !questionBallot && (
         <div className="voting-instructions">
-          <p>💡 Click "Vote" on your preferred candidate to cast your vote.</p>
+          {approval ? (
+            <>
+              <p>💡 Tick every candidate you approve of, up to {maxSelections}, then cast your ballot.</p>
+              <button
+                onClick={handleApprovalVote}
+                disabled={loading || approvals.length === 0}
+                className="vote-btn approval-submit"
+              >
+                {loading ? '⏳ Voting...' : `🗳️ Cast Approval Ballot (${approvals.length} of ${maxSelections})`}
+              </button>
+            </>
+          ) : secretBallot ? (
+            <>
+              <p>💡 Click "Commit Vote" to submit a sealed ballot. Only its hash goes on-chain.</p>
+              <p>🔑 Your secret salt is stored in this browser. Reveal from the same browser after voting ends, or your vote won't count.</p>
+            </>
+          ) : (
+            <>
+              <p>💡 Click "Vote" on your preferred candidate to cast your vote.</p>
+              <label className="gasless-toggle">
+                <input
+                  type="checkbox"
+                  checked={gasless}
+                  onChange={(e) => setGasless(e.target.checked)}
+                  disabled={loading}
+                />
+                <span>⛽ Vote without gas (sign the ballot and let the relayer submit it)</span>
+              </label>
+            </>
+          )}
           <p>⚠️ You can only vote once. Choose carefully!</p>
         </div>
       )}
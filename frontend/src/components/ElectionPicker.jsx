@@ -0,0 +1,102 @@
+// frontend/src/components/ElectionPicker.jsx
+import React, { useState } from 'react';
+import { createElection } from '../ethereum/evoting';
+import './ElectionPicker.css';
+
+/**
+ * ElectionPicker Component
+ * Lists the elections created by the factory, lets the user switch between them
+ * and, with a connected wallet, create a new one with a title and description
+ */
+const ElectionPicker = ({ elections, selectedId, canCreate, onSelect, onCreated }) => {
+  const [showCreate, setShowCreate] = useState(false);
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Handle create election
+  const handleCreateElection = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) {
+      setError('Please enter a title for the election.');
+      setTimeout(() => setError(''), 3000);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      const electionId = await createElection({ title: title.trim(), description: description.trim() });
+      setTitle('');
+      setDescription('');
+      setShowCreate(false);
+      onCreated(electionId);
+    } catch (err) {
+      console.error(err);
+      setError('Failed to create election.');
+      setTimeout(() => setError(''), 3000);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="election-picker">
+      <div className="picker-row">
+        <label htmlFor="election-select" className="picker-label">🗂️ Election:</label>
+        {elections.length === 0 ? (
+          <span className="picker-empty">No elections yet</span>
+        ) : (
+          <select
+            id="election-select"
+            value={selectedId || ''}
+            onChange={(e) => onSelect(Number(e.target.value))}
+            className="picker-select"
+          >
+            {elections.map((election) => (
+              <option key={election.id} value={election.id}>
+                #{election.id} {election.title} ({election.address.slice(0, 6)}...{election.address.slice(-4)})
+              </option>
+            ))}
+          </select>
+        )}
+        {canCreate && (
+          <button
+            onClick={() => setShowCreate(!showCreate)}
+            disabled={loading}
+            className="picker-create-btn"
+          >
+            {showCreate ? '✖️ Cancel' : '➕ New Election'}
+          </button>
+        )}
+      </div>
+      {canCreate && showCreate && (
+        <form onSubmit={handleCreateElection} className="picker-create-form">
+          <input
+            type="text"
+            placeholder="Election title"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className="picker-input"
+            disabled={loading}
+          />
+          <textarea
+            placeholder="Description (optional)"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            className="picker-input"
+            rows={2}
+            disabled={loading}
+          />
+          <button type="submit" disabled={loading} className="picker-create-btn">
+            {loading ? '⏳ Creating...' : '🗳️ Create Election'}
+          </button>
+        </form>
+      )}
+      {error && <div className="picker-error">❌ {error}</div>}
+    </div>
+  );
+};
+
+export default ElectionPicker;
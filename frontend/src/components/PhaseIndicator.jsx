@@ -0,0 +1,93 @@
+// frontend/src/components/PhaseIndicator.jsx
+import React, { useState, useEffect } from 'react';
+import './PhaseIndicator.css';
+
+// Format a number of seconds as "1d 2h 3m 4s"
+const formatCountdown = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  return `${days > 0 ? `${days}d ` : ''}${hours}h ${minutes}m ${secs}s`;
+};
+
+// Format a unix timestamp for display
+const formatTime = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+// Work out the current phase label and the next deadline to count down to
+const getPhase = (schedule, now, electionRunning, revealPhase) => {
+  if (revealPhase) {
+    return { label: '🔓 Reveal Phase', className: 'reveal' };
+  }
+  if (electionRunning) {
+    return {
+      label: '🟢 Voting Open',
+      className: 'voting',
+      target: schedule.votingEnd > now ? schedule.votingEnd : 0,
+      targetLabel: 'Voting closes in'
+    };
+  }
+  if (schedule.votingStart > now) {
+    return {
+      label: '⏳ Scheduled',
+      className: 'scheduled',
+      target: schedule.votingStart,
+      targetLabel: 'Voting opens in'
+    };
+  }
+  if (schedule.votingEnd !== 0 && schedule.votingEnd <= now) {
+    return { label: '🏁 Voting Closed', className: 'ended' };
+  }
+  return { label: '📝 Setup', className: 'setup' };
+};
+
+/**
+ * PhaseIndicator Component
+ * Shows the election phase with countdowns to the next scheduled transition
+ */
+const PhaseIndicator = ({ schedule, electionRunning, revealPhase }) => {
+  const [localNow, setLocalNow] = useState(Math.floor(Date.now() / 1000));
+
+  // Tick every second so countdowns stay live
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setLocalNow(Math.floor(Date.now() / 1000));
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, []);
+
+  const now = localNow + schedule.clockOffset;
+  const phase = getPhase(schedule, now, electionRunning, revealPhase);
+
+  return (
+    <div className={`phase-indicator phase-${phase.className}`}>
+      <div className="phase-label">{phase.label}</div>
+
+      {phase.target > 0 && (
+        <div className="phase-countdown">
+          {phase.targetLabel} <strong>{formatCountdown(phase.target - now)}</strong>
+        </div>
+      )}
+
+      <div className="phase-details">
+        <span>
+          📝 Registration:{' '}
+          {schedule.registrationDeadline === 0
+            ? 'open (no deadline)'
+            : schedule.registrationDeadline > now
+              ? `closes in ${formatCountdown(schedule.registrationDeadline - now)}`
+              : `closed ${formatTime(schedule.registrationDeadline)}`}
+        </span>
+        {schedule.votingStart !== 0 && (
+          <span>▶️ Opens: {formatTime(schedule.votingStart)}</span>
+        )}
+        {schedule.votingEnd !== 0 && (
+          <span>⏹️ Closes: {formatTime(schedule.votingEnd)}</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PhaseIndicator;
@@ -0,0 +1,41 @@
+// frontend/src/components/QuestionResults.jsx
+import React from 'react';
+import './QuestionResults.css';
+
+/**
+ * QuestionResults Component
+ * Shows the weighted tally of each ballot question, option by option
+ */
+const QuestionResults = ({ questions }) => {
+  return (
+    <div className="question-results">
+      <h3>❓ Ballot Questions</h3>
+      {questions.map((question) => {
+        const total = question.options.reduce((sum, o) => sum + o.votes, 0);
+        const top = Math.max(...question.options.map(o => o.votes));
+
+        return (
+          <div key={question.id} className="question-result">
+            <h4>{question.id}. {question.text}</h4>
+            {question.options.map((option, index) => {
+              const percentage = total === 0 ? 0 : ((option.votes / total) * 100).toFixed(1);
+              return (
+                <div key={index} className={`question-option ${total > 0 && option.votes === top ? 'question-leader' : ''}`}>
+                  <div className="question-option-row">
+                    <span>{option.label}</span>
+                    <span>{option.votes} ({percentage}%)</span>
+                  </div>
+                  <div className="question-bar">
+                    <div className="question-bar-fill" style={{ width: `${percentage}%` }}></div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default QuestionResults;
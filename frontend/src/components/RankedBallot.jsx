@@ -0,0 +1,145 @@
+// frontend/src/components/RankedBallot.jsx
+import React, { useState, useRef, useEffect } from 'react';
+import './RankedBallot.css';
+
+/**
+ * RankedBallot Component
+ * Lets a voter order candidates by drag-and-drop (or the arrow buttons)
+ * and submit the ranking. Inside a larger ballot (see BallotForm) it reports
+ * each change through onChange instead and has no submit button.
+ */
+const RankedBallot = ({ candidates, loading, onSubmit, onChange, initialRanking = [] }) => {
+  const [ranking, setRanking] = useState(initialRanking);
+  const dragged = useRef(null);
+
+  // Read through a ref so a new callback from the parent doesn't re-run the effect
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  useEffect(() => {
+    if (onChangeRef.current) {
+      onChangeRef.current(ranking);
+    }
+  }, [ranking]);
+
+  const nameOf = (id) => candidates.find(c => c.id === id).name;
+  const unranked = candidates.filter(c => !ranking.includes(c.id));
+
+  // Insert a candidate at a position in the ranking (moving it if already ranked)
+  const placeAt = (id, index) => {
+    setRanking((current) => {
+      const without = current.filter(c => c !== id);
+      const position = Math.min(index, without.length);
+      return [...without.slice(0, position), id, ...without.slice(position)];
+    });
+  };
+
+  const removeFromRanking = (id) => {
+    setRanking((current) => current.filter(c => c !== id));
+  };
+
+  // Drag-and-drop handlers
+  const handleDragStart = (id) => {
+    dragged.current = id;
+  };
+
+  const handleDropOnRank = (e, index) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (dragged.current !== null) {
+      placeAt(dragged.current, index);
+      dragged.current = null;
+    }
+  };
+
+  const handleDropOnUnranked = (e) => {
+    e.preventDefault();
+    if (dragged.current !== null) {
+      removeFromRanking(dragged.current);
+      dragged.current = null;
+    }
+  };
+
+  const allowDrop = (e) => e.preventDefault();
+
+  // Confirm and submit the ranking
+  const handleSubmit = () => {
+    const summary = ranking.map((id, i) => `${i + 1}. ${nameOf(id)}`).join('\n');
+    if (window.confirm(`Submit this ranking?\n\n${summary}`)) {
+      onSubmit(ranking);
+    }
+  };
+
+  return (
+    <div className="ranked-ballot">
+      <h3>🗳️ Rank the candidates</h3>
+      <p className="ranked-help">
+        Drag candidates into your ranking, most preferred first. You don't have to rank everyone.
+      </p>
+
+      <div className="ranked-columns">
+        {/* Ranked list */}
+        <div
+          className="ranked-list"
+          onDragOver={allowDrop}
+          onDrop={(e) => handleDropOnRank(e, ranking.length)}
+        >
+          <h4>Your ranking</h4>
+          {ranking.length === 0 && <p className="ranked-empty">Drop candidates here</p>}
+          {ranking.map((id, index) => (
+            <div
+              key={id}
+              className="ranked-item"
+              draggable={!loading}
+              onDragStart={() => handleDragStart(id)}
+              onDragOver={allowDrop}
+              onDrop={(e) => handleDropOnRank(e, index)}
+            >
+              <span className="ranked-position">{index + 1}</span>
+              <span className="ranked-name">{nameOf(id)}</span>
+              <span className="ranked-actions">
+                <button onClick={() => placeAt(id, index - 1)} disabled={loading || index === 0} title="Move up">▲</button>
+                <button onClick={() => placeAt(id, index + 1)} disabled={loading || index === ranking.length - 1} title="Move down">▼</button>
+                <button onClick={() => removeFromRanking(id)} disabled={loading} title="Remove">✕</button>
+              </span>
+            </div>
+          ))}
+        </div>
+
+        {/* Unranked pool */}
+        <div
+          className="unranked-list"
+          onDragOver={allowDrop}
+          onDrop={handleDropOnUnranked}
+        >
+          <h4>Not ranked</h4>
+          {unranked.length === 0 && <p className="ranked-empty">All candidates ranked</p>}
+          {unranked.map((candidate) => (
+            <div
+              key={candidate.id}
+              className="ranked-item unranked-item"
+              draggable={!loading}
+              onDragStart={() => handleDragStart(candidate.id)}
+            >
+              <span className="ranked-name">{candidate.name}</span>
+              <span className="ranked-actions">
+                <button onClick={() => placeAt(candidate.id, ranking.length)} disabled={loading} title="Add to ranking">＋</button>
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {!onChange && (
+        <button
+          onClick={handleSubmit}
+          disabled={loading || ranking.length === 0}
+          className="vote-btn ranked-submit"
+        >
+          {loading ? '⏳ Voting...' : `🗳️ Submit Ranking (${ranking.length} ranked)`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default RankedBallot;
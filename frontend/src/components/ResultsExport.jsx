@@ -0,0 +1,265 @@
+// frontend/src/components/ResultsExport.jsx
+import React, { useState } from 'react';
+import { getResultsCertificate, signResultsCertificate, recordTurnout } from '../ethereum/evoting';
+import { resultsCertificateToCsv, verifyResultsCertificate, describeQuorum } from '../utils/resultsCertificate';
+import { downloadFile } from '../utils/download';
+import './ResultsExport.css';
+
+/**
+ * ResultsExport Component
+ * Builds a results certificate anchored to a block once voting has closed and
+ * exports it as CSV, admin-signed JSON or a printable (PDF-ready) page.
+ * Anyone can check a signed certificate file against its admin signature.
+ * The certificate needs the final turnout on record, which anyone can record
+ * once voting has closed on schedule.
+ */
+const ResultsExport = ({ electionId, isOwner, turnoutRecorded }) => {
+  const [certificate, setCertificate] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const showError = (message) => {
+    setError(message);
+    setTimeout(() => setError(''), 4000);
+  };
+
+  // Read the final results at the latest block
+  const handlePrepare = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      setCertificate(await getResultsCertificate(electionId));
+    } catch (err) {
+      console.error(err);
+      showError('Failed to build the results certificate.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Record the final turnout so the certificate can be built (the watcher reloads the turnout)
+  const handleRecordTurnout = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await recordTurnout(electionId);
+    } catch (err) {
+      console.error(err);
+      showError('Failed to record the final turnout.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const candidateName = (id) => {
+    const candidate = certificate.candidates.find(c => c.id === id);
+    return candidate ? candidate.name : `#${id}`;
+  };
+
+  const handleExportCsv = () => {
+    downloadFile(`election-${electionId}-results.csv`, resultsCertificateToCsv(certificate), 'text/csv');
+  };
+
+  // Sign with the admin wallet and download { certificate, signature, signer }
+  const handleExportSigned = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const signed = await signResultsCertificate(electionId, certificate);
+      downloadFile(`election-${electionId}-results.signed.json`, JSON.stringify(signed, null, 2), 'application/json');
+    } catch (err) {
+      console.error(err);
+      showError('Failed to sign the results certificate.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Verify a signed certificate file chosen by the user
+  const handleVerifyFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      const signed = JSON.parse(await file.text());
+      setVerification({
+        fileName: file.name,
+        valid: verifyResultsCertificate(signed),
+        admin: signed.certificate && signed.certificate.election ? signed.certificate.election.admin : null
+      });
+    } catch (err) {
+      console.error(err);
+      setVerification({ fileName: file.name, valid: false, admin: null });
+    }
+  };
+
+  return (
+    <div className="results-export">
+      <h2>📑 Certified Results</h2>
+      <p className="results-intro">
+        Export the final results with the contract address, chain ID and the block they were read at.
+      </p>
+
+      {!turnoutRecorded && (
+        <p className="results-intro">
+          📌 Voting closed on schedule, so the final turnout and quorum verdict still need to be recorded on-chain.
+        </p>
+      )}
+
+      <div className="results-actions">
+        {turnoutRecorded ? (
+          <button onClick={handlePrepare} disabled={loading} className="results-btn results-btn-primary">
+            {loading && !certificate ? '⏳ Reading chain...' : certificate ? '🔄 Rebuild Certificate' : '📜 Prepare Certificate'}
+          </button>
+        ) : (
+          <button onClick={handleRecordTurnout} disabled={loading} className="results-btn results-btn-primary">
+            {loading ? '⏳ Recording...' : '📌 Record Final Turnout'}
+          </button>
+        )}
+        {certificate && (
+          <>
+            <button onClick={handleExportCsv} disabled={loading} className="results-btn">
+              📄 Export CSV
+            </button>
+            {isOwner && (
+              <button onClick={handleExportSigned} disabled={loading} className="results-btn">
+                ✍️ Sign &amp; Export JSON
+              </button>
+            )}
+            <button onClick={() => window.print()} disabled={loading} className="results-btn">
+              🖨️ Print / Save as PDF
+            </button>
+          </>
+        )}
+        <label className="results-btn results-verify">
+          🔍 Verify Signed File
+          <input type="file" accept=".json,application/json" onChange={handleVerifyFile} />
+        </label>
+      </div>
+
+      {error && <div className="results-error">❌ {error}</div>}
+
+      {verification && (
+        <div className={`results-verification ${verification.valid ? 'valid' : 'invalid'}`}>
+          {verification.valid
+            ? `✅ ${verification.fileName} is signed by the election admin ${verification.admin}.`
+            : `❌ ${verification.fileName} does not carry a valid admin signature.`}
+        </div>
+      )}
+
+      {certificate && (
+        <div className="results-certificate">
+          <h3>🗳️ {certificate.election.title || `Election #${certificate.election.id}`} – Official Results</h3>
+          <table className="results-meta">
+            <tbody>
+              <tr><th>Contract</th><td><code>{certificate.election.contract}</code></td></tr>
+              <tr><th>Chain ID</th><td>{certificate.election.chainId}</td></tr>
+              <tr><th>Admin</th><td><code>{certificate.election.admin}</code></td></tr>
+              <tr>
+                <th>Ballot</th>
+                <td>
+                  {certificate.election.ballotType}{certificate.election.secretBallot ? ' (secret)' : ''}
+                  {certificate.election.seatCount > 1 && `, ${certificate.election.seatCount} seats`}
+                </td>
+              </tr>
+              <tr>
+                <th>Snapshot block</th>
+                <td>#{certificate.anchor.blockNumber} <code>{certificate.anchor.blockHash}</code></td>
+              </tr>
+              <tr>
+                <th>ElectionEnded</th>
+                <td>
+                  {certificate.electionEnded ? (
+                    <>
+                      block #{certificate.electionEnded.blockNumber} <code>{certificate.electionEnded.blockHash}</code>
+                      <br />
+                      tx <code>{certificate.electionEnded.transactionHash}</code>
+                    </>
+                  ) : 'not emitted (voting closed on schedule)'}
+                </td>
+              </tr>
+              <tr>
+                <th>Turnout</th>
+                <td>
+                  {certificate.turnout.ballotsCast} ballots
+                  {certificate.turnout.turnoutPercent !== null &&
+                    ` of ${certificate.turnout.registeredOnChain} registered (${certificate.turnout.turnoutPercent}%)`}
+                </td>
+              </tr>
+              <tr>
+                <th>Quorum</th>
+                <td>
+                  {describeQuorum(certificate.quorum.required, certificate.quorum.isPercent)}
+                  {certificate.quorum.required > 0 && (certificate.quorum.reached ? ' – ✅ reached' : ' – ❌ not reached')}
+                </td>
+              </tr>
+              <tr><th>Generated</th><td>{new Date(certificate.generatedAt).toLocaleString()}</td></tr>
+            </tbody>
+          </table>
+
+          <table className="results-table">
+            <thead>
+              <tr><th>#</th><th>Candidate</th><th>Votes</th><th>Voters</th><th>%</th></tr>
+            </thead>
+            <tbody>
+              {certificate.candidates.map((candidate) => (
+                <tr
+                  key={candidate.id}
+                  className={(certificate.elected ? certificate.elected.electedIds : certificate.winner.leaderIds).includes(candidate.id) ? 'results-leader' : ''}
+                >
+                  <td>{candidate.id}</td>
+                  <td>{candidate.name}{candidate.withdrawn && ' (withdrawn)'}</td>
+                  <td>{candidate.votes}</td>
+                  <td>{candidate.voters}</td>
+                  <td>{candidate.percent}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {certificate.questions.map((question) => (
+            <table key={question.id} className="results-table">
+              <thead>
+                <tr><th colSpan={2}>❓ {question.id}. {question.text}</th></tr>
+              </thead>
+              <tbody>
+                {question.options.map((option, index) => (
+                  <tr key={index}>
+                    <td>{option.label}</td>
+                    <td>{option.votes}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ))}
+
+          {!certificate.valid && (
+            <p className="results-invalid">⚠️ Quorum not reached: this result is invalid</p>
+          )}
+
+          {certificate.elected ? (
+            <p className="results-winner">
+              🏛️ Elected: {certificate.elected.electedIds.map(candidateName).join(', ') || 'nobody'}
+              {certificate.elected.tiedIds.length > 0 &&
+                ` · 🤝 Tied for the remaining seats: ${certificate.elected.tiedIds.map(candidateName).join(', ')}`}
+            </p>
+          ) : (
+            <p className="results-winner">
+              {certificate.winner.winnerId
+                ? `🏆 Winner: ${candidateName(certificate.winner.winnerId)}`
+                : certificate.winner.tied
+                  ? `🤝 Tie between ${certificate.winner.leaderIds.map(candidateName).join(', ')}`
+                  : 'No winner'}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResultsExport;
@@ -0,0 +1,79 @@
+// frontend/src/components/RunoffResults.jsx
+import React from 'react';
+import './RunoffResults.css';
+
+/**
+ * RunoffResults Component
+ * Shows the round-by-round instant-runoff tally (weighted votes)
+ */
+const RunoffResults = ({ runoff, candidates }) => {
+  const nameOf = (id) => {
+    const candidate = candidates.find(c => c.id === id);
+    return candidate ? candidate.name : `#${id}`;
+  };
+
+  // Round in which each candidate was eliminated
+  const eliminatedIn = {};
+  runoff.rounds.forEach((round) => {
+    if (round.eliminated !== null) {
+      eliminatedIn[round.eliminated] = round.round;
+    }
+  });
+
+  return (
+    <div className="runoff-results">
+      <h3>🔁 Instant-Runoff Rounds</h3>
+      <div className="runoff-table-wrapper">
+        <table className="runoff-table">
+          <thead>
+            <tr>
+              <th>Candidate</th>
+              {runoff.rounds.map((round) => (
+                <th key={round.round}>Round {round.round}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {candidates.map((candidate) => (
+              <tr
+                key={candidate.id}
+                className={candidate.id === runoff.winnerId ? 'runoff-winner' : ''}
+              >
+                <td>{nameOf(candidate.id)}</td>
+                {runoff.rounds.map((round) => (
+                  <td
+                    key={round.round}
+                    className={eliminatedIn[candidate.id] === round.round ? 'runoff-eliminated' : ''}
+                  >
+                    {round.tallies[candidate.id] !== undefined ? round.tallies[candidate.id] : '—'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            <tr className="runoff-exhausted">
+              <td>Exhausted votes</td>
+              {runoff.rounds.map((round) => (
+                <td key={round.round}>{round.exhausted}</td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <ul className="runoff-log">
+        {runoff.rounds.map((round) => (
+          <li key={round.round}>
+            Round {round.round}:{' '}
+            {round.eliminated !== null
+              ? `${nameOf(round.eliminated)} eliminated${round.tieBroken ? ' (tie for last broken by earlier rounds, then highest ID)' : ''}.`
+              : runoff.winnerId !== null
+                ? `${nameOf(runoff.winnerId)} wins with a majority of continuing votes.`
+                : 'No ballots to count.'}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RunoffResults;
@@ -0,0 +1,64 @@
+// frontend/src/components/TurnoutGauge.jsx
+import React from 'react';
+import { describeQuorum } from '../utils/resultsCertificate';
+import './TurnoutGauge.css';
+
+/**
+ * TurnoutGauge Component
+ * Shows how many registered voters have voted against the election's quorum,
+ * and once voting has closed whether the result is valid (final once the turnout is recorded)
+ */
+const TurnoutGauge = ({ turnout, votingClosed }) => {
+  const { registered, voted, percent, quorum, quorumIsPercent, quorumReached, recorded } = turnout;
+
+  // Ballots the quorum asks for (the contract rejects a percentage quorum with a Merkle roll)
+  const required = quorumIsPercent ? Math.ceil((quorum * registered) / 100) : quorum;
+  const markerPercent = quorumIsPercent
+    ? quorum
+    : registered > 0 ? Math.min(100, (quorum / registered) * 100) : 0;
+
+  let status;
+  if (quorum === 0) {
+    status = { className: 'none', text: 'ℹ️ No quorum: every result counts' };
+  } else if (votingClosed && !recorded) {
+    status = { className: 'pending', text: '📌 Voting closed: the final turnout is not recorded yet' };
+  } else if (votingClosed) {
+    status = quorumReached
+      ? { className: 'reached', text: '✅ Quorum reached: the result is valid' }
+      : { className: 'missed', text: '❌ Quorum not reached: the result is invalid' };
+  } else if (quorumReached) {
+    status = { className: 'reached', text: '✅ Quorum reached' };
+  } else {
+    status = {
+      className: 'pending',
+      text: `⏳ ${required - voted} more ${required - voted === 1 ? 'ballot' : 'ballots'} needed for quorum`
+    };
+  }
+
+  return (
+    <div className="turnout-gauge">
+      <div className="turnout-header">
+        <span className="turnout-title">📈 Turnout</span>
+        <span className="turnout-figures">
+          {percent === null
+            ? `${voted} ${voted === 1 ? 'ballot' : 'ballots'} cast`
+            : `${voted} of ${registered} voted (${percent}%)`}
+        </span>
+      </div>
+
+      <div className="turnout-bar">
+        <div className="turnout-fill" style={{ width: `${percent ?? 0}%` }}></div>
+        {quorum > 0 && percent !== null && (
+          <div className="turnout-marker" style={{ left: `${markerPercent}%` }} title="Quorum"></div>
+        )}
+      </div>
+
+      <div className="turnout-footer">
+        <span>🎯 Quorum: {describeQuorum(quorum, quorumIsPercent)}</span>
+        <span className={`turnout-status turnout-${status.className}`}>{status.text}</span>
+      </div>
+    </div>
+  );
+};
+
+export default TurnoutGauge;
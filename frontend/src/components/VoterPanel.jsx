@@ -1,12 +1,125 @@
 // frontend/src/components/VoterPanel.jsx
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { saveVoterProofFile, delegateVote, revokeDelegation, getDelegators } from '../ethereum/evoting';
+import { shortAddress } from '../utils/auditLog';
+import PhaseIndicator from './PhaseIndicator';
+import TurnoutGauge from './TurnoutGauge';
 import './VoterPanel.css';
 
 /**
  * VoterPanel Component
- * Displays voter status and information
+ * Displays voter status and information and the live turnout, and lets voters delegate their vote
  */
-const VoterPanel = ({ isRegistered, hasVoted, votedFor, electionRunning, candidates }) => {
+const VoterPanel = ({
+  electionId,
+  account,
+  voterRoot,
+  isRegistered,
+  hasVoted,
+  votedFor,
+  revealed,
+  weight,
+  delegate,
+  delegatedWeight,
+  electionRunning,
+  votingClosed,
+  turnout,
+  schedule,
+  secretBallot,
+  revealPhase,
+  candidates,
+  onUpdate
+}) => {
+  const [proofError, setProofError] = useState('');
+  const [delegateAddress, setDelegateAddress] = useState('');
+  const [delegators, setDelegators] = useState([]);
+  const [delegating, setDelegating] = useState(false);
+  const [delegationError, setDelegationError] = useState('');
+
+  // Voters delegating directly to this account (reloaded whenever the delegated weight changes)
+  useEffect(() => {
+    if (!isRegistered) {
+      setDelegators([]);
+      return;
+    }
+    getDelegators(electionId, account)
+      .then(setDelegators)
+      .catch(err => console.error('Error loading delegators:', err));
+  }, [electionId, account, isRegistered, delegatedWeight]);
+
+  // Load an eligibility proof file produced by scripts/build-merkle.js
+  const handleProofFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async () => {
+      try {
+        setProofError('');
+        const found = await saveVoterProofFile(electionId, account, reader.result);
+        if (found) {
+          onUpdate();
+        } else {
+          setProofError('This file has no valid proof for your address on the published roll.');
+        }
+      } catch (err) {
+        console.error(err);
+        setProofError('Could not read the proof file.');
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const hasVoterRoll = voterRoot && voterRoot !== ethers.ZeroHash;
+  const canDelegate = isRegistered && !hasVoted && !delegate && !votingClosed && !revealPhase;
+
+  const showDelegationError = (message) => {
+    setDelegationError(message);
+    setTimeout(() => setDelegationError(''), 5000);
+  };
+
+  // Hand this voter's weight to another registered voter
+  const handleDelegate = async (e) => {
+    e.preventDefault();
+    const target = delegateAddress.trim();
+    if (!ethers.isAddress(target)) {
+      showDelegationError('Please enter a valid Ethereum address.');
+      return;
+    }
+    if (target.toLowerCase() === account.toLowerCase()) {
+      showDelegationError('You cannot delegate to yourself.');
+      return;
+    }
+
+    try {
+      setDelegating(true);
+      setDelegationError('');
+      await delegateVote(electionId, ethers.getAddress(target));
+      setDelegateAddress('');
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showDelegationError('Delegation failed. The delegate must be registered, must not have voted, and must not delegate back to you.');
+    } finally {
+      setDelegating(false);
+    }
+  };
+
+  // Take the vote back so it can be cast in person
+  const handleRevokeDelegation = async () => {
+    try {
+      setDelegating(true);
+      setDelegationError('');
+      await revokeDelegation(electionId);
+      onUpdate();
+    } catch (err) {
+      console.error(err);
+      showDelegationError('Could not take back your vote. Your delegate may have already voted.');
+    } finally {
+      setDelegating(false);
+    }
+  };
   
   // Get candidate name from voted candidate ID
   const getVotedCandidateName = () => {
@@ -18,6 +131,8 @@ const VoterPanel = ({ isRegistered, hasVoted, votedFor, electionRunning, candida
   return (
     <div className="voter-panel">
       <h2>🗳️ Voter Information</h2>
+
+      <TurnoutGauge turnout={turnout} votingClosed={votingClosed} />
       
       <div className="voter-status-card">
         {/* Registration Status */}
@@ -28,6 +143,27 @@ const VoterPanel = ({ isRegistered, hasVoted, votedFor, electionRunning, candida
           </span>
         </div>
 
+        {/* Voting weight, e.g. shares held */}
+        {isRegistered && (
+          <div className="status-item">
+            <span className="status-label">Voting Weight:</span>
+            <span className="status-badge registered">
+              ⚖️ {weight} {weight === 1 ? 'vote' : 'votes'}
+              {delegatedWeight > 0 && ` + ${delegatedWeight} delegated`}
+            </span>
+          </div>
+        )}
+
+        {/* Delegation */}
+        {delegate && (
+          <div className="status-item">
+            <span className="status-label">Delegated To:</span>
+            <span className="status-badge delegated" title={delegate}>
+              🤝 {shortAddress(delegate)}
+            </span>
+          </div>
+        )}
+
         {/* Voting Status */}
         {isRegistered && (
           <div className="status-item">
@@ -38,6 +174,16 @@ const VoterPanel = ({ isRegistered, hasVoted, votedFor, electionRunning, candida
           </div>
         )}
 
+        {/* Ballot secrecy status */}
+        {secretBallot && hasVoted && (
+          <div className="status-item">
+            <span className="status-label">Ballot:</span>
+            <span className={`status-badge ${revealed ? 'voted' : 'not-voted'}`}>
+              {revealed ? '🔓 Revealed' : '🔒 Committed (reveal pending)'}
+            </span>
+          </div>
+        )}
+
         {/* Show voted candidate */}
         {hasVoted && getVotedCandidateName() && (
           <div className="status-item">
@@ -48,13 +194,12 @@ const VoterPanel = ({ isRegistered, hasVoted, votedFor, electionRunning, candida
           </div>
         )}
 
-        {/* Election Status */}
-        <div className="status-item">
-          <span className="status-label">Election:</span>
-          <span className={`status-badge ${electionRunning ? 'running' : 'not-running'}`}>
-            {electionRunning ? '🟢 Running' : '🔴 Not Running'}
-          </span>
-        </div>
+        {/* Election Phase */}
+        <PhaseIndicator
+          schedule={schedule}
+          electionRunning={electionRunning}
+          revealPhase={revealPhase}
+        />
       </div>
 
       {/* Information Messages */}
@@ -63,24 +208,54 @@ const VoterPanel = ({ isRegistered, hasVoted, votedFor, electionRunning, candida
           <div className="message warning-message">
             <strong>⚠️ You are not registered to vote</strong>
             <p>Please contact the election admin to register your address.</p>
+            {hasVoterRoll && (
+              <div className="proof-upload">
+                <p>📜 This election uses a published voter roll. If you were sent a proof file, load it here:</p>
+                <input type="file" accept=".json" onChange={handleProofFile} />
+                {proofError && <p className="proof-error">❌ {proofError}</p>}
+              </div>
+            )}
           </div>
         )}
 
-        {isRegistered && !hasVoted && !electionRunning && (
+        {delegate && (
           <div className="message info-message">
-            <strong>ℹ️ Election not started</strong>
-            <p>Please wait for the admin to start the election.</p>
+            <strong>🤝 Your vote is delegated</strong>
+            <p>
+              {shortAddress(delegate)} votes with your weight. You can take your vote back and cast it
+              yourself until the end of the delegation chain has voted.
+            </p>
           </div>
         )}
 
-        {isRegistered && !hasVoted && electionRunning && (
+        {isRegistered && !hasVoted && !delegate && !electionRunning && !revealPhase && (
+          <div className="message info-message">
+            <strong>ℹ️ Voting is not open</strong>
+            <p>Please wait for voting to open. The phase above shows when it is scheduled.</p>
+          </div>
+        )}
+
+        {isRegistered && !hasVoted && !delegate && electionRunning && (
           <div className="message success-message">
             <strong>✨ You can vote now!</strong>
             <p>Select a candidate from the list below to cast your vote.</p>
+            {delegatedWeight > 0 && <p>🤝 Your ballot also carries the {delegatedWeight} vote(s) delegated to you.</p>}
+            {secretBallot && <p>🔒 This is a secret ballot: only a sealed hash of your choice is published until the reveal phase.</p>}
+          </div>
+        )}
+
+        {secretBallot && hasVoted && !revealed && (
+          <div className="message info-message">
+            <strong>🔑 Your vote is committed</strong>
+            <p>
+              {revealPhase
+                ? 'The reveal phase is open. Reveal your vote below so it is counted.'
+                : 'Return to this browser after voting ends to reveal your vote. Unrevealed votes are not counted.'}
+            </p>
           </div>
         )}
 
-        {isRegistered && hasVoted && (
+        {isRegistered && hasVoted && (!secretBallot || revealed) && (
           <div className="message success-message">
             <strong>🎉 Thank you for voting!</strong>
             <p>Your vote has been recorded on the blockchain. You voted for: <strong>{getVotedCandidateName()}</strong></p>
@@ -88,11 +263,58 @@ const VoterPanel = ({ isRegistered, hasVoted, votedFor, electionRunning, candida
         )}
       </div>
 
+      {/* Delegation (liquid democracy) */}
+      {isRegistered && (canDelegate || delegate || delegators.length > 0) && (
+        <div className="delegation-box">
+          <h3>🤝 Delegation</h3>
+
+          {canDelegate && (
+            <form onSubmit={handleDelegate} className="delegation-form">
+              <p>Can't take part? Let another registered voter cast your vote for you.</p>
+              <input
+                type="text"
+                placeholder="Delegate address (0x...)"
+                value={delegateAddress}
+                onChange={(e) => setDelegateAddress(e.target.value)}
+                className="delegation-input"
+                disabled={delegating}
+              />
+              <button type="submit" className="delegation-btn" disabled={delegating || !delegateAddress.trim()}>
+                {delegating ? '⏳ Delegating...' : '🤝 Delegate My Vote'}
+              </button>
+            </form>
+          )}
+
+          {delegate && !votingClosed && !revealPhase && (
+            <button onClick={handleRevokeDelegation} className="delegation-btn" disabled={delegating}>
+              {delegating ? '⏳ Taking back...' : '↩️ Take Back My Vote'}
+            </button>
+          )}
+
+          {delegationError && <p className="delegation-error">❌ {delegationError}</p>}
+
+          {delegators.length > 0 && (
+            <div className="delegators">
+              <strong>👥 Delegated to you ({delegatedWeight} {delegatedWeight === 1 ? 'vote' : 'votes'} in total):</strong>
+              <ul>
+                {delegators.map(({ voter, weight: delegatorWeight }) => (
+                  <li key={voter} title={voter}>
+                    {shortAddress(voter)} – {delegatorWeight} {delegatorWeight === 1 ? 'vote' : 'votes'}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Voter Rights Information */}
       <div className="voter-info-box">
         <h3>📜 Your Voting Rights</h3>
         <ul>
           <li>✅ Each voter can vote only once</li>
+          <li>⚖️ Your ballot counts with the weight you were registered with</li>
+          <li>🤝 You can delegate your vote and take it back until your delegate votes</li>
           <li>🔒 Your vote is recorded on the blockchain</li>
           <li>🔐 Voting is secure and transparent</li>
           <li>👁️ You can view real-time vote counts</li>
@@ -1,6 +1,18 @@
 // frontend/src/ethereum/evoting.js
 import { ethers } from 'ethers';
-import { CONTRACT_ADDRESS, CONTRACT_ABI } from './config';
+import { DEPLOYMENTS } from './config';
+import { tallyInstantRunoff } from '../utils/instantRunoff';
+import { canonicalJson } from '../utils/resultsCertificate';
+
+// Mirrors the EVoting.BallotType enum
+export const BALLOT_TYPES = {
+  PLURALITY: 0,
+  RANKED_CHOICE: 1,
+  APPROVAL: 2
+};
+
+// Ballot type names written to results certificates, indexed by ballot type
+const BALLOT_TYPE_NAMES = ['plurality', 'ranked-choice', 'approval'];
 
 /**
  * Get the Web3 provider from MetaMask
@@ -20,12 +32,198 @@ export const getSigner = async () => {
   return await provider.getSigner();
 };
 
+// Chain the app is built for (REACT_APP_CHAIN_ID); when unset any chain with a deployment is accepted
+const EXPECTED_CHAIN_ID = Number(process.env.REACT_APP_CHAIN_ID) || null;
+
+/**
+ * Check whether the app can run on a chain
+ * @param {number} chainId - Chain ID
+ * @returns {boolean} True if the chain has a deployment and is the configured network (if any)
+ */
+export const isSupportedChain = (chainId) => {
+  return Boolean(DEPLOYMENTS[chainId]) && (EXPECTED_CHAIN_ID === null || chainId === EXPECTED_CHAIN_ID);
+};
+
+// Networks the app can run on, as { chainId, name }
+export const SUPPORTED_NETWORKS = Object.values(DEPLOYMENTS)
+  .filter(({ chainId }) => isSupportedChain(chainId))
+  .map(({ chainId, network }) => ({ chainId, name: network }));
+
+// Network read without a wallet: the configured chain, or the first deployment
+const READ_ONLY_DEPLOYMENT = SUPPORTED_NETWORKS.length > 0 ? DEPLOYMENTS[SUPPORTED_NETWORKS[0].chainId] : null;
+
+// JSON-RPC endpoint for read-only access (REACT_APP_RPC_URL, else the RPC URL in the deployment manifest)
+export const READ_RPC_URL = process.env.REACT_APP_RPC_URL || (READ_ONLY_DEPLOYMENT && READ_ONLY_DEPLOYMENT.rpcUrl) || null;
+
+// Until a wallet is connected every call is read through READ_RPC_URL
+let walletConnected = false;
+let readProvider = null;
+
+/**
+ * Check whether elections can be browsed without a wallet
+ * @returns {boolean}
+ */
+export const isReadOnlyAvailable = () => Boolean(READ_ONLY_DEPLOYMENT && READ_RPC_URL);
+
+/**
+ * Check whether calls currently go through a connected wallet
+ * @returns {boolean}
+ */
+export const isWalletConnected = () => walletConnected;
+
+/**
+ * Go back to read-only access, e.g. after the wallet disconnects
+ */
+export const disconnectWallet = () => {
+  walletConnected = false;
+};
+
+/**
+ * Get the JSON-RPC provider used while no wallet is connected
+ */
+export const getReadProvider = () => {
+  if (!isReadOnlyAvailable()) {
+    throw new Error("No RPC URL configured for read-only access (set REACT_APP_RPC_URL)");
+  }
+  if (!readProvider) {
+    readProvider = new ethers.JsonRpcProvider(READ_RPC_URL, READ_ONLY_DEPLOYMENT.chainId, { staticNetwork: true });
+  }
+  return readProvider;
+};
+
+/**
+ * Get what contracts are connected to: the wallet's signer, or the read-only provider
+ */
+const getRunner = async () => {
+  return walletConnected ? await getSigner() : getReadProvider();
+};
+
+/**
+ * Get the chain ID calls go to (the wallet's chain once connected)
+ * @returns {Promise<number>}
+ */
+export const getChainId = async () => {
+  if (!walletConnected) {
+    return READ_ONLY_DEPLOYMENT ? READ_ONLY_DEPLOYMENT.chainId : null;
+  }
+  const network = await getProvider().getNetwork();
+  return Number(network.chainId);
+};
+
+/**
+ * Get the deployment manifest for the wallet's current chain
+ * @returns {Promise<object | null>} Manifest, or null if nothing is deployed on this chain
+ */
+export const getDeployment = async () => {
+  const chainId = await getChainId();
+  return isSupportedChain(chainId) ? DEPLOYMENTS[chainId] : null;
+};
+
+/**
+ * Get the deployment for the current chain, failing clearly if there is none
+ * @returns {Promise<object>}
+ */
+const requireDeployment = async () => {
+  const chainId = await getChainId();
+  const deployment = isSupportedChain(chainId) ? DEPLOYMENTS[chainId] : null;
+  if (!deployment) {
+    const supported = SUPPORTED_NETWORKS.map(n => `${n.name} (${n.chainId})`).join(', ') || 'none';
+    throw new Error(`No EVoting deployment on chain ${chainId}. Supported networks: ${supported}`);
+  }
+  return deployment;
+};
+
+/**
+ * Get the ElectionFactory contract instance
+ * Connected to the wallet's signer once a wallet is connected, read-only before that
+ */
+export const getFactory = async () => {
+  const deployment = await requireDeployment();
+  const runner = await getRunner();
+  return new ethers.Contract(deployment.factory.address, deployment.factory.abi, runner);
+};
+
+/**
+ * Get the EVoting contract instance for an election
+ * @param {number} electionId - ID of the election in the factory
+ */
+export const getContract = async (electionId) => {
+  const deployment = await requireDeployment();
+  const factory = await getFactory();
+  const electionAddress = await factory.getElection(electionId);
+  return new ethers.Contract(electionAddress, deployment.election.abi, factory.runner);
+};
+
+/**
+ * Get all elections created by the factory
+ * @returns {Promise<Array<{id: number, address: string, title: string}>>}
+ */
+export const getElections = async () => {
+  try {
+    const deployment = await requireDeployment();
+    const factory = await getFactory();
+    const addresses = await factory.getAllElections();
+    const titles = await Promise.all(
+      addresses.map(address => new ethers.Contract(address, deployment.election.abi, factory.runner).title())
+    );
+    return addresses.map((address, index) => ({
+      id: index + 1,
+      address,
+      title: titles[index]
+    }));
+  } catch (error) {
+    console.error("Error getting elections:", error);
+    throw error;
+  }
+};
+
+/**
+ * Create a new election administered by the current account
+ * Candidates, voters and the schedule are added afterwards from the admin panel
+ * @param {{title: string, description?: string}} details - Election name and description
+ * @returns {Promise<number>} ID of the new election
+ */
+export const createElection = async ({ title, description = '' }) => {
+  try {
+    const factory = await getFactory();
+    const tx = await factory.createElection({
+      title,
+      description,
+      candidateNames: [],
+      candidateProfiles: [],
+      voters: [],
+      voterWeights: [],
+      registrationDeadline: 0,
+      votingStart: 0,
+      votingEnd: 0
+    });
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map(log => factory.interface.parseLog(log))
+      .find(parsed => parsed && parsed.name === 'ElectionCreated');
+    return Number(event.args.electionId);
+  } catch (error) {
+    console.error("Error creating election:", error);
+    throw error;
+  }
+};
+
 /**
- * Get the EVoting contract instance
+ * Get the block in which an election was created by the factory
+ * Event queries start here instead of at block 0
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<number>}
  */
-export const getContract = async () => {
-  const signer = await getSigner();
-  return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
+export const getElectionCreationBlock = async (electionId) => {
+  try {
+    const deployment = await requireDeployment();
+    const factory = await getFactory();
+    const [event] = await factory.queryFilter(factory.filters.ElectionCreated(electionId), deployment.deployBlock);
+    return event ? event.blockNumber : 0;
+  } catch (error) {
+    console.error("Error getting election creation block:", error);
+    throw error;
+  }
 };
 
 /**
@@ -34,9 +232,13 @@ export const getContract = async () => {
  */
 export const connectWallet = async () => {
   try {
+    if (!window.ethereum) {
+      throw new Error("MetaMask not installed");
+    }
     const accounts = await window.ethereum.request({ 
       method: 'eth_requestAccounts' 
     });
+    walletConnected = accounts.length > 0;
     return accounts;
   } catch (error) {
     console.error("Error connecting wallet:", error);
@@ -44,6 +246,45 @@ export const connectWallet = async () => {
   }
 };
 
+/**
+ * Ask the wallet to switch to a supported network, adding it first if the wallet does not know it
+ * @param {number} chainId - Chain ID of a network in SUPPORTED_NETWORKS
+ * @returns {Promise<void>} Resolves once the wallet has switched (chainChanged follows)
+ */
+export const switchNetwork = async (chainId) => {
+  const hexChainId = ethers.toQuantity(chainId);
+  try {
+    await window.ethereum.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: hexChainId }]
+    });
+  } catch (error) {
+    // 4902: unrecognized chain (some wallets nest the code in data.originalError)
+    const code = error.data && error.data.originalError ? error.data.originalError.code : error.code;
+    const deployment = DEPLOYMENTS[chainId];
+    if (code !== 4902 || !deployment || !deployment.rpcUrl) {
+      console.error("Error switching network:", error);
+      throw error;
+    }
+
+    try {
+      await window.ethereum.request({
+        method: 'wallet_addEthereumChain',
+        params: [{
+          chainId: hexChainId,
+          chainName: deployment.network,
+          rpcUrls: [deployment.rpcUrl],
+          nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+          blockExplorerUrls: deployment.blockExplorerUrl ? [deployment.blockExplorerUrl] : undefined
+        }]
+      });
+    } catch (addError) {
+      console.error("Error adding network:", addError);
+      throw addError;
+    }
+  }
+};
+
 /**
  * Get current connected account
  * @returns {Promise<string>} Current account address
@@ -54,35 +295,73 @@ export const getCurrentAccount = async () => {
   return await signer.getAddress();
 };
 
+// Role identifiers from EVoting (the owner holds DEFAULT_ADMIN_ROLE)
+export const ROLES = {
+  REGISTRAR: ethers.id('REGISTRAR_ROLE'),
+  OFFICER: ethers.id('OFFICER_ROLE')
+};
+
 /**
- * Check if current user is admin
- * @returns {Promise<boolean>}
+ * Get the current user's roles in an election
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<{owner: boolean, registrar: boolean, officer: boolean, pendingOwner: boolean, pendingAdmin: string | null}>}
  */
-export const isUserAdmin = async () => {
+export const getUserRoles = async (electionId) => {
   try {
-    const contract = await getContract();
+    const contract = await getContract(electionId);
     const currentAccount = await getCurrentAccount();
-    const adminAddress = await contract.admin();
-    return adminAddress.toLowerCase() === currentAccount.toLowerCase();
+    const [adminAddress, pendingAdmin, registrar, officer] = await Promise.all([
+      contract.admin(),
+      contract.pendingAdmin(),
+      contract.hasRole(ROLES.REGISTRAR, currentAccount),
+      contract.hasRole(ROLES.OFFICER, currentAccount)
+    ]);
+    return {
+      owner: adminAddress.toLowerCase() === currentAccount.toLowerCase(),
+      registrar,
+      officer,
+      pendingOwner: pendingAdmin.toLowerCase() === currentAccount.toLowerCase(),
+      pendingAdmin: pendingAdmin === ethers.ZeroAddress ? null : pendingAdmin
+    };
   } catch (error) {
-    console.error("Error checking admin status:", error);
-    return false;
+    console.error("Error checking roles:", error);
+    return { owner: false, registrar: false, officer: false, pendingOwner: false, pendingAdmin: null };
   }
 };
 
+/**
+ * Check if current user holds any administrative role (owner, registrar or officer)
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<boolean>}
+ */
+export const isUserAdmin = async (electionId) => {
+  const roles = await getUserRoles(electionId);
+  return roles.owner || roles.registrar || roles.officer;
+};
+
 /**
  * Get voter information
+ * @param {number} electionId - ID of the election
  * @param {string} address - Voter address
- * @returns {Promise<{registered: boolean, voted: boolean, votedFor: number}>}
+ * @returns {Promise<{
+ *   registered: boolean, voted: boolean, votedFor: number, revealed: boolean,
+ *   weight: number, delegate: string|null, delegatedWeight: number
+ * }>} weight is the voter's own weight; delegatedWeight is what others delegated to them
  */
-export const getVoterInfo = async (address) => {
+export const getVoterInfo = async (electionId, address) => {
   try {
-    const contract = await getContract();
-    const [registered, voted, votedFor] = await contract.getVoter(address);
+    const contract = await getContract(electionId);
+    const [registered, voted, votedFor, revealed, weight, delegate, delegatedWeight] = await contract.getVoter(address);
+    // Voters on a Merkle roll only become registered on-chain when they vote, with weight 1
+    const proof = registered ? null : await getVoterProof(electionId, address);
     return {
-      registered,
+      registered: registered || proof !== null,
       voted,
-      votedFor: Number(votedFor)
+      votedFor: Number(votedFor),
+      revealed,
+      weight: registered ? Number(weight) : proof !== null ? 1 : 0,
+      delegate: delegate === ethers.ZeroAddress ? null : delegate,
+      delegatedWeight: Number(delegatedWeight)
     };
   } catch (error) {
     console.error("Error getting voter info:", error);
@@ -92,11 +371,12 @@ export const getVoterInfo = async (address) => {
 
 /**
  * Get election status
+ * @param {number} electionId - ID of the election
  * @returns {Promise<boolean>}
  */
-export const isElectionRunning = async () => {
+export const isElectionRunning = async (electionId) => {
   try {
-    const contract = await getContract();
+    const contract = await getContract(electionId);
     return await contract.electionRunning();
   } catch (error) {
     console.error("Error getting election status:", error);
@@ -105,17 +385,274 @@ export const isElectionRunning = async () => {
 };
 
 /**
- * Get all candidates
- * @returns {Promise<Array<{id: number, name: string, voteCount: number}>>}
+ * Get the Merkle root of the voter roll
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<string>} Root, or ethers.ZeroHash when no roll is published
+ */
+export const getVoterRoot = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    return await contract.voterRoot();
+  } catch (error) {
+    console.error("Error getting voter root:", error);
+    throw error;
+  }
+};
+
+/**
+ * Publish the Merkle root of the voter roll (admin only)
+ * @param {number} electionId - ID of the election
+ * @param {string} root - Root printed by scripts/build-merkle.js (ethers.ZeroHash to disable)
+ * @returns {Promise<void>}
+ */
+export const setVoterRoot = async (electionId, root) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.setVoterRoot(root);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error setting voter root:", error);
+    throw error;
+  }
+};
+
+// localStorage key holding a voter's Merkle proof for one election
+const proofStorageKey = (electionAddress, voterAddress) =>
+  `evoting:proof:${electionAddress.toLowerCase()}:${voterAddress.toLowerCase()}`;
+
+/**
+ * Pick a voter's proof out of a proofs file and check it against the contract
+ * @param {ethers.Contract} contract - Election contract
+ * @param {string} voterAddress - Voter address
+ * @param {{root: string, proofs: Object<string, string[]>}} proofsFile - Output of scripts/build-merkle.js
+ * @returns {Promise<string[] | null>}
+ */
+const findValidProof = async (contract, voterAddress, proofsFile) => {
+  const proof = proofsFile && proofsFile.proofs && proofsFile.proofs[voterAddress.toLowerCase()];
+  if (!proof) {
+    return null;
+  }
+  return (await contract.isOnVoterRoll(voterAddress, proof)) ? proof : null;
+};
+
+/**
+ * Get the voter's Merkle proof for the published roll
+ * Looks in localStorage first, then fetches /merkle/<election>.json from the app
+ * @param {number} electionId - ID of the election
+ * @param {string} voterAddress - Voter address
+ * @returns {Promise<string[] | null>} Proof, or null if the voter is not on the roll or has been revoked
+ */
+export const getVoterProof = async (electionId, voterAddress) => {
+  const contract = await getContract(electionId);
+  if ((await contract.voterRoot()) === ethers.ZeroHash || (await contract.revokedVoters(voterAddress))) {
+    return null;
+  }
+
+  const electionAddress = await contract.getAddress();
+  const stored = localStorage.getItem(proofStorageKey(electionAddress, voterAddress));
+  if (stored) {
+    const proof = JSON.parse(stored);
+    if (await contract.isOnVoterRoll(voterAddress, proof)) {
+      return proof;
+    }
+  }
+
+  try {
+    const response = await fetch(`${process.env.PUBLIC_URL}/merkle/${electionAddress.toLowerCase()}.json`);
+    if (!response.ok) {
+      return null;
+    }
+    const proof = await findValidProof(contract, voterAddress, await response.json());
+    if (proof) {
+      localStorage.setItem(proofStorageKey(electionAddress, voterAddress), JSON.stringify(proof));
+    }
+    return proof;
+  } catch (error) {
+    console.error("Error fetching voter proofs:", error);
+    return null;
+  }
+};
+
+/**
+ * Load the voter's proof from a proofs file chosen by the user
+ * @param {number} electionId - ID of the election
+ * @param {string} voterAddress - Voter address
+ * @param {string} fileContents - JSON written by scripts/build-merkle.js
+ * @returns {Promise<boolean>} Whether a valid proof for the voter was found and saved
+ */
+export const saveVoterProofFile = async (electionId, voterAddress, fileContents) => {
+  const contract = await getContract(electionId);
+  const proof = await findValidProof(contract, voterAddress, JSON.parse(fileContents));
+  if (!proof) {
+    return false;
+  }
+  localStorage.setItem(proofStorageKey(await contract.getAddress(), voterAddress), JSON.stringify(proof));
+  return true;
+};
+
+// Proof needed to vote, or null if the voter is registered directly
+const getEligibilityProof = async (electionId, contract, voterAddress) => {
+  const [registered] = await contract.getVoter(voterAddress);
+  return registered ? null : await getVoterProof(electionId, voterAddress);
+};
+
+/**
+ * Get the title and description of an election
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<{title: string, description: string}>}
+ */
+export const getElectionDetails = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const [title, description] = await Promise.all([contract.title(), contract.description()]);
+    return { title, description };
+  } catch (error) {
+    console.error("Error getting election details:", error);
+    throw error;
+  }
+};
+
+/**
+ * Update the title and description (admin only, not while voting is open)
+ * @param {number} electionId - ID of the election
+ * @param {string} title - Election name
+ * @param {string} description - Longer explanation of what is being decided
+ * @returns {Promise<void>}
+ */
+export const setElectionDetails = async (electionId, title, description) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.setMetadata(title, description);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error setting election details:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the registration deadline and voting window of an election
+ * Times are unix timestamps in seconds (0 = not set). clockOffset is the
+ * difference between chain time and local time so countdowns follow the chain.
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<{registrationDeadline: number, votingStart: number, votingEnd: number, clockOffset: number}>}
+ */
+export const getSchedule = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const [registrationDeadline, votingStart, votingEnd, latestBlock] = await Promise.all([
+      contract.registrationDeadline(),
+      contract.votingStart(),
+      contract.votingEnd(),
+      contract.runner.provider.getBlock('latest')
+    ]);
+    return {
+      registrationDeadline: Number(registrationDeadline),
+      votingStart: Number(votingStart),
+      votingEnd: Number(votingEnd),
+      clockOffset: latestBlock.timestamp - Math.floor(Date.now() / 1000)
+    };
+  } catch (error) {
+    console.error("Error getting schedule:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the ballot mode of an election
+ * @param {number} electionId - ID of the election
+ * seatCount is the number of candidates elected; maxSelections is how many an approval ballot may approve
+ * @returns {Promise<{ballotType: number, secretBallot: boolean, revealPhase: boolean, seatCount: number, maxSelections: number}>}
+ */
+export const getBallotMode = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const [ballotType, secretBallot, revealPhase, seatCount, maxSelections] = await Promise.all([
+      contract.ballotType(),
+      contract.secretBallot(),
+      contract.revealPhase(),
+      contract.seatCount(),
+      contract.maxSelections()
+    ]);
+    return {
+      ballotType: Number(ballotType),
+      secretBallot,
+      revealPhase,
+      seatCount: Number(seatCount),
+      maxSelections: Number(maxSelections)
+    };
+  } catch (error) {
+    console.error("Error getting ballot mode:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get an election's turnout and quorum rule
+ * Once the final turnout has been recorded (recorded = true) the figures and verdict are that record;
+ * before then they are the live counters.
+ * @param {number} electionId - ID of the election
+ * registered counts Merkle-roll voters only once they have voted, so percent is null while a roll is published
+ * @returns {Promise<{
+ *   registered: number, voted: number, percent: number | null,
+ *   quorum: number, quorumIsPercent: boolean, quorumReached: boolean, recorded: boolean
+ * }>}
+ */
+export const getTurnout = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const [liveRegistered, liveVoted, quorum, quorumIsPercent, liveReached, voterRoot, final] = await Promise.all([
+      contract.registeredCount(),
+      contract.votedCount(),
+      contract.quorum(),
+      contract.quorumIsPercent(),
+      contract.quorumReached(),
+      contract.voterRoot(),
+      contract.finalTurnout()
+    ]);
+    const registered = final.recorded ? final.registered : liveRegistered;
+    const voted = final.recorded ? final.voted : liveVoted;
+    return {
+      registered: Number(registered),
+      voted: Number(voted),
+      percent: voterRoot === ethers.ZeroHash && Number(registered) > 0
+        ? Number(((Number(voted) / Number(registered)) * 100).toFixed(2))
+        : null,
+      quorum: Number(quorum),
+      quorumIsPercent,
+      quorumReached: final.recorded ? final.quorumReached : liveReached,
+      recorded: final.recorded
+    };
+  } catch (error) {
+    console.error("Error getting turnout:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get all candidates, including withdrawn ones, with their profiles
+ * @param {number} electionId - ID of the election
+ * voteCount is the weighted total; voterCount is the number of ballots behind it
+ * @returns {Promise<Array<{
+ *   id: number, name: string, voteCount: number, voterCount: number, withdrawn: boolean,
+ *   party: string, bio: string, imageURI: string, link: string
+ * }>>}
  */
-export const getAllCandidates = async () => {
+export const getAllCandidates = async (electionId) => {
   try {
-    const contract = await getContract();
+    const contract = await getContract(electionId);
     const candidates = await contract.getAllCandidates();
-    return candidates.map(c => ({
+    const profiles = await Promise.all(candidates.map(c => contract.candidateProfiles(c.id)));
+    return candidates.map((c, i) => ({
       id: Number(c.id),
       name: c.name,
-      voteCount: Number(c.voteCount)
+      voteCount: Number(c.voteCount),
+      voterCount: Number(c.voterCount),
+      withdrawn: c.withdrawn,
+      party: profiles[i].party,
+      bio: profiles[i].bio,
+      imageURI: profiles[i].imageURI,
+      link: profiles[i].link
     }));
   } catch (error) {
     console.error("Error getting candidates:", error);
@@ -123,15 +660,28 @@ export const getAllCandidates = async () => {
   }
 };
 
+/**
+ * Build the on-chain CandidateProfile tuple, with empty strings for missing fields
+ * @param {{party?: string, bio?: string, imageURI?: string, link?: string}} profile
+ */
+const toCandidateProfile = ({ party = '', bio = '', imageURI = '', link = '' } = {}) => ({
+  party: party.trim(),
+  bio: bio.trim(),
+  imageURI: imageURI.trim(),
+  link: link.trim()
+});
+
 /**
  * Add a new candidate (admin only)
+ * @param {number} electionId - ID of the election
  * @param {string} name - Candidate name
+ * @param {{party?: string, bio?: string, imageURI?: string, link?: string}} [profile] - Optional profile
  * @returns {Promise<void>}
  */
-export const addCandidate = async (name) => {
+export const addCandidate = async (electionId, name, profile = {}) => {
   try {
-    const contract = await getContract();
-    const tx = await contract.addCandidate(name);
+    const contract = await getContract(electionId);
+    const tx = await contract.addCandidate(name, toCandidateProfile(profile));
     await tx.wait();
   } catch (error) {
     console.error("Error adding candidate:", error);
@@ -140,86 +690,1125 @@ export const addCandidate = async (name) => {
 };
 
 /**
- * Register a voter (admin only)
- * @param {string} voterAddress - Address to register
+ * Edit a candidate's name and profile (admin only, before voting starts)
+ * @param {number} electionId - ID of the election
+ * @param {number} candidateId - ID of the candidate
+ * @param {string} name - New name
+ * @param {{party?: string, bio?: string, imageURI?: string, link?: string}} profile - New profile
  * @returns {Promise<void>}
  */
-export const registerVoter = async (voterAddress) => {
+export const updateCandidate = async (electionId, candidateId, name, profile) => {
   try {
-    const contract = await getContract();
-    const tx = await contract.registerVoter(voterAddress);
+    const contract = await getContract(electionId);
+    const tx = await contract.updateCandidate(candidateId, name, toCandidateProfile(profile));
     await tx.wait();
   } catch (error) {
-    console.error("Error registering voter:", error);
+    console.error("Error updating candidate:", error);
     throw error;
   }
 };
 
 /**
- * Start the election (admin only)
+ * Withdraw a candidate from the ballot (admin only, before voting starts)
+ * The candidate stays in the election's history but can no longer receive votes.
+ * @param {number} electionId - ID of the election
+ * @param {number} candidateId - ID of the candidate
  * @returns {Promise<void>}
  */
-export const startElection = async () => {
+export const withdrawCandidate = async (electionId, candidateId) => {
   try {
-    const contract = await getContract();
-    const tx = await contract.startElection();
+    const contract = await getContract(electionId);
+    const tx = await contract.withdrawCandidate(candidateId);
     await tx.wait();
   } catch (error) {
-    console.error("Error starting election:", error);
+    console.error("Error withdrawing candidate:", error);
     throw error;
   }
 };
 
+// Answer options of a yes/no/abstain referendum question
+export const REFERENDUM_OPTIONS = ['Yes', 'No', 'Abstain'];
+
+// Read the ballot questions (text and options only live in QuestionAdded events) with their tallies
+const readQuestions = async (contract, fromBlock, toBlock = 'latest') => {
+  const events = await contract.queryFilter(contract.filters.QuestionAdded(), fromBlock, toBlock);
+  const tallies = await Promise.all(events.map(event =>
+    contract.getQuestionVotes(event.args.questionId, { blockTag: toBlock })
+  ));
+  return events.map((event, i) => ({
+    id: Number(event.args.questionId),
+    text: event.args.text,
+    options: event.args.options.map((label, option) => ({ label, votes: Number(tallies[i][option]) }))
+  }));
+};
+
 /**
- * End the election (admin only)
+ * Get the questions every ballot in the election must answer
+ * votes is the weighted total for each option, like a candidate's voteCount
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<Array<{id: number, text: string, options: Array<{label: string, votes: number}>}>>}
+ */
+export const getQuestions = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    return await readQuestions(contract, await getElectionCreationBlock(electionId));
+  } catch (error) {
+    console.error("Error getting questions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Add a question to the ballot (admin only, before voting starts)
+ * @param {number} electionId - ID of the election
+ * @param {string} text - Question text
+ * @param {string[]} [options] - Answer options (a yes/no/abstain referendum by default)
  * @returns {Promise<void>}
  */
-export const endElection = async () => {
+export const addQuestion = async (electionId, text, options = REFERENDUM_OPTIONS) => {
   try {
-    const contract = await getContract();
-    const tx = await contract.endElection();
+    const contract = await getContract(electionId);
+    const tx = await contract.addQuestion(text.trim(), options.map(option => option.trim()));
     await tx.wait();
   } catch (error) {
-    console.error("Error ending election:", error);
+    console.error("Error adding question:", error);
     throw error;
   }
 };
 
 /**
- * Cast a vote
- * @param {number} candidateId - ID of candidate to vote for
+ * Register a voter (admin only)
+ * @param {number} electionId - ID of the election
+ * @param {string} voterAddress - Address to register
+ * @param {number} [weight] - Votes the voter's ballot counts for (e.g. shares held)
  * @returns {Promise<void>}
  */
-export const castVote = async (candidateId) => {
+export const registerVoter = async (electionId, voterAddress, weight = 1) => {
   try {
-    const contract = await getContract();
-    const tx = await contract.vote(candidateId);
+    const contract = await getContract(electionId);
+    const tx = await contract.registerVoter(voterAddress, weight);
     await tx.wait();
   } catch (error) {
-    console.error("Error casting vote:", error);
+    console.error("Error registering voter:", error);
     throw error;
   }
 };
 
 /**
- * Get the winner of the election
- * @returns {Promise<{id: number, name: string, voteCount: number}>}
+ * Register many voters in one transaction (admin only)
+ * Already registered addresses are skipped by the contract
+ * @param {number} electionId - ID of the election
+ * @param {string[]} voterAddresses - Addresses to register
+ * @param {number[]} [weights] - Weight of each voter, in the same order (default: 1 each)
+ * @returns {Promise<{registered: string[], skipped: string[]}>}
  */
-export const getWinner = async () => {
+export const registerVoters = async (electionId, voterAddresses, weights = []) => {
   try {
-    const contract = await getContract();
-    const [winnerId, winnerName, winnerVoteCount] = await contract.getWinner();
+    const contract = await getContract(electionId);
+    const tx = await contract.registerVoters(voterAddresses, weights);
+    const receipt = await tx.wait();
+    const events = receipt.logs
+      .map(log => contract.interface.parseLog(log))
+      .filter(Boolean);
     return {
-      id: Number(winnerId),
-      name: winnerName,
-      voteCount: Number(winnerVoteCount)
+      registered: events.filter(e => e.name === 'VoterRegistered').map(e => e.args.voterAddress),
+      skipped: events.filter(e => e.name === 'DuplicateVoterSkipped').map(e => e.args.voterAddress)
     };
   } catch (error) {
-    console.error("Error getting winner:", error);
+    console.error("Error registering voters:", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a voter who has not voted yet from the roll (admin only)
+ * @param {number} electionId - ID of the election
+ * @param {string} voterAddress - Address to remove
+ * @param {string} reason - Recorded on-chain in the VoterRevoked event
+ */
+export const revokeVoter = async (electionId, voterAddress, reason) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.revokeVoter(voterAddress, reason);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error revoking voter:", error);
+    throw error;
+  }
+};
+
+/**
+ * Move a voter's registration to a new address (admin only)
+ * @param {number} electionId - ID of the election
+ * @param {string} oldAddress - Address currently on the roll
+ * @param {string} newAddress - Address that replaces it
+ * @param {string} reason - Recorded on-chain in the VoterReplaced event
+ */
+export const replaceVoter = async (electionId, oldAddress, newAddress, reason) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.replaceVoter(oldAddress, newAddress, reason);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error replacing voter:", error);
+    throw error;
+  }
+};
+
+/**
+ * Set the registration deadline and voting window (admin only)
+ * @param {number} electionId - ID of the election
+ * @param {number} registrationDeadline - Unix timestamp (0 = no deadline)
+ * @param {number} votingStart - Unix timestamp at which voting opens
+ * @param {number} votingEnd - Unix timestamp at which voting closes
+ * @returns {Promise<void>}
+ */
+export const setSchedule = async (electionId, registrationDeadline, votingStart, votingEnd) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.setSchedule(registrationDeadline, votingStart, votingEnd);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error setting schedule:", error);
     throw error;
   }
 };
 
+/**
+ * Start the election (admin only)
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<void>}
+ */
+export const startElection = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.startElection();
+    await tx.wait();
+  } catch (error) {
+    console.error("Error starting election:", error);
+    throw error;
+  }
+};
+
+/**
+ * End the election (admin only)
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<void>}
+ */
+export const endElection = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.endElection();
+    await tx.wait();
+  } catch (error) {
+    console.error("Error ending election:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record the final turnout and quorum verdict of an election whose voting has closed
+ * Anyone can do this; ending the election early records it automatically.
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<void>}
+ */
+export const recordTurnout = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.recordTurnout();
+    await tx.wait();
+  } catch (error) {
+    console.error("Error recording turnout:", error);
+    throw error;
+  }
+};
+
+// Local relayer that submits signed ballots (see scripts/relayer.js)
+export const RELAYER_URL = process.env.REACT_APP_RELAYER_URL || 'http://localhost:8787';
+
+// How long a signed ballot stays valid, in seconds
+const SIGNED_BALLOT_LIFETIME = 60 * 60;
+
+// EIP-712 type of EVoting.castSignedBallot ballots
+const BALLOT_TYPES_712 = {
+  Ballot: [
+    { name: 'voter', type: 'address' },
+    { name: 'candidateId', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * Sign a plurality ballot (EIP-712) without sending a transaction
+ * @param {number} electionId - ID of the election
+ * @param {number} candidateId - ID of the candidate to vote for
+ * @returns {Promise<{voter: string, candidateId: string, nonce: string, deadline: string, signature: string, proof: string[]}>}
+ */
+export const signBallot = async (electionId, candidateId) => {
+  try {
+    const contract = await getContract(electionId);
+    const signer = contract.runner;
+    const voterAddress = await signer.getAddress();
+    const [domainFields, nonce, latestBlock, proof] = await Promise.all([
+      contract.eip712Domain(),
+      contract.nonces(voterAddress),
+      signer.provider.getBlock('latest'),
+      getEligibilityProof(electionId, contract, voterAddress)
+    ]);
+    const domain = {
+      name: domainFields.name,
+      version: domainFields.version,
+      chainId: domainFields.chainId,
+      verifyingContract: domainFields.verifyingContract
+    };
+    const ballot = {
+      voter: voterAddress,
+      candidateId: Number(candidateId),
+      nonce,
+      deadline: latestBlock.timestamp + SIGNED_BALLOT_LIFETIME
+    };
+    const signature = await signer.signTypedData(domain, BALLOT_TYPES_712, ballot);
+    return {
+      voter: voterAddress,
+      candidateId: ballot.candidateId.toString(),
+      nonce: ballot.nonce.toString(),
+      deadline: ballot.deadline.toString(),
+      signature,
+      proof: proof || []
+    };
+  } catch (error) {
+    console.error("Error signing ballot:", error);
+    throw error;
+  }
+};
+
+/**
+ * Hand a signed ballot to the relayer, which submits it and pays the gas
+ * @param {number} electionId - ID of the election
+ * @param {object} ballot - Ballot returned by signBallot
+ * @returns {Promise<{queued: boolean, position: number}>}
+ */
+export const submitSignedBallot = async (electionId, ballot) => {
+  try {
+    const contract = await getContract(electionId);
+    const response = await fetch(`${RELAYER_URL}/ballots`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ election: await contract.getAddress(), ballot })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `Relayer responded with ${response.status}`);
+    }
+    return result;
+  } catch (error) {
+    console.error("Error submitting signed ballot:", error);
+    throw error;
+  }
+};
+
+/**
+ * Cast a vote
+ * With gasless set, the ballot is signed and sent to the relayer instead of
+ * being sent as a transaction; it is counted once the relayer submits it.
+ * Elections with ballot questions need an answer (option index) for each one,
+ * sent in the same transaction; signed gasless ballots cannot carry them.
+ * @param {number} electionId - ID of the election
+ * @param {number} candidateId - ID of the candidate to vote for
+ * @param {{gasless?: boolean, answers?: number[]}} [options]
+ * @returns {Promise<void>}
+ */
+export const castVote = async (electionId, candidateId, { gasless = false, answers = [] } = {}) => {
+  try {
+    if (gasless) {
+      const ballot = await signBallot(electionId, candidateId);
+      await submitSignedBallot(electionId, ballot);
+      return;
+    }
+
+    const contract = await getContract(electionId);
+    const voterAddress = await contract.runner.getAddress();
+    const proof = await getEligibilityProof(electionId, contract, voterAddress);
+    let tx;
+    if (answers.length > 0) {
+      tx = await contract.voteWithAnswers(candidateId, answers, proof || []);
+    } else {
+      tx = proof
+        ? await contract.voteWithProof(candidateId, proof)
+        : await contract.vote(candidateId);
+    }
+    await tx.wait();
+  } catch (error) {
+    console.error("Error casting vote:", error);
+    throw error;
+  }
+};
+
+/**
+ * Cast a ranked-choice ballot
+ * @param {number} electionId - ID of the election
+ * @param {number[]} ranking - Candidate IDs, most preferred first
+ * @param {number[]} [answers] - Option index for each ballot question, if the election has any
+ * @returns {Promise<void>}
+ */
+export const castRankedVote = async (electionId, ranking, answers = []) => {
+  try {
+    const contract = await getContract(electionId);
+    const voterAddress = await contract.runner.getAddress();
+    const proof = await getEligibilityProof(electionId, contract, voterAddress);
+    let tx;
+    if (answers.length > 0) {
+      tx = await contract.voteRankedWithAnswers(ranking, answers, proof || []);
+    } else {
+      tx = proof
+        ? await contract.voteRankedWithProof(ranking, proof)
+        : await contract.voteRanked(ranking);
+    }
+    await tx.wait();
+  } catch (error) {
+    console.error("Error casting ranked vote:", error);
+    throw error;
+  }
+};
+
+/**
+ * Cast an approval ballot
+ * @param {number} electionId - ID of the election
+ * @param {number[]} candidateIds - Candidates approved, at most the election's maxSelections
+ * @param {number[]} [answers] - Option index for each ballot question, if the election has any
+ * @returns {Promise<void>}
+ */
+export const castApprovalVote = async (electionId, candidateIds, answers = []) => {
+  try {
+    const contract = await getContract(electionId);
+    const voterAddress = await contract.runner.getAddress();
+    const proof = await getEligibilityProof(electionId, contract, voterAddress);
+    const tx = answers.length > 0 || proof
+      ? await contract.voteApprovalWithAnswers(candidateIds, answers, proof || [])
+      : await contract.voteApproval(candidateIds);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error casting approval vote:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delegate the connected voter's vote to another registered voter
+ * If the delegate has delegated too, the weight follows the chain to whoever votes at its end
+ * @param {number} electionId - ID of the election
+ * @param {string} delegateAddress - Registered voter to delegate to
+ * @returns {Promise<void>}
+ */
+export const delegateVote = async (electionId, delegateAddress) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.delegateVote(delegateAddress);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error delegating vote:", error);
+    throw error;
+  }
+};
+
+/**
+ * Take back the connected voter's delegated vote (before the delegate votes)
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<void>}
+ */
+export const revokeDelegation = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.revokeDelegation();
+    await tx.wait();
+  } catch (error) {
+    console.error("Error revoking delegation:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the voters currently delegating directly to an address
+ * @param {number} electionId - ID of the election
+ * @param {string} address - Delegate address
+ * @returns {Promise<Array<{voter: string, weight: number}>>} Each delegator and the weight flowing through them
+ */
+export const getDelegators = async (electionId, address) => {
+  try {
+    const contract = await getContract(electionId);
+    const fromBlock = await getElectionCreationBlock(electionId);
+    const [delegated, revoked] = await Promise.all([
+      contract.queryFilter(contract.filters.VoteDelegated(null, address), fromBlock),
+      contract.queryFilter(contract.filters.DelegationRevoked(null, address), fromBlock)
+    ]);
+
+    // Replay both event streams in order; the latest event per voter wins
+    const delegators = new Set();
+    [...delegated, ...revoked]
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+      .forEach((event) => {
+        if (event.fragment.name === 'VoteDelegated') {
+          delegators.add(event.args.voter);
+        } else {
+          delegators.delete(event.args.voter);
+        }
+      });
+
+    // A delegator passes on their own weight plus anything delegated to them since
+    return Promise.all([...delegators].map(async (voter) => {
+      const [, , , , weight, , delegatedWeight] = await contract.getVoter(voter);
+      return { voter, weight: Number(weight) + Number(delegatedWeight) };
+    }));
+  } catch (error) {
+    console.error("Error getting delegators:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get every ranked-choice ballot cast in an election
+ * @param {number} electionId - ID of the election
+ * @param {number|string} [toBlock='latest'] - Last block to include
+ * @returns {Promise<Array<{ranking: number[], weight: number}>>} Rankings (most preferred candidate first) and voter weights
+ */
+export const getRankedBallots = async (electionId, toBlock = 'latest') => {
+  try {
+    const contract = await getContract(electionId);
+    const events = await contract.queryFilter(contract.filters.RankedVoteCast(), await getElectionCreationBlock(electionId), toBlock);
+    return events.map(event => ({ ranking: event.args.ranking.map(Number), weight: Number(event.args.weight) }));
+  } catch (error) {
+    console.error("Error getting ranked ballots:", error);
+    throw error;
+  }
+};
+
+// Convert event arguments into plain JSON-friendly values (structs become objects keyed by field name)
+const toPlainValue = (value, param) => {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (param && param.baseType === 'tuple') {
+    return Object.fromEntries(param.components.map((component, i) => [component.name, toPlainValue(value[i], component)]));
+  }
+  if (Array.isArray(value)) {
+    return [...value].map(item => toPlainValue(item, param && param.arrayChildren));
+  }
+  return value;
+};
+
+/**
+ * Get every event of an election since it was created, oldest first
+ * Each entry includes the account that sent the transaction (e.g. the admin who
+ * registered a voter, or the relayer that submitted a signed ballot) and the block time.
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<Array<{
+ *   name: string, args: Object<string, *>, from: string, blockNumber: number,
+ *   timestamp: number, transactionHash: string, logIndex: number
+ * }>>}
+ */
+export const getAuditTrail = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const factory = await getFactory();
+    const provider = contract.runner.provider;
+    const fromBlock = await getElectionCreationBlock(electionId);
+    const [creation, logs] = await Promise.all([
+      factory.queryFilter(factory.filters.ElectionCreated(electionId), fromBlock, fromBlock),
+      contract.queryFilter('*', fromBlock)
+    ]);
+    const decoded = [...creation, ...logs].filter(log => log.fragment);
+
+    // One lookup per block and per transaction, however many events they contain
+    const blockNumbers = [...new Set(decoded.map(log => log.blockNumber))];
+    const txHashes = [...new Set(decoded.map(log => log.transactionHash))];
+    const [blocks, transactions] = await Promise.all([
+      Promise.all(blockNumbers.map(number => provider.getBlock(number))),
+      Promise.all(txHashes.map(hash => provider.getTransaction(hash)))
+    ]);
+    const timestamps = Object.fromEntries(blocks.map(block => [block.number, block.timestamp]));
+    const senders = Object.fromEntries(transactions.map(tx => [tx.hash, tx.from]));
+
+    return decoded
+      .map(log => ({
+        name: log.fragment.name,
+        args: Object.fromEntries(log.fragment.inputs.map((input, i) => [input.name, toPlainValue(log.args[i], input)])),
+        from: senders[log.transactionHash],
+        blockNumber: log.blockNumber,
+        timestamp: timestamps[log.blockNumber],
+        transactionHash: log.transactionHash,
+        logIndex: log.index
+      }))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  } catch (error) {
+    console.error("Error getting audit trail:", error);
+    throw error;
+  }
+};
+
+/**
+ * Choose how ballots are cast and tallied (admin only)
+ * @param {number} electionId - ID of the election
+ * @param {number} ballotType - One of BALLOT_TYPES
+ * @returns {Promise<void>}
+ */
+export const setBallotType = async (electionId, ballotType) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.setBallotType(ballotType);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error setting ballot type:", error);
+    throw error;
+  }
+};
+
+/**
+ * Set the number of seats and the approval ballot limit (admin only, before voting starts)
+ * @param {number} electionId - ID of the election
+ * @param {number} seatCount - Candidates elected
+ * @param {number} maxSelections - Candidates an approval ballot may approve
+ * @returns {Promise<void>}
+ */
+export const setSeats = async (electionId, seatCount, maxSelections) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.setSeats(seatCount, maxSelections);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error setting seats:", error);
+    throw error;
+  }
+};
+
+/**
+ * Set the turnout a valid result needs (admin only, before voting starts)
+ * @param {number} electionId - ID of the election
+ * @param {number} quorum - Ballots needed, or a percentage of registered voters (0 = no quorum)
+ * @param {boolean} isPercent - Whether quorum is a percentage
+ * @returns {Promise<void>}
+ */
+export const setQuorum = async (electionId, quorum, isPercent) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.setQuorum(quorum, isPercent);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error setting quorum:", error);
+    throw error;
+  }
+};
+
+/**
+ * Enable or disable commit-reveal secret ballot mode (admin only)
+ * @param {number} electionId - ID of the election
+ * @param {boolean} enabled - Whether ballots must be committed
+ * @returns {Promise<void>}
+ */
+export const setSecretBallot = async (electionId, enabled) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.setSecretBallot(enabled);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error setting secret ballot:", error);
+    throw error;
+  }
+};
+
+/**
+ * Close the reveal phase (admin only)
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<void>}
+ */
+export const endReveal = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.endReveal();
+    await tx.wait();
+  } catch (error) {
+    console.error("Error ending reveal phase:", error);
+    throw error;
+  }
+};
+
+// localStorage key holding a voter's committed ballot for one election
+const ballotStorageKey = (electionAddress, voterAddress) =>
+  `evoting:ballot:${electionAddress.toLowerCase()}:${voterAddress.toLowerCase()}`;
+
+/**
+ * Get the committed ballot saved in this browser
+ * @param {number} electionId - ID of the election
+ * @param {string} voterAddress - Voter address
+ * @returns {Promise<{candidateId: number, salt: string} | null>}
+ */
+export const getStoredBallot = async (electionId, voterAddress) => {
+  const contract = await getContract(electionId);
+  const stored = localStorage.getItem(ballotStorageKey(await contract.getAddress(), voterAddress));
+  return stored ? JSON.parse(stored) : null;
+};
+
+/**
+ * Commit a salted ballot in secret ballot mode
+ * The salt is saved in localStorage before the transaction is sent so it
+ * is still available for the reveal phase
+ * @param {number} electionId - ID of the election
+ * @param {number} candidateId - ID of candidate to vote for
+ * @returns {Promise<void>}
+ */
+export const commitVote = async (electionId, candidateId) => {
+  try {
+    const contract = await getContract(electionId);
+    const electionAddress = await contract.getAddress();
+    const voterAddress = await contract.runner.getAddress();
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    const commitment = ethers.solidityPackedKeccak256(
+      ['address', 'address', 'uint256', 'bytes32'],
+      [electionAddress, voterAddress, candidateId, salt]
+    );
+
+    localStorage.setItem(
+      ballotStorageKey(electionAddress, voterAddress),
+      JSON.stringify({ candidateId, salt, commitment })
+    );
+
+    const proof = await getEligibilityProof(electionId, contract, voterAddress);
+    const tx = proof
+      ? await contract.commitVoteWithProof(commitment, proof)
+      : await contract.commitVote(commitment);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error committing vote:", error);
+    throw error;
+  }
+};
+
+/**
+ * Reveal the ballot committed from this browser
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<void>}
+ */
+export const revealVote = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const voterAddress = await contract.runner.getAddress();
+    const ballot = await getStoredBallot(electionId, voterAddress);
+    if (!ballot) {
+      throw new Error("No saved ballot found in this browser");
+    }
+    const tx = await contract.revealVote(ballot.candidateId, ballot.salt);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error revealing vote:", error);
+    throw error;
+  }
+};
+
+/**
+ * Grant the registrar or officer role (owner only)
+ * @param {number} electionId - ID of the election
+ * @param {string} role - One of ROLES
+ * @param {string} address - Account receiving the role
+ */
+export const grantRole = async (electionId, role, address) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.grantRole(role, address);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error granting role:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke the registrar or officer role (owner only)
+ * @param {number} electionId - ID of the election
+ * @param {string} role - One of ROLES
+ * @param {string} address - Account losing the role
+ */
+export const revokeRole = async (electionId, role, address) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.revokeRole(role, address);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error revoking role:", error);
+    throw error;
+  }
+};
+
+/**
+ * Propose a new owner (owner only); takes effect once they accept
+ * @param {number} electionId - ID of the election
+ * @param {string} newAdmin - Proposed owner, or ethers.ZeroAddress to cancel
+ */
+export const transferAdmin = async (electionId, newAdmin) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.transferAdmin(newAdmin);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error starting admin transfer:", error);
+    throw error;
+  }
+};
+
+/**
+ * Accept a pending owner transfer (pending owner only)
+ * @param {number} electionId - ID of the election
+ */
+export const acceptAdmin = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.acceptAdmin();
+    await tx.wait();
+  } catch (error) {
+    console.error("Error accepting admin transfer:", error);
+    throw error;
+  }
+};
+
+// Mirrors the EVoting.TieBreakPolicy enum
+export const TIE_BREAK_POLICIES = {
+  DECLARE_TIE: 0,
+  ADMIN_DECISION: 1,
+  COMMITTED_SEED: 2
+};
+
+/**
+ * Get the winner of the election
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<{winnerId: number, leaderIds: number[], voteCount: number, tied: boolean}>}
+ *   winnerId is 0 when no votes were cast or a tie is unresolved
+ */
+export const getWinner = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const [winnerId, leaderIds, winnerVoteCount] = await contract.getWinner();
+    return {
+      winnerId: Number(winnerId),
+      leaderIds: leaderIds.map(Number),
+      voteCount: Number(winnerVoteCount),
+      tied: leaderIds.length > 1
+    };
+  } catch (error) {
+    console.error("Error getting winner:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the candidates elected to a multi-seat election's seats
+ * Candidates tied for the last seats are listed in tiedIds and those seats stay open.
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<{electedIds: number[], tiedIds: number[]}>} Elected IDs, most votes first
+ */
+export const getElected = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const [electedIds, tiedIds] = await contract.getElected();
+    return { electedIds: electedIds.map(Number), tiedIds: tiedIds.map(Number) };
+  } catch (error) {
+    console.error("Error getting elected candidates:", error);
+    throw error;
+  }
+};
+
+/**
+ * Build a results certificate for an election whose voting has closed
+ *
+ * Every figure is read at a single snapshot block, which is recorded together
+ * with the block and transaction of the ElectionEnded event (absent if voting
+ * closed on schedule), so anyone can check the certificate against the chain.
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<object>} Certificate (see README "Certified Results")
+ */
+export const getResultsCertificate = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const provider = contract.runner.provider;
+    const [network, snapshot, fromBlock] = await Promise.all([
+      provider.getNetwork(),
+      provider.getBlock('latest'),
+      getElectionCreationBlock(electionId)
+    ]);
+    const at = { blockTag: snapshot.number };
+
+    const [
+      running, revealing, title, admin, ballotType, secretBallot, voterRoot, candidateList, seatCount,
+      quorum, quorumIsPercent, finalTurnout
+    ] = await Promise.all([
+      contract.electionRunning(at),
+      contract.revealPhase(at),
+      contract.title(at),
+      contract.admin(at),
+      contract.ballotType(at),
+      contract.secretBallot(at),
+      contract.voterRoot(at),
+      contract.getAllCandidates(at),
+      contract.seatCount(at),
+      contract.quorum(at),
+      contract.quorumIsPercent(at),
+      contract.finalTurnout(at)
+    ]);
+    if (running || revealing) {
+      throw new Error("Results can only be certified after voting and any reveal phase have closed");
+    }
+    if (!finalTurnout.recorded) {
+      throw new Error("The final turnout has not been recorded yet: call recordTurnout first");
+    }
+
+    const eventsOf = (filter) => contract.queryFilter(filter, fromBlock, snapshot.number);
+    const [ended, approvals, questions] = await Promise.all([
+      eventsOf(contract.filters.ElectionEnded()),
+      eventsOf(contract.filters.ApprovalVoteCast()),
+      readQuestions(contract, fromBlock, snapshot.number)
+    ]);
+
+    const candidates = candidateList.map(c => ({
+      id: Number(c.id),
+      name: c.name,
+      votes: Number(c.voteCount),
+      voters: Number(c.voterCount),
+      withdrawn: c.withdrawn
+    }));
+    // votes are weighted; voters is the headcount behind them (an approval ballot counts for each candidate it approves)
+    const countedVotes = candidates.reduce((sum, c) => sum + c.votes, 0);
+    const countedBallots = Number(ballotType) === BALLOT_TYPES.APPROVAL
+      ? approvals.length
+      : candidates.reduce((sum, c) => sum + c.voters, 0);
+    candidates.forEach(c => {
+      c.percent = countedVotes > 0 ? Number(((c.votes / countedVotes) * 100).toFixed(2)) : 0;
+    });
+
+    // The turnout recorded when voting closed; voters on a Merkle roll are only counted once they have voted
+    const registeredOnChain = Number(finalTurnout.registered);
+    const ballotsCast = Number(finalTurnout.voted);
+
+    let winner;
+    if (Number(ballotType) === BALLOT_TYPES.RANKED_CHOICE) {
+      const activeIds = candidates.filter(c => !c.withdrawn).map(c => c.id);
+      const { winnerId } = tallyInstantRunoff(activeIds, await getRankedBallots(electionId, snapshot.number));
+      winner = { winnerId, leaderIds: winnerId === null ? [] : [winnerId], tied: false };
+    } else {
+      const [winnerId, leaderIds] = await contract.getWinner(at);
+      winner = { winnerId: Number(winnerId) || null, leaderIds: leaderIds.map(Number), tied: leaderIds.length > 1 && Number(winnerId) === 0 };
+    }
+
+    // Multi-seat elections also list every elected candidate
+    let elected = null;
+    if (Number(seatCount) > 1) {
+      const [electedIds, tiedIds] = await contract.getElected(at);
+      elected = { electedIds: electedIds.map(Number), tiedIds: tiedIds.map(Number) };
+    }
+
+    let electionEnded = null;
+    if (ended.length > 0) {
+      const last = ended[ended.length - 1];
+      electionEnded = { blockNumber: last.blockNumber, blockHash: last.blockHash, transactionHash: last.transactionHash };
+    }
+
+    return {
+      type: 'EVoting results certificate',
+      version: 1,
+      election: {
+        id: Number(electionId),
+        title,
+        contract: await contract.getAddress(),
+        chainId: Number(network.chainId),
+        admin,
+        ballotType: BALLOT_TYPE_NAMES[Number(ballotType)],
+        seatCount: Number(seatCount),
+        secretBallot: Boolean(secretBallot),
+        voterRoot
+      },
+      anchor: { blockNumber: snapshot.number, blockHash: snapshot.hash, timestamp: snapshot.timestamp },
+      electionEnded,
+      candidates,
+      questions,
+      turnout: {
+        ballotsCast,
+        countedVotes,
+        countedBallots,
+        registeredOnChain,
+        turnoutPercent: voterRoot === ethers.ZeroHash && registeredOnChain > 0
+          ? Number(((ballotsCast / registeredOnChain) * 100).toFixed(2))
+          : null
+      },
+      quorum: { required: Number(quorum), isPercent: quorumIsPercent, reached: finalTurnout.quorumReached },
+      valid: finalTurnout.quorumReached,
+      winner,
+      elected,
+      generatedAt: new Date(snapshot.timestamp * 1000).toISOString()
+    };
+  } catch (error) {
+    console.error("Error building results certificate:", error);
+    throw error;
+  }
+};
+
+/**
+ * Sign a results certificate with the connected wallet (should be the election admin)
+ * The signature covers the canonical JSON of the certificate (see utils/resultsCertificate.js)
+ * @param {number} electionId - ID of the election
+ * @param {object} certificate - Certificate from getResultsCertificate
+ * @returns {Promise<{certificate: object, signature: string, signer: string}>}
+ */
+export const signResultsCertificate = async (electionId, certificate) => {
+  try {
+    const contract = await getContract(electionId);
+    const signer = contract.runner;
+    const signature = await signer.signMessage(canonicalJson(certificate));
+    return { certificate, signature, signer: await signer.getAddress() };
+  } catch (error) {
+    console.error("Error signing results certificate:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the tie-break policy of an election
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<{policy: number, seedCommitment: string}>}
+ */
+export const getTieBreakPolicy = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const [policy, seedCommitment] = await Promise.all([
+      contract.tieBreakPolicy(),
+      contract.tieBreakSeedCommitment()
+    ]);
+    return { policy: Number(policy), seedCommitment };
+  } catch (error) {
+    console.error("Error getting tie-break policy:", error);
+    throw error;
+  }
+};
+
+// localStorage key holding the admin's tie-break seed for one election
+const seedStorageKey = (electionAddress) => `evoting:tiebreak-seed:${electionAddress.toLowerCase()}`;
+
+/**
+ * Set the tie-break policy (admin only, before voting starts)
+ * For COMMITTED_SEED a random seed is generated and saved in this browser;
+ * only its hash goes on-chain until it is revealed
+ * @param {number} electionId - ID of the election
+ * @param {number} policy - One of TIE_BREAK_POLICIES
+ * @returns {Promise<string | null>} The generated seed, if any
+ */
+export const setTieBreakPolicy = async (electionId, policy) => {
+  try {
+    const contract = await getContract(electionId);
+    let seed = null;
+    let commitment = ethers.ZeroHash;
+    if (policy === TIE_BREAK_POLICIES.COMMITTED_SEED) {
+      seed = ethers.hexlify(ethers.randomBytes(32));
+      commitment = ethers.keccak256(seed);
+      localStorage.setItem(seedStorageKey(await contract.getAddress()), seed);
+    }
+    const tx = await contract.setTieBreakPolicy(policy, commitment);
+    await tx.wait();
+    return seed;
+  } catch (error) {
+    console.error("Error setting tie-break policy:", error);
+    throw error;
+  }
+};
+
+/**
+ * Cast the deciding vote in a tie (admin only, ADMIN_DECISION policy)
+ * @param {number} electionId - ID of the election
+ * @param {number} candidateId - ID of one of the tied leaders
+ * @returns {Promise<void>}
+ */
+export const breakTie = async (electionId, candidateId) => {
+  try {
+    const contract = await getContract(electionId);
+    const tx = await contract.breakTie(candidateId);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error breaking tie:", error);
+    throw error;
+  }
+};
+
+/**
+ * Reveal the tie-break seed saved in this browser (COMMITTED_SEED policy)
+ * @param {number} electionId - ID of the election
+ * @returns {Promise<void>}
+ */
+export const revealTieBreakSeed = async (electionId) => {
+  try {
+    const contract = await getContract(electionId);
+    const seed = localStorage.getItem(seedStorageKey(await contract.getAddress()));
+    if (!seed) {
+      throw new Error("No tie-break seed found in this browser");
+    }
+    const tx = await contract.revealTieBreakSeed(seed);
+    await tx.wait();
+  } catch (error) {
+    console.error("Error revealing tie-break seed:", error);
+    throw error;
+  }
+};
+
+/**
+ * Watch an election (and the factory) for contract events
+ *
+ * Subscribes to the election's events and the factory's ElectionCreated through
+ * node-side log filters (eth_newFilter), so the node reports new events as they
+ * are mined. Events that arrive together are delivered as one batch, in chain order.
+ * @param {number} electionId - ID of the election
+ * @param {{
+ *   onEvents: (events: Array<{name: string, args: object, blockNumber: number}>) => void
+ * }} handlers - onEvents gets each batch of decoded events
+ * @returns {Promise<(() => void) | null>} Unsubscribe function, or null if the node does not support log filters
+ */
+export const watchElection = async (electionId, { onEvents }) => {
+  try {
+    const contract = await getContract(electionId);
+    const factory = await getFactory();
+    const provider = contract.runner.provider;
+
+    // Without filter support ethers quietly falls back to polling getLogs, so check first and let the caller poll instead
+    const filterId = await provider.send('eth_newFilter', [{ address: await contract.getAddress() }]);
+    await provider.send('eth_uninstallFilter', [filterId]);
+
+    // A new filter may report the current block, whose events the caller has already loaded
+    const startBlock = await provider.getBlockNumber();
+    let pending = [];
+    const flush = () => {
+      const events = pending
+        .sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index)
+        .map(({ fragment, args, log }) => ({ name: fragment.name, args, blockNumber: log.blockNumber }));
+      pending = [];
+      onEvents(events);
+    };
+    // The last listener argument is the event payload; events outside the ABI have no fragment
+    const handleEvent = (...listenerArgs) => {
+      const payload = listenerArgs[listenerArgs.length - 1];
+      if (!payload.fragment || payload.log.blockNumber <= startBlock) {
+        return;
+      }
+      if (pending.length === 0) {
+        setTimeout(flush, 0);
+      }
+      pending.push(payload);
+    };
+
+    const electionCreated = factory.filters.ElectionCreated();
+    await Promise.all([contract.on('*', handleEvent), factory.on(electionCreated, handleEvent)]);
+    return () => {
+      contract.off('*', handleEvent);
+      factory.off(electionCreated, handleEvent);
+    };
+  } catch (error) {
+    console.error("Error subscribing to election events:", error);
+    return null;
+  }
+};
+
 /**
  * Listen for account changes in MetaMask
  * @param {Function} callback - Function to call when account changes
@@ -232,10 +1821,10 @@ export const onAccountsChanged = (callback) => {
 
 /**
  * Listen for chain changes in MetaMask
- * @param {Function} callback - Function to call when chain changes
+ * @param {Function} callback - Called with the new chain ID as a number
  */
 export const onChainChanged = (callback) => {
   if (window.ethereum) {
-    window.ethereum.on('chainChanged', callback);
+    window.ethereum.on('chainChanged', (hexChainId) => callback(Number(hexChainId)));
   }
 };
\ No newline at end of file
@@ -0,0 +1,100 @@
+// frontend/src/ethereum/evoting.test.js
+import {
+  READ_RPC_URL,
+  SUPPORTED_NETWORKS,
+  connectWallet,
+  disconnectWallet,
+  getChainId,
+  getReadProvider,
+  isReadOnlyAvailable,
+  isSupportedChain,
+  isWalletConnected,
+  switchNetwork
+} from './evoting';
+
+jest.mock('./config', () => ({
+  DEPLOYMENTS: {
+    31337: { network: 'localhost', chainId: 31337, rpcUrl: 'http://127.0.0.1:8545', blockExplorerUrl: null },
+    11155111: { network: 'sepolia', chainId: 11155111, rpcUrl: 'https://rpc.sepolia.org', blockExplorerUrl: 'https://sepolia.etherscan.io' }
+  }
+}));
+
+describe('supported networks', () => {
+  it('lists every chain with a deployment', () => {
+    expect(SUPPORTED_NETWORKS).toEqual([
+      { chainId: 31337, name: 'localhost' },
+      { chainId: 11155111, name: 'sepolia' }
+    ]);
+    expect(isSupportedChain(11155111)).toBe(true);
+    expect(isSupportedChain(1)).toBe(false);
+  });
+});
+
+describe('switchNetwork', () => {
+  let request;
+  beforeEach(() => {
+    request = jest.fn();
+    window.ethereum = { request };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    delete window.ethereum;
+    console.error.mockRestore();
+  });
+
+  it('asks the wallet to switch chains', async () => {
+    request.mockResolvedValue(null);
+
+    await switchNetwork(31337);
+    expect(request).toHaveBeenCalledWith({ method: 'wallet_switchEthereumChain', params: [{ chainId: '0x7a69' }] });
+  });
+
+  it('adds the network from its manifest when the wallet does not know it', async () => {
+    request.mockRejectedValueOnce({ data: { originalError: { code: 4902 } } }).mockResolvedValueOnce(null);
+
+    await switchNetwork(11155111);
+    expect(request).toHaveBeenLastCalledWith({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId: '0xaa36a7',
+        chainName: 'sepolia',
+        rpcUrls: ['https://rpc.sepolia.org'],
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        blockExplorerUrls: ['https://sepolia.etherscan.io']
+      }]
+    });
+  });
+
+  it('passes on a rejected switch', async () => {
+    const rejected = Object.assign(new Error('User rejected the request'), { code: 4001 });
+    request.mockRejectedValue(rejected);
+
+    await expect(switchNetwork(31337)).rejects.toBe(rejected);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('read-only browsing', () => {
+  afterEach(() => {
+    delete window.ethereum;
+    disconnectWallet();
+  });
+
+  it('reads from the first deployment until a wallet is connected', async () => {
+    expect(isReadOnlyAvailable()).toBe(true);
+    expect(READ_RPC_URL).toBe('http://127.0.0.1:8545');
+    expect(isWalletConnected()).toBe(false);
+    expect(await getChainId()).toBe(31337);
+    expect(getReadProvider()).toBe(getReadProvider());
+  });
+
+  it('goes through the wallet once connected and back when it disconnects', async () => {
+    window.ethereum = { request: jest.fn().mockResolvedValue(['0x70997970C51812dc3A010C7d01b50e0d17dc79C8']) };
+
+    await connectWallet();
+    expect(isWalletConnected()).toBe(true);
+    disconnectWallet();
+    expect(isWalletConnected()).toBe(false);
+    expect(await getChainId()).toBe(31337);
+  });
+});
@@ -0,0 +1,196 @@
+// frontend/src/utils/auditLog.js
+import { ethers } from 'ethers';
+
+// Timeline filter groups for each EVoting / ElectionFactory event
+export const AUDIT_CATEGORIES = {
+  setup: '⚙️ Setup',
+  registration: '📋 Registration',
+  voting: '🗳️ Votes',
+  lifecycle: '⏱️ Start / End',
+  roles: '🎭 Roles'
+};
+
+const EVENT_CATEGORIES = {
+  ElectionCreated: 'lifecycle',
+  Initialized: 'setup',
+  MetadataSet: 'setup',
+  CandidateAdded: 'setup',
+  CandidateUpdated: 'setup',
+  CandidateWithdrawn: 'setup',
+  QuestionAdded: 'setup',
+  ScheduleSet: 'setup',
+  SecretBallotSet: 'setup',
+  BallotTypeSet: 'setup',
+  SeatsSet: 'setup',
+  QuorumSet: 'setup',
+  TieBreakPolicySet: 'setup',
+  EIP712DomainChanged: 'setup',
+  VoterRegistered: 'registration',
+  DuplicateVoterSkipped: 'registration',
+  VoterRevoked: 'registration',
+  VoterReplaced: 'registration',
+  VoterRootSet: 'registration',
+  VoteCast: 'voting',
+  RankedVoteCast: 'voting',
+  ApprovalVoteCast: 'voting',
+  VoteCommitted: 'voting',
+  VoteDelegated: 'voting',
+  DelegationRevoked: 'voting',
+  QuestionsAnswered: 'voting',
+  SignedBallotRejected: 'voting',
+  TieBroken: 'voting',
+  ElectionStarted: 'lifecycle',
+  ElectionEnded: 'lifecycle',
+  QuorumChecked: 'lifecycle',
+  RevealEnded: 'lifecycle',
+  AdminTransferStarted: 'roles',
+  AdminTransferred: 'roles',
+  RoleGranted: 'roles',
+  RoleRevoked: 'roles',
+  RoleAdminChanged: 'roles'
+};
+
+const ROLE_NAMES = {
+  [ethers.ZeroHash]: 'owner',
+  [ethers.id('REGISTRAR_ROLE')]: 'registrar',
+  [ethers.id('OFFICER_ROLE')]: 'officer'
+};
+
+const BALLOT_TYPE_NAMES = ['plurality', 'ranked-choice', 'approval'];
+const TIE_BREAK_NAMES = ['declare a tie', 'admin decision', 'committed seed'];
+
+/**
+ * Shorten an address for display (0x1234...abcd)
+ * @param {string} address
+ */
+export const shortAddress = (address) => (address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '');
+
+const formatTime = (timestamp) => (Number(timestamp) === 0 ? 'not set' : new Date(Number(timestamp) * 1000).toLocaleString());
+
+/**
+ * Get the filter category of an audit entry
+ * @param {{name: string}} entry
+ * @returns {string} One of the AUDIT_CATEGORIES keys
+ */
+export const getAuditCategory = (entry) => EVENT_CATEGORIES[entry.name] || 'setup';
+
+/**
+ * Describe an audit entry in one human-readable sentence
+ * @param {{name: string, args: Object<string, *>, from: string}} entry
+ * @param {Object<number, string>} candidateNames - Candidate names by ID
+ * @returns {string}
+ */
+export const describeAuditEvent = ({ name, args, from }, candidateNames = {}) => {
+  const who = shortAddress(from);
+  const candidate = (id) => candidateNames[Number(id)] || `candidate #${id}`;
+  const role = (hash) => ROLE_NAMES[hash] || hash;
+  // Only weighted ballots mention their weight
+  const weighted = (weight) => (String(weight) === '1' ? '' : ` with weight ${weight}`);
+
+  switch (name) {
+    case 'ElectionCreated':
+      return `${shortAddress(args.admin)} created election #${args.electionId}`;
+    case 'Initialized':
+      return 'Election contract initialized';
+    case 'MetadataSet':
+      return `${who} named the election "${args.title}"`;
+    case 'CandidateAdded':
+      return `${who} added candidate "${args.name}" (#${args.candidateId})`;
+    case 'QuestionAdded':
+      return `${who} added question #${args.questionId} "${args.text}" (${args.options.join(' / ')})`;
+    case 'CandidateUpdated':
+      return args.profile.party
+        ? `${who} set the profile of "${args.name}" (#${args.candidateId}, ${args.profile.party})`
+        : `${who} set the profile of "${args.name}" (#${args.candidateId})`;
+    case 'CandidateWithdrawn':
+      return `${who} withdrew ${candidate(args.candidateId)} from the ballot`;
+    case 'ScheduleSet':
+      return `${who} set the schedule: registration closes ${formatTime(args.registrationDeadline)}, voting ${formatTime(args.votingStart)} – ${formatTime(args.votingEnd)}`;
+    case 'SecretBallotSet':
+      return `${who} ${args.enabled ? 'enabled' : 'disabled'} secret ballot mode`;
+    case 'BallotTypeSet':
+      return `${who} set the ballot type to ${BALLOT_TYPE_NAMES[Number(args.ballotType)]}`;
+    case 'SeatsSet':
+      return `${who} set ${args.seatCount} seat(s), up to ${args.maxSelections} approval(s) per ballot`;
+    case 'QuorumSet':
+      return Number(args.quorum) === 0
+        ? `${who} removed the quorum`
+        : `${who} set the quorum to ${args.quorum}${args.isPercent ? '% of registered voters' : ' ballot(s)'}`;
+    case 'TieBreakPolicySet':
+      return `${who} set the tie-break policy to ${TIE_BREAK_NAMES[Number(args.policy)]}`;
+    case 'VoterRegistered':
+      return `${who} registered ${shortAddress(args.voterAddress)}${weighted(args.weight)}`;
+    case 'DuplicateVoterSkipped':
+      return `${who} tried to register ${shortAddress(args.voterAddress)} again (skipped)`;
+    case 'VoterRevoked':
+      return `${who} revoked ${shortAddress(args.voterAddress)}: ${args.reason}`;
+    case 'VoterReplaced':
+      return `${who} replaced ${shortAddress(args.oldAddress)} with ${shortAddress(args.newAddress)}: ${args.reason}`;
+    case 'VoterRootSet':
+      return args.root === ethers.ZeroHash
+        ? `${who} cleared the Merkle voter roll`
+        : `${who} published Merkle voter roll ${args.root.slice(0, 10)}...`;
+    case 'VoteCast':
+      return args.voter.toLowerCase() === from.toLowerCase()
+        ? `${shortAddress(args.voter)} voted for ${candidate(args.candidateId)}${weighted(args.weight)}`
+        : `${shortAddress(args.voter)} voted for ${candidate(args.candidateId)}${weighted(args.weight)} (relayed by ${who})`;
+    case 'RankedVoteCast':
+      return `${shortAddress(args.voter)} ranked ${args.ranking.map(candidate).join(' > ')}${weighted(args.weight)}`;
+    case 'ApprovalVoteCast':
+      return `${shortAddress(args.voter)} approved ${args.candidateIds.map(candidate).join(', ')}${weighted(args.weight)}`;
+    case 'VoteCommitted':
+      return `${shortAddress(args.voter)} committed a sealed ballot`;
+    case 'VoteDelegated':
+      return `${shortAddress(args.voter)} delegated ${args.weight} vote(s) to ${shortAddress(args.delegate)}`;
+    case 'DelegationRevoked':
+      return `${shortAddress(args.voter)} took back ${args.weight} vote(s) from ${shortAddress(args.delegate)}`;
+    case 'QuestionsAnswered':
+      return `${shortAddress(args.voter)} answered ${args.answers.length} ballot question(s)${weighted(args.weight)}`;
+    case 'SignedBallotRejected':
+      return `Signed ballot from ${shortAddress(args.voter)} (nonce ${args.nonce}) was rejected`;
+    case 'TieBroken':
+      return `${who} broke the tie in favour of ${candidate(args.candidateId)} (${TIE_BREAK_NAMES[Number(args.policy)]})`;
+    case 'ElectionStarted':
+      return `${who} started the election`;
+    case 'ElectionEnded':
+      return `${who} ended the election`;
+    case 'QuorumChecked':
+      return `Quorum ${args.reached ? 'reached' : 'not reached'}: ${args.votedCount} of ${args.registeredCount} registered voter(s) voted`;
+    case 'RevealEnded':
+      return `${who} closed the reveal phase`;
+    case 'AdminTransferStarted':
+      return args.pendingAdmin === ethers.ZeroAddress
+        ? `${shortAddress(args.currentAdmin)} cancelled the ownership transfer`
+        : `${shortAddress(args.currentAdmin)} offered ownership to ${shortAddress(args.pendingAdmin)}`;
+    case 'AdminTransferred':
+      return `Ownership moved from ${shortAddress(args.previousAdmin)} to ${shortAddress(args.newAdmin)}`;
+    case 'RoleGranted':
+      return `${shortAddress(args.sender)} granted ${role(args.role)} to ${shortAddress(args.account)}`;
+    case 'RoleRevoked':
+      return `${shortAddress(args.sender)} revoked ${role(args.role)} from ${shortAddress(args.account)}`;
+    default:
+      return `${name} ${JSON.stringify(args)}`;
+  }
+};
+
+/**
+ * Serialise audit entries as CSV (one row per event)
+ * @param {Array<object>} entries - Entries from getAuditTrail
+ * @param {Object<number, string>} candidateNames - Candidate names by ID
+ * @returns {string}
+ */
+export const auditLogToCsv = (entries, candidateNames = {}) => {
+  const escape = (value) => `"${String(value).replace(/"/g, '""')}"`;
+  const header = ['block', 'time', 'transaction', 'logIndex', 'event', 'from', 'description', 'args'];
+  const rows = entries.map(entry => [
+    entry.blockNumber,
+    new Date(entry.timestamp * 1000).toISOString(),
+    entry.transactionHash,
+    entry.logIndex,
+    entry.name,
+    entry.from,
+    describeAuditEvent(entry, candidateNames),
+    JSON.stringify(entry.args)
+  ].map(escape).join(','));
+  return [header.join(','), ...rows].join('\n');
+};
@@ -0,0 +1,50 @@
+// frontend/src/utils/auditLog.test.js
+import { auditLogToCsv, describeAuditEvent, getAuditCategory, shortAddress } from './auditLog';
+
+const ADMIN = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const VOTER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+describe('describeAuditEvent', () => {
+  const names = { 1: 'Alice' };
+
+  it('names the candidate and shows weights other than 1', () => {
+    expect(describeAuditEvent({ name: 'VoteCast', args: { voter: VOTER, candidateId: '1', weight: '1' }, from: VOTER }, names))
+      .toBe('0x7099...79C8 voted for Alice');
+    expect(describeAuditEvent({ name: 'VoteCast', args: { voter: VOTER, candidateId: '2', weight: '250' }, from: VOTER }, names))
+      .toBe('0x7099...79C8 voted for candidate #2 with weight 250');
+  });
+
+  it('shows who relayed a signed ballot', () => {
+    expect(describeAuditEvent({ name: 'VoteCast', args: { voter: VOTER, candidateId: '1', weight: '1' }, from: ADMIN }, names))
+      .toBe('0x7099...79C8 voted for Alice (relayed by 0xf39F...2266)');
+  });
+
+  it('describes the recorded quorum verdict', () => {
+    const entry = { name: 'QuorumChecked', args: { reached: false, votedCount: '1', registeredCount: '4' }, from: ADMIN };
+    expect(describeAuditEvent(entry)).toBe('Quorum not reached: 1 of 4 registered voter(s) voted');
+  });
+});
+
+describe('audit log helpers', () => {
+  it('files unknown events under setup', () => {
+    expect(getAuditCategory({ name: 'SomethingNew' })).toBe('setup');
+    expect(shortAddress('')).toBe('');
+  });
+
+  it('exports one quoted CSV row per event', () => {
+    const entry = {
+      blockNumber: 7,
+      timestamp: 0,
+      transactionHash: '0xabc',
+      logIndex: 0,
+      name: 'VoterRevoked',
+      from: ADMIN,
+      args: { voterAddress: VOTER, reason: 'Lost "key"' }
+    };
+    const [header, row] = auditLogToCsv([entry]).split('\n');
+
+    expect(header).toBe('block,time,transaction,logIndex,event,from,description,args');
+    expect(row).toContain('"0xf39F...2266 revoked 0x7099...79C8: Lost ""key"""');
+    expect(row.startsWith('"7","1970-01-01T00:00:00.000Z","0xabc","0","VoterRevoked"')).toBe(true);
+  });
+});
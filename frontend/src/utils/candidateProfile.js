@@ -0,0 +1,38 @@
+// frontend/src/utils/candidateProfile.js
+
+// Gateway used to display ipfs:// images (REACT_APP_IPFS_GATEWAY)
+const IPFS_GATEWAY = (process.env.REACT_APP_IPFS_GATEWAY || 'https://ipfs.io/ipfs/').replace(/\/?$/, '/');
+
+// CIDv0 (Qm...) or CIDv1 in base32 (b...)
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})(\/.*)?$/;
+
+/**
+ * Turn a candidate's image field into a URL the browser can load
+ * Accepts https:// / http:// URLs, ipfs:// URIs and bare IPFS CIDs.
+ * @param {string} imageURI - Value stored on-chain
+ * @returns {string | null} URL, or null if the value is empty or not recognised
+ */
+export const resolveImageURI = (imageURI) => {
+  const value = (imageURI || '').trim();
+  if (/^https?:\/\//i.test(value)) {
+    return value;
+  }
+  if (/^ipfs:\/\//i.test(value)) {
+    return IPFS_GATEWAY + value.replace(/^ipfs:\/\/(ipfs\/)?/i, '');
+  }
+  if (CID_PATTERN.test(value)) {
+    return IPFS_GATEWAY + value;
+  }
+  return null;
+};
+
+/**
+ * Return a candidate's external link only if it is a plain web URL
+ * Profiles are written on-chain by the admin; this keeps javascript: and other schemes out of hrefs.
+ * @param {string} link - Value stored on-chain
+ * @returns {string | null}
+ */
+export const safeExternalLink = (link) => {
+  const value = (link || '').trim();
+  return /^https?:\/\//i.test(value) ? value : null;
+};
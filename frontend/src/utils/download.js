@@ -0,0 +1,16 @@
+// frontend/src/utils/download.js
+
+/**
+ * Offer a text file for download in the browser
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} mimeType
+ */
+export const downloadFile = (fileName, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
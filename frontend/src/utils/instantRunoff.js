@@ -0,0 +1,74 @@
+// frontend/src/utils/instantRunoff.js
+
+/**
+ * Instant-runoff (ranked-choice) tally
+ *
+ * Each round, every ballot counts, with its voter's weight, for its
+ * highest-ranked candidate that is still in the race. A candidate with more
+ * than half of the non-exhausted weight wins; otherwise the candidate with
+ * the fewest votes is eliminated and the next round starts.
+ *
+ * Ties for last place are broken deterministically so anyone re-running the
+ * tally on the same ballots gets the same result: the tied candidate with
+ * fewer votes in the most recent earlier round where they differed is
+ * eliminated, and if they were tied in every round, the highest candidate ID.
+ * The election's tie-break policy does not apply: the contract only allows
+ * ranked-choice elections with the DeclareTie policy.
+ *
+ * @param {number[]} candidateIds - IDs of the candidates in the race
+ * @param {Array<{ranking: number[], weight: number}>} ballots - Rankings (most preferred candidate first) and voter weights
+ * @returns {{
+ *   rounds: Array<{round: number, tallies: Object<number, number>, exhausted: number, eliminated: number | null, tieBroken: boolean}>,
+ *   winnerId: number | null
+ * }}
+ */
+export const tallyInstantRunoff = (candidateIds, ballots) => {
+  const continuing = new Set(candidateIds);
+  const rounds = [];
+
+  while (continuing.size > 0) {
+    // Count each ballot for its top continuing preference
+    const tallies = {};
+    continuing.forEach((id) => {
+      tallies[id] = 0;
+    });
+    let exhausted = 0;
+    ballots.forEach(({ ranking, weight }) => {
+      const choice = ranking.find((id) => continuing.has(id));
+      if (choice === undefined) {
+        exhausted += weight;
+      } else {
+        tallies[choice] += weight;
+      }
+    });
+
+    const round = { round: rounds.length + 1, tallies, exhausted, eliminated: null, tieBroken: false };
+    rounds.push(round);
+
+    const activeBallots = ballots.reduce((sum, ballot) => sum + ballot.weight, 0) - exhausted;
+    const ids = [...continuing];
+    const leader = ids.reduce((best, id) => (tallies[id] > tallies[best] ? id : best), ids[0]);
+
+    if (activeBallots === 0) {
+      return { rounds, winnerId: null };
+    }
+    if (tallies[leader] * 2 > activeBallots || continuing.size === 1) {
+      return { rounds, winnerId: leader };
+    }
+
+    // Eliminate the lowest candidate, breaking ties by earlier rounds, then by ID
+    const lowest = Math.min(...ids.map((id) => tallies[id]));
+    let tied = ids.filter((id) => tallies[id] === lowest);
+    round.tieBroken = tied.length > 1;
+    for (let r = rounds.length - 2; r >= 0 && tied.length > 1; r--) {
+      const earlierLowest = Math.min(...tied.map((id) => rounds[r].tallies[id]));
+      tied = tied.filter((id) => rounds[r].tallies[id] === earlierLowest);
+    }
+    const eliminated = Math.max(...tied);
+
+    round.eliminated = eliminated;
+    continuing.delete(eliminated);
+  }
+
+  return { rounds, winnerId: null };
+};
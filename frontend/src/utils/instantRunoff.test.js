@@ -0,0 +1,43 @@
+// frontend/src/utils/instantRunoff.test.js
+import { tallyInstantRunoff } from './instantRunoff';
+
+const ballot = (ranking, weight = 1) => ({ ranking, weight });
+
+describe('tallyInstantRunoff', () => {
+  it('elects a candidate with a weighted majority of first preferences', () => {
+    const { rounds, winnerId } = tallyInstantRunoff([1, 2, 3], [ballot([2], 5), ballot([1, 2]), ballot([3, 1], 3)]);
+
+    expect(winnerId).toBe(2);
+    expect(rounds).toHaveLength(1);
+    expect(rounds[0]).toEqual({ round: 1, tallies: { 1: 1, 2: 5, 3: 3 }, exhausted: 0, eliminated: null, tieBroken: false });
+  });
+
+  it('transfers the ballots of an eliminated candidate to their next preference', () => {
+    const { rounds, winnerId } = tallyInstantRunoff([1, 2, 3], [ballot([1], 4), ballot([2, 3], 2), ballot([3], 3)]);
+
+    expect(rounds[0].eliminated).toBe(2);
+    expect(rounds[1].tallies).toEqual({ 1: 4, 3: 5 });
+    expect(winnerId).toBe(3);
+  });
+
+  it('breaks a tie for last place by the most recent round where the tied candidates differed', () => {
+    const { rounds, winnerId } = tallyInstantRunoff([1, 2, 3], [ballot([1], 3), ballot([2], 2), ballot([3, 2])]);
+
+    expect(rounds[0]).toMatchObject({ eliminated: 3, tieBroken: false });
+    expect(rounds[1]).toMatchObject({ tallies: { 1: 3, 2: 3 }, eliminated: 2, tieBroken: true });
+    expect(winnerId).toBe(1);
+  });
+
+  it('eliminates the highest candidate ID when the tie goes back to the first round', () => {
+    const { rounds, winnerId } = tallyInstantRunoff([1, 2], [ballot([1]), ballot([2])]);
+
+    expect(rounds[0]).toMatchObject({ eliminated: 2, tieBroken: true });
+    expect(rounds[1]).toMatchObject({ tallies: { 1: 1 }, exhausted: 1 });
+    expect(winnerId).toBe(1);
+  });
+
+  it('has no winner when every ballot is exhausted', () => {
+    expect(tallyInstantRunoff([1, 2], []).winnerId).toBeNull();
+    expect(tallyInstantRunoff([1, 2], [ballot([3])]).winnerId).toBeNull();
+  });
+});
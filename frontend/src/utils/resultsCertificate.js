@@ -0,0 +1,98 @@
+// frontend/src/utils/resultsCertificate.js
+import { ethers } from 'ethers';
+
+/**
+ * Serialise a value as JSON with object keys sorted at every level
+ * The signed message is this string, so a certificate re-parsed from a file
+ * (where key order is not guaranteed) still verifies.
+ * @param {*} value
+ * @returns {string}
+ */
+export const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Check that a signed results certificate was signed by the election admin
+ * @param {{certificate: object, signature: string, signer: string}} signed
+ * @returns {boolean} True if the signature recovers to the admin named in the certificate
+ */
+export const verifyResultsCertificate = ({ certificate, signature, signer }) => {
+  try {
+    const recovered = ethers.verifyMessage(canonicalJson(certificate), signature);
+    return recovered.toLowerCase() === signer.toLowerCase()
+      && recovered.toLowerCase() === certificate.election.admin.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Describe a quorum rule for display
+ * @param {number} required - Ballots needed, or a percentage of registered voters
+ * @param {boolean} isPercent - Whether required is a percentage
+ * @returns {string}
+ */
+export const describeQuorum = (required, isPercent) => {
+  if (required === 0) {
+    return 'none';
+  }
+  return isPercent ? `${required}% of registered voters` : `${required} ${required === 1 ? 'ballot' : 'ballots'}`;
+};
+
+/**
+ * Serialise a results certificate as CSV: a key/value header block, then one row per candidate
+ * @param {object} certificate - Certificate from getResultsCertificate
+ * @returns {string}
+ */
+export const resultsCertificateToCsv = (certificate) => {
+  const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const { election, anchor, electionEnded, turnout, quorum, winner, elected } = certificate;
+  const meta = [
+    ['election id', election.id],
+    ['title', election.title],
+    ['contract', election.contract],
+    ['chain id', election.chainId],
+    ['admin', election.admin],
+    ['ballot type', election.ballotType],
+    ['secret ballot', election.secretBallot],
+    ['snapshot block', anchor.blockNumber],
+    ['snapshot block hash', anchor.blockHash],
+    ['ElectionEnded block', electionEnded ? electionEnded.blockNumber : 'none (closed by schedule)'],
+    ['ElectionEnded block hash', electionEnded ? electionEnded.blockHash : ''],
+    ['ElectionEnded tx', electionEnded ? electionEnded.transactionHash : ''],
+    ['ballots cast', turnout.ballotsCast],
+    ['registered on-chain', turnout.registeredOnChain],
+    ['turnout %', turnout.turnoutPercent ?? 'n/a'],
+    ['quorum', describeQuorum(quorum.required, quorum.isPercent)],
+    ['quorum reached', quorum.reached],
+    ['result', certificate.valid ? 'valid' : 'invalid (quorum not reached)'],
+    ['winner', winner.tied ? `tie: ${winner.leaderIds.join(' / ')}` : winner.winnerId ?? 'none'],
+    // Only multi-seat certificates carry an elected set
+    ...(elected ? [
+      ['seats', election.seatCount],
+      ['elected', elected.electedIds.join(' / ')],
+      ['tied for remaining seats', elected.tiedIds.join(' / ')]
+    ] : []),
+    ['generated at', certificate.generatedAt]
+  ];
+  const candidateRows = certificate.candidates.map(c => [c.id, c.name, c.votes, c.voters, c.percent, c.withdrawn ? 'yes' : 'no']);
+  return [
+    ...meta.map(row => row.map(escape).join(',')),
+    '',
+    ['candidate id', 'name', 'votes', 'voters', 'percent', 'withdrawn'].map(escape).join(','),
+    ...candidateRows.map(row => row.map(escape).join(',')),
+    ...(certificate.questions.length > 0 ? [
+      '',
+      ['question id', 'question', 'option', 'votes'].map(escape).join(','),
+      ...certificate.questions.flatMap(q => q.options.map(o => [q.id, q.text, o.label, o.votes].map(escape).join(',')))
+    ] : [])
+  ].join('\n');
+};
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+// frontend/src/utils/resultsCertificate.test.js
+import { ethers } from 'ethers';
+import { canonicalJson, describeQuorum, verifyResultsCertificate } from './resultsCertificate';
+
+describe('canonicalJson', () => {
+  it('sorts object keys at every level', () => {
+    expect(canonicalJson({ b: 1, a: { d: [2, { f: null, e: 'x' }], c: true } }))
+      .toBe('{"a":{"c":true,"d":[2,{"e":"x","f":null}]},"b":1}');
+  });
+});
+
+describe('verifyResultsCertificate', () => {
+  const admin = ethers.Wallet.createRandom();
+  const certificate = {
+    election: { id: 1, title: 'Student Council Election', admin: admin.address },
+    candidates: [{ id: 1, name: 'Alice', votes: 2 }, { id: 2, name: 'Bob', votes: 1 }],
+    winner: { winnerId: 1, tied: false }
+  };
+
+  const sign = async (wallet, signed) => ({
+    certificate: signed,
+    signature: await wallet.signMessage(canonicalJson(signed)),
+    signer: wallet.address
+  });
+
+  it('accepts a certificate signed by its admin, whatever the key order', async () => {
+    const signed = await sign(admin, certificate);
+    const reparsed = JSON.parse(JSON.stringify({ winner: certificate.winner, candidates: certificate.candidates, election: certificate.election }));
+
+    expect(verifyResultsCertificate(signed)).toBe(true);
+    expect(verifyResultsCertificate({ ...signed, certificate: reparsed })).toBe(true);
+  });
+
+  it('rejects edited results and signers other than the admin', async () => {
+    const signed = await sign(admin, certificate);
+    const edited = { ...certificate, winner: { winnerId: 2, tied: false } };
+    const stranger = ethers.Wallet.createRandom();
+
+    expect(verifyResultsCertificate({ ...signed, certificate: edited })).toBe(false);
+    expect(verifyResultsCertificate(await sign(stranger, certificate))).toBe(false);
+    expect(verifyResultsCertificate({ ...signed, signature: '0x1234' })).toBe(false);
+  });
+});
+
+describe('describeQuorum', () => {
+  it('describes each kind of quorum', () => {
+    expect(describeQuorum(0, false)).toBe('none');
+    expect(describeQuorum(1, false)).toBe('1 ballot');
+    expect(describeQuorum(40, true)).toBe('40% of registered voters');
+  });
+});
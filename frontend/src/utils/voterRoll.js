@@ -0,0 +1,103 @@
+// frontend/src/utils/voterRoll.js
+import { ethers } from 'ethers';
+
+/**
+ * Extract the raw address and weight values from a CSV roll
+ * Uses the first column of each line as the address and the optional second
+ * column as the weight; a header row such as "address,weight" is skipped
+ * @param {string} text - CSV file contents
+ * @returns {Array<{row: number, value: string, weight: string | undefined}>}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const [value, weight] = line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, ''));
+    if (!value) return;
+    if (index === 0 && !value.toLowerCase().startsWith('0x')) return;
+    rows.push({ row: index + 1, value, weight });
+  });
+  return rows;
+};
+
+/**
+ * Extract the raw address and weight values from a JSON roll
+ * Accepts ["0x..."], [{ "address": "0x...", "weight": 10 }] or { "voters": [...] }
+ * @param {string} text - JSON file contents
+ * @returns {Array<{row: number, value: string, weight: *}>}
+ */
+const parseJson = (text) => {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data : data.voters;
+  if (!Array.isArray(entries)) {
+    throw new Error('JSON roll must be an array or have a "voters" array');
+  }
+  return entries.map((entry, index) => {
+    const isObject = typeof entry === 'object' && entry !== null;
+    return {
+      row: index + 1,
+      value: String(isObject ? entry.address : entry).trim(),
+      weight: isObject ? entry.weight : undefined
+    };
+  });
+};
+
+/**
+ * Parse and validate a voter roll file
+ * Addresses are normalized to their checksum form and weights default to 1;
+ * rows with an invalid address or weight and repeated addresses are reported separately
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to pick CSV or JSON parsing
+ * @returns {{
+ *   valid: Array<{address: string, weight: number}>,
+ *   duplicates: Array<{row: number, address: string}>,
+ *   invalid: Array<{row: number, value: string, reason: string}>
+ * }}
+ */
+export const parseVoterRoll = (text, fileName) => {
+  const rows = fileName.toLowerCase().endsWith('.json') ? parseJson(text) : parseCsv(text);
+  const valid = [];
+  const duplicates = [];
+  const invalid = [];
+  const seen = new Set();
+
+  rows.forEach(({ row, value, weight }) => {
+    let address;
+    try {
+      address = ethers.getAddress(value);
+    } catch (error) {
+      invalid.push({ row, value, reason: /^0x[a-fA-F0-9]{40}$/.test(value) ? 'Bad checksum' : 'Not an address' });
+      return;
+    }
+    if (address === ethers.ZeroAddress) {
+      invalid.push({ row, value, reason: 'Zero address' });
+      return;
+    }
+    const parsedWeight = weight === undefined || weight === '' ? 1 : Number(weight);
+    if (!Number.isSafeInteger(parsedWeight) || parsedWeight < 1) {
+      invalid.push({ row, value: `${value} (weight ${weight})`, reason: 'Weight must be a whole number of at least 1' });
+      return;
+    }
+    if (seen.has(address)) {
+      duplicates.push({ row, address });
+      return;
+    }
+    seen.add(address);
+    valid.push({ address, weight: parsedWeight });
+  });
+
+  return { valid, duplicates, invalid };
+};
+
+/**
+ * Split an array into chunks of at most `size` items
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array<Array>}
+ */
+export const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
@@ -1,15 +1,18 @@
 // hardhat.config.js
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/election");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.19",
+    version: "0.8.20",
     settings: {
       optimizer: {
         enabled: true,
         runs: 200
-      }
+      },
+      // The IR pipeline keeps EVoting well under the 24KB contract size limit
+      viaIR: true
     }
   },
   networks: {
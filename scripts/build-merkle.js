@@ -0,0 +1,135 @@
+// scripts/build-merkle.js
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+
+/**
+ * Builds the voter roll Merkle tree and per-voter proofs
+ *
+ * Usage:
+ *   node scripts/build-merkle.js <roll.csv|roll.json> [--election <address>] [--out <file>]
+ *
+ * The roll is a CSV with one address per line (first column, optional header)
+ * or a JSON array of addresses / { "address": "0x..." } objects. An optional
+ * weight (second CSV column or "weight" field) is used when the roll is
+ * registered on-chain; voters admitted by Merkle proof always count with weight 1.
+ * With --election the proofs are written to frontend/public/merkle/<election>.json,
+ * where the frontend loads them automatically.
+ */
+
+/**
+ * Read the addresses and voting weights from a roll file
+ * @param {string} rollPath - Path to the CSV or JSON roll
+ * @returns {Array<{address: string, weight: number}>} Checksummed addresses, first entry kept for duplicates
+ */
+function readWeightedRoll(rollPath) {
+  const text = fs.readFileSync(rollPath, "utf8");
+  let values;
+
+  if (rollPath.toLowerCase().endsWith(".json")) {
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data) ? data : data.voters;
+    values = entries.map((entry) => (typeof entry === "object" && entry !== null ? entry : { address: entry }));
+  } else {
+    values = text
+      .split(/\r?\n/)
+      .map((line) => line.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"|"$/g, "")))
+      .filter(([value], index) => value && (index > 0 || value.toLowerCase().startsWith("0x")))
+      .map(([address, weight]) => ({ address, weight }));
+  }
+
+  const roll = new Map();
+  values.forEach(({ address, weight }, index) => {
+    let checksummed;
+    try {
+      checksummed = ethers.getAddress(String(address).trim());
+    } catch (error) {
+      throw new Error(`Invalid address in roll entry ${index + 1}: "${address}"`);
+    }
+    const parsedWeight = weight === undefined || weight === "" ? 1 : Number(weight);
+    if (!Number.isSafeInteger(parsedWeight) || parsedWeight < 1) {
+      throw new Error(`Invalid weight in roll entry ${index + 1}: "${weight}"`);
+    }
+    if (!roll.has(checksummed)) {
+      roll.set(checksummed, parsedWeight);
+    }
+  });
+  return [...roll].map(([address, weight]) => ({ address, weight }));
+}
+
+/**
+ * Read the addresses from a roll file
+ * @param {string} rollPath - Path to the CSV or JSON roll
+ * @returns {string[]} Checksummed, de-duplicated addresses
+ */
+function readRoll(rollPath) {
+  return readWeightedRoll(rollPath).map((entry) => entry.address);
+}
+
+/**
+ * Read a "--name value" option from the command line
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name without dashes
+ */
+function getOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? null : args[index + 1];
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const rollPath = args[0];
+  if (!rollPath || rollPath.startsWith("--")) {
+    throw new Error("Usage: node scripts/build-merkle.js <roll.csv|roll.json> [--election <address>] [--out <file>]");
+  }
+
+  const election = getOption(args, "election");
+  const roll = readWeightedRoll(rollPath);
+  const addresses = roll.map((entry) => entry.address);
+  if (addresses.length === 0) {
+    throw new Error("Voter roll is empty");
+  }
+  if (roll.some((entry) => entry.weight !== 1)) {
+    console.log("⚠️  The roll has weights, but voters admitted by Merkle proof count with weight 1.");
+    console.log("   Register weighted voters on-chain instead (npx hardhat election register-voter --file).\n");
+  }
+
+  console.log(`🌳 Building Merkle tree for ${addresses.length} voters...`);
+  const tree = StandardMerkleTree.of(addresses.map((address) => [address]), ["address"]);
+
+  const proofs = {};
+  for (const [index, [address]] of tree.entries()) {
+    proofs[address.toLowerCase()] = tree.getProof(index);
+  }
+
+  const output = {
+    root: tree.root,
+    election: election ? ethers.getAddress(election) : null,
+    voterCount: addresses.length,
+    proofs
+  };
+
+  const defaultOut = election
+    ? path.join(__dirname, "..", "frontend", "public", "merkle", `${election.toLowerCase()}.json`)
+    : rollPath.replace(/\.(csv|json|txt)$/i, "") + ".merkle.json";
+  const outPath = getOption(args, "out") || defaultOut;
+
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
+
+  console.log(`✅ Proofs saved to ${outPath}`);
+  console.log(`\n📍 Voter root: ${tree.root}`);
+  console.log("💡 Publish it from the admin panel (Voter Roll section) before voting opens.");
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error("❌ Failed to build Merkle tree:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { readRoll, readWeightedRoll };
@@ -2,103 +2,377 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { readWeightedRoll } = require("./build-merkle");
+
+// Election definition used when ELECTION_CONFIG is not set
+const DEFAULT_DEFINITION = path.join(__dirname, "..", "elections", "example.json");
+
+// One manifest per network; the frontend config is generated from all of them
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const FRONTEND_CONFIG = path.join(__dirname, "..", "frontend", "src", "ethereum", "config.js");
+
+// Voters registered by the initializer; the rest of the roll is sent in batches
+const INITIAL_ROLL_LIMIT = 200;
+const REGISTER_BATCH_SIZE = 100;
+
+// Options used for a ballot question that does not list its own
+const REFERENDUM_OPTIONS = ["Yes", "No", "Abstain"];
+
+// Ballot type names in EVoting.BallotType order
+const BALLOT_TYPES = ["plurality", "ranked-choice", "approval"];
+
+/**
+ * Convert a schedule entry to a unix timestamp
+ * @param {string | number | null} value - ISO date string, unix seconds or null
+ * @param {string} field - Schedule field name, for error messages
+ * @returns {number} Timestamp in seconds (0 = not set)
+ */
+function toTimestamp(value, field) {
+  if (value === null || value === undefined || value === "") {
+    return 0;
+  }
+  const timestamp = typeof value === "number" ? value : Math.floor(Date.parse(value) / 1000);
+  if (!Number.isInteger(timestamp) || timestamp < 0) {
+    throw new Error(`Invalid schedule.${field}: "${value}"`);
+  }
+  return timestamp;
+}
+
+/**
+ * Read an election definition file
+ *
+ * {
+ *   "title": "...", "description": "...",
+ *   "candidates": ["Alice", { "name": "Bob", "party": "...", "bio": "...", "image": "ipfs://...", "link": "https://..." }],
+ *   "voters": ["0x...", { "address": "0x...", "weight": 250 }],   // and/or
+ *   "voterRoll": "voters.csv",        // CSV/JSON roll with optional weights, relative to the definition file
+ *   "questions": ["Approve the budget?", { "text": "...", "options": ["A", "B"] }],   // Yes/No/Abstain by default
+ *   "ballotType": "approval",          // plurality (default), ranked-choice or approval
+ *   "seats": 2, "maxSelections": 3,    // seats to fill; approvals per ballot (defaults to seats)
+ *   "quorum": "40%",                   // ballots needed for a valid result: a number, or a percentage of registered voters
+ *   "schedule": { "registrationDeadline": "2025-06-01T00:00:00Z", "votingStart": ..., "votingEnd": ... }
+ * }
+ *
+ * @param {string} definitionPath - Path to the JSON definition
+ * @returns {{title: string, description: string, candidateNames: string[], candidateProfiles: object[],
+ *   voters: string[], voterWeights: number[], questions: {text: string, options: string[]}[],
+ *   ballotType: number, seats: number, maxSelections: number, quorum: number, quorumIsPercent: boolean,
+ *   registrationDeadline: number, votingStart: number, votingEnd: number}}
+ */
+function loadElectionDefinition(definitionPath) {
+  const definition = JSON.parse(fs.readFileSync(definitionPath, "utf8"));
+
+  if (typeof definition.title !== "string" || definition.title.trim() === "") {
+    throw new Error(`${definitionPath}: "title" is required`);
+  }
+  // A candidate is either a name or an object with a name and optional profile fields
+  const candidates = (definition.candidates || []).map((entry) => (typeof entry === "string" ? { name: entry } : entry));
+  const candidateNames = candidates.map((candidate) => String(candidate.name ?? "").trim());
+  const candidateProfiles = candidates.map((candidate) => ({
+    party: candidate.party || "",
+    bio: candidate.bio || "",
+    imageURI: candidate.image || "",
+    link: candidate.link || ""
+  }));
+  if (candidateNames.some((name) => name === "")) {
+    throw new Error(`${definitionPath}: candidate names cannot be empty`);
+  }
+  if (new Set(candidateNames).size !== candidateNames.length) {
+    throw new Error(`${definitionPath}: candidate names must be unique`);
+  }
+
+  // Inline addresses and the roll file are merged and de-duplicated; the first weight given for an address wins
+  const voters = new Map();
+  (definition.voters || []).forEach((entry, index) => {
+    const { address, weight = 1 } = typeof entry === "object" && entry !== null ? entry : { address: entry };
+    let checksummed;
+    try {
+      checksummed = hre.ethers.getAddress(address);
+    } catch (error) {
+      throw new Error(`${definitionPath}: invalid address in voters[${index}]: "${address}"`);
+    }
+    if (!Number.isSafeInteger(weight) || weight < 1) {
+      throw new Error(`${definitionPath}: invalid weight in voters[${index}]: "${weight}"`);
+    }
+    if (!voters.has(checksummed)) {
+      voters.set(checksummed, weight);
+    }
+  });
+  if (definition.voterRoll) {
+    readWeightedRoll(path.resolve(path.dirname(definitionPath), definition.voterRoll)).forEach(({ address, weight }) => {
+      if (!voters.has(address)) {
+        voters.set(address, weight);
+      }
+    });
+  }
+
+  // A question is either its text (a Yes/No/Abstain referendum) or an object with text and options
+  const questions = (definition.questions || []).map((entry, index) => {
+    const { text = "", options = REFERENDUM_OPTIONS } = typeof entry === "string" ? { text: entry } : entry;
+    const labels = options.map((option) => String(option).trim());
+    if (String(text).trim() === "") {
+      throw new Error(`${definitionPath}: questions[${index}] needs a text`);
+    }
+    if (labels.length < 2 || labels.some((label) => label === "")) {
+      throw new Error(`${definitionPath}: questions[${index}] needs at least two non-empty options`);
+    }
+    return { text: String(text).trim(), options: labels };
+  });
+
+  const ballotType = BALLOT_TYPES.indexOf(definition.ballotType || "plurality");
+  if (ballotType === -1) {
+    throw new Error(`${definitionPath}: "ballotType" must be one of: ${BALLOT_TYPES.join(", ")}`);
+  }
+  const { seats = 1, maxSelections = seats } = definition;
+  if (!Number.isSafeInteger(seats) || seats < 1 || seats > candidateNames.length) {
+    throw new Error(`${definitionPath}: "seats" must be between 1 and the number of candidates`);
+  }
+  if (!Number.isSafeInteger(maxSelections) || maxSelections < 1) {
+    throw new Error(`${definitionPath}: "maxSelections" must be a positive integer`);
+  }
+  if (seats > 1 && ballotType === 1) {
+    throw new Error(`${definitionPath}: ranked-choice elections fill a single seat`);
+  }
+
+  // "40%" is a share of the registered voters, a plain number is a count of ballots
+  const quorumIsPercent = typeof definition.quorum === "string" && definition.quorum.trim().endsWith("%");
+  const quorum = quorumIsPercent ? Number(definition.quorum.trim().slice(0, -1)) : definition.quorum ?? 0;
+  if (!Number.isSafeInteger(quorum) || quorum < 0 || (quorumIsPercent && quorum > 100)) {
+    throw new Error(`${definitionPath}: "quorum" must be a number of ballots or a percentage like "40%"`);
+  }
+
+  const schedule = definition.schedule || {};
+  return {
+    title: definition.title.trim(),
+    description: definition.description || "",
+    candidateNames,
+    candidateProfiles,
+    voters: [...voters.keys()],
+    voterWeights: [...voters.values()],
+    questions,
+    ballotType,
+    seats,
+    maxSelections,
+    quorum,
+    quorumIsPercent,
+    registrationDeadline: toTimestamp(schedule.registrationDeadline, "registrationDeadline"),
+    votingStart: toTimestamp(schedule.votingStart, "votingStart"),
+    votingEnd: toTimestamp(schedule.votingEnd, "votingEnd")
+  };
+}
+
+/**
+ * Read a contract ABI from the Hardhat artifacts
+ * @param {string} name - Contract name
+ */
+function readAbi(name) {
+  const artifactPath = path.join(__dirname, "..", "artifacts", "contracts", `${name}.sol`, `${name}.json`);
+  return JSON.parse(fs.readFileSync(artifactPath, "utf8")).abi;
+}
+
+/**
+ * Regenerate the frontend config from every deployment manifest
+ * The frontend picks the deployment that matches the wallet's chain ID.
+ * @param {string} deploymentsDir - Directory holding the manifests
+ * @param {string} configPath - Frontend config file to write
+ * @returns {string[]} Networks included in the config
+ */
+function writeFrontendConfig(deploymentsDir = DEPLOYMENTS_DIR, configPath = FRONTEND_CONFIG) {
+  const deployments = {};
+  fs.readdirSync(deploymentsDir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .forEach((file) => {
+      const manifest = JSON.parse(fs.readFileSync(path.join(deploymentsDir, file), "utf8"));
+      if (deployments[manifest.chainId]) {
+        console.log(`⚠️  ${file} uses chain ID ${manifest.chainId} like ${deployments[manifest.chainId].network}; keeping the newer deployment`);
+        if (deployments[manifest.chainId].deployedAt > manifest.deployedAt) {
+          return;
+        }
+      }
+      deployments[manifest.chainId] = manifest;
+    });
+
+  const configContent = `// Auto-generated by deployment script from the manifests in deployments/
+// Deployments by chain ID: { network, chainId, deployer, deployBlock, factory, implementation, election }
+export const DEPLOYMENTS = ${JSON.stringify(deployments, null, 2)};
+`;
+  fs.mkdirSync(path.dirname(configPath), { recursive: true });
+  fs.writeFileSync(configPath, configContent);
+  return Object.values(deployments).map((manifest) => `${manifest.network} (${manifest.chainId})`);
+}
 
 /**
  * Main deployment function
- * Deploys the EVoting contract and saves contract info to frontend
+ * Deploys the EVoting implementation and the ElectionFactory, creates the
+ * first election from the definition file and saves contract info to frontend
  */
 async function main() {
   console.log("🚀 Starting EVoting contract deployment...\n");
 
-  // Get the contract factory
+  // Read the election definition first so a bad file fails before anything is deployed
+  const definitionPath = path.resolve(process.env.ELECTION_CONFIG || DEFAULT_DEFINITION);
+  console.log(`📄 Election definition: ${path.relative(process.cwd(), definitionPath)}`);
+  const definition = loadElectionDefinition(definitionPath);
+  console.log(`   "${definition.title}" – ${definition.candidateNames.length} candidate(s), ${definition.questions.length} question(s), ${definition.voters.length} voter(s)\n`);
+
+  // Settings lock once voting opens, so a start that has already passed would leave the election half-configured
+  const { timestamp: now } = await hre.ethers.provider.getBlock("latest");
+  if (definition.votingStart !== 0 && definition.votingStart <= now) {
+    throw new Error(`schedule.votingStart (${new Date(definition.votingStart * 1000).toISOString()}) is not after the latest block; move it into the future or leave it null`);
+  }
+
+  // Deploy the EVoting implementation that every election is cloned from
+  console.log("📝 Deploying EVoting implementation...");
   const EVoting = await hre.ethers.getContractFactory("EVoting");
+  const implementation = await EVoting.deploy();
+  await implementation.waitForDeployment();
+  const deployBlock = (await implementation.deploymentTransaction().wait()).blockNumber;
+  const implementationAddress = await implementation.getAddress();
+  console.log(`✅ EVoting implementation deployed at: ${implementationAddress}`);
+
+  // Deploy the factory (ethers v6 syntax)
+  console.log("📝 Deploying ElectionFactory contract...");
+  const ElectionFactory = await hre.ethers.getContractFactory("ElectionFactory");
+  const factory = await ElectionFactory.deploy(implementationAddress);
+  await factory.waitForDeployment();
   
-  // Deploy the contract
-  console.log("📝 Deploying EVoting contract...");
-  const evoting = await EVoting.deploy();
-  
-  // Wait for deployment to complete (ethers v6 syntax)
-  await evoting.waitForDeployment();
-  
-  // Get the deployed contract address
-  const contractAddress = await evoting.getAddress();
+  // Get the deployed factory address
+  const factoryAddress = await factory.getAddress();
   
-  console.log("✅ EVoting contract deployed successfully!");
-  console.log(`📍 Contract Address: ${contractAddress}`);
+  console.log("✅ ElectionFactory deployed successfully!");
+  console.log(`📍 Factory Address: ${factoryAddress}`);
   
   // Get deployment information
   const [deployer] = await hre.ethers.getSigners();
   console.log(`👤 Deployed by (Admin): ${deployer.address}`);
   console.log(`💰 Deployer balance: ${hre.ethers.formatEther(await hre.ethers.provider.getBalance(deployer.address))} ETH\n`);
+
+  // Create the first election from the definition file
+  console.log("🗳️  Creating first election...");
+  // The schedule is applied last, once the election is fully configured
+  const createTx = await factory.createElection({
+    ...definition,
+    voters: definition.voters.slice(0, INITIAL_ROLL_LIMIT),
+    voterWeights: definition.voterWeights.slice(0, INITIAL_ROLL_LIMIT),
+    registrationDeadline: 0,
+    votingStart: 0,
+    votingEnd: 0
+  });
+  await createTx.wait();
+  const electionId = await factory.electionCount();
+  const electionAddress = await factory.getElection(electionId);
+  const evoting = EVoting.attach(electionAddress);
+  console.log(`✅ Election #${electionId} created at: ${electionAddress}\n`);
+
+  // Large rolls would not fit in the creation transaction
+  const remainingVoters = definition.voters.slice(INITIAL_ROLL_LIMIT);
+  const remainingWeights = definition.voterWeights.slice(INITIAL_ROLL_LIMIT);
+  for (let i = 0; i < remainingVoters.length; i += REGISTER_BATCH_SIZE) {
+    const batch = remainingVoters.slice(i, i + REGISTER_BATCH_SIZE);
+    await (await evoting.registerVoters(batch, remainingWeights.slice(i, i + REGISTER_BATCH_SIZE))).wait();
+    console.log(`📋 Registered ${INITIAL_ROLL_LIMIT + i + batch.length} of ${definition.voters.length} voters`);
+  }
+
+  // Ballot questions are added after creation and must be in place before voting starts
+  for (const question of definition.questions) {
+    await (await evoting.addQuestion(question.text, question.options)).wait();
+    console.log(`❓ Added question: ${question.text} (${question.options.join(" / ")})`);
+  }
+
+  // The ballot type and seats are set after creation, while the election is still in setup
+  if (definition.ballotType !== 0) {
+    await (await evoting.setBallotType(definition.ballotType)).wait();
+    console.log(`🗳️  Ballot type: ${BALLOT_TYPES[definition.ballotType]}`);
+  }
+  if (definition.seats !== 1 || definition.maxSelections !== 1) {
+    await (await evoting.setSeats(definition.seats, definition.maxSelections)).wait();
+    console.log(`🏛️  ${definition.seats} seat(s), up to ${definition.maxSelections} approval(s) per ballot`);
+  }
+  if (definition.quorum !== 0) {
+    await (await evoting.setQuorum(definition.quorum, definition.quorumIsPercent)).wait();
+    console.log(`🎯 Quorum: ${definition.quorum}${definition.quorumIsPercent ? "% of registered voters" : " ballot(s)"}`);
+  }
+  if (definition.registrationDeadline !== 0 || definition.votingStart !== 0 || definition.votingEnd !== 0) {
+    await (await evoting.setSchedule(definition.registrationDeadline, definition.votingStart, definition.votingEnd)).wait();
+    console.log(`📅 Schedule set${definition.votingStart !== 0 ? `: voting opens ${new Date(definition.votingStart * 1000).toISOString()}` : ""}`);
+  }
   
   // Verify initial state
-  console.log("📊 Initial Contract State:");
+  console.log("📊 Initial Election State:");
+  console.log(`   Title: ${await evoting.title()}`);
   console.log(`   Admin: ${await evoting.admin()}`);
   console.log(`   Election Running: ${await evoting.electionRunning()}`);
-  console.log(`   Candidate Count: ${await evoting.candidateCount()}\n`);
+  console.log(`   Candidate Count: ${await evoting.candidateCount()}`);
+  console.log(`   Registered Voters: ${await evoting.registeredCount()}\n`);
   
-  // Display default candidates
-  console.log("👥 Default Candidates:");
+  // Display candidates
+  console.log("👥 Candidates:");
   const candidateCount = await evoting.candidateCount();
   for (let i = 1; i <= candidateCount; i++) {
     const candidate = await evoting.candidates(i);
-    console.log(`   ${i}. ${candidate.name} - Votes: ${candidate.voteCount}`);
+    const { party } = await evoting.candidateProfiles(i);
+    console.log(`   ${i}. ${candidate.name}${party ? ` (${party})` : ""} - Votes: ${candidate.voteCount}`);
   }
   
-  // Save contract address and ABI to frontend
-  console.log("\n📁 Saving contract info to frontend...");
-  
-  const frontendDir = path.join(__dirname, "..", "frontend", "src", "ethereum");
-  
-  // Create directory if it doesn't exist
-  if (!fs.existsSync(frontendDir)) {
-    fs.mkdirSync(frontendDir, { recursive: true });
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  // The in-process Hardhat network disappears when this script exits, so there is nothing to save
+  if (hre.network.name === "hardhat") {
+    console.log("\n⚠️  Deployed to the in-process Hardhat network: no manifest written (use --network localhost)");
+  } else {
+    // Save the deployment manifest for this network
+    console.log("\n📁 Saving deployment manifest...");
+    const manifest = {
+      network: hre.network.name,
+      chainId: Number(chainId),
+      deployer: deployer.address,
+      deployBlock,
+      deployedAt: new Date().toISOString(),
+      // Offered to wallets that do not know this chain yet; set PUBLIC_RPC_URL if the
+      // network URL in hardhat.config.js contains an API key
+      rpcUrl: process.env.PUBLIC_RPC_URL || hre.network.config.url || null,
+      blockExplorerUrl: process.env.BLOCK_EXPLORER_URL || null,
+      factory: { address: factoryAddress, abi: readAbi("ElectionFactory") },
+      implementation: { address: implementationAddress },
+      election: { abi: readAbi("EVoting") },
+      firstElection: { id: Number(electionId), address: electionAddress }
+    };
+    fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(DEPLOYMENTS_DIR, `${hre.network.name}.json`), JSON.stringify(manifest, null, 2) + "\n");
+    console.log(`✅ Manifest saved to deployments/${hre.network.name}.json`);
+
+    const networks = writeFrontendConfig();
+    console.log(`✅ Frontend config updated for: ${networks.join(", ")}`);
   }
   
-  // Read ABI from artifacts
-  const artifactPath = path.join(__dirname, "..", "artifacts", "contracts", "EVoting.sol", "EVoting.json");
-  const artifact = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
-  
-  // Create contract info file
-  const contractInfo = {
-    address: contractAddress,
-    abi: artifact.abi
-  };
-  
-  // Write to config.js
-  const configContent = `// Auto-generated by deployment script
-export const CONTRACT_ADDRESS = "${contractAddress}";
-export const CONTRACT_ABI = ${JSON.stringify(artifact.abi, null, 2)};
-`;
-  
-  fs.writeFileSync(
-    path.join(frontendDir, "config.js"),
-    configContent
-  );
-  
-  console.log("✅ Contract info saved to frontend/src/ethereum/config.js");
-  
   console.log("\n" + "=".repeat(60));
   console.log("🎉 Deployment Complete!");
   console.log("=".repeat(60));
   console.log("\n💡 Next Steps:");
   console.log("   1. Start the frontend:");
   console.log("      cd frontend && npm start");
-  console.log("   2. Connect MetaMask to localhost:8545");
+  console.log(`   2. Connect MetaMask to ${hre.network.name} (chain ID ${chainId})`);
   console.log("   3. Import the admin account to MetaMask:");
   console.log(`      Address: ${deployer.address}`);
   console.log("   4. Use Hardhat's default test accounts for voters");
   console.log("\n📝 Important Information:");
-  console.log(`   CONTRACT_ADDRESS: ${contractAddress}`);
+  console.log(`   FACTORY_ADDRESS: ${factoryAddress}`);
+  console.log(`   FIRST_ELECTION: #${electionId} (${electionAddress})`);
   console.log(`   ADMIN_ADDRESS: ${deployer.address}`);
-  console.log(`   NETWORK: localhost (127.0.0.1:8545)`);
-  console.log(`   CHAIN_ID: 31337\n`);
+  console.log(`   DEPLOY_BLOCK: ${deployBlock}`);
+  console.log(`   NETWORK: ${hre.network.name}`);
+  console.log(`   CHAIN_ID: ${chainId}\n`);
 }
 
 // Execute deployment
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("❌ Deployment failed:", error);
-    process.exit(1);
-  });
\ No newline at end of file
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Deployment failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { writeFrontendConfig };
\ No newline at end of file
@@ -0,0 +1,265 @@
+// scripts/relayer.js
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Local relayer for gasless (EIP-712 signed) ballots
+ *
+ * Usage:
+ *   node scripts/relayer.js
+ *
+ * Voters sign a ballot in the browser and POST it here; the relayer checks it,
+ * queues it and submits queued ballots in batches with castSignedBallots,
+ * paying the gas itself. Elections with ballot questions are refused, since a
+ * signed ballot carries no answers (elections/example.json has none, unlike
+ * elections/referendum.json). Configuration (environment variables):
+ *   RPC_URL               JSON-RPC endpoint (default http://127.0.0.1:8545, a Hardhat node)
+ *   RELAYER_PRIVATE_KEY   Key that pays for the batches (default: the node's first account)
+ *   RELAYER_PORT          HTTP port (default 8787)
+ *   BATCH_SIZE            Submit as soon as an election has this many ballots (default 20)
+ *   BATCH_INTERVAL        Seconds between submissions of partial batches (default 10)
+ *
+ * Endpoints:
+ *   POST /ballots  { "election": "0x...", "ballot": { voter, candidateId, nonce, deadline, signature, proof } }
+ *   GET  /status   Number of queued ballots per election
+ */
+
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+const PORT = Number(process.env.RELAYER_PORT || 8787);
+const BATCH_SIZE = Number(process.env.BATCH_SIZE || 20);
+const BATCH_INTERVAL = Number(process.env.BATCH_INTERVAL || 10) * 1000;
+
+const BALLOT_TYPES = {
+  Ballot: [
+    { name: "voter", type: "address" },
+    { name: "candidateId", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+/**
+ * Load the EVoting ABI from the Hardhat artifacts
+ */
+function loadElectionAbi() {
+  const artifactPath = path.join(__dirname, "..", "artifacts", "contracts", "EVoting.sol", "EVoting.json");
+  try {
+    return require(artifactPath).abi;
+  } catch (error) {
+    throw new Error(`EVoting artifact not found at ${artifactPath}. Run "npx hardhat compile" first.`);
+  }
+}
+
+/**
+ * Get the wallet that pays for submitted batches
+ * @param {ethers.JsonRpcProvider} provider
+ */
+async function getRelayerSigner(provider) {
+  if (process.env.RELAYER_PRIVATE_KEY) {
+    return new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+  }
+  return provider.getSigner(0);
+}
+
+/**
+ * Normalise a ballot received over HTTP into the SignedBallot struct
+ * @param {object} ballot - Ballot fields as sent by the frontend
+ */
+function parseBallot(ballot) {
+  if (!ballot || typeof ballot !== "object") {
+    throw new Error("Missing ballot");
+  }
+  return {
+    voter: ethers.getAddress(ballot.voter),
+    candidateId: BigInt(ballot.candidateId),
+    nonce: BigInt(ballot.nonce),
+    deadline: BigInt(ballot.deadline),
+    signature: ethers.hexlify(ballot.signature),
+    proof: (ballot.proof || []).map((node) => ethers.hexlify(node))
+  };
+}
+
+/**
+ * Describe why a call failed, using the contract's custom error name when it reverted
+ * Gas estimates are not decoded by ethers, so their revert data is parsed with the interface.
+ * @param {Error} error - Error thrown by ethers
+ * @param {ethers.Interface} [iface] - Interface of the contract that was called
+ */
+function describeError(error, iface) {
+  const revert = error.revert || (iface && typeof error.data === "string" && error.data.length >= 10 && iface.parseError(error.data));
+  return (revert && revert.name) || error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > 100000) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body || "{}"));
+      } catch (error) {
+        reject(new Error("Invalid JSON"));
+      }
+    });
+  });
+}
+
+/**
+ * Write a JSON response (with CORS headers so the dapp can call the relayer)
+ */
+function sendJson(res, status, data) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type"
+  });
+  res.end(JSON.stringify(data, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+async function main() {
+  const abi = loadElectionAbi();
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const signer = await getRelayerSigner(provider);
+  const network = await provider.getNetwork();
+  const queues = new Map(); // election address => SignedBallot[]
+  const flushing = new Set();
+
+  /**
+   * Check a ballot before queueing it: signature, nonce and a dry run of the vote
+   * @param {string} election - Election contract address
+   * @param {object} ballot - Parsed SignedBallot
+   */
+  const validateBallot = async (election, ballot) => {
+    const contract = new ethers.Contract(election, abi, signer);
+    // Signed ballots carry no answers, so the contract rejects them in elections with questions
+    if ((await contract.questionCount()) > 0n) {
+      throw new Error("This election has ballot questions, which signed ballots can't answer; vote directly instead");
+    }
+    const domain = { name: "EVoting", version: "1", chainId: network.chainId, verifyingContract: election };
+    const value = { voter: ballot.voter, candidateId: ballot.candidateId, nonce: ballot.nonce, deadline: ballot.deadline };
+    if (ethers.verifyTypedData(domain, BALLOT_TYPES, value, ballot.signature) !== ballot.voter) {
+      throw new Error("Signature does not match voter");
+    }
+
+    const queue = queues.get(election) || [];
+    if (queue.some((queued) => queued.voter === ballot.voter)) {
+      throw new Error("A ballot from this voter is already queued");
+    }
+
+    // Reverts with the contract's error if the ballot would be rejected
+    await contract.castSignedBallot.staticCall(ballot);
+  };
+
+  /**
+   * Submit the queued ballots of one election in a single transaction
+   * @param {string} election - Election contract address
+   */
+  const flush = async (election) => {
+    const queue = queues.get(election);
+    if (!queue || queue.length === 0 || flushing.has(election)) {
+      return;
+    }
+    const batch = queue.splice(0, BATCH_SIZE);
+    flushing.add(election);
+
+    const contract = new ethers.Contract(election, abi, signer);
+    try {
+      // castSignedBallots swallows failing ballots, so estimateGas on the batch would
+      // happily return a limit at which every ballot runs out of gas. Estimate each
+      // ballot instead, dropping those that became invalid while queued.
+      const ready = [];
+      let gasLimit = 60000n;
+      for (const ballot of batch) {
+        try {
+          gasLimit += await contract.castSignedBallot.estimateGas(ballot);
+          ready.push(ballot);
+        } catch (error) {
+          console.log(`   ⚠️  Dropped ballot from ${ballot.voter}: ${describeError(error, contract.interface)}`);
+        }
+      }
+      if (ready.length === 0) {
+        return;
+      }
+
+      const tx = await contract.castSignedBallots(ready, { gasLimit: (gasLimit * 12n) / 10n });
+      const receipt = await tx.wait();
+      const rejected = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .filter((event) => event && event.name === "SignedBallotRejected");
+      console.log(`📦 ${election}: submitted ${ready.length} ballot(s) in ${receipt.hash}`);
+      rejected.forEach((event) => console.log(`   ⚠️  Rejected ballot from ${event.args.voter}`));
+    } catch (error) {
+      console.error(`❌ ${election}: batch of ${batch.length} failed:`, describeError(error, contract.interface));
+    } finally {
+      flushing.delete(election);
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      sendJson(res, 204, {});
+      return;
+    }
+
+    if (req.method === "GET" && req.url === "/status") {
+      const queued = {};
+      queues.forEach((queue, election) => {
+        queued[election] = queue.length;
+      });
+      sendJson(res, 200, { relayer: await signer.getAddress(), chainId: network.chainId, queued });
+      return;
+    }
+
+    if (req.method === "POST" && req.url === "/ballots") {
+      try {
+        const body = await readJson(req);
+        const election = ethers.getAddress(body.election);
+        const ballot = parseBallot(body.ballot);
+        await validateBallot(election, ballot);
+
+        if (!queues.has(election)) {
+          queues.set(election, []);
+        }
+        const queue = queues.get(election);
+        queue.push(ballot);
+        console.log(`🗳️  Queued ballot from ${ballot.voter} for ${election} (${queue.length} waiting)`);
+        if (queue.length >= BATCH_SIZE) {
+          flush(election);
+        }
+        sendJson(res, 202, { queued: true, position: queue.length });
+      } catch (error) {
+        sendJson(res, 400, { error: describeError(error) });
+      }
+      return;
+    }
+
+    sendJson(res, 404, { error: "Not found" });
+  });
+
+  setInterval(() => {
+    queues.forEach((queue, election) => flush(election));
+  }, BATCH_INTERVAL);
+
+  server.listen(PORT, () => {
+    console.log(`🚚 Relayer listening on http://localhost:${PORT}`);
+    console.log(`   RPC: ${RPC_URL} (chain ${network.chainId})`);
+    console.log(`   Batch size: ${BATCH_SIZE}, interval: ${BATCH_INTERVAL / 1000}s`);
+  });
+}
+
+main().catch((error) => {
+  console.error("❌ Relayer failed to start:", error.message);
+  process.exit(1);
+});
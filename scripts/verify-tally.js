@@ -0,0 +1,534 @@
+// scripts/verify-tally.js
+const path = require("path");
+const { ethers } = require("ethers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+
+/**
+ * Independent tally verification
+ *
+ * Usage:
+ *   node scripts/verify-tally.js --election <address> [--rpc <url>] [--from-block <n>]
+ *   node scripts/verify-tally.js --factory <address> --id <n> [--rpc <url>]
+ *
+ * Replays the election's events from the chain, oldest first: registrations,
+ * revocations and replacements build the voter roll, delegations move weight
+ * along their chains, and every VoteCast / RankedVoteCast / ApprovalVoteCast is checked against
+ * it (one vote per eligible voter who has not delegated, counted with the
+ * weight the voter was registered with plus the weight delegated to them,
+ * Merkle proofs re-verified from the voting transaction). The recomputed weighted totals, headcounts and
+ * leaders are compared with getAllCandidates() and getWinner() (and the elected
+ * set with getElected() in multi-seat elections) at the same block, the
+ * registered / voted counters with registeredCount() and votedCount(), the turnout
+ * and quorum outcome recorded when voting closed with finalTurnout(), and the answers to the ballot questions with getQuestionVotes(). Exits with status 1 and prints a diff on any mismatch, so auditors
+ * can run it against any node and CI can gate on it.
+ */
+
+/**
+ * Load a contract ABI from the Hardhat artifacts
+ * @param {string} name - Contract name
+ */
+function loadAbi(name) {
+  const artifactPath = path.join(__dirname, "..", "artifacts", "contracts", `${name}.sol`, `${name}.json`);
+  try {
+    return require(artifactPath).abi;
+  } catch (error) {
+    throw new Error(`${name} artifact not found at ${artifactPath}. Run "npx hardhat compile" first.`);
+  }
+}
+
+/**
+ * Find the Merkle proof a voter submitted in the transaction that carried their vote
+ * @param {ethers.Interface} iface - EVoting interface
+ * @param {ethers.TransactionResponse} tx - Transaction that emitted the vote
+ * @param {string} voter - Voter address
+ * @returns {string[] | null}
+ */
+function findSubmittedProof(iface, tx, voter) {
+  const call = iface.parseTransaction({ data: tx.data });
+  if (!call) {
+    return null;
+  }
+  switch (call.name) {
+    case "voteWithProof":
+    case "voteRankedWithProof":
+    case "commitVoteWithProof":
+    case "voteWithAnswers":
+    case "voteRankedWithAnswers":
+    case "voteApprovalWithAnswers":
+      return [...call.args[call.args.length - 1]];
+    case "castSignedBallot":
+      return [...call.args[0].proof];
+    case "castSignedBallots": {
+      const ballot = call.args[0].find((b) => b.voter.toLowerCase() === voter.toLowerCase());
+      return ballot ? [...ballot.proof] : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Replay an election's events and compare the result with the contract's state
+ * @param {ethers.Contract} election - EVoting contract connected to a provider
+ * @param {{fromBlock?: number, toBlock?: number}} [options]
+ * @returns {Promise<{
+ *   ok: boolean, snapshotBlock: number, errors: string[], notes: string[],
+ *   replayed: Object<number, number>, onChain: Object<number, number>,
+ *   replayedVoters: Object<number, number>, onChainVoters: Object<number, number>,
+ *   questions: {id: number, text: string, replayed: number[], onChain: number[]}[],
+ *   elected: {replayed: number[], onChain: number[]} | null,
+ *   turnout: {registered: number, voted: number, quorum: number, quorumIsPercent: boolean, reached: boolean, recorded: boolean},
+ *   votes: number, ballots: number, voters: number
+ * }>}
+ */
+async function verifyTally(election, { fromBlock = 0, toBlock } = {}) {
+  const provider = election.runner.provider || election.runner;
+  const snapshotBlock = toBlock ?? (await provider.getBlockNumber());
+  const at = { blockTag: snapshotBlock };
+  const errors = [];
+  const notes = [];
+
+  const logs = (await election.queryFilter("*", fromBlock, snapshotBlock))
+    .filter((log) => log.fragment)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const registered = new Map(); // address -> weight
+  const revoked = new Set(); // revoked or replaced addresses, refused by the Merkle roll
+  const delegatedTo = new Map(); // address -> delegate address
+  const delegatedWeight = new Map(); // address -> weight delegated to them
+  const committed = new Set();
+  const hasVoted = new Set();
+  const candidateIds = new Set();
+  const withdrawnIds = new Set();
+  const replayed = {};
+  const replayedVoters = {};
+  const questions = []; // { id, text, replayed: weighted tally per option }
+  let voterRoot = ethers.ZeroHash;
+  let tieBreakWinner = 0;
+  let merkleVoters = 0;
+  let ballots = 0;
+  let quorum = 0;
+  let quorumIsPercent = false;
+  const txCache = new Map();
+
+  const key = (address) => address.toLowerCase();
+  const where = (log) => `block ${log.blockNumber}, tx ${log.transactionHash}`;
+
+  // A voter not registered by event may be on the Merkle roll: re-check the proof they sent
+  const proveFromTransaction = async (log, voter) => {
+    if (voterRoot === ethers.ZeroHash || revoked.has(key(voter))) {
+      return false;
+    }
+    if (!txCache.has(log.transactionHash)) {
+      txCache.set(log.transactionHash, await provider.getTransaction(log.transactionHash));
+    }
+    const proof = findSubmittedProof(election.interface, txCache.get(log.transactionHash), voter);
+    if (!proof || !StandardMerkleTree.verify(voterRoot, ["address"], [voter], proof)) {
+      return false;
+    }
+    registered.set(key(voter), 1);
+    merkleVoters++;
+    return true;
+  };
+
+  const checkEligible = async (log, voter) => {
+    if (registered.has(key(voter)) || (await proveFromTransaction(log, voter))) {
+      return true;
+    }
+    errors.push(`${voter} voted without being registered (${where(log)})`);
+    return false;
+  };
+
+  // Ballots cast so far: counted votes plus commitments not yet revealed
+  const votedSoFar = () => hasVoted.size + committed.size;
+  const quorumMet = (voted, registeredVoters) => (quorum !== 0 && registeredVoters === 0
+    ? false
+    : quorumIsPercent ? voted * 100 >= quorum * registeredVoters : voted >= quorum);
+
+  // A voter's own weight plus everything delegated to them
+  const totalWeight = (voter) => registered.get(key(voter)) + (delegatedWeight.get(key(voter)) || 0);
+
+  // Mirror the contract: every voter on the chain carries the weight flowing through them
+  const moveDelegatedWeight = (log, voter, delegate, weight) => {
+    const seen = new Set([key(voter)]);
+    let current = delegate;
+    for (;;) {
+      if (seen.has(key(current))) {
+        errors.push(`${voter} delegated in a loop (${where(log)})`);
+        return;
+      }
+      seen.add(key(current));
+      delegatedWeight.set(key(current), (delegatedWeight.get(key(current)) || 0) + weight);
+      if (!delegatedTo.has(key(current))) {
+        break;
+      }
+      current = delegatedTo.get(key(current));
+    }
+    if (hasVoted.has(key(current))) {
+      errors.push(`${voter} changed a delegation after ${current} had voted (${where(log)})`);
+    }
+  };
+
+  // An approval ballot counts its full weight for every candidate it approves
+  const countVote = (log, voter, choices, weight) => {
+    if (hasVoted.has(key(voter))) {
+      errors.push(`${voter} voted more than once (${where(log)})`);
+    }
+    hasVoted.add(key(voter));
+    if (delegatedTo.has(key(voter))) {
+      errors.push(`${voter} voted after delegating to ${delegatedTo.get(key(voter))} (${where(log)})`);
+    }
+    if (registered.has(key(voter)) && totalWeight(voter) !== weight) {
+      errors.push(`${voter} was counted with weight ${weight} but holds ${totalWeight(voter)} (${where(log)})`);
+    }
+    if (new Set(choices).size !== choices.length) {
+      errors.push(`${voter} selected the same candidate twice (${where(log)})`);
+    }
+    ballots++;
+    choices.forEach((candidateId) => {
+      if (!candidateIds.has(candidateId)) {
+        errors.push(`${voter} voted for unknown candidate #${candidateId} (${where(log)})`);
+      } else if (withdrawnIds.has(candidateId)) {
+        errors.push(`${voter} voted for withdrawn candidate #${candidateId} (${where(log)})`);
+      }
+      replayed[candidateId] = (replayed[candidateId] || 0) + weight;
+      replayedVoters[candidateId] = (replayedVoters[candidateId] || 0) + 1;
+    });
+  };
+
+  // Answers are counted with the same weight as the candidate vote in the same transaction
+  const countAnswers = (log, voter, answers, weight) => {
+    if (!hasVoted.has(key(voter))) {
+      errors.push(`${voter} answered the ballot questions without a counted vote (${where(log)})`);
+    }
+    if (answers.length !== questions.length) {
+      errors.push(`${voter} answered ${answers.length} of ${questions.length} question(s) (${where(log)})`);
+    }
+    answers.slice(0, questions.length).forEach((answer, index) => {
+      const tally = questions[index].replayed;
+      if (answer >= tally.length) {
+        errors.push(`${voter} gave unknown answer ${answer} to question #${index + 1} (${where(log)})`);
+        return;
+      }
+      tally[answer] += weight;
+    });
+  };
+
+  for (const log of logs) {
+    const args = log.args;
+    switch (log.fragment.name) {
+      case "CandidateAdded":
+        candidateIds.add(Number(args.candidateId));
+        break;
+      case "CandidateWithdrawn":
+        withdrawnIds.add(Number(args.candidateId));
+        break;
+      case "VoterRegistered":
+        registered.set(key(args.voterAddress), Number(args.weight));
+        break;
+      case "VoterRevoked":
+        registered.delete(key(args.voterAddress));
+        revoked.add(key(args.voterAddress));
+        break;
+      case "VoterReplaced":
+        registered.set(key(args.newAddress), registered.get(key(args.oldAddress)));
+        registered.delete(key(args.oldAddress));
+        revoked.add(key(args.oldAddress));
+        break;
+      case "VoteDelegated":
+        if (!registered.has(key(args.voter)) || !registered.has(key(args.delegate))) {
+          errors.push(`${args.voter} delegated to ${args.delegate} outside the voter roll (${where(log)})`);
+          break;
+        }
+        if (totalWeight(args.voter) !== Number(args.weight)) {
+          errors.push(`${args.voter} delegated weight ${args.weight} but holds ${totalWeight(args.voter)} (${where(log)})`);
+        }
+        moveDelegatedWeight(log, args.voter, args.delegate, totalWeight(args.voter));
+        delegatedTo.set(key(args.voter), args.delegate);
+        break;
+      case "DelegationRevoked":
+        if (delegatedTo.has(key(args.voter))) {
+          moveDelegatedWeight(log, args.voter, delegatedTo.get(key(args.voter)), -totalWeight(args.voter));
+          delegatedTo.delete(key(args.voter));
+        }
+        break;
+      case "QuestionAdded":
+        questions.push({ id: Number(args.questionId), text: args.text, replayed: args.options.map(() => 0) });
+        break;
+      case "QuestionsAnswered":
+        countAnswers(log, args.voter, args.answers.map(Number), Number(args.weight));
+        break;
+      case "QuorumSet":
+        quorum = Number(args.quorum);
+        quorumIsPercent = args.isPercent;
+        break;
+      case "QuorumChecked":
+        if (Number(args.votedCount) !== votedSoFar() || Number(args.registeredCount) !== registered.size) {
+          errors.push(`quorum check recorded ${args.votedCount} of ${args.registeredCount} voter(s), events give ${votedSoFar()} of ${registered.size} (${where(log)})`);
+        } else if (args.reached !== quorumMet(votedSoFar(), registered.size)) {
+          errors.push(`quorum check recorded reached = ${args.reached}, the quorum rule gives ${!args.reached} (${where(log)})`);
+        }
+        break;
+      case "VoterRootSet":
+        voterRoot = args.root;
+        break;
+      case "ElectionStarted":
+        tieBreakWinner = 0;
+        break;
+      case "TieBroken":
+        tieBreakWinner = Number(args.candidateId);
+        break;
+      case "VoteCommitted":
+        // Secret ballot: eligibility is checked at commit time, the vote is counted on reveal
+        if (await checkEligible(log, args.voter)) {
+          committed.add(key(args.voter));
+        }
+        break;
+      case "VoteCast":
+        if (committed.has(key(args.voter))) {
+          committed.delete(key(args.voter));
+        } else if (!(await checkEligible(log, args.voter))) {
+          break;
+        }
+        countVote(log, args.voter, [Number(args.candidateId)], Number(args.weight));
+        break;
+      case "RankedVoteCast":
+        if (await checkEligible(log, args.voter)) {
+          // On-chain voteCount tracks weighted first preferences
+          countVote(log, args.voter, [Number(args.ranking[0])], Number(args.weight));
+        }
+        break;
+      case "ApprovalVoteCast":
+        if (await checkEligible(log, args.voter)) {
+          countVote(log, args.voter, args.candidateIds.map(Number), Number(args.weight));
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Compare totals with the contract
+  const onChain = {};
+  const onChainVoters = {};
+  const candidates = await election.getAllCandidates(at);
+  candidates.forEach((c) => {
+    onChain[Number(c.id)] = Number(c.voteCount);
+    onChainVoters[Number(c.id)] = Number(c.voterCount);
+  });
+  const allIds = [...new Set([...Object.keys(onChain), ...Object.keys(replayed)].map(Number))].sort((a, b) => a - b);
+  allIds.forEach((id) => {
+    const expected = replayed[id] || 0;
+    const actual = onChain[id] ?? "missing";
+    if (expected !== actual) {
+      errors.push(`candidate #${id}: events give ${expected} vote(s), getAllCandidates() reports ${actual}`);
+    }
+    const expectedVoters = replayedVoters[id] || 0;
+    const actualVoters = onChainVoters[id] ?? "missing";
+    if (expectedVoters !== actualVoters) {
+      errors.push(`candidate #${id}: events give ${expectedVoters} voter(s), getAllCandidates() reports ${actualVoters}`);
+    }
+  });
+
+  // Compare the answers to each ballot question with getQuestionVotes()
+  const questionCount = Number(await election.questionCount(at));
+  if (questionCount !== questions.length) {
+    errors.push(`questions: events add ${questions.length}, questionCount() reports ${questionCount}`);
+  }
+  for (const question of questions.slice(0, questionCount)) {
+    question.onChain = (await election.getQuestionVotes(question.id, at)).map(Number);
+    if (question.onChain.join(",") !== question.replayed.join(",")) {
+      errors.push(`question #${question.id}: events give [${question.replayed.join(", ")}], getQuestionVotes() reports [${question.onChain.join(", ")}]`);
+    }
+  }
+
+  // Compare the turnout counters and the recorded final turnout with the contract
+  const [registeredCount, votedCount, finalTurnout] = await Promise.all([
+    election.registeredCount(at),
+    election.votedCount(at),
+    election.finalTurnout(at)
+  ]);
+  const turnout = {
+    registered: registered.size,
+    voted: votedSoFar(),
+    quorum,
+    quorumIsPercent,
+    reached: quorumMet(votedSoFar(), registered.size),
+    recorded: finalTurnout.recorded
+  };
+  if (Number(registeredCount) !== turnout.registered) {
+    errors.push(`registered voters: events give ${turnout.registered}, registeredCount() reports ${registeredCount}`);
+  }
+  if (Number(votedCount) !== turnout.voted) {
+    errors.push(`ballots cast: events give ${turnout.voted}, votedCount() reports ${votedCount}`);
+  }
+  if (!finalTurnout.recorded) {
+    notes.push("The final turnout has not been recorded yet (recordTurnout)");
+  } else if (
+    Number(finalTurnout.registered) !== turnout.registered
+    || Number(finalTurnout.voted) !== turnout.voted
+    || finalTurnout.quorumReached !== turnout.reached
+  ) {
+    errors.push(`final turnout: events give ${turnout.voted} of ${turnout.registered} (reached = ${turnout.reached}), ` +
+      `finalTurnout() records ${finalTurnout.voted} of ${finalTurnout.registered} (reached = ${finalTurnout.quorumReached})`);
+  }
+
+  // Compare leaders / winner with getWinner() (plurality and approval)
+  const ballotType = Number(await election.ballotType(at));
+  let elected = null;
+  if (ballotType !== 1) {
+    const top = Math.max(0, ...Object.values(replayed));
+    const leaders = top === 0 ? [] : allIds.filter((id) => (replayed[id] || 0) === top);
+    const expectedWinner = leaders.length === 1 ? leaders[0] : leaders.length > 1 ? tieBreakWinner : 0;
+    const [winnerId, leaderIds] = await election.getWinner(at);
+    const actualLeaders = leaderIds.map(Number);
+    if (actualLeaders.join(",") !== leaders.join(",")) {
+      errors.push(`leaders: events give [${leaders.join(", ")}], getWinner() reports [${actualLeaders.join(", ")}]`);
+    }
+    if (Number(winnerId) !== expectedWinner) {
+      errors.push(`winner: events give #${expectedWinner}, getWinner() reports #${Number(winnerId)}`);
+    }
+
+    // Multi-seat: mirror getElected(), filling the seats level by level from the top;
+    // a level that would overflow them is left tied
+    const seatCount = Number(await election.seatCount(at));
+    if (seatCount > 1) {
+      const levels = [...new Set(Object.values(replayed).filter((votes) => votes > 0))].sort((a, b) => b - a);
+      const expectedElected = [];
+      let expectedTied = [];
+      for (const level of levels) {
+        const group = allIds.filter((id) => (replayed[id] || 0) === level);
+        if (expectedElected.length + group.length > seatCount) {
+          expectedTied = group;
+          break;
+        }
+        expectedElected.push(...group);
+        if (expectedElected.length === seatCount) {
+          break;
+        }
+      }
+      const [electedIds, tiedIds] = await election.getElected(at);
+      elected = { replayed: expectedElected, onChain: electedIds.map(Number) };
+      if (elected.onChain.join(",") !== expectedElected.join(",")) {
+        errors.push(`elected: events give [${expectedElected.join(", ")}], getElected() reports [${elected.onChain.join(", ")}]`);
+      }
+      if (tiedIds.map(Number).join(",") !== expectedTied.join(",")) {
+        errors.push(`tied seats: events give [${expectedTied.join(", ")}], getElected() reports [${tiedIds.map(Number).join(", ")}]`);
+      }
+    }
+  } else {
+    notes.push("Ranked-choice election: first preferences checked; run the instant-runoff tally for the winner");
+  }
+
+  if (committed.size > 0) {
+    notes.push(`${committed.size} committed ballot(s) were never revealed and are not counted`);
+  }
+  if (delegatedTo.size > 0) {
+    notes.push(`${delegatedTo.size} voter(s) delegated their vote; their weight is counted in their delegates' ballots`);
+  }
+  if (merkleVoters > 0) {
+    notes.push(`${merkleVoters} voter(s) admitted by Merkle proof, re-verified against the root in force`);
+  }
+
+  return {
+    ok: errors.length === 0,
+    snapshotBlock,
+    errors,
+    notes,
+    replayed,
+    onChain,
+    replayedVoters,
+    onChainVoters,
+    questions,
+    elected,
+    turnout,
+    votes: Object.values(replayed).reduce((sum, n) => sum + n, 0),
+    ballots,
+    voters: registered.size
+  };
+}
+
+/**
+ * Print a verification report
+ * @param {string} address - Election address
+ * @param {object} report - Result of verifyTally
+ */
+function printReport(address, report) {
+  console.log(`🔎 Election ${address} at block ${report.snapshotBlock}`);
+  console.log(`   ${report.ballots} ballot(s) worth ${report.votes} vote(s) replayed, ${report.voters} voter(s) on the roll\n`);
+  console.log("   Candidate   Votes (events / on-chain)   Voters (events / on-chain)");
+  const ids = [...new Set([...Object.keys(report.onChain), ...Object.keys(report.replayed)].map(Number))].sort((a, b) => a - b);
+  ids.forEach((id) => {
+    const expected = report.replayed[id] || 0;
+    const actual = report.onChain[id] ?? "-";
+    const expectedVoters = report.replayedVoters[id] || 0;
+    const actualVoters = report.onChainVoters[id] ?? "-";
+    const mark = expected === actual && expectedVoters === actualVoters ? " " : "✗";
+    const votes = `${expected} / ${actual}`;
+    console.log(` ${mark} #${String(id).padEnd(10)} ${votes.padEnd(27)} ${expectedVoters} / ${actualVoters}`);
+  });
+  report.questions.forEach((question) => {
+    const mark = (question.onChain || []).join(",") === question.replayed.join(",") ? " " : "✗";
+    console.log(`\n ${mark} Question #${question.id}: ${question.text}`);
+    console.log(`     Votes per option (events / on-chain): ${question.replayed.map((votes, index) => `${votes} / ${question.onChain ? question.onChain[index] : "-"}`).join(", ")}`);
+  });
+  if (report.elected) {
+    const mark = report.elected.onChain.join(",") === report.elected.replayed.join(",") ? " " : "✗";
+    console.log(`\n ${mark} Elected (events / on-chain): [${report.elected.replayed.join(", ")}] / [${report.elected.onChain.join(", ")}]`);
+  }
+  const { turnout } = report;
+  const quorum = turnout.quorum === 0 ? "no quorum" : `quorum ${turnout.quorum}${turnout.quorumIsPercent ? "%" : " ballot(s)"}`;
+  console.log(`\n   Turnout: ${turnout.voted} of ${turnout.registered} registered voter(s) voted, ${quorum}` +
+    `${turnout.quorum ? (turnout.reached ? " reached" : " not reached") : ""}${turnout.recorded ? " (recorded)" : ""}`);
+  report.notes.forEach((note) => console.log(`\nℹ️  ${note}`));
+
+  if (report.ok) {
+    console.log("\n✅ Tally verified: on-chain totals match the event stream");
+  } else {
+    console.log(`\n❌ ${report.errors.length} mismatch(es):`);
+    report.errors.forEach((error) => console.log(`   - ${error}`));
+  }
+}
+
+/**
+ * Read a "--name value" option from the command line
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name without dashes
+ */
+function getOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? null : args[index + 1];
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const provider = new ethers.JsonRpcProvider(getOption(args, "rpc") || process.env.RPC_URL || "http://127.0.0.1:8545");
+  let address = getOption(args, "election");
+  let fromBlock = Number(getOption(args, "from-block") || 0);
+
+  if (!address) {
+    const factoryAddress = getOption(args, "factory");
+    const id = getOption(args, "id");
+    if (!factoryAddress || !id) {
+      throw new Error("Usage: node scripts/verify-tally.js --election <address> | --factory <address> --id <n> [--rpc <url>]");
+    }
+    const factory = new ethers.Contract(factoryAddress, loadAbi("ElectionFactory"), provider);
+    address = await factory.getElection(id);
+    const [created] = await factory.queryFilter(factory.filters.ElectionCreated(id));
+    fromBlock = created ? created.blockNumber : fromBlock;
+  }
+
+  const election = new ethers.Contract(ethers.getAddress(address), loadAbi("EVoting"), provider);
+  const report = await verifyTally(election, { fromBlock });
+  printReport(address, report);
+  process.exitCode = report.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Verification failed:", error.message);
+    process.exit(2);
+  });
+}
+
+module.exports = { verifyTally, printReport };
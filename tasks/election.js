@@ -0,0 +1,619 @@
+// tasks/election.js
+const { scope, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+/**
+ * Election administration tasks
+ *
+ * Usage:
+ *   npx hardhat election <task> --contract <electionAddress> [--json] [--network <name>]
+ *
+ * Every task talks to one election clone. Transactions are sent from the first
+ * configured account unless --from names another one. With --json a single
+ * JSON document is written to stdout so scripts and CI jobs can parse it.
+ */
+
+const election = scope("election", "Administer an election contract");
+
+const PLUGIN_NAME = "election";
+const BALLOT_TYPES = ["plurality", "ranked-choice", "approval"];
+const REGISTER_BATCH_SIZE = 100;
+
+/**
+ * Add the options every election task shares
+ * @param {object} task - Hardhat task definition
+ */
+function withCommonParams(task) {
+  return task
+    .addParam("contract", "Address of the election contract")
+    .addOptionalParam("from", "Account to send transactions from (defaults to the first account)")
+    .addFlag("json", "Print machine-readable JSON instead of text");
+}
+
+/**
+ * Connect to an election contract
+ * @param {object} args - Task arguments (contract, from)
+ * @param {object} hre - Hardhat runtime environment
+ */
+async function getElection({ contract, from }, hre) {
+  await hre.run("compile", { quiet: true });
+
+  if (!hre.ethers.isAddress(contract)) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Invalid election address: ${contract}`);
+  }
+  if ((await hre.ethers.provider.getCode(contract)) === "0x") {
+    throw new HardhatPluginError(PLUGIN_NAME, `No contract deployed at ${contract} on network "${hre.network.name}"`);
+  }
+
+  const signer = from ? await hre.ethers.getSigner(from) : (await hre.ethers.getSigners())[0];
+  return hre.ethers.getContractAt("EVoting", contract, signer);
+}
+
+/**
+ * Print a task result as JSON or as text
+ * @param {boolean} json - Whether --json was passed
+ * @param {object} result - Result to print with --json
+ * @param {function(): void} printText - Prints the human-readable version
+ */
+function output(json, result, printText) {
+  if (json) {
+    console.log(JSON.stringify(result, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+  } else {
+    printText();
+  }
+}
+
+/**
+ * Send a transaction and wait for it to be mined
+ * @param {Promise<object>} pending - Transaction promise from a contract call
+ */
+async function send(pending) {
+  const tx = await pending;
+  const receipt = await tx.wait();
+  return { receipt, transactionHash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed };
+}
+
+/**
+ * Read the events a receipt emitted from the election contract
+ * @param {object} evoting - EVoting contract
+ * @param {object} receipt - Transaction receipt
+ * @param {string} name - Event name
+ */
+function receiptEvents(evoting, receipt, name) {
+  return receipt.logs
+    .map((log) => {
+      try {
+        return evoting.interface.parseLog(log);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter((event) => event && event.name === name);
+}
+
+/**
+ * Count the ballots cast so far. An approval ballot adds to voterCount once per
+ * approved candidate, so approval elections count ApprovalVoteCast events instead.
+ * @param {object} evoting - EVoting contract
+ * @param {string} ballotType - Name from BALLOT_TYPES
+ * @param {object[]} candidates - Result of getAllCandidates()
+ */
+async function countBallots(evoting, ballotType, candidates) {
+  if (ballotType === "approval") {
+    return (await evoting.queryFilter(evoting.filters.ApprovalVoteCast())).length;
+  }
+  return candidates.reduce((sum, c) => sum + Number(c.voterCount), 0);
+}
+
+/**
+ * Read an election's turnout and quorum rule: the final turnout once it is recorded, the live counters before
+ * @param {object} evoting - EVoting contract
+ */
+async function readTurnout(evoting) {
+  const [registered, voted, quorum, quorumIsPercent, quorumReached, final] = await Promise.all([
+    evoting.registeredCount(),
+    evoting.votedCount(),
+    evoting.quorum(),
+    evoting.quorumIsPercent(),
+    evoting.quorumReached(),
+    evoting.finalTurnout()
+  ]);
+  return {
+    registered: Number(final.recorded ? final.registered : registered),
+    voted: Number(final.recorded ? final.voted : voted),
+    quorum: Number(quorum),
+    quorumIsPercent,
+    quorumReached: final.recorded ? final.quorumReached : quorumReached,
+    recorded: final.recorded
+  };
+}
+
+const describeQuorum = ({ quorum, quorumIsPercent }) =>
+  (quorum === 0 ? "none" : quorumIsPercent ? `${quorum}% of registered voters` : `${quorum} ballot(s)`);
+
+const formatTime = (timestamp) => (Number(timestamp) === 0 ? "not set" : new Date(Number(timestamp) * 1000).toISOString());
+
+/**
+ * Build the on-chain CandidateProfile from the --party/--bio/--image/--link options
+ * @param {object} args - Task arguments
+ */
+const candidateProfile = (args) => ({ party: args.party, bio: args.bio, imageURI: args.image, link: args.link });
+
+withCommonParams(
+  election.task("add-candidate", "Add a candidate (before the election starts)")
+    .addParam("name", "Candidate name")
+    .addOptionalParam("party", "Party or affiliation", "")
+    .addOptionalParam("bio", "Short biography", "")
+    .addOptionalParam("image", "Image URL, ipfs:// URI or IPFS CID", "")
+    .addOptionalParam("link", "External website", "")
+).setAction(async (args, hre) => {
+  const evoting = await getElection(args, hre);
+  const { receipt, ...tx } = await send(evoting.addCandidate(args.name, candidateProfile(args)));
+  const [added] = receiptEvents(evoting, receipt, "CandidateAdded");
+  const result = { candidateId: Number(added.args.candidateId), name: args.name, ...tx };
+
+  output(args.json, result, () => {
+    console.log(`✅ Candidate #${result.candidateId} "${result.name}" added (tx ${result.transactionHash})`);
+  });
+});
+
+/**
+ * Read the ballot questions with their weighted tallies
+ * Question text and options are only stored in the QuestionAdded events.
+ * @param {import("ethers").Contract} evoting - Election contract
+ * @returns {Promise<{id: number, text: string, options: {label: string, votes: number}[]}[]>}
+ */
+async function readQuestions(evoting) {
+  const events = await evoting.queryFilter(evoting.filters.QuestionAdded());
+  return Promise.all(events.map(async ({ args }) => {
+    const votes = await evoting.getQuestionVotes(args.questionId);
+    return {
+      id: Number(args.questionId),
+      text: args.text,
+      options: args.options.map((label, index) => ({ label, votes: Number(votes[index]) }))
+    };
+  }));
+}
+
+withCommonParams(
+  election.task("add-question", "Add a question to the ballot (before voting starts)")
+    .addParam("text", "Question text")
+    .addOptionalParam("options", "Comma-separated answer options", "Yes,No,Abstain")
+).setAction(async (args, hre) => {
+  const options = args.options.split(",").map((option) => option.trim()).filter(Boolean);
+  if (options.length < 2) {
+    throw new HardhatPluginError(PLUGIN_NAME, "--options needs at least two answers");
+  }
+  const evoting = await getElection(args, hre);
+  const { receipt, ...tx } = await send(evoting.addQuestion(args.text, options));
+  const [added] = receiptEvents(evoting, receipt, "QuestionAdded");
+  const result = { questionId: Number(added.args.questionId), text: args.text, options, ...tx };
+
+  output(args.json, result, () => {
+    console.log(`✅ Question #${result.questionId} "${result.text}" added: ${result.options.join(" / ")} (tx ${result.transactionHash})`);
+  });
+});
+
+withCommonParams(
+  election.task("set-ballot-type", "Choose how ballots are cast (before voting starts)")
+    .addParam("type", `Ballot type: ${BALLOT_TYPES.join(", ")}`)
+).setAction(async (args, hre) => {
+  const ballotType = BALLOT_TYPES.indexOf(args.type);
+  if (ballotType === -1) {
+    throw new HardhatPluginError(PLUGIN_NAME, `--type must be one of: ${BALLOT_TYPES.join(", ")}`);
+  }
+  const evoting = await getElection(args, hre);
+  const { receipt, ...tx } = await send(evoting.setBallotType(ballotType));
+  const result = { ballotType: args.type, ...tx };
+
+  output(args.json, result, () => {
+    console.log(`✅ Ballot type set to ${result.ballotType} (tx ${result.transactionHash})`);
+  });
+});
+
+withCommonParams(
+  election.task("set-seats", "Set how many candidates are elected and how many each voter may approve (before voting starts)")
+    .addParam("seats", "Number of seats to fill", undefined, types.int)
+    .addOptionalParam("maxSelections", "Most candidates one approval ballot may select (default: --seats)", undefined, types.int)
+).setAction(async (args, hre) => {
+  const maxSelections = args.maxSelections === undefined ? args.seats : args.maxSelections;
+  const evoting = await getElection(args, hre);
+  const { receipt, ...tx } = await send(evoting.setSeats(args.seats, maxSelections));
+  const result = { seatCount: args.seats, maxSelections, ...tx };
+
+  output(args.json, result, () => {
+    console.log(`✅ ${result.seatCount} seat(s) to fill, up to ${result.maxSelections} approval(s) per ballot (tx ${result.transactionHash})`);
+  });
+});
+
+withCommonParams(
+  election.task("set-quorum", "Set the turnout a valid result needs (before voting starts)")
+    .addParam("quorum", "Ballots needed, or a percentage with --percent (0 removes the quorum)", undefined, types.int)
+    .addFlag("percent", "Treat --quorum as a percentage of the registered voters")
+).setAction(async (args, hre) => {
+  if (args.quorum < 0 || (args.percent && args.quorum > 100)) {
+    throw new HardhatPluginError(PLUGIN_NAME, "--quorum must be at least 0, and at most 100 with --percent");
+  }
+  const evoting = await getElection(args, hre);
+  const { receipt, ...tx } = await send(evoting.setQuorum(args.quorum, args.percent));
+  const result = { quorum: args.quorum, quorumIsPercent: args.percent, ...tx };
+
+  output(args.json, result, () => {
+    console.log(`✅ Quorum set to ${describeQuorum(result)} (tx ${result.transactionHash})`);
+  });
+});
+
+withCommonParams(
+  election.task("update-candidate", "Replace a candidate's name and profile (before the election starts)")
+    .addParam("id", "Candidate ID", undefined, types.int)
+    .addOptionalParam("name", "New name (default: keep the current name)")
+    .addOptionalParam("party", "Party or affiliation (default: keep the current one)")
+    .addOptionalParam("bio", "Short biography (default: keep the current one)")
+    .addOptionalParam("image", "Image URL, ipfs:// URI or IPFS CID (default: keep the current one)")
+    .addOptionalParam("link", "External website (default: keep the current one)")
+).setAction(async (args, hre) => {
+  const evoting = await getElection(args, hre);
+  const [current, currentProfile] = await Promise.all([evoting.candidates(args.id), evoting.candidateProfiles(args.id)]);
+  const name = args.name ?? current.name;
+  const profile = {
+    party: args.party ?? currentProfile.party,
+    bio: args.bio ?? currentProfile.bio,
+    imageURI: args.image ?? currentProfile.imageURI,
+    link: args.link ?? currentProfile.link
+  };
+  const { receipt, ...tx } = await send(evoting.updateCandidate(args.id, name, profile));
+  const result = { candidateId: args.id, name, ...profile, ...tx };
+
+  output(args.json, result, () => {
+    console.log(`✅ Candidate #${result.candidateId} "${result.name}" updated (tx ${result.transactionHash})`);
+  });
+});
+
+withCommonParams(
+  election.task("withdraw-candidate", "Take a candidate off the ballot (before the election starts)")
+    .addParam("id", "Candidate ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const evoting = await getElection(args, hre);
+  const { receipt, ...tx } = await send(evoting.withdrawCandidate(args.id));
+  const result = { candidateId: args.id, ...tx };
+
+  output(args.json, result, () => {
+    console.log(`🚫 Candidate #${result.candidateId} withdrawn (tx ${result.transactionHash})`);
+  });
+});
+
+withCommonParams(
+  election.task("register-voter", "Register one voter, or every address in a roll file")
+    .addOptionalParam("voter", "Voter address")
+    .addOptionalParam("weight", "Voting weight of --voter (e.g. shares held)", 1, types.int)
+    .addOptionalParam("file", "CSV or JSON roll file with optional weights (same format as scripts/build-merkle.js)")
+    .addOptionalParam("batchSize", "Addresses per transaction when registering a file", REGISTER_BATCH_SIZE, types.int)
+).setAction(async (args, hre) => {
+  if (!args.voter === !args.file) {
+    throw new HardhatPluginError(PLUGIN_NAME, "Pass exactly one of --voter or --file");
+  }
+
+  const { readWeightedRoll } = require("../scripts/build-merkle");
+  let roll;
+  try {
+    roll = args.voter ? [{ address: hre.ethers.getAddress(args.voter), weight: args.weight }] : readWeightedRoll(args.file);
+  } catch (error) {
+    throw new HardhatPluginError(PLUGIN_NAME, args.voter ? `Invalid --voter address: "${args.voter}"` : error.message);
+  }
+  const evoting = await getElection(args, hre);
+  const result = { requested: roll.length, registered: [], skipped: [], transactions: [] };
+
+  // A single voter who is already registered reverts; registerVoters skips them instead
+  for (let i = 0; i < roll.length; i += args.batchSize) {
+    const batch = roll.slice(i, i + args.batchSize);
+    const { receipt, ...tx } = await send(args.voter
+      ? evoting.registerVoter(batch[0].address, batch[0].weight)
+      : evoting.registerVoters(batch.map((e) => e.address), batch.map((e) => e.weight)));
+    receiptEvents(evoting, receipt, "VoterRegistered").forEach((e) => result.registered.push(e.args.voterAddress));
+    receiptEvents(evoting, receipt, "DuplicateVoterSkipped").forEach((e) => result.skipped.push(e.args.voterAddress));
+    result.transactions.push(tx);
+
+    if (!args.json && !args.voter) {
+      console.log(`📋 Batch ${result.transactions.length}: ${batch.length} address(es) sent (tx ${tx.transactionHash})`);
+    }
+  }
+
+  output(args.json, result, () => {
+    console.log(`✅ ${result.registered.length} voter(s) registered, ${result.skipped.length} already on the roll`);
+    result.skipped.forEach((address) => console.log(`   ⏭️  ${address}`));
+  });
+});
+
+withCommonParams(
+  election.task("start", "Start the election")
+).setAction(async (args, hre) => {
+  const evoting = await getElection(args, hre);
+  const { receipt, ...tx } = await send(evoting.startElection());
+  const result = { running: await evoting.electionRunning(), ...tx };
+
+  output(args.json, result, () => {
+    console.log(`✅ Election started (tx ${result.transactionHash})`);
+  });
+});
+
+withCommonParams(
+  election.task("end", "End the election")
+).setAction(async (args, hre) => {
+  const evoting = await getElection(args, hre);
+  const { receipt, ...tx } = await send(evoting.endElection());
+  const result = { running: await evoting.electionRunning(), revealPhase: await evoting.revealPhase(), ...tx };
+
+  output(args.json, result, () => {
+    console.log(`✅ Election ended (tx ${result.transactionHash})`);
+    if (result.revealPhase) {
+      console.log("🔐 Secret ballot: voters can now reveal their votes");
+    }
+  });
+});
+
+withCommonParams(
+  election.task("record-turnout", "Record the final turnout and quorum verdict once voting has closed")
+).setAction(async (args, hre) => {
+  const evoting = await getElection(args, hre);
+  const { receipt, ...tx } = await send(evoting.recordTurnout());
+  const result = { turnout: await readTurnout(evoting), ...tx };
+
+  output(args.json, result, () => {
+    console.log(`✅ Final turnout recorded: ${result.turnout.voted} of ${result.turnout.registered} registered voter(s) voted (tx ${result.transactionHash})`);
+    if (result.turnout.quorum) {
+      console.log(result.turnout.quorumReached ? "✅ Quorum reached" : "❌ Quorum not reached");
+    }
+  });
+});
+
+withCommonParams(
+  election.task("status", "Show the election's configuration and phase")
+).setAction(async (args, hre) => {
+  const evoting = await getElection(args, hre);
+  const [title, description, admin, pendingAdmin, running, revealPhase, ballotType, secretBallot, voterRoot, candidateCount, registrationDeadline, votingStart, votingEnd, candidates] =
+    await Promise.all([
+      evoting.title(),
+      evoting.description(),
+      evoting.admin(),
+      evoting.pendingAdmin(),
+      evoting.electionRunning(),
+      evoting.revealPhase(),
+      evoting.ballotType(),
+      evoting.secretBallot(),
+      evoting.voterRoot(),
+      evoting.candidateCount(),
+      evoting.registrationDeadline(),
+      evoting.votingStart(),
+      evoting.votingEnd(),
+      evoting.getAllCandidates()
+    ]);
+  const [questionCount, seatCount, maxSelections] = await Promise.all([
+    evoting.questionCount(),
+    evoting.seatCount(),
+    evoting.maxSelections()
+  ]);
+
+  const result = {
+    contract: await evoting.getAddress(),
+    network: hre.network.name,
+    title,
+    description,
+    admin,
+    pendingAdmin: pendingAdmin === hre.ethers.ZeroAddress ? null : pendingAdmin,
+    running,
+    revealPhase,
+    ballotType: BALLOT_TYPES[Number(ballotType)],
+    seatCount: Number(seatCount),
+    maxSelections: Number(maxSelections),
+    secretBallot,
+    voterRoot: voterRoot === hre.ethers.ZeroHash ? null : voterRoot,
+    candidateCount: Number(candidateCount),
+    questionCount: Number(questionCount),
+    withdrawnCandidates: candidates.filter((c) => c.withdrawn).length,
+    totalVotes: candidates.reduce((sum, c) => sum + Number(c.voteCount), 0),
+    ballotsCounted: await countBallots(evoting, BALLOT_TYPES[Number(ballotType)], candidates),
+    turnout: await readTurnout(evoting),
+    schedule: {
+      registrationDeadline: Number(registrationDeadline),
+      votingStart: Number(votingStart),
+      votingEnd: Number(votingEnd)
+    }
+  };
+
+  output(args.json, result, () => {
+    console.log(`📊 ${result.title} (${result.contract} on ${result.network})`);
+    if (result.description) {
+      console.log(`   ${result.description}`);
+    }
+    console.log(`   Admin: ${result.admin}${result.pendingAdmin ? ` (transfer to ${result.pendingAdmin} pending)` : ""}`);
+    console.log(`   Phase: ${result.running ? "🟢 voting open" : result.revealPhase ? "🔐 reveal phase" : "🔴 not running"}`);
+    console.log(`   Ballot: ${result.ballotType}${result.secretBallot ? " (secret)" : ""}` +
+      `${result.ballotType === "approval" ? `, up to ${result.maxSelections} approval(s)` : ""}`);
+    if (result.seatCount > 1) {
+      console.log(`   Seats: ${result.seatCount}`);
+    }
+    console.log(`   Merkle voter roll: ${result.voterRoot || "not used"}`);
+    console.log(`   Candidates: ${result.candidateCount - result.withdrawnCandidates} on the ballot` +
+      `${result.withdrawnCandidates ? `, ${result.withdrawnCandidates} withdrawn` : ""}`);
+    if (result.questionCount) {
+      console.log(`   Questions: ${result.questionCount} answered on every ballot`);
+    }
+    console.log(`   Votes: ${result.totalVotes} (weighted) from ${result.ballotsCounted} ballot(s)`);
+    console.log(`   Turnout: ${result.turnout.voted} of ${result.turnout.registered} registered voter(s) voted` +
+      `${result.turnout.recorded ? " (final)" : ""}`);
+    console.log(`   Quorum: ${describeQuorum(result.turnout)}` +
+      `${result.turnout.quorum ? (result.turnout.quorumReached ? " ✅ reached" : " ⏳ not reached") : ""}`);
+    console.log(`   Registration closes: ${formatTime(registrationDeadline)}`);
+    console.log(`   Voting window: ${formatTime(votingStart)} – ${formatTime(votingEnd)}`);
+  });
+});
+
+withCommonParams(
+  election.task("results", "Show the vote counts and the winner")
+).setAction(async (args, hre) => {
+  const evoting = await getElection(args, hre);
+  const candidates = await evoting.getAllCandidates();
+  const ballotType = BALLOT_TYPES[Number(await evoting.ballotType())];
+  const seatCount = Number(await evoting.seatCount());
+  const totalVotes = candidates.reduce((sum, c) => sum + Number(c.voteCount), 0);
+
+  const result = {
+    ballotType,
+    seatCount,
+    running: await evoting.electionRunning(),
+    totalVotes,
+    totalVoters: await countBallots(evoting, ballotType, candidates),
+    candidates: candidates.map((c) => ({
+      id: Number(c.id),
+      name: c.name,
+      votes: Number(c.voteCount),
+      voters: Number(c.voterCount),
+      withdrawn: c.withdrawn,
+      percent: totalVotes === 0 ? 0 : Number(((Number(c.voteCount) * 100) / totalVotes).toFixed(2))
+    })),
+    questions: await readQuestions(evoting),
+    turnout: await readTurnout(evoting),
+    valid: null,
+    winner: null,
+    elected: null
+  };
+
+  // Votes are weighted; getWinner() applies the tie-break policy; ranked elections count first preferences on-chain
+  if (ballotType !== "ranked-choice") {
+    const [winnerId, leaderIds] = await evoting.getWinner();
+    result.winner = { winnerId: Number(winnerId), leaderIds: leaderIds.map(Number), tied: Number(winnerId) === 0 && leaderIds.length > 1 };
+  }
+  // A result is valid once the turnout recorded when voting closed reaches the quorum
+  result.valid = result.turnout.recorded ? result.turnout.quorumReached : null;
+
+  // Multi-seat elections fill every seat from the top of the tally; candidates tied across the last seat stay undecided
+  if (ballotType !== "ranked-choice" && seatCount > 1) {
+    const [electedIds, tiedIds] = await evoting.getElected();
+    result.elected = { electedIds: electedIds.map(Number), tiedIds: tiedIds.map(Number) };
+  }
+
+  output(args.json, result, () => {
+    console.log(`🗳️  Results (${result.ballotType}${result.seatCount > 1 ? `, ${result.seatCount} seats` : ""}${result.running ? ", voting still open" : ""})`);
+    console.log(`   ${"".padEnd(27)} ${"Votes".padStart(6)} ${"Voters".padStart(7)}`);
+    result.candidates.forEach((c) => {
+      console.log(`   ${c.id}. ${c.name.padEnd(24)} ${String(c.votes).padStart(6)} ${String(c.voters).padStart(7)}  ${c.percent}%${c.withdrawn ? "  (withdrawn)" : ""}`);
+    });
+    console.log(`   Total: ${result.totalVotes} weighted vote(s) from ${result.totalVoters} voter(s)`);
+
+    const nameOf = (id) => result.candidates.find((c) => c.id === id).name;
+    if (result.elected) {
+      console.log(`\n🏛️  Elected: ${result.elected.electedIds.map(nameOf).join(", ") || "nobody yet"}`);
+      if (result.elected.tiedIds.length) {
+        console.log(`🤝 Tied for the remaining ${result.seatCount - result.elected.electedIds.length} seat(s): ${result.elected.tiedIds.map((id) => `#${id}`).join(", ")}`);
+      }
+    } else if (!result.winner) {
+      console.log("\nℹ️  Ranked-choice election: counts are first preferences; the frontend runs the instant-runoff tally");
+    } else if (result.winner.winnerId) {
+      const winner = result.candidates.find((c) => c.id === result.winner.winnerId);
+      console.log(`\n🏆 Winner: ${winner.name}`);
+    } else if (result.winner.tied) {
+      console.log(`\n🤝 Tie between candidates ${result.winner.leaderIds.map((id) => `#${id}`).join(", ")}`);
+    } else {
+      console.log("\nNo winner yet");
+    }
+
+    console.log(`\n📈 Turnout: ${result.turnout.voted} of ${result.turnout.registered} registered voter(s) voted, quorum ${describeQuorum(result.turnout)}`);
+    if (result.valid !== null) {
+      console.log(result.valid ? "✅ Result valid" : "❌ Result invalid: quorum not reached");
+    } else if (!result.running) {
+      console.log("📌 Once voting has closed, run `election record-turnout` to record the final turnout");
+    }
+
+    result.questions.forEach((question) => {
+      console.log(`\n❓ ${question.id}. ${question.text}`);
+      question.options.forEach((option, index) => {
+        console.log(`   ${String.fromCharCode(97 + index)}) ${option.label.padEnd(24)} ${String(option.votes).padStart(6)}`);
+      });
+    });
+  });
+});
+
+withCommonParams(
+  election.task("voter-info", "Show a voter's registration and voting status")
+    .addParam("voter", "Voter address")
+).setAction(async (args, hre) => {
+  const evoting = await getElection(args, hre);
+  const address = hre.ethers.getAddress(args.voter);
+  const [registered, voted, votedFor, revealed, weight, delegate, delegatedWeight] = await evoting.getVoter(address);
+  const secretBallot = await evoting.secretBallot();
+
+  const result = {
+    voter: address,
+    registered,
+    revoked: await evoting.revokedVoters(address),
+    voted,
+    // Under a secret ballot the choice stays hidden until it is revealed
+    votedFor: voted && (!secretBallot || revealed) ? Number(votedFor) : null,
+    revealed,
+    weight: Number(weight),
+    delegate: delegate === hre.ethers.ZeroAddress ? null : delegate,
+    delegatedWeight: Number(delegatedWeight),
+    nonce: Number(await evoting.nonces(address))
+  };
+
+  output(args.json, result, () => {
+    console.log(`👤 Voter ${result.voter}`);
+    console.log(`   Registered: ${result.registered ? "✅ yes" : result.revoked ? "❌ no (revoked)" : "❌ no (may still be on the Merkle roll)"}`);
+    if (result.registered) {
+      console.log(`   Weight: ${result.weight}`);
+    }
+    if (result.delegatedWeight > 0) {
+      console.log(`   Delegated to them: ${result.delegatedWeight}`);
+    }
+    if (result.delegate) {
+      console.log(`   Delegated to: ${result.delegate}`);
+    }
+    console.log(`   Voted: ${result.voted ? "✅ yes" : "❌ no"}`);
+    if (result.votedFor !== null) {
+      console.log(`   Voted for: candidate #${result.votedFor}`);
+    } else if (result.voted) {
+      console.log("   Vote: 🔐 sealed until revealed");
+    }
+  });
+});
+
+withCommonParams(
+  election.task("delegate", "Delegate the --from account's vote to another registered voter")
+    .addParam("to", "Registered voter to delegate to")
+).setAction(async (args, hre) => {
+  const evoting = await getElection(args, hre);
+  const { receipt, ...tx } = await send(evoting.delegateVote(hre.ethers.getAddress(args.to)));
+  const [event] = receiptEvents(evoting, receipt, "VoteDelegated");
+  const result = { voter: event.args.voter, delegate: event.args.delegate, weight: Number(event.args.weight), ...tx };
+
+  output(args.json, result, () => {
+    console.log(`🤝 ${result.voter} delegated ${result.weight} vote(s) to ${result.delegate} (tx ${result.transactionHash})`);
+  });
+});
+
+withCommonParams(
+  election.task("revoke-delegation", "Take back the --from account's delegated vote")
+).setAction(async (args, hre) => {
+  const evoting = await getElection(args, hre);
+  const { receipt, ...tx } = await send(evoting.revokeDelegation());
+  const [event] = receiptEvents(evoting, receipt, "DelegationRevoked");
+  const result = { voter: event.args.voter, delegate: event.args.delegate, weight: Number(event.args.weight), ...tx };
+
+  output(args.json, result, () => {
+    console.log(`↩️  ${result.voter} took back ${result.weight} vote(s) from ${result.delegate} (tx ${result.transactionHash})`);
+  });
+});
+
+withCommonParams(
+  election.task("verify", "Replay the election's events and check the on-chain tally")
+    .addOptionalParam("fromBlock", "Block to start replaying from", 0, types.int)
+).setAction(async (args, hre) => {
+  const { verifyTally, printReport } = require("../scripts/verify-tally");
+  const evoting = await getElection(args, hre);
+  const report = await verifyTally(evoting, { fromBlock: args.fromBlock });
+
+  output(args.json, report, () => printReport(args.contract, report));
+  if (!report.ok) {
+    process.exitCode = 1;
+  }
+});
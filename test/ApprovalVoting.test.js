@@ -0,0 +1,76 @@
+// test/ApprovalVoting.test.js
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { BallotType, deployElectionFixture, startVoting } = require("./fixtures");
+
+describe("EVoting approval voting and seats", function () {
+  async function twoSeatFixture() {
+    const fixture = await deployElectionFixture();
+    await fixture.election.setBallotType(BallotType.Approval);
+    await fixture.election.setSeats(2, 2);
+    await startVoting(fixture.election);
+    return fixture;
+  }
+
+  it("gives every approved candidate the ballot's weight", async function () {
+    const { election, alice } = await loadFixture(twoSeatFixture);
+
+    await expect(election.connect(alice).voteApproval([1, 3]))
+      .to.emit(election, "ApprovalVoteCast").withArgs(alice.address, [1n, 3n], 1n);
+    const [first, second, third] = await election.getAllCandidates();
+    expect([first.voteCount, second.voteCount, third.voteCount]).to.deep.equal([1n, 0n, 1n]);
+    expect(third.voterCount).to.equal(1n);
+    expect(await election.votedCount()).to.equal(1n);
+  });
+
+  it("elects the candidates with the most approvals", async function () {
+    const { election, alice, bob, carol } = await loadFixture(twoSeatFixture);
+    await election.connect(alice).voteApproval([1, 2]);
+    await election.connect(bob).voteApproval([1, 3]);
+    await election.connect(carol).voteApproval([2, 1]);
+
+    const [electedIds, tiedIds] = await election.getElected();
+    expect(electedIds).to.deep.equal([1n, 2n]);
+    expect(tiedIds).to.deep.equal([]);
+  });
+
+  it("leaves a seat open when candidates tie for it", async function () {
+    const { election, alice, bob } = await loadFixture(twoSeatFixture);
+    await election.connect(alice).voteApproval([1, 2]);
+    await election.connect(bob).voteApproval([1, 3]);
+
+    const [electedIds, tiedIds] = await election.getElected();
+    expect(electedIds).to.deep.equal([1n]);
+    expect(tiedIds).to.deep.equal([2n, 3n]);
+  });
+
+  it("rejects ballots with too many, too few or repeated approvals", async function () {
+    const { election, alice } = await loadFixture(twoSeatFixture);
+
+    await expect(election.connect(alice).voteApproval([])).to.be.revertedWithCustomError(election, "InvalidSelectionCount");
+    await expect(election.connect(alice).voteApproval([1, 2, 3]))
+      .to.be.revertedWithCustomError(election, "InvalidSelectionCount");
+    await expect(election.connect(alice).voteApproval([2, 2])).to.be.revertedWithCustomError(election, "DuplicateSelection");
+    await expect(election.connect(alice).voteApproval([2, 7])).to.be.revertedWithCustomError(election, "InvalidCandidate");
+    await expect(election.connect(alice).vote(1)).to.be.revertedWithCustomError(election, "WrongBallotType");
+  });
+
+  it("only takes approval ballots in approval elections", async function () {
+    const { election, alice } = await loadFixture(deployElectionFixture);
+    await startVoting(election);
+
+    await expect(election.connect(alice).voteApproval([1])).to.be.revertedWithCustomError(election, "WrongBallotType");
+  });
+
+  it("validates and locks the seat settings", async function () {
+    const { election } = await loadFixture(deployElectionFixture);
+
+    await expect(election.setSeats(0, 1)).to.be.revertedWithCustomError(election, "InvalidSeatCount");
+    await expect(election.setSeats(2, 0)).to.be.revertedWithCustomError(election, "InvalidSelectionCount");
+    await expect(election.setSeats(2, 3)).to.emit(election, "SeatsSet").withArgs(2n, 3n);
+
+    await startVoting(election);
+    await expect(election.setSeats(1, 1)).to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+    await expect(election.setBallotType(BallotType.Plurality)).to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+  });
+});
@@ -0,0 +1,81 @@
+// test/BallotQuestions.test.js
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { BallotType, deployElectionFixture, startVoting } = require("./fixtures");
+
+describe("EVoting ballot questions", function () {
+  const REFERENDUM = ["Yes", "No", "Abstain"];
+
+  async function referendumFixture() {
+    const fixture = await deployElectionFixture();
+    await fixture.election.addQuestion("Publish meeting minutes online?", REFERENDUM);
+    await fixture.election.addQuestion("Meeting day", ["Monday", "Friday"]);
+    await fixture.election.registerVoter(fixture.outsider.address, 3);
+    return fixture;
+  }
+
+  it("publishes each question with its options", async function () {
+    const { election } = await loadFixture(deployElectionFixture);
+
+    await expect(election.addQuestion("Publish meeting minutes online?", REFERENDUM))
+      .to.emit(election, "QuestionAdded").withArgs(1n, "Publish meeting minutes online?", REFERENDUM);
+    expect(await election.questionCount()).to.equal(1n);
+    expect(await election.questionOptionCount(1)).to.equal(3n);
+  });
+
+  it("tallies every answer with the ballot's weight", async function () {
+    const { election, alice, outsider } = await loadFixture(referendumFixture);
+    await startVoting(election);
+
+    await expect(election.connect(alice).voteWithAnswers(1, [0, 1], []))
+      .to.emit(election, "QuestionsAnswered").withArgs(alice.address, [0n, 1n], 1n);
+    await election.connect(outsider).voteWithAnswers(2, [2, 1], []);
+
+    expect(await election.getQuestionVotes(1)).to.deep.equal([1n, 0n, 3n]);
+    expect(await election.getQuestionVotes(2)).to.deep.equal([0n, 4n]);
+    expect((await election.candidates(2)).voteCount).to.equal(3n);
+  });
+
+  it("answers questions on approval ballots too", async function () {
+    const { election, alice, bob } = await loadFixture(deployElectionFixture);
+    await election.addQuestion("Publish meeting minutes online?", REFERENDUM);
+    await election.setBallotType(BallotType.Approval);
+    await election.setSeats(1, 2);
+    await startVoting(election);
+
+    await election.connect(alice).voteApprovalWithAnswers([1, 2], [0], []);
+    await expect(election.connect(bob).voteApproval([3])).to.be.revertedWithCustomError(election, "AnswerCountMismatch");
+    expect(await election.getQuestionVotes(1)).to.deep.equal([1n, 0n, 0n]);
+  });
+
+  it("requires one valid answer per question", async function () {
+    const { election, alice } = await loadFixture(referendumFixture);
+    await startVoting(election);
+
+    await expect(election.connect(alice).vote(1)).to.be.revertedWithCustomError(election, "AnswerCountMismatch");
+    await expect(election.connect(alice).voteWithAnswers(1, [0], [])).to.be.revertedWithCustomError(election, "AnswerCountMismatch");
+    await expect(election.connect(alice).voteWithAnswers(1, [0, 2], [])).to.be.revertedWithCustomError(election, "InvalidAnswer");
+    await expect(election.getQuestionVotes(3)).to.be.revertedWithCustomError(election, "InvalidQuestion");
+  });
+
+  it("rejects malformed questions and questions on secret ballots", async function () {
+    const { election, alice } = await loadFixture(deployElectionFixture);
+
+    await expect(election.addQuestion("", REFERENDUM)).to.be.revertedWithCustomError(election, "QuestionTextRequired");
+    await expect(election.addQuestion("Agree?", ["Yes"])).to.be.revertedWithCustomError(election, "TooFewOptions");
+    await expect(election.connect(alice).addQuestion("Agree?", REFERENDUM)).to.be.revertedWithCustomError(election, "NotAdmin");
+
+    await election.setSecretBallot(true);
+    await expect(election.addQuestion("Agree?", REFERENDUM)).to.be.revertedWithCustomError(election, "QuestionsNeedPlaintextBallot");
+    await election.setSecretBallot(false);
+    await election.addQuestion("Agree?", REFERENDUM);
+    await expect(election.setSecretBallot(true)).to.be.revertedWithCustomError(election, "QuestionsNeedPlaintextBallot");
+  });
+
+  it("locks the questions once voting has opened", async function () {
+    const { election } = await loadFixture(referendumFixture);
+    await startVoting(election);
+
+    await expect(election.addQuestion("Late motion", REFERENDUM)).to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+  });
+});
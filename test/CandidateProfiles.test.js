@@ -0,0 +1,73 @@
+// test/CandidateProfiles.test.js
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { EMPTY_PROFILE, electionConfig, createElection, deployElectionFixture, startVoting } = require("./fixtures");
+
+describe("EVoting candidate profiles", function () {
+  const profile = {
+    party: "Students First",
+    bio: "Captain of the debate team.",
+    imageURI: "ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi",
+    link: "https://example.org/alice"
+  };
+
+  it("stores the profiles given at creation", async function () {
+    const { factory } = await loadFixture(deployElectionFixture);
+    const election = await createElection(factory, electionConfig({
+      candidateNames: ["Alice", "Bob"],
+      candidateProfiles: [profile, EMPTY_PROFILE]
+    }));
+
+    const stored = await election.candidateProfiles(1);
+    expect(stored.party).to.equal(profile.party);
+    expect(stored.link).to.equal(profile.link);
+    expect((await election.candidateProfiles(2)).party).to.equal("");
+  });
+
+  it("needs one profile per candidate when profiles are given", async function () {
+    const { factory, election } = await loadFixture(deployElectionFixture);
+
+    await expect(factory.createElection(electionConfig({ candidateProfiles: [profile] })))
+      .to.be.revertedWithCustomError(election, "ProfileCountMismatch");
+  });
+
+  it("adds and edits candidates before voting", async function () {
+    const { election, alice } = await loadFixture(deployElectionFixture);
+
+    await expect(election.addCandidate("Dan", profile))
+      .to.emit(election, "CandidateAdded").withArgs(4n, "Dan")
+      .and.to.emit(election, "CandidateUpdated");
+    await expect(election.updateCandidate(2, "Robert", { ...EMPTY_PROFILE, party: "Independent" }))
+      .to.emit(election, "CandidateUpdated");
+    expect((await election.candidates(2)).name).to.equal("Robert");
+    expect((await election.candidateProfiles(2)).party).to.equal("Independent");
+
+    await expect(election.connect(alice).updateCandidate(2, "Bob", EMPTY_PROFILE))
+      .to.be.revertedWithCustomError(election, "NotAdmin");
+    await expect(election.updateCandidate(9, "Nobody", EMPTY_PROFILE)).to.be.revertedWithCustomError(election, "InvalidCandidate");
+    await expect(election.updateCandidate(2, "", EMPTY_PROFILE)).to.be.revertedWithCustomError(election, "CandidateNameRequired");
+  });
+
+  it("withdraws a candidate from the ballot but keeps it on record", async function () {
+    const { election, alice } = await loadFixture(deployElectionFixture);
+
+    await expect(election.withdrawCandidate(3)).to.emit(election, "CandidateWithdrawn").withArgs(3n);
+    expect((await election.getAllCandidates())[2].withdrawn).to.equal(true);
+    expect(await election.withdrawnCandidateCount()).to.equal(1n);
+    await expect(election.withdrawCandidate(3)).to.be.revertedWithCustomError(election, "InvalidCandidate");
+    await expect(election.updateCandidate(3, "Carol", EMPTY_PROFILE)).to.be.revertedWithCustomError(election, "InvalidCandidate");
+
+    await startVoting(election);
+    await expect(election.connect(alice).vote(3)).to.be.revertedWithCustomError(election, "InvalidCandidate");
+  });
+
+  it("locks the candidate list once voting has opened", async function () {
+    const { election } = await loadFixture(deployElectionFixture);
+    await startVoting(election);
+
+    await expect(election.addCandidate("Dan", EMPTY_PROFILE)).to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+    await expect(election.updateCandidate(1, "Alicia", EMPTY_PROFILE))
+      .to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+    await expect(election.withdrawCandidate(1)).to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+  });
+});
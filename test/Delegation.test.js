@@ -0,0 +1,83 @@
+// test/Delegation.test.js
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployElectionFixture, startVoting } = require("./fixtures");
+
+describe("EVoting delegation", function () {
+  async function openElectionFixture() {
+    const fixture = await deployElectionFixture();
+    await startVoting(fixture.election);
+    return fixture;
+  }
+
+  it("adds a delegated vote to the delegate's ballot", async function () {
+    const { election, alice, bob } = await loadFixture(openElectionFixture);
+
+    await expect(election.connect(alice).delegateVote(bob.address))
+      .to.emit(election, "VoteDelegated").withArgs(alice.address, bob.address, 1n);
+    expect((await election.getVoter(bob.address)).delegatedWeight).to.equal(1n);
+    await expect(election.connect(alice).vote(1)).to.be.revertedWithCustomError(election, "VoteIsDelegated");
+
+    await expect(election.connect(bob).vote(2)).to.emit(election, "VoteCast").withArgs(bob.address, 2n, 2n);
+    const candidate = await election.candidates(2);
+    expect(candidate.voteCount).to.equal(2n);
+    expect(candidate.voterCount).to.equal(1n);
+  });
+
+  it("passes weight along a chain of delegations", async function () {
+    const { election, alice, bob, carol } = await loadFixture(openElectionFixture);
+
+    await election.connect(alice).delegateVote(bob.address);
+    await expect(election.connect(bob).delegateVote(carol.address))
+      .to.emit(election, "VoteDelegated").withArgs(bob.address, carol.address, 2n);
+    expect((await election.getVoter(carol.address)).delegatedWeight).to.equal(2n);
+
+    await expect(election.connect(carol).vote(3)).to.emit(election, "VoteCast").withArgs(carol.address, 3n, 3n);
+  });
+
+  it("takes a delegation back so the voter can vote", async function () {
+    const { election, alice, bob, carol } = await loadFixture(openElectionFixture);
+    await election.connect(alice).delegateVote(bob.address);
+    await election.connect(bob).delegateVote(carol.address);
+
+    await expect(election.connect(alice).revokeDelegation())
+      .to.emit(election, "DelegationRevoked").withArgs(alice.address, bob.address, 1n);
+    expect((await election.getVoter(bob.address)).delegatedWeight).to.equal(0n);
+    expect((await election.getVoter(carol.address)).delegatedWeight).to.equal(1n);
+    await expect(election.connect(alice).vote(1)).to.emit(election, "VoteCast").withArgs(alice.address, 1n, 1n);
+  });
+
+  it("rejects delegations that could not be counted", async function () {
+    const { election, alice, bob, carol, outsider } = await loadFixture(openElectionFixture);
+
+    await expect(election.connect(alice).delegateVote(alice.address)).to.be.revertedWithCustomError(election, "SelfDelegation");
+    await expect(election.connect(alice).delegateVote(outsider.address))
+      .to.be.revertedWithCustomError(election, "DelegateNotRegistered");
+    await expect(election.connect(outsider).delegateVote(alice.address)).to.be.revertedWithCustomError(election, "NotRegistered");
+    await expect(election.connect(alice).revokeDelegation()).to.be.revertedWithCustomError(election, "NotDelegated");
+
+    await election.connect(alice).delegateVote(bob.address);
+    await expect(election.connect(bob).delegateVote(alice.address)).to.be.revertedWithCustomError(election, "DelegationLoop");
+
+    await election.connect(carol).vote(1);
+    await expect(election.connect(bob).delegateVote(carol.address))
+      .to.be.revertedWithCustomError(election, "DelegateAlreadyVoted");
+    await expect(election.connect(carol).delegateVote(bob.address)).to.be.revertedWithCustomError(election, "AlreadyVoted");
+  });
+
+  it("cannot take a vote back once the delegate has cast it", async function () {
+    const { election, alice, bob } = await loadFixture(openElectionFixture);
+    await election.connect(alice).delegateVote(bob.address);
+    await election.connect(bob).vote(1);
+
+    await expect(election.connect(alice).revokeDelegation()).to.be.revertedWithCustomError(election, "DelegateAlreadyVoted");
+  });
+
+  it("freezes delegations once voting has closed", async function () {
+    const { election, alice, bob } = await loadFixture(openElectionFixture);
+    await election.connect(alice).delegateVote(bob.address);
+    await election.endElection();
+
+    await expect(election.connect(alice).revokeDelegation()).to.be.revertedWithCustomError(election, "VotingClosed");
+  });
+});
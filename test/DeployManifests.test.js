@@ -0,0 +1,46 @@
+// test/DeployManifests.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { writeFrontendConfig } = require("../scripts/deploy");
+
+describe("deployment manifests", function () {
+  let dir;
+  const writeManifest = (file, manifest) =>
+    fs.writeFileSync(path.join(dir, "deployments", file), JSON.stringify(manifest));
+  const readConfig = () => {
+    const source = fs.readFileSync(path.join(dir, "config.js"), "utf8");
+    return JSON.parse(source.slice(source.indexOf("= {") + 2, source.lastIndexOf("}") + 1));
+  };
+
+  // A clash between manifests is reported on the console
+  let log;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "evoting-deployments-"));
+    fs.mkdirSync(path.join(dir, "deployments"));
+    log = console.log;
+    console.log = () => {};
+  });
+  afterEach(function () {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("keeps one deployment per network in the frontend config", function () {
+    writeManifest("localhost.json", { network: "localhost", chainId: 31337, deployedAt: "2026-01-01T00:00:00.000Z" });
+    writeManifest("sepolia.json", { network: "sepolia", chainId: 11155111, deployedAt: "2026-01-02T00:00:00.000Z" });
+
+    const networks = writeFrontendConfig(path.join(dir, "deployments"), path.join(dir, "config.js"));
+    expect(networks).to.deep.equal(["localhost (31337)", "sepolia (11155111)"]);
+    expect(Object.keys(readConfig())).to.deep.equal(["31337", "11155111"]);
+  });
+
+  it("keeps the newer deployment when two networks share a chain ID", function () {
+    writeManifest("hardhat.json", { network: "hardhat", chainId: 31337, deployedAt: "2026-01-02T00:00:00.000Z" });
+    writeManifest("localhost.json", { network: "localhost", chainId: 31337, deployedAt: "2026-01-01T00:00:00.000Z" });
+
+    writeFrontendConfig(path.join(dir, "deployments"), path.join(dir, "config.js"));
+    expect(readConfig()[31337].network).to.equal("hardhat");
+  });
+});
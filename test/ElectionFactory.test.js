@@ -0,0 +1,60 @@
+// test/ElectionFactory.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { electionConfig, createElection, deployElectionFixture, startVoting } = require("./fixtures");
+
+describe("ElectionFactory", function () {
+  it("creates numbered elections administered by their creator", async function () {
+    const { factory, election, admin, alice } = await loadFixture(deployElectionFixture);
+
+    const tx = await factory.connect(alice).createElection(electionConfig({ title: "Budget Referendum" }));
+    const second = await ethers.getContractAt("EVoting", await factory.getElection(2));
+
+    await expect(tx).to.emit(factory, "ElectionCreated").withArgs(2n, await second.getAddress(), alice.address);
+    expect(await factory.electionCount()).to.equal(2n);
+    expect(await factory.getAllElections()).to.deep.equal([await election.getAddress(), await second.getAddress()]);
+    expect(await election.admin()).to.equal(admin.address);
+    expect(await second.admin()).to.equal(alice.address);
+    expect(await second.title()).to.equal("Budget Referendum");
+  });
+
+  it("keeps each election's candidates, roll and tally separate", async function () {
+    const { factory, election, alice, bob } = await loadFixture(deployElectionFixture);
+    const other = await createElection(factory, electionConfig({ candidateNames: ["Dan", "Erin"], voters: [bob] }));
+
+    await startVoting(election);
+    await startVoting(other);
+    await election.connect(alice).vote(1);
+    await other.connect(bob).vote(2);
+
+    expect(await election.candidateCount()).to.equal(3n);
+    expect(await other.candidateCount()).to.equal(2n);
+    expect((await election.candidates(1)).voteCount).to.equal(1n);
+    expect((await other.candidates(1)).voteCount).to.equal(0n);
+    expect((await other.candidates(2)).voteCount).to.equal(1n);
+    await expect(other.connect(alice).vote(1)).to.be.revertedWithCustomError(other, "NotRegistered");
+  });
+
+  it("rejects unknown election IDs", async function () {
+    const { factory } = await loadFixture(deployElectionFixture);
+
+    await expect(factory.getElection(0)).to.be.revertedWith("Invalid election");
+    await expect(factory.getElection(2)).to.be.revertedWith("Invalid election");
+  });
+
+  it("refuses a zero implementation address", async function () {
+    const ElectionFactory = await ethers.getContractFactory("ElectionFactory");
+
+    await expect(ElectionFactory.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid implementation address");
+  });
+
+  it("cannot initialize a clone twice or the implementation at all", async function () {
+    const { implementation, election, outsider } = await loadFixture(deployElectionFixture);
+
+    await expect(election.initialize(outsider.address, electionConfig()))
+      .to.be.revertedWithCustomError(election, "InvalidInitialization");
+    await expect(implementation.initialize(outsider.address, electionConfig()))
+      .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+  });
+});
@@ -0,0 +1,48 @@
+// test/ElectionMetadata.test.js
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { EMPTY_PROFILE, electionConfig, createElection, deployElectionFixture, startVoting } = require("./fixtures");
+
+describe("EVoting election definition", function () {
+  it("is created with the defined title, candidates and roll", async function () {
+    const { election, alice, dave } = await loadFixture(deployElectionFixture);
+
+    expect(await election.title()).to.equal("Student Council Election");
+    expect(await election.description()).to.equal("Choose the student council president.");
+    expect((await election.getAllCandidates()).map((candidate) => candidate.name)).to.deep.equal(["Alice", "Bob", "Carol"]);
+    expect(await election.registeredCount()).to.equal(4n);
+    expect((await election.getVoter(alice.address)).registered).to.equal(true);
+    expect((await election.getVoter(dave.address)).weight).to.equal(1n);
+  });
+
+  it("lets the admin edit the title and description until voting opens", async function () {
+    const { election, alice } = await loadFixture(deployElectionFixture);
+
+    await expect(election.setMetadata("Spring Election", "Two-year term"))
+      .to.emit(election, "MetadataSet").withArgs("Spring Election", "Two-year term");
+    expect(await election.title()).to.equal("Spring Election");
+    await expect(election.connect(alice).setMetadata("Hijacked", "")).to.be.revertedWithCustomError(election, "NotAdmin");
+    await expect(election.setMetadata("", "No title")).to.be.revertedWithCustomError(election, "TitleRequired");
+
+    await startVoting(election);
+    await expect(election.setMetadata("Renamed", "")).to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+  });
+
+  it("rejects definitions without a title or with unnamed candidates", async function () {
+    const { factory, election } = await loadFixture(deployElectionFixture);
+
+    await expect(factory.createElection(electionConfig({ title: "" })))
+      .to.be.revertedWithCustomError(election, "TitleRequired");
+    await expect(factory.createElection(electionConfig({ candidateNames: ["Alice", ""] })))
+      .to.be.revertedWithCustomError(election, "CandidateNameRequired");
+  });
+
+  it("can start with no candidates and add them before voting", async function () {
+    const { factory } = await loadFixture(deployElectionFixture);
+    const election = await createElection(factory, electionConfig({ candidateNames: [] }));
+
+    await expect(election.startElection()).to.be.revertedWithCustomError(election, "NoCandidates");
+    await expect(election.addCandidate("Dan", EMPTY_PROFILE))
+      .to.emit(election, "CandidateAdded").withArgs(1n, "Dan");
+  });
+});
@@ -0,0 +1,62 @@
+// test/ElectionTasks.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployElectionFixture } = require("./fixtures");
+
+describe("election tasks", function () {
+  const runTask = (task, args) => hre.run({ scope: "election", task }, { json: true, ...args });
+
+  // The tasks print their result; capture it and keep the test output readable
+  let log;
+  let printed;
+  beforeEach(function () {
+    log = console.log;
+    printed = [];
+    console.log = (text) => printed.push(text);
+  });
+  afterEach(function () {
+    console.log = log;
+  });
+
+  it("keeps the profile fields update-candidate leaves out", async function () {
+    const { election } = await loadFixture(deployElectionFixture);
+    const contract = await election.getAddress();
+    await election.updateCandidate(1, "Alice", { party: "Students First", bio: "Debate captain.", imageURI: "", link: "" });
+
+    await runTask("update-candidate", { contract, id: 1, name: "Alicia" });
+    expect((await election.candidates(1)).name).to.equal("Alicia");
+    expect((await election.candidateProfiles(1)).party).to.equal("Students First");
+
+    await runTask("update-candidate", { contract, id: 1, bio: "", link: "https://example.org/alicia" });
+    const profile = await election.candidateProfiles(1);
+    expect([profile.party, profile.bio, profile.link]).to.deep.equal(["Students First", "", "https://example.org/alicia"]);
+    expect((await election.candidates(1)).name).to.equal("Alicia");
+  });
+
+  it("tells a revoked voter apart in voter-info", async function () {
+    const { election, alice } = await loadFixture(deployElectionFixture);
+    const contract = await election.getAddress();
+    await election.revokeVoter(alice.address, "Moved away");
+
+    await runTask("voter-info", { contract, voter: alice.address });
+    expect(JSON.parse(printed.pop())).to.include({ registered: false, revoked: true, voted: false });
+  });
+
+  it("reports a malformed roll file as a task error", async function () {
+    const { election } = await loadFixture(deployElectionFixture);
+    const file = path.join(os.tmpdir(), `evoting-roll-${process.pid}.csv`);
+    fs.writeFileSync(file, "address,weight\n0x1234,1\n");
+
+    try {
+      await expect(runTask("register-voter", { contract: await election.getAddress(), file }))
+        .to.be.rejectedWith(/Invalid address in roll entry 1/)
+        .and.eventually.have.property("pluginName", "election");
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
@@ -0,0 +1,65 @@
+// test/MerkleRoll.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+const { deployElectionFixture, startVoting } = require("./fixtures");
+
+describe("EVoting Merkle voter roll", function () {
+  async function merkleRollFixture() {
+    const fixture = await deployElectionFixture();
+    const [, , , , , , frank, grace, heidi] = await ethers.getSigners();
+    const tree = StandardMerkleTree.of([[frank.address], [grace.address], [heidi.address]], ["address"]);
+    await fixture.election.setVoterRoot(tree.root);
+    const proofOf = (signer) => tree.getProof([signer.address]);
+    return { ...fixture, tree, proofOf, frank, grace, heidi };
+  }
+
+  it("admits voters on the roll when they vote with a proof", async function () {
+    const { election, tree, proofOf, frank } = await loadFixture(merkleRollFixture);
+
+    expect(await election.voterRoot()).to.equal(tree.root);
+    expect(await election.isOnVoterRoll(frank.address, proofOf(frank))).to.equal(true);
+    await startVoting(election);
+
+    await expect(election.connect(frank).voteWithProof(3, proofOf(frank)))
+      .to.emit(election, "VoteCast")
+      .withArgs(frank.address, 3n, 1n);
+    const voter = await election.getVoter(frank.address);
+    expect(voter.registered).to.equal(true);
+    expect(voter.weight).to.equal(1n);
+    expect(await election.registeredCount()).to.equal(5n);
+    await expect(election.connect(frank).voteWithProof(3, proofOf(frank)))
+      .to.be.revertedWithCustomError(election, "AlreadyVoted");
+  });
+
+  it("accepts commitments with a proof in secret ballot mode", async function () {
+    const { election, proofOf, grace } = await loadFixture(merkleRollFixture);
+    await election.setSecretBallot(true);
+    await startVoting(election);
+
+    await election.connect(grace).commitVoteWithProof(ethers.id("commitment"), proofOf(grace));
+    expect((await election.getVoter(grace.address)).voted).to.equal(true);
+  });
+
+  it("rejects addresses that are not on the roll or borrow a proof", async function () {
+    const { election, proofOf, frank, outsider } = await loadFixture(merkleRollFixture);
+    await startVoting(election);
+
+    expect(await election.isOnVoterRoll(outsider.address, proofOf(frank))).to.equal(false);
+    await expect(election.connect(outsider).voteWithProof(1, proofOf(frank)))
+      .to.be.revertedWithCustomError(election, "InvalidProof");
+    await expect(election.connect(outsider).voteWithProof(1, []))
+      .to.be.revertedWithCustomError(election, "InvalidProof");
+  });
+
+  it("can only be published by the admin or a registrar before voting", async function () {
+    const { election, tree, alice } = await loadFixture(merkleRollFixture);
+
+    await expect(election.connect(alice).setVoterRoot(tree.root)).to.be.revertedWithCustomError(election, "MissingRole");
+    await startVoting(election);
+    await expect(election.setVoterRoot(ethers.ZeroHash)).to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+    await election.endElection();
+    await expect(election.setVoterRoot(ethers.ZeroHash)).to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+  });
+});
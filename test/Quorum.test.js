@@ -0,0 +1,116 @@
+// test/Quorum.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployElectionFixture, startVoting } = require("./fixtures");
+
+describe("EVoting turnout and quorum", function () {
+  async function percentQuorumFixture() {
+    const fixture = await deployElectionFixture();
+    await fixture.election.setQuorum(50, true);
+    await startVoting(fixture.election);
+    return fixture;
+  }
+
+  it("counts registered voters and ballots as they come in", async function () {
+    const { election, alice, bob } = await loadFixture(percentQuorumFixture);
+
+    expect(await election.registeredCount()).to.equal(4n);
+    await election.connect(alice).vote(1);
+    expect(await election.votedCount()).to.equal(1n);
+    expect(await election.quorumReached()).to.equal(false);
+    await election.connect(bob).vote(2);
+    expect(await election.quorumReached()).to.equal(true);
+  });
+
+  it("records the final turnout and verdict when voting is ended", async function () {
+    const { election, alice, bob } = await loadFixture(percentQuorumFixture);
+    await election.connect(alice).vote(1);
+    await election.connect(bob).vote(2);
+
+    await expect(election.endElection()).to.emit(election, "QuorumChecked").withArgs(true, 2n, 4n);
+    const finalTurnout = await election.finalTurnout();
+    expect(finalTurnout.registered).to.equal(4n);
+    expect(finalTurnout.voted).to.equal(2n);
+    expect(finalTurnout.quorumReached).to.equal(true);
+    expect(finalTurnout.recorded).to.equal(true);
+    await expect(election.recordTurnout()).to.be.revertedWithCustomError(election, "TurnoutAlreadyRecorded");
+  });
+
+  it("lets anyone record the turnout once a scheduled close has passed", async function () {
+    const { election, alice, outsider } = await loadFixture(deployElectionFixture);
+    const now = await time.latest();
+    await election.setQuorum(2, false);
+    await election.setSchedule(0, now + 10, now + 100);
+
+    await time.increaseTo(now + 10);
+    await election.connect(alice).vote(1);
+    await expect(election.connect(outsider).recordTurnout()).to.be.revertedWithCustomError(election, "VotingNotClosed");
+
+    await time.increaseTo(now + 100);
+    await expect(election.connect(outsider).recordTurnout()).to.emit(election, "QuorumChecked").withArgs(false, 1n, 4n);
+    expect((await election.finalTurnout()).quorumReached).to.equal(false);
+  });
+
+  it("keeps the roll frozen so the recorded verdict cannot be diluted", async function () {
+    const { election, alice, bob, outsider } = await loadFixture(percentQuorumFixture);
+    await election.connect(alice).vote(1);
+    await election.connect(bob).vote(2);
+    await election.endElection();
+
+    await expect(election.registerVoter(outsider.address, 1)).to.be.revertedWithCustomError(election, "VotingClosed");
+    await expect(election.registerVoters([outsider.address], [])).to.be.revertedWithCustomError(election, "VotingClosed");
+    expect(await election.quorumReached()).to.equal(true);
+    expect((await election.finalTurnout()).registered).to.equal(4n);
+  });
+
+  it("is not met while nobody is registered", async function () {
+    const { election, alice, bob, carol, dave } = await loadFixture(deployElectionFixture);
+    await election.setQuorum(50, true);
+    for (const voter of [alice, bob, carol, dave]) {
+      await election.revokeVoter(voter.address, "Left the club");
+    }
+
+    expect(await election.registeredCount()).to.equal(0n);
+    expect(await election.quorumReached()).to.equal(false);
+    await startVoting(election);
+    await expect(election.endElection()).to.emit(election, "QuorumChecked").withArgs(false, 0n, 0n);
+    expect((await election.finalTurnout()).quorumReached).to.equal(false);
+  });
+
+  it("counts committed secret ballots as cast", async function () {
+    const { election, alice } = await loadFixture(deployElectionFixture);
+    await election.setSecretBallot(true);
+    await election.setQuorum(1, false);
+    await startVoting(election);
+
+    await election.connect(alice).commitVote(ethers.id("commitment"));
+    expect(await election.votedCount()).to.equal(1n);
+    expect(await election.quorumReached()).to.equal(true);
+  });
+
+  it("validates the quorum and locks it once voting has opened", async function () {
+    const { election, alice } = await loadFixture(deployElectionFixture);
+
+    await expect(election.setQuorum(101, true)).to.be.revertedWithCustomError(election, "InvalidQuorum");
+    await expect(election.connect(alice).setQuorum(1, false)).to.be.revertedWithCustomError(election, "NotAdmin");
+    await expect(election.setQuorum(40, true)).to.emit(election, "QuorumSet").withArgs(40n, true);
+
+    await startVoting(election);
+    await expect(election.setQuorum(0, false)).to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+    await election.endElection();
+    await expect(election.setQuorum(0, false)).to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+  });
+
+  it("does not combine a percentage quorum with a Merkle roll", async function () {
+    const { election } = await loadFixture(deployElectionFixture);
+    const root = ethers.id("voter roll");
+
+    await election.setQuorum(50, true);
+    await expect(election.setVoterRoot(root)).to.be.revertedWithCustomError(election, "PercentQuorumWithVoterRoot");
+
+    await election.setQuorum(3, false);
+    await election.setVoterRoot(root);
+    await expect(election.setQuorum(50, true)).to.be.revertedWithCustomError(election, "PercentQuorumWithVoterRoot");
+  });
+});
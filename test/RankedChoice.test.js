@@ -0,0 +1,67 @@
+// test/RankedChoice.test.js
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { BallotType, deployElectionFixture, startVoting } = require("./fixtures");
+
+describe("EVoting ranked-choice ballots", function () {
+  async function rankedChoiceFixture() {
+    const fixture = await deployElectionFixture();
+    await fixture.election.setBallotType(BallotType.RankedChoice);
+    await startVoting(fixture.election);
+    return fixture;
+  }
+
+  it("publishes each ranking and counts first preferences", async function () {
+    const { election, alice, bob } = await loadFixture(rankedChoiceFixture);
+
+    await expect(election.connect(alice).voteRanked([2, 3, 1]))
+      .to.emit(election, "RankedVoteCast")
+      .withArgs(alice.address, [2n, 3n, 1n], 1n);
+    await election.connect(bob).voteRanked([2]);
+
+    expect((await election.candidates(2)).voteCount).to.equal(2n);
+    expect((await election.candidates(3)).voteCount).to.equal(0n);
+    expect((await election.getVoter(alice.address)).votedFor).to.equal(2n);
+  });
+
+  it("leaves the winner to the off-chain instant-runoff tally", async function () {
+    const { election, alice } = await loadFixture(rankedChoiceFixture);
+
+    await expect(election.connect(alice).vote(1)).to.be.revertedWithCustomError(election, "WrongBallotType");
+    await expect(election.getWinner()).to.be.revertedWithCustomError(election, "WrongBallotType");
+    await expect(election.getElected()).to.be.revertedWithCustomError(election, "WrongBallotType");
+  });
+
+  it("rejects malformed rankings", async function () {
+    const { election, alice } = await loadFixture(rankedChoiceFixture);
+
+    await expect(election.connect(alice).voteRanked([])).to.be.revertedWithCustomError(election, "InvalidRankingLength");
+    await expect(election.connect(alice).voteRanked([1, 2, 3, 1]))
+      .to.be.revertedWithCustomError(election, "InvalidRankingLength");
+    await expect(election.connect(alice).voteRanked([1, 2, 1])).to.be.revertedWithCustomError(election, "DuplicateRanking");
+    await expect(election.connect(alice).voteRanked([1, 4])).to.be.revertedWithCustomError(election, "InvalidCandidate");
+  });
+
+  it("does not rank withdrawn candidates", async function () {
+    const { election, alice } = await loadFixture(deployElectionFixture);
+    await election.setBallotType(BallotType.RankedChoice);
+    await election.withdrawCandidate(3);
+    await startVoting(election);
+
+    await expect(election.connect(alice).voteRanked([1, 3])).to.be.revertedWithCustomError(election, "InvalidCandidate");
+    await expect(election.connect(alice).voteRanked([1, 2, 3]))
+      .to.be.revertedWithCustomError(election, "InvalidRankingLength");
+  });
+
+  it("fills a single seat", async function () {
+    const { election } = await loadFixture(deployElectionFixture);
+
+    await election.setSeats(2, 2);
+    await expect(election.setBallotType(BallotType.RankedChoice))
+      .to.be.revertedWithCustomError(election, "RankedChoiceSingleSeat");
+    await election.setSeats(1, 1);
+    await expect(election.setBallotType(BallotType.RankedChoice))
+      .to.emit(election, "BallotTypeSet").withArgs(BallotType.RankedChoice);
+    await expect(election.setSeats(2, 2)).to.be.revertedWithCustomError(election, "RankedChoiceSingleSeat");
+  });
+});
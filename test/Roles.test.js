@@ -0,0 +1,74 @@
+// test/Roles.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployElectionFixture } = require("./fixtures");
+
+describe("EVoting roles", function () {
+  async function rolesFixture() {
+    const fixture = await deployElectionFixture();
+    const [, , , , , , registrar, officer] = await ethers.getSigners();
+    const { election } = fixture;
+    await election.grantRole(await election.REGISTRAR_ROLE(), registrar.address);
+    await election.grantRole(await election.OFFICER_ROLE(), officer.address);
+    return { ...fixture, registrar, officer };
+  }
+
+  it("lets registrars manage the roll and nothing else", async function () {
+    const { election, registrar, outsider } = await loadFixture(rolesFixture);
+    const asRegistrar = election.connect(registrar);
+
+    await expect(asRegistrar.registerVoter(outsider.address, 1)).to.emit(election, "VoterRegistered");
+    await asRegistrar.revokeVoter(outsider.address, "Registered by mistake");
+    await expect(asRegistrar.startElection()).to.be.revertedWithCustomError(election, "MissingRole");
+    await expect(asRegistrar.setSchedule(0, 0, 0)).to.be.revertedWithCustomError(election, "NotAdmin");
+  });
+
+  it("lets officers start and end voting and nothing else", async function () {
+    const { election, officer, outsider } = await loadFixture(rolesFixture);
+    const asOfficer = election.connect(officer);
+
+    await expect(asOfficer.startElection()).to.emit(election, "ElectionStarted");
+    await expect(asOfficer.endElection()).to.emit(election, "ElectionEnded");
+    await expect(asOfficer.registerVoter(outsider.address, 1)).to.be.revertedWithCustomError(election, "MissingRole");
+  });
+
+  it("only lets the owner grant roles", async function () {
+    const { election, alice, outsider } = await loadFixture(rolesFixture);
+
+    await expect(election.connect(alice).grantRole(await election.OFFICER_ROLE(), outsider.address))
+      .to.be.revertedWithCustomError(election, "AccessControlUnauthorizedAccount");
+  });
+
+  it("moves the owner role only through a two-step transfer", async function () {
+    const { election, admin, alice, outsider } = await loadFixture(rolesFixture);
+    const DEFAULT_ADMIN_ROLE = await election.DEFAULT_ADMIN_ROLE();
+
+    await expect(election.grantRole(DEFAULT_ADMIN_ROLE, alice.address)).to.be.revertedWithCustomError(election, "UseTransferAdmin");
+    await expect(election.revokeRole(DEFAULT_ADMIN_ROLE, admin.address)).to.be.revertedWithCustomError(election, "UseTransferAdmin");
+    await expect(election.renounceRole(DEFAULT_ADMIN_ROLE, admin.address))
+      .to.be.revertedWithCustomError(election, "UseTransferAdmin");
+
+    await expect(election.transferAdmin(alice.address))
+      .to.emit(election, "AdminTransferStarted").withArgs(admin.address, alice.address);
+    expect(await election.admin()).to.equal(admin.address);
+    await expect(election.connect(outsider).acceptAdmin()).to.be.revertedWithCustomError(election, "NotPendingAdmin");
+
+    await expect(election.connect(alice).acceptAdmin())
+      .to.emit(election, "AdminTransferred").withArgs(admin.address, alice.address);
+    expect(await election.isAdmin(alice.address)).to.equal(true);
+    expect(await election.hasRole(DEFAULT_ADMIN_ROLE, admin.address)).to.equal(false);
+    expect(await election.pendingAdmin()).to.equal(ethers.ZeroAddress);
+    const now = await time.latest();
+    await expect(election.setSchedule(0, now + 10, now + 20)).to.be.revertedWithCustomError(election, "NotAdmin");
+  });
+
+  it("can cancel a pending transfer", async function () {
+    const { election, alice } = await loadFixture(rolesFixture);
+
+    await election.transferAdmin(alice.address);
+    await election.transferAdmin(ethers.ZeroAddress);
+    await expect(election.connect(alice).acceptAdmin()).to.be.revertedWithCustomError(election, "NotPendingAdmin");
+    await expect(election.connect(alice).transferAdmin(alice.address)).to.be.revertedWithCustomError(election, "NotAdmin");
+  });
+});
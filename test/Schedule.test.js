@@ -0,0 +1,102 @@
+// test/Schedule.test.js
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { electionConfig, createElection, deployElectionFixture, startVoting, passTime } = require("./fixtures");
+
+describe("EVoting schedule", function () {
+  const HOUR = 60 * 60;
+
+  async function scheduledElectionFixture() {
+    const fixture = await deployElectionFixture();
+    const now = await time.latest();
+    const schedule = { registrationDeadline: now + HOUR, votingStart: now + 2 * HOUR, votingEnd: now + 3 * HOUR };
+    await fixture.election.setSchedule(schedule.registrationDeadline, schedule.votingStart, schedule.votingEnd);
+    return { ...fixture, schedule };
+  }
+
+  it("opens and closes voting on its own at the scheduled times", async function () {
+    const { election, alice, bob, schedule } = await loadFixture(scheduledElectionFixture);
+
+    expect(await election.electionRunning()).to.equal(false);
+    await expect(election.connect(alice).vote(1)).to.be.revertedWithCustomError(election, "ElectionNotRunning");
+
+    await time.increaseTo(schedule.votingStart);
+    expect(await election.electionRunning()).to.equal(true);
+    await election.connect(alice).vote(1);
+
+    await time.increaseTo(schedule.votingEnd);
+    expect(await election.electionRunning()).to.equal(false);
+    await expect(election.connect(bob).vote(1)).to.be.revertedWithCustomError(election, "ElectionNotRunning");
+  });
+
+  it("closes registration at the deadline", async function () {
+    const { election, outsider, schedule } = await loadFixture(scheduledElectionFixture);
+
+    await passTime(schedule.registrationDeadline);
+    await expect(election.registerVoter(outsider.address, 1)).to.be.revertedWithCustomError(election, "RegistrationClosed");
+  });
+
+  it("applies a schedule given at creation", async function () {
+    const { factory } = await loadFixture(deployElectionFixture);
+    const now = await time.latest();
+    const election = await createElection(factory, electionConfig({ votingStart: now + HOUR, votingEnd: now + 2 * HOUR }));
+
+    expect(await election.votingStart()).to.equal(BigInt(now + HOUR));
+    expect(await election.votingEnd()).to.equal(BigInt(now + 2 * HOUR));
+  });
+
+  it("lets officers start early and end early", async function () {
+    const { election, alice, schedule } = await loadFixture(scheduledElectionFixture);
+
+    await expect(election.startElection()).to.emit(election, "ElectionStarted");
+    expect(await election.electionRunning()).to.equal(true);
+    expect(await election.votingEnd()).to.equal(BigInt(schedule.votingEnd));
+
+    await election.connect(alice).vote(2);
+    await expect(election.endElection()).to.emit(election, "ElectionEnded");
+    expect(await election.electionRunning()).to.equal(false);
+    expect(await election.votingEnd()).to.equal(BigInt(await time.latest()));
+  });
+
+  it("rejects schedules that could never run", async function () {
+    const { election } = await loadFixture(deployElectionFixture);
+    const now = await time.latest();
+
+    await expect(election.setSchedule(0, now + 2 * HOUR, now + HOUR))
+      .to.be.revertedWithCustomError(election, "InvalidVotingWindow");
+    await expect(election.setSchedule(0, now - 2 * HOUR, now - HOUR))
+      .to.be.revertedWithCustomError(election, "VotingEndInPast");
+    await expect(election.setSchedule(now + 3 * HOUR, now + HOUR, now + 2 * HOUR))
+      .to.be.revertedWithCustomError(election, "RegistrationAfterVotingEnd");
+  });
+
+  it("cannot be rescheduled or restarted once voting has opened", async function () {
+    const { election, schedule } = await loadFixture(scheduledElectionFixture);
+
+    await time.increaseTo(schedule.votingStart);
+    await expect(election.setSchedule(0, 0, 0)).to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+    await expect(election.startElection()).to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+
+    await election.endElection();
+    await expect(election.startElection()).to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+    await expect(election.endElection()).to.be.revertedWithCustomError(election, "ElectionNotRunning");
+  });
+
+  it("needs a candidate on the ballot to start", async function () {
+    const { election } = await loadFixture(deployElectionFixture);
+
+    for (const id of [1, 2, 3]) {
+      await election.withdrawCandidate(id);
+    }
+    await expect(election.startElection()).to.be.revertedWithCustomError(election, "NoCandidates");
+  });
+
+  it("only lets the admin schedule and officers start", async function () {
+    const { election, alice } = await loadFixture(deployElectionFixture);
+
+    await expect(election.connect(alice).setSchedule(0, 0, 0)).to.be.revertedWithCustomError(election, "NotAdmin");
+    await expect(election.connect(alice).startElection()).to.be.revertedWithCustomError(election, "MissingRole");
+    await startVoting(election);
+    await expect(election.connect(alice).endElection()).to.be.revertedWithCustomError(election, "MissingRole");
+  });
+});
@@ -0,0 +1,80 @@
+// test/SecretBallot.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { BallotType, deployElectionFixture, startVoting } = require("./fixtures");
+
+describe("EVoting secret ballots", function () {
+  const salt = ethers.id("alice's salt");
+
+  async function secretBallotFixture() {
+    const fixture = await deployElectionFixture();
+    await fixture.election.setSecretBallot(true);
+    await startVoting(fixture.election);
+    return fixture;
+  }
+
+  it("tallies committed ballots only once they are revealed", async function () {
+    const { election, alice, bob } = await loadFixture(secretBallotFixture);
+    const commitment = await election.getCommitment(alice.address, 2, salt);
+
+    await expect(election.connect(alice).commitVote(commitment))
+      .to.emit(election, "VoteCommitted")
+      .withArgs(alice.address, commitment);
+    await election.connect(bob).commitVote(await election.getCommitment(bob.address, 1, salt));
+    expect(await election.votedCount()).to.equal(2n);
+    expect((await election.candidates(2)).voteCount).to.equal(0n);
+
+    await election.endElection();
+    expect(await election.revealPhase()).to.equal(true);
+    await expect(election.connect(alice).revealVote(2, salt))
+      .to.emit(election, "VoteCast")
+      .withArgs(alice.address, 2n, 1n);
+    expect((await election.candidates(2)).voteCount).to.equal(1n);
+
+    // Bob never reveals, so his ballot is left out once the reveal phase ends
+    await expect(election.endReveal()).to.emit(election, "RevealEnded");
+    expect(await election.revealPhase()).to.equal(false);
+    await expect(election.connect(bob).revealVote(1, salt)).to.be.revertedWithCustomError(election, "RevealNotOpen");
+    expect((await election.candidates(1)).voteCount).to.equal(0n);
+  });
+
+  it("refuses plaintext votes and bad commitments", async function () {
+    const { election, alice } = await loadFixture(secretBallotFixture);
+
+    await expect(election.connect(alice).vote(1)).to.be.revertedWithCustomError(election, "SecretBallotRequiresCommit");
+    await expect(election.connect(alice).commitVote(ethers.ZeroHash))
+      .to.be.revertedWithCustomError(election, "InvalidCommitment");
+
+    await election.connect(alice).commitVote(await election.getCommitment(alice.address, 1, salt));
+    await expect(election.connect(alice).commitVote(await election.getCommitment(alice.address, 2, salt)))
+      .to.be.revertedWithCustomError(election, "AlreadyVoted");
+  });
+
+  it("rejects reveals outside the reveal phase or that do not match", async function () {
+    const { election, alice, bob } = await loadFixture(secretBallotFixture);
+    await election.connect(alice).commitVote(await election.getCommitment(alice.address, 1, salt));
+
+    await expect(election.connect(alice).revealVote(1, salt)).to.be.revertedWithCustomError(election, "RevealNotOpen");
+    await expect(election.endReveal()).to.be.revertedWithCustomError(election, "RevealNotOpen");
+
+    await election.endElection();
+    await expect(election.connect(alice).revealVote(2, salt)).to.be.revertedWithCustomError(election, "RevealMismatch");
+    await expect(election.connect(bob).revealVote(1, salt)).to.be.revertedWithCustomError(election, "NoCommittedVote");
+    await election.connect(alice).revealVote(1, salt);
+    await expect(election.connect(alice).revealVote(1, salt)).to.be.revertedWithCustomError(election, "AlreadyRevealed");
+  });
+
+  it("only runs plurality elections in secret", async function () {
+    const { election, alice } = await loadFixture(deployElectionFixture);
+
+    await expect(election.connect(alice).setSecretBallot(true)).to.be.revertedWithCustomError(election, "NotAdmin");
+    await election.setBallotType(BallotType.Approval);
+    await expect(election.setSecretBallot(true)).to.be.revertedWithCustomError(election, "SecretBallotRequiresPlurality");
+
+    await election.setBallotType(BallotType.Plurality);
+    await startVoting(election);
+    await expect(election.connect(alice).commitVote(ethers.id("commitment")))
+      .to.be.revertedWithCustomError(election, "SecretBallotNotEnabled");
+  });
+});
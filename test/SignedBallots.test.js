@@ -0,0 +1,107 @@
+// test/SignedBallots.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployElectionFixture, startVoting } = require("./fixtures");
+
+describe("EVoting signed ballots", function () {
+  const BALLOT_TYPES = {
+    Ballot: [
+      { name: "voter", type: "address" },
+      { name: "candidateId", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  /**
+   * Open an election for voting and add a helper that signs ballots for it
+   * @param {boolean} withQuestion - Put a question on the ballot before voting opens
+   */
+  async function deploySignedBallots(withQuestion) {
+    const fixture = await deployElectionFixture();
+    if (withQuestion) {
+      await fixture.election.addQuestion("Publish meeting minutes online?", ["Yes", "No"]);
+    }
+    await startVoting(fixture.election);
+    const [, , , , , , relayer] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = { name: "EVoting", version: "1", chainId, verifyingContract: await fixture.election.getAddress() };
+
+    /**
+     * Sign a plurality ballot for a voter
+     * @param {object} voter - Signer casting the ballot
+     * @param {number} candidateId - Candidate voted for
+     * @param {object} [fields] - nonce, deadline or signer to override
+     */
+    const signBallot = async (voter, candidateId, { signer = voter, ...fields } = {}) => {
+      const ballot = {
+        voter: voter.address,
+        candidateId,
+        nonce: await fixture.election.nonces(voter.address),
+        deadline: (await time.latest()) + 3600,
+        ...fields
+      };
+      const signature = await signer.signTypedData(domain, BALLOT_TYPES, ballot);
+      return { ...ballot, signature, proof: [] };
+    };
+    return { ...fixture, relayer, signBallot };
+  }
+
+  async function signedBallotFixture() {
+    return deploySignedBallots(false);
+  }
+
+  async function ballotQuestionFixture() {
+    return deploySignedBallots(true);
+  }
+
+  it("counts a ballot signed by the voter and submitted by a relayer", async function () {
+    const { election, alice, relayer, signBallot } = await loadFixture(signedBallotFixture);
+    const ballot = await signBallot(alice, 2);
+
+    await expect(election.connect(relayer).castSignedBallot(ballot))
+      .to.emit(election, "VoteCast")
+      .withArgs(alice.address, 2n, 1n);
+    expect((await election.getVoter(alice.address)).voted).to.equal(true);
+    expect(await election.nonces(alice.address)).to.equal(1n);
+    await expect(election.connect(relayer).castSignedBallot(ballot))
+      .to.be.revertedWithCustomError(election, "InvalidAccountNonce");
+  });
+
+  it("rejects expired, forged and misdirected ballots", async function () {
+    const { election, alice, bob, relayer, signBallot } = await loadFixture(signedBallotFixture);
+    const asRelayer = election.connect(relayer);
+
+    await expect(asRelayer.castSignedBallot(await signBallot(alice, 1, { deadline: (await time.latest()) - 1 })))
+      .to.be.revertedWithCustomError(election, "BallotExpired");
+    await expect(asRelayer.castSignedBallot(await signBallot(alice, 1, { signer: bob })))
+      .to.be.revertedWithCustomError(election, "InvalidSignature");
+    const ballot = await signBallot(alice, 1);
+    await expect(asRelayer.castSignedBallot({ ...ballot, candidateId: 3 }))
+      .to.be.revertedWithCustomError(election, "InvalidSignature");
+  });
+
+  it("skips invalid ballots in a batch instead of reverting it", async function () {
+    const { election, alice, bob, outsider, relayer, signBallot } = await loadFixture(signedBallotFixture);
+    const valid = await signBallot(alice, 1);
+    const unregistered = await signBallot(outsider, 1);
+    const forged = await signBallot(bob, 2, { signer: alice });
+
+    await expect(election.connect(relayer).castSignedBallots([valid, unregistered, forged]))
+      .to.emit(election, "VoteCast").withArgs(alice.address, 1n, 1n)
+      .and.to.emit(election, "SignedBallotRejected").withArgs(outsider.address, 0n)
+      .and.to.emit(election, "SignedBallotRejected").withArgs(bob.address, 0n);
+    expect(await election.votedCount()).to.equal(1n);
+  });
+
+  it("refuses signed ballots in elections with ballot questions", async function () {
+    const { election, alice, relayer, signBallot } = await loadFixture(ballotQuestionFixture);
+    const ballot = await signBallot(alice, 1);
+
+    await expect(election.connect(relayer).castSignedBallot(ballot))
+      .to.be.revertedWithCustomError(election, "SignedBallotWithQuestions");
+    await expect(election.connect(relayer).castSignedBallots([ballot]))
+      .to.be.revertedWithCustomError(election, "SignedBallotWithQuestions");
+  });
+});
@@ -0,0 +1,130 @@
+// test/TieBreak.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { BallotType, TieBreakPolicy, deployElectionFixture, startVoting } = require("./fixtures");
+
+describe("EVoting ties", function () {
+  const seed = ethers.id("tie-break seed");
+
+  /**
+   * Run an election that ends with Alice and Bob tied on two votes each
+   * @param {number} policy - Tie-break policy set before voting
+   */
+  async function runTiedElection(policy) {
+    const fixture = await deployElectionFixture();
+    const { election, alice, bob, carol, dave } = fixture;
+    await election.setTieBreakPolicy(policy, policy === TieBreakPolicy.CommittedSeed ? ethers.keccak256(seed) : ethers.ZeroHash);
+    await startVoting(election);
+    await election.connect(alice).vote(1);
+    await election.connect(bob).vote(2);
+    await election.connect(carol).vote(1);
+    await election.connect(dave).vote(2);
+    await election.endElection();
+    return fixture;
+  }
+
+  async function declareTieFixture() {
+    return runTiedElection(TieBreakPolicy.DeclareTie);
+  }
+
+  async function adminDecisionFixture() {
+    return runTiedElection(TieBreakPolicy.AdminDecision);
+  }
+
+  async function committedSeedFixture() {
+    return runTiedElection(TieBreakPolicy.CommittedSeed);
+  }
+
+  it("reports a tie instead of picking by candidate order", async function () {
+    const { election, alice } = await loadFixture(declareTieFixture);
+
+    const [winnerId, leaderIds, winnerVoteCount] = await election.getWinner();
+    expect(winnerId).to.equal(0n);
+    expect(leaderIds).to.deep.equal([1n, 2n]);
+    expect(winnerVoteCount).to.equal(2n);
+    await expect(election.breakTie(1)).to.be.revertedWithCustomError(election, "WrongTieBreakPolicy");
+    await expect(election.connect(alice).revealTieBreakSeed(seed))
+      .to.be.revertedWithCustomError(election, "WrongTieBreakPolicy");
+  });
+
+  it("names a single leader the winner", async function () {
+    const { election, alice, bob } = await loadFixture(deployElectionFixture);
+    await startVoting(election);
+    await election.connect(alice).vote(3);
+    await election.connect(bob).vote(3);
+
+    const [winnerId, leaderIds] = await election.getWinner();
+    expect(winnerId).to.equal(3n);
+    expect(leaderIds).to.deep.equal([3n]);
+  });
+
+  it("lets the admin decide a tie once voting has closed", async function () {
+    const { election, alice } = await loadFixture(adminDecisionFixture);
+
+    await expect(election.connect(alice).breakTie(2)).to.be.revertedWithCustomError(election, "NotAdmin");
+    await expect(election.breakTie(3)).to.be.revertedWithCustomError(election, "NotTiedForFirst");
+    await expect(election.breakTie(2)).to.emit(election, "TieBroken").withArgs(2n, TieBreakPolicy.AdminDecision);
+    expect((await election.getWinner()).winnerId).to.equal(2n);
+    await expect(election.breakTie(1)).to.be.revertedWithCustomError(election, "TieAlreadyBroken");
+  });
+
+  it("does not break ties before voting closes or when there is none", async function () {
+    const { election, alice, bob, carol } = await loadFixture(deployElectionFixture);
+    await election.setTieBreakPolicy(TieBreakPolicy.AdminDecision, ethers.ZeroHash);
+    await startVoting(election);
+    await election.connect(alice).vote(1);
+    await election.connect(bob).vote(2);
+
+    await expect(election.breakTie(1)).to.be.revertedWithCustomError(election, "VotingNotClosed");
+    await election.connect(carol).vote(1);
+    await election.endElection();
+    await expect(election.breakTie(1)).to.be.revertedWithCustomError(election, "NoTie");
+    expect((await election.getWinner()).winnerId).to.equal(1n);
+  });
+
+  it("picks among the leaders with a committed seed", async function () {
+    const { election, alice } = await loadFixture(committedSeedFixture);
+
+    await expect(election.connect(alice).revealTieBreakSeed(ethers.id("wrong seed")))
+      .to.be.revertedWithCustomError(election, "SeedMismatch");
+    await expect(election.connect(alice).revealTieBreakSeed(seed)).to.emit(election, "TieBroken");
+
+    const leaderIds = [1n, 2n];
+    const pick = BigInt(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "uint256[]"], [seed, leaderIds])));
+    expect(await election.tieBreakWinner()).to.equal(leaderIds[Number(pick % 2n)]);
+    expect((await election.getWinner()).winnerId).to.equal(await election.tieBreakWinner());
+  });
+
+  it("needs a seed commitment exactly when the policy uses one", async function () {
+    const { election } = await loadFixture(deployElectionFixture);
+
+    await expect(election.setTieBreakPolicy(TieBreakPolicy.CommittedSeed, ethers.ZeroHash))
+      .to.be.revertedWithCustomError(election, "InvalidSeedCommitment");
+    await expect(election.setTieBreakPolicy(TieBreakPolicy.AdminDecision, ethers.keccak256(seed)))
+      .to.be.revertedWithCustomError(election, "InvalidSeedCommitment");
+    await expect(election.setTieBreakPolicy(TieBreakPolicy.CommittedSeed, ethers.keccak256(seed)))
+      .to.emit(election, "TieBreakPolicySet").withArgs(TieBreakPolicy.CommittedSeed, ethers.keccak256(seed));
+  });
+
+  it("locks the policy once voting has opened", async function () {
+    const { election } = await loadFixture(deployElectionFixture);
+    await startVoting(election);
+
+    await expect(election.setTieBreakPolicy(TieBreakPolicy.AdminDecision, ethers.ZeroHash))
+      .to.be.revertedWithCustomError(election, "VotingAlreadyStarted");
+  });
+
+  it("keeps ranked-choice elections on the declare-tie policy", async function () {
+    const { election } = await loadFixture(deployElectionFixture);
+
+    await election.setTieBreakPolicy(TieBreakPolicy.AdminDecision, ethers.ZeroHash);
+    await expect(election.setBallotType(BallotType.RankedChoice))
+      .to.be.revertedWithCustomError(election, "TieBreakNotForRankedChoice");
+
+    await election.setTieBreakPolicy(TieBreakPolicy.DeclareTie, ethers.ZeroHash);
+    await election.setBallotType(BallotType.RankedChoice);
+    await expect(election.setTieBreakPolicy(TieBreakPolicy.CommittedSeed, ethers.keccak256(seed)))
+      .to.be.revertedWithCustomError(election, "TieBreakNotForRankedChoice");
+  });
+});
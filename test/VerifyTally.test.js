@@ -0,0 +1,66 @@
+// test/VerifyTally.test.js
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployElectionFixture, startVoting } = require("./fixtures");
+const { verifyTally } = require("../scripts/verify-tally");
+
+describe("verify-tally", function () {
+  async function finishedElectionFixture() {
+    const fixture = await deployElectionFixture();
+    const { election, alice, bob, carol } = fixture;
+    await startVoting(election);
+    await election.connect(alice).vote(1);
+    await election.connect(bob).vote(2);
+    await election.connect(carol).vote(1);
+    await election.endElection();
+    return fixture;
+  }
+
+  /**
+   * Find the storage slot of the `candidates` mapping: the slot whose entry for
+   * candidate #1 starts with the id 1 and is followed by the name "Alice"
+   */
+  async function candidatesSlot(address) {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const name = ethers.toBigInt(ethers.encodeBytes32String("Alice")) + 10n; // short string: data plus length * 2
+    for (let slot = 0; slot < 256; slot++) {
+      const entry = ethers.toBigInt(ethers.keccak256(coder.encode(["uint256", "uint256"], [1, slot])));
+      if (
+        ethers.toBigInt(await ethers.provider.getStorage(address, entry)) === 1n &&
+        ethers.toBigInt(await ethers.provider.getStorage(address, entry + 1n)) === name
+      ) {
+        return slot;
+      }
+    }
+    throw new Error("candidates mapping not found");
+  }
+
+  it("confirms a tally that matches the events", async function () {
+    const { election } = await loadFixture(finishedElectionFixture);
+
+    const report = await verifyTally(election);
+    expect(report.errors).to.deep.equal([]);
+    expect(report.ok).to.equal(true);
+    expect(report.replayed).to.deep.include({ 1: 2, 2: 1 });
+    expect(report.ballots).to.equal(3);
+    expect(report.turnout).to.include({ registered: 4, voted: 3, recorded: true });
+  });
+
+  it("reports a candidate total that no longer matches the events", async function () {
+    const { election } = await loadFixture(finishedElectionFixture);
+    const address = await election.getAddress();
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const slot = await candidatesSlot(address);
+    const bob = ethers.toBigInt(ethers.keccak256(coder.encode(["uint256", "uint256"], [2, slot])));
+    await network.provider.send("hardhat_setStorageAt", [
+      address,
+      ethers.toQuantity(bob + 2n), // voteCount
+      ethers.zeroPadValue(ethers.toBeHex(5), 32)
+    ]);
+
+    const report = await verifyTally(election);
+    expect(report.ok).to.equal(false);
+    expect(report.errors).to.include("candidate #2: events give 1 vote(s), getAllCandidates() reports 5");
+  });
+});
@@ -0,0 +1,55 @@
+// test/VoterRegistration.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployElectionFixture } = require("./fixtures");
+
+describe("EVoting voter registration", function () {
+  const newVoters = (count) => Array.from({ length: count }, () => ethers.Wallet.createRandom().address);
+
+  it("registers a whole roll in one transaction", async function () {
+    const { election } = await loadFixture(deployElectionFixture);
+    const roll = newVoters(3);
+
+    const tx = election.registerVoters(roll, []);
+    for (const address of roll) {
+      await expect(tx).to.emit(election, "VoterRegistered").withArgs(address, 1n);
+    }
+    expect(await election.registeredCount()).to.equal(7n);
+    expect((await election.getVoter(roll[2])).registered).to.equal(true);
+  });
+
+  it("skips addresses that are already on the roll", async function () {
+    const { election, alice } = await loadFixture(deployElectionFixture);
+    const [fresh] = newVoters(1);
+
+    await expect(election.registerVoters([alice.address, fresh, fresh], []))
+      .to.emit(election, "DuplicateVoterSkipped").withArgs(alice.address)
+      .and.to.emit(election, "VoterRegistered").withArgs(fresh, 1n);
+    expect(await election.registeredCount()).to.equal(5n);
+  });
+
+  it("registers single voters and refuses duplicates", async function () {
+    const { election, alice, outsider } = await loadFixture(deployElectionFixture);
+
+    await expect(election.registerVoter(outsider.address, 1))
+      .to.emit(election, "VoterRegistered").withArgs(outsider.address, 1n);
+    await expect(election.registerVoter(alice.address, 1)).to.be.revertedWithCustomError(election, "AlreadyRegistered");
+  });
+
+  it("rejects a weight list that does not match the roll", async function () {
+    const { election } = await loadFixture(deployElectionFixture);
+
+    await expect(election.registerVoters(newVoters(2), [1]))
+      .to.be.revertedWithCustomError(election, "WeightCountMismatch");
+  });
+
+  it("only lets the admin or a registrar register voters", async function () {
+    const { election, alice, outsider } = await loadFixture(deployElectionFixture);
+
+    await expect(election.connect(alice).registerVoters([outsider.address], []))
+      .to.be.revertedWithCustomError(election, "MissingRole");
+    await expect(election.connect(alice).registerVoter(outsider.address, 1))
+      .to.be.revertedWithCustomError(election, "MissingRole");
+  });
+});
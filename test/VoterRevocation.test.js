@@ -0,0 +1,112 @@
+// test/VoterRevocation.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+const { deployElectionFixture, startVoting } = require("./fixtures");
+
+describe("EVoting roll corrections", function () {
+  async function weightedVoterFixture() {
+    const fixture = await deployElectionFixture();
+    await fixture.election.registerVoter(fixture.outsider.address, 5);
+    return fixture;
+  }
+
+  it("revokes a voter with a recorded reason", async function () {
+    const { election, alice } = await loadFixture(deployElectionFixture);
+
+    await expect(election.revokeVoter(alice.address, "Moved away"))
+      .to.emit(election, "VoterRevoked")
+      .withArgs(alice.address, "Moved away");
+    expect((await election.getVoter(alice.address)).registered).to.equal(false);
+    expect(await election.registeredCount()).to.equal(3n);
+
+    await startVoting(election);
+    await expect(election.connect(alice).vote(1)).to.be.revertedWithCustomError(election, "NotRegistered");
+  });
+
+  it("moves a registration and its weight to a new address", async function () {
+    const { election, outsider } = await loadFixture(weightedVoterFixture);
+    const newAddress = ethers.Wallet.createRandom().address;
+
+    await expect(election.replaceVoter(outsider.address, newAddress, "Lost key"))
+      .to.emit(election, "VoterReplaced")
+      .withArgs(outsider.address, newAddress, "Lost key");
+    expect((await election.getVoter(outsider.address)).registered).to.equal(false);
+    expect((await election.getVoter(newAddress)).weight).to.equal(5n);
+    expect(await election.registeredCount()).to.equal(5n);
+  });
+
+  it("refuses corrections that would rewrite a vote or a delegation", async function () {
+    const { election, alice, bob, carol } = await loadFixture(deployElectionFixture);
+    await startVoting(election);
+    await election.connect(alice).vote(1);
+    await election.connect(bob).delegateVote(carol.address);
+
+    await expect(election.revokeVoter(alice.address, "Too late")).to.be.revertedWithCustomError(election, "AlreadyVoted");
+    await expect(election.replaceVoter(alice.address, bob.address, "Too late"))
+      .to.be.revertedWithCustomError(election, "AlreadyVoted");
+    await expect(election.revokeVoter(bob.address, "Delegated")).to.be.revertedWithCustomError(election, "VoterInDelegation");
+    await expect(election.revokeVoter(carol.address, "Delegate")).to.be.revertedWithCustomError(election, "VoterInDelegation");
+  });
+
+  it("validates the addresses and the reason", async function () {
+    const { election, alice, bob, outsider } = await loadFixture(deployElectionFixture);
+
+    await expect(election.revokeVoter(outsider.address, "Unknown")).to.be.revertedWithCustomError(election, "NotRegistered");
+    await expect(election.revokeVoter(alice.address, "")).to.be.revertedWithCustomError(election, "ReasonRequired");
+    await expect(election.replaceVoter(outsider.address, alice.address, "Unknown"))
+      .to.be.revertedWithCustomError(election, "NotRegistered");
+    await expect(election.replaceVoter(alice.address, ethers.ZeroAddress, "Lost key"))
+      .to.be.revertedWithCustomError(election, "InvalidNewAddress");
+    await expect(election.replaceVoter(alice.address, bob.address, "Lost key"))
+      .to.be.revertedWithCustomError(election, "AlreadyRegistered");
+    await expect(election.connect(bob).revokeVoter(alice.address, "No role"))
+      .to.be.revertedWithCustomError(election, "MissingRole");
+  });
+
+  it("freezes the roll once voting has closed", async function () {
+    const { election, alice, bob } = await loadFixture(deployElectionFixture);
+    await startVoting(election);
+    await election.endElection();
+
+    await expect(election.revokeVoter(alice.address, "Too late")).to.be.revertedWithCustomError(election, "VotingClosed");
+    await expect(election.replaceVoter(alice.address, ethers.Wallet.createRandom().address, "Too late"))
+      .to.be.revertedWithCustomError(election, "VotingClosed");
+    await expect(election.connect(bob).delegateVote(alice.address)).to.be.revertedWithCustomError(election, "VotingClosed");
+  });
+
+  describe("with a Merkle roll", function () {
+    async function merkleRollFixture() {
+      const fixture = await deployElectionFixture();
+      const [, , , , , , frank] = await ethers.getSigners();
+      const tree = StandardMerkleTree.of([[fixture.alice.address], [frank.address]], ["address"]);
+      await fixture.election.setVoterRoot(tree.root);
+      const proofOf = (signer) => tree.getProof([signer.address]);
+      return { ...fixture, proofOf, frank };
+    }
+
+    it("keeps a revoked roll address from proving its way back", async function () {
+      const { election, proofOf, frank } = await loadFixture(merkleRollFixture);
+
+      await expect(election.revokeVoter(frank.address, "Not a member"))
+        .to.emit(election, "VoterRevoked").withArgs(frank.address, "Not a member");
+      expect(await election.revokedVoters(frank.address)).to.equal(true);
+      await expect(election.revokeVoter(frank.address, "Again")).to.be.revertedWithCustomError(election, "NotRegistered");
+
+      await startVoting(election);
+      await expect(election.connect(frank).voteWithProof(1, proofOf(frank)))
+        .to.be.revertedWithCustomError(election, "RevokedVoter");
+    });
+
+    it("keeps a replaced address from voting again with its proof", async function () {
+      const { election, proofOf, alice } = await loadFixture(merkleRollFixture);
+      const newAddress = ethers.Wallet.createRandom().address;
+
+      await election.replaceVoter(alice.address, newAddress, "Lost key");
+      await startVoting(election);
+      await expect(election.connect(alice).voteWithProof(1, proofOf(alice)))
+        .to.be.revertedWithCustomError(election, "RevokedVoter");
+    });
+  });
+});
@@ -0,0 +1,46 @@
+// test/WeightedVoting.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { electionConfig, createElection, deployFactory, startVoting } = require("./fixtures");
+
+describe("EVoting weighted voting", function () {
+  async function shareholderFixture() {
+    const [admin, alice, bob, carol] = await ethers.getSigners();
+    const { factory } = await deployFactory();
+    const election = await createElection(factory, electionConfig({ voters: [alice, bob, carol], voterWeights: [250, 100, 100] }));
+    return { factory, election, admin, alice, bob, carol };
+  }
+
+  it("counts each ballot with its voter's weight", async function () {
+    const { election, alice, bob, carol } = await loadFixture(shareholderFixture);
+    await startVoting(election);
+
+    await expect(election.connect(alice).vote(1)).to.emit(election, "VoteCast").withArgs(alice.address, 1n, 250n);
+    await election.connect(bob).vote(2);
+    await election.connect(carol).vote(2);
+
+    const [alicia, bobby] = await election.getAllCandidates();
+    expect(alicia.voteCount).to.equal(250n);
+    expect(alicia.voterCount).to.equal(1n);
+    expect(bobby.voteCount).to.equal(200n);
+    expect(bobby.voterCount).to.equal(2n);
+    expect((await election.getWinner()).winnerId).to.equal(1n);
+  });
+
+  it("registers voters with their weight", async function () {
+    const { election, admin } = await loadFixture(shareholderFixture);
+
+    await expect(election.registerVoter(admin.address, 40)).to.emit(election, "VoterRegistered").withArgs(admin.address, 40n);
+    expect((await election.getVoter(admin.address)).weight).to.equal(40n);
+  });
+
+  it("rejects zero weights and weight lists that do not match the roll", async function () {
+    const { factory, election, admin, alice } = await loadFixture(shareholderFixture);
+
+    await expect(election.registerVoter(admin.address, 0)).to.be.revertedWithCustomError(election, "InvalidWeight");
+    await expect(election.registerVoters([admin.address], [0])).to.be.revertedWithCustomError(election, "InvalidWeight");
+    await expect(factory.createElection(electionConfig({ voters: [alice, admin], voterWeights: [3] })))
+      .to.be.revertedWithCustomError(election, "WeightCountMismatch");
+  });
+});
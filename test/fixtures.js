@@ -0,0 +1,102 @@
+// test/fixtures.js
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * Shared deployment helpers for the contract tests
+ *
+ * Every test file builds its own fixture on top of these and runs it through
+ * loadFixture, so each test starts from the same snapshot.
+ */
+
+const EMPTY_PROFILE = { party: "", bio: "", imageURI: "", link: "" };
+
+// Enum values in EVoting order
+const BallotType = { Plurality: 0, RankedChoice: 1, Approval: 2 };
+const TieBreakPolicy = { DeclareTie: 0, AdminDecision: 1, CommittedSeed: 2 };
+
+/**
+ * Build an election definition for createElection
+ * @param {object} [overrides] - Fields to replace (addresses may be given as signers)
+ * @returns {object} EVoting.ElectionConfig
+ */
+function electionConfig(overrides = {}) {
+  const config = {
+    title: "Student Council Election",
+    description: "Choose the student council president.",
+    candidateNames: ["Alice", "Bob", "Carol"],
+    candidateProfiles: [],
+    voters: [],
+    voterWeights: [],
+    registrationDeadline: 0,
+    votingStart: 0,
+    votingEnd: 0,
+    ...overrides
+  };
+  config.voters = config.voters.map((voter) => voter.address ?? voter);
+  return config;
+}
+
+/**
+ * Deploy the EVoting implementation and an ElectionFactory that clones it
+ * @returns {Promise<{implementation: object, factory: object}>}
+ */
+async function deployFactory() {
+  const implementation = await ethers.deployContract("EVoting");
+  const factory = await ethers.deployContract("ElectionFactory", [await implementation.getAddress()]);
+  return { implementation, factory };
+}
+
+/**
+ * Create an election through the factory
+ * @param {object} factory - ElectionFactory contract
+ * @param {object} [config] - Election definition (see electionConfig)
+ * @param {object} [signer] - Account that becomes the election admin
+ * @returns {Promise<object>} EVoting contract attached to the new clone
+ */
+async function createElection(factory, config = electionConfig(), signer = undefined) {
+  const connected = signer ? factory.connect(signer) : factory;
+  await (await connected.createElection(config)).wait();
+  const address = await factory.getElection(await factory.electionCount());
+  return ethers.getContractAt("EVoting", address, signer);
+}
+
+/**
+ * Deploy a factory and one election with three candidates and four registered voters
+ * The election is in setup: no schedule, voting not started.
+ */
+async function deployElectionFixture() {
+  const [admin, alice, bob, carol, dave, outsider] = await ethers.getSigners();
+  const { implementation, factory } = await deployFactory();
+  const election = await createElection(factory, electionConfig({ voters: [alice, bob, carol, dave] }));
+  return { implementation, factory, election, admin, alice, bob, carol, dave, outsider };
+}
+
+/**
+ * Open voting now and return the timestamp it opened at
+ * @param {object} election - EVoting contract, connected to an admin or officer
+ */
+async function startVoting(election) {
+  await (await election.startElection()).wait();
+  return election.votingStart();
+}
+
+/**
+ * Move the chain past a timestamp
+ * @param {bigint | number} timestamp - Seconds since the epoch
+ */
+async function passTime(timestamp) {
+  await time.increaseTo(BigInt(timestamp) + 1n);
+}
+
+module.exports = {
+  EMPTY_PROFILE,
+  BallotType,
+  TieBreakPolicy,
+  electionConfig,
+  deployFactory,
+  createElection,
+  deployElectionFixture,
+  startVoting,
+  passTime
+};